@@ -0,0 +1,750 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ValidationError } from './errors.js';
+import {
+  ifNotExists,
+  mergeConditions,
+  UpdateOperation,
+} from './expressions.js';
+
+const attributeTypes = {
+  any: () => true,
+  binary: (value) => value instanceof Uint8Array,
+  boolean: _.isBoolean,
+  list: _.isArray,
+  map: _.isPlainObject,
+  number: (value) => _.isNumber(value) || typeof value === 'bigint',
+  set: (value) => value instanceof Set,
+  string: _.isString,
+};
+
+/**
+ * Parse a key template like `USER#{userId}` into literal & attribute parts.
+ *
+ * @param {string} template - Key template. Attribute names are wrapped in braces.
+ * @return {object[]} Parts: `{ literal }` or `{ attribute }`.
+ * @private
+ */
+const parseTemplate = (template) =>
+  template
+    .split(/(\{[^{}]+\})/)
+    .filter((part) => part.length)
+    .map((part) =>
+      /^\{[^{}]+\}$/.test(part)
+        ? { attribute: part.slice(1, -1) }
+        : { literal: part }
+    );
+
+/**
+ * Build a pattern matching the key values a template can compose.
+ *
+ * @param {object[]} parts - Parsed template parts.
+ * @return {RegExp|undefined} Pattern, or undefined if the template is a single attribute (any value matches).
+ * @private
+ */
+const templatePattern = (parts) =>
+  parts.length === 1 && parts[0].attribute
+    ? undefined
+    : new RegExp(
+        `^${parts
+          .map(({ literal }) => (literal ? _.escapeRegExp(literal) : '.+'))
+          .join('')}$`
+      );
+
+/**
+ * Single-table design model for one entity type. Declares the entity's
+ * attributes & how its table & index keys are composed from them, and
+ * provides get, put, update, delete & query methods that build composite keys
+ * on the way in & strip them on the way out, so application code works with
+ * plain domain objects. Create one with `WrappedDynamoDbClient.entity`.
+ *
+ * Key templates interpolate attribute values into strings, e.g.
+ * `USER#{userId}`. A template consisting of a single attribute, e.g.
+ * `{createdAt}`, keeps the attribute's type, so numeric sort keys work.
+ *
+ * @example
+ * const users = client.entity({
+ *   name: 'user',
+ *   tableName: 'app',
+ *   attributes: {
+ *     userId: { type: 'string', required: true },
+ *     email: { type: 'string', required: true },
+ *     role: { type: 'string', default: 'member' },
+ *   },
+ *   keys: {
+ *     pk: { attribute: 'entityPK', template: 'USER#{userId}' },
+ *     sk: { attribute: 'entitySK', template: 'PROFILE' },
+ *   },
+ *   indexes: {
+ *     byEmail: {
+ *       indexName: 'gsi1',
+ *       pk: { attribute: 'gsi1PK', template: 'EMAIL#{email}' },
+ *       sk: { attribute: 'gsi1SK', template: 'USER#{userId}' },
+ *     },
+ *   },
+ *   timestamps: true,
+ * });
+ *
+ * await users.put({ userId: 'u1', email: 'a@example.com' });
+ * const [user] = await users.query({ email: 'a@example.com' }, { index: 'byEmail' });
+ */
+export class Entity {
+  #attributes;
+  #client;
+  #indexes;
+  #keys;
+  #name;
+  #tableName;
+  #timestamps;
+  #typeAttribute;
+
+  /**
+   * Entity constructor.
+   *
+   * @param {object} client - WrappedDynamoDbClient instance.
+   * @param {object} definition - Entity definition.
+   * @param {string} definition.name - Entity name.
+   * @param {string} definition.tableName - Table name.
+   * @param {object} [definition.attributes] - Attribute definitions by name: `type` (string, number, boolean, binary, list, map, set or any), `required` & `default` (a value, or a function of the item). Undeclared attributes are stored as-is.
+   * @param {object} definition.keys - Table key definitions: `pk` & (optional) `sk`, each with the key `attribute` name & a `template`.
+   * @param {object} [definition.indexes] - Secondary index key definitions by name: `indexName` (default is the name), `pk` & (optional) `sk`. Items missing an attribute of an index key are left out of the index.
+   * @param {boolean|object} [definition.timestamps] - Maintain `createdAt` & `updatedAt` ISO timestamps: true, or an object mapping `createdAt` & `updatedAt` to attribute names (default is false).
+   * @param {string} [definition.typeAttribute] - Attribute storing the entity name, used to filter queries to this entity (default is none).
+   */
+  constructor(
+    client,
+    {
+      attributes = {},
+      indexes = {},
+      keys,
+      name,
+      tableName,
+      timestamps = false,
+      typeAttribute,
+    }
+  ) {
+    const invalid = (parameter, value) => {
+      throw new ValidationError(`invalid entity ${parameter}`, {
+        parameter,
+        value,
+      });
+    };
+
+    const isKeyDefinition = (key) =>
+      _.isPlainObject(key) &&
+      _.isString(key.attribute) &&
+      key.attribute.length &&
+      _.isString(key.template) &&
+      key.template.length;
+
+    if (!_.isObject(client)) invalid('client', client);
+    if (!_.isString(name) || !name.length) invalid('name', name);
+    if (!_.isString(tableName) || !tableName.length)
+      invalid('tableName', tableName);
+    if (
+      !_.isPlainObject(attributes) ||
+      !_.every(
+        attributes,
+        (attribute) =>
+          _.isPlainObject(attribute) &&
+          (_.isNil(attribute.type) || _.has(attributeTypes, attribute.type))
+      )
+    )
+      invalid('attributes', attributes);
+    if (
+      !_.isPlainObject(keys) ||
+      !isKeyDefinition(keys.pk) ||
+      !(_.isNil(keys.sk) || isKeyDefinition(keys.sk))
+    )
+      invalid('keys', keys);
+    if (
+      !_.isPlainObject(indexes) ||
+      !_.every(
+        indexes,
+        (index) =>
+          _.isPlainObject(index) &&
+          isKeyDefinition(index.pk) &&
+          (_.isNil(index.sk) || isKeyDefinition(index.sk))
+      )
+    )
+      invalid('indexes', indexes);
+    if (!_.isBoolean(timestamps) && !_.isPlainObject(timestamps))
+      invalid('timestamps', timestamps);
+    if (!_.isNil(typeAttribute) && !_.isString(typeAttribute))
+      invalid('typeAttribute', typeAttribute);
+
+    const compile = (key) => {
+      if (!key) return undefined;
+
+      const parts = parseTemplate(key.template);
+
+      return {
+        attribute: key.attribute,
+        parts,
+        pattern: templatePattern(parts),
+      };
+    };
+
+    this.#attributes = attributes;
+    this.#client = client;
+    this.#indexes = _.mapValues(indexes, (index, indexKey) => ({
+      indexName: index.indexName ?? indexKey,
+      pk: compile(index.pk),
+      sk: compile(index.sk),
+    }));
+    this.#keys = { pk: compile(keys.pk), sk: compile(keys.sk) };
+    this.#name = name;
+    this.#tableName = tableName;
+    this.#timestamps =
+      timestamps === true
+        ? { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+        : timestamps || {};
+    this.#typeAttribute = typeAttribute;
+  }
+
+  /**
+   * Entity name.
+   *
+   * @type {string}
+   */
+  get name() {
+    return this.#name;
+  }
+
+  /**
+   * Table name.
+   *
+   * @type {string}
+   */
+  get tableName() {
+    return this.#tableName;
+  }
+
+  /**
+   * Names of the generated key attributes (table & index keys).
+   *
+   * @type {string[]}
+   */
+  get keyAttributes() {
+    return _.uniq(
+      _.compact([
+        this.#keys.pk.attribute,
+        this.#keys.sk?.attribute,
+        ..._.flatMap(this.#indexes, ({ pk, sk }) => [
+          pk.attribute,
+          sk?.attribute,
+        ]),
+      ])
+    );
+  }
+
+  /**
+   * Compose a key value from a template.
+   *
+   * @param {object} key - Compiled key definition.
+   * @param {object} values - Attribute values.
+   * @return {*} Key value, or undefined if an attribute is missing.
+   * @private
+   */
+  #compose(key, values) {
+    const { parts } = key;
+
+    if (parts.some(({ attribute }) => attribute && _.isNil(values[attribute])))
+      return undefined;
+
+    if (parts.length === 1 && parts[0].attribute)
+      return values[parts[0].attribute];
+
+    return parts
+      .map(({ attribute, literal }) => literal ?? `${values[attribute]}`)
+      .join('');
+  }
+
+  /**
+   * Compose the longest known prefix of a string key value: the template up to
+   * the first missing attribute.
+   *
+   * @param {object} key - Compiled key definition.
+   * @param {object} values - Attribute values.
+   * @return {string} Key prefix.
+   * @private
+   */
+  #composePrefix(key, values) {
+    const { parts } = key;
+
+    let prefix = '';
+
+    for (const { attribute, literal } of parts) {
+      if (attribute && _.isNil(values[attribute])) break;
+      prefix += literal ?? `${values[attribute]}`;
+    }
+
+    return prefix;
+  }
+
+  /**
+   * Compose the table key of a domain object.
+   *
+   * @param {object} values - Domain object (or the attributes of its key).
+   * @return {object} Table key.
+   * @private
+   */
+  #tableKey(values) {
+    const key = {};
+
+    for (const definition of _.compact([this.#keys.pk, this.#keys.sk])) {
+      const value = this.#compose(definition, values);
+
+      if (_.isNil(value))
+        throw new ValidationError(
+          `missing ${this.#name} attributes for key ${definition.attribute}`,
+          {
+            parameter: 'key',
+            value: values,
+          }
+        );
+
+      key[definition.attribute] = value;
+    }
+
+    return key;
+  }
+
+  /**
+   * Compose the index keys of a domain object. Index keys missing an attribute
+   * are omitted.
+   *
+   * @param {object} values - Domain object.
+   * @return {object} Index key attributes.
+   * @private
+   */
+  #indexKeys(values) {
+    const keys = {};
+
+    for (const { pk, sk } of _.values(this.#indexes))
+      for (const definition of _.compact([pk, sk])) {
+        const value = this.#compose(definition, values);
+        if (!_.isNil(value)) keys[definition.attribute] = value;
+      }
+
+    return keys;
+  }
+
+  /**
+   * Apply defaults & validate a domain object.
+   *
+   * @param {object} item - Domain object.
+   * @return {object} Domain object with defaults applied.
+   * @private
+   */
+  #prepare(item) {
+    if (!_.isPlainObject(item))
+      throw new ValidationError(`invalid ${this.#name}`, {
+        parameter: 'item',
+        value: item,
+      });
+
+    const prepared = { ...item };
+
+    for (const [attribute, definition] of Object.entries(this.#attributes))
+      if (_.isUndefined(prepared[attribute]) && _.has(definition, 'default'))
+        prepared[attribute] = _.isFunction(definition.default)
+          ? definition.default(prepared)
+          : _.cloneDeep(definition.default);
+
+    this.#validate(prepared);
+
+    return prepared;
+  }
+
+  /**
+   * Validate attribute values.
+   *
+   * @param {object} values - Attribute values.
+   * @param {boolean} [partial] - Validate only the attributes present (default is false).
+   * @private
+   */
+  #validate(values, partial = false) {
+    for (const [attribute, { required, type }] of Object.entries(
+      this.#attributes
+    )) {
+      const value = values[attribute];
+      const present = _.has(values, attribute);
+
+      if (_.isNil(value)) {
+        if (required && (!partial || present))
+          throw new ValidationError(
+            `missing required ${this.#name} attribute ${attribute}`,
+            { parameter: attribute, value }
+          );
+      } else if (
+        type &&
+        !(value instanceof UpdateOperation) &&
+        !attributeTypes[type](value)
+      )
+        throw new ValidationError(
+          `invalid ${this.#name} attribute ${attribute}: expected ${type}`,
+          { parameter: attribute, value }
+        );
+    }
+  }
+
+  /**
+   * Strip generated key attributes from a stored item. Key attributes that are
+   * also entity attributes (declared, or interpolated by a key template, like
+   * `id` in `{ attribute: 'id', template: '{id}' }`) are kept.
+   *
+   * @param {object} [item] - Stored item.
+   * @return {object|undefined} Domain object, or undefined if there is no item.
+   * @private
+   */
+  #strip(item) {
+    if (!item) return undefined;
+
+    const templateAttributes = _.flatMap(
+      [
+        this.#keys.pk,
+        this.#keys.sk,
+        ..._.flatMap(this.#indexes, ({ pk, sk }) => [pk, sk]),
+      ],
+      (key) => _.compact(_.map(key?.parts, 'attribute'))
+    );
+
+    return _.omit(
+      item,
+      _.compact([...this.keyAttributes, this.#typeAttribute]).filter(
+        (attribute) =>
+          !_.has(this.#attributes, attribute) &&
+          !templateAttributes.includes(attribute)
+      )
+    );
+  }
+
+  /**
+   * Convert a stored item (e.g. from a stream record) to a domain object by stripping its generated key attributes.
+   *
+   * @param {object} [item] - Stored item.
+   * @return {object|undefined} Domain object, or undefined if there is no item.
+   */
+  fromItem(item) {
+    return this.#strip(item);
+  }
+
+  /**
+   * Test whether a stored item or key belongs to this entity: by its type attribute when present, otherwise by matching its table key against the key templates.
+   *
+   * @param {object} item - Stored item or table key.
+   * @return {boolean} True if the item belongs to this entity.
+   */
+  matches(item) {
+    if (!_.isPlainObject(item)) return false;
+
+    if (this.#typeAttribute && !_.isNil(item[this.#typeAttribute]))
+      return item[this.#typeAttribute] === this.#name;
+
+    return _.compact([this.#keys.pk, this.#keys.sk]).every(
+      ({ attribute, pattern }) =>
+        !_.isNil(item[attribute]) &&
+        (!pattern ||
+          (_.isString(item[attribute]) && pattern.test(item[attribute])))
+    );
+  }
+
+  /**
+   * Build the stored item for a domain object, with generated key attributes.
+   *
+   * @param {object} item - Domain object.
+   * @return {object} Stored item.
+   */
+  toItem(item) {
+    const prepared = this.#prepare(item);
+
+    return {
+      ...prepared,
+      ...(this.#typeAttribute ? { [this.#typeAttribute]: this.#name } : {}),
+      ...this.#indexKeys(prepared),
+      ...this.#tableKey(prepared),
+    };
+  }
+
+  /**
+   * Build the table key for a domain object.
+   *
+   * @param {object} values - Domain object, or at least the attributes its table key is composed from.
+   * @return {object} Table key.
+   */
+  toKey(values) {
+    return this.#tableKey(values);
+  }
+
+  /**
+   * Delete an entity.
+   *
+   * @param {object} values - Attributes the table key is composed from.
+   * @param {object} [options] - WrappedDynamoDbClient.deleteItem options.
+   * @return {Promise<object>} DeleteItemCommandOutput object.
+   */
+  async delete(values, options) {
+    return this.#client.deleteItem(
+      this.#tableName,
+      this.#tableKey(values),
+      options
+    );
+  }
+
+  /**
+   * Get an entity.
+   *
+   * @param {object} values - Attributes the table key is composed from.
+   * @param {string|string[]} [attributes] - Comma-delimited list or string array of attributes to retrieve.
+   * @return {Promise<object|undefined>} Domain object, or undefined if not found.
+   */
+  async get(values, attributes) {
+    return this.#strip(
+      await this.#client.getItem(
+        this.#tableName,
+        this.#tableKey(values),
+        attributes
+      )
+    );
+  }
+
+  /**
+   * Iterate over the entities matching a query on the table or an index. The
+   * partition key is composed from `values`; the sort key condition is
+   * equality if every sort key attribute is present, and otherwise
+   * `begins_with` the template up to the first missing attribute.
+   *
+   * @param {object} values - Attributes the partition key (and optionally the sort key) is composed from.
+   * @param {object} [options] - QueryCommandInput overrides (e.g. FilterExpression, ScanIndexForward), plus `index`, the name of an index definition (default queries the table).
+   * @param {object} [iteratorOptions] - WrappedDynamoDbClient.iterateQuery iterator options.
+   * @yields {object} Domain objects.
+   */
+  async *iterate(values, options = {}, iteratorOptions = {}) {
+    const { index: indexKey, ...queryOptions } = options;
+
+    const definition = _.isNil(indexKey)
+      ? { ...this.#keys }
+      : this.#indexes[indexKey];
+
+    if (!definition)
+      throw new ValidationError(`unknown ${this.#name} index ${indexKey}`, {
+        parameter: 'index',
+        value: indexKey,
+      });
+
+    const pk = this.#compose(definition.pk, values);
+
+    if (_.isNil(pk))
+      throw new ValidationError(
+        `missing ${this.#name} attributes for key ${definition.pk.attribute}`,
+        { parameter: 'values', value: values }
+      );
+
+    const names = { '#ePK': definition.pk.attribute };
+    const params = { ':ePK': pk };
+    let keyCondition = '#ePK = :ePK';
+
+    if (definition.sk) {
+      const sk = this.#compose(definition.sk, values);
+      const prefix = _.isNil(sk)
+        ? this.#composePrefix(definition.sk, values)
+        : undefined;
+
+      if (!_.isNil(sk) || prefix) {
+        names['#eSK'] = definition.sk.attribute;
+        params[':eSK'] = sk ?? prefix;
+        keyCondition += _.isNil(sk)
+          ? ' AND begins_with(#eSK, :eSK)'
+          : ' AND #eSK = :eSK';
+      }
+    }
+
+    const filter = this.#typeAttribute ? '#eType = :eType' : undefined;
+    if (filter) {
+      names['#eType'] = this.#typeAttribute;
+      params[':eType'] = this.#name;
+    }
+
+    const { ConditionExpression: FilterExpression } = mergeConditions(
+      { ConditionExpression: queryOptions.FilterExpression },
+      { ConditionExpression: filter }
+    );
+
+    for await (const item of this.#client.iterateQuery(
+      this.#tableName,
+      {
+        ...queryOptions,
+        ...(_.isNil(indexKey) ? {} : { IndexName: definition.indexName }),
+        KeyConditionExpression: keyCondition,
+        ...(FilterExpression ? { FilterExpression } : {}),
+        ExpressionAttributeNames: {
+          ...queryOptions.ExpressionAttributeNames,
+          ...names,
+        },
+        ExpressionAttributeValues: {
+          ...queryOptions.ExpressionAttributeValues,
+          ...params,
+        },
+      },
+      iteratorOptions
+    ))
+      yield this.#strip(item);
+  }
+
+  /**
+   * Put an entity, applying defaults & timestamps and composing its keys.
+   *
+   * @param {object} item - Domain object.
+   * @param {object} [options] - WrappedDynamoDbClient.putItem options.
+   * @return {Promise<object>} Domain object as written.
+   */
+  async put(item, options) {
+    const now = new Date().toISOString();
+    const { createdAt, updatedAt } = this.#timestamps;
+
+    const stored = this.toItem({
+      ...(createdAt ? { [createdAt]: now } : {}),
+      ...(updatedAt ? { [updatedAt]: now } : {}),
+      ...item,
+    });
+
+    await this.#client.putItem(this.#tableName, stored, options);
+
+    return this.#strip(stored);
+  }
+
+  /**
+   * Collect the entities matching a query. See {@link Entity#iterate iterate}.
+   *
+   * @param {object} values - Attributes the partition key (and optionally the sort key) is composed from.
+   * @param {object} [options] - QueryCommandInput overrides, plus `index`.
+   * @param {object} [iteratorOptions] - WrappedDynamoDbClient.iterateQuery iterator options.
+   * @return {Promise<object[]>} Domain objects.
+   */
+  async query(values, options, iteratorOptions) {
+    const items = [];
+
+    for await (const item of this.iterate(values, options, iteratorOptions))
+      items.push(item);
+
+    return items;
+  }
+
+  /**
+   * Update an existing entity with a patch (see WrappedDynamoDbClient.updateItem). Index keys are recomposed when the patch changes their attributes; attributes of the table key cannot be changed. With client optimistic locking, the update increments the entity's version.
+   *
+   * With `upsert`, `values` & the patch together must describe a complete entity: they are validated as one, and the update also writes `values`, every index key & (if the entity does not exist yet) defaults & the `createdAt` timestamp.
+   *
+   * @param {object} values - Attributes the table key is composed from (with `upsert`, any other attributes to write as well).
+   * @param {object} patch - Patch object.
+   * @param {object} [options] - UpdateCommandInput overrides, plus `upsert` to create the entity if it does not exist (default is false).
+   * @return {Promise<object>} Domain object after the update (with the default ReturnValues).
+   */
+  async update(values, patch, options = {}) {
+    const { upsert = false, ...updateOptions } = options;
+
+    if (!_.isPlainObject(patch))
+      throw new ValidationError(`invalid ${this.#name} patch`, {
+        parameter: 'patch',
+        value: patch,
+      });
+
+    const key = this.#tableKey(values);
+    const keyAttributes = _.compact([this.#keys.pk, this.#keys.sk]).flatMap(
+      ({ parts }) => _.compact(_.map(parts, 'attribute'))
+    );
+
+    const changedKey = _.intersection(_.keys(patch), keyAttributes);
+    if (changedKey.length)
+      throw new ValidationError(
+        `cannot update ${this.#name} key attributes ${changedKey.join(', ')}`,
+        { parameter: 'patch', value: patch }
+      );
+
+    const { createdAt, updatedAt } = this.#timestamps;
+    const now = new Date().toISOString();
+    const merged = { ...values, ...patch };
+    const indexPatch = {};
+
+    if (!upsert) this.#validate(patch, true);
+
+    // Recompose index keys whose attributes are patched.
+    for (const [indexKey, { pk, sk }] of Object.entries(this.#indexes))
+      for (const definition of _.compact([pk, sk])) {
+        const attributes = _.compact(_.map(definition.parts, 'attribute'));
+        if (!_.intersection(attributes, _.keys(patch)).length) continue;
+
+        if (attributes.some((attribute) => !_.has(merged, attribute)))
+          throw new ValidationError(
+            `patch changes ${this.#name} index ${indexKey} key ${
+              definition.attribute
+            }: include all of ${attributes.join(', ')}`,
+            { parameter: 'patch', value: patch }
+          );
+
+        indexPatch[definition.attribute] = this.#compose(definition, merged);
+      }
+
+    // An upsert may create the entity, so write everything a put would.
+    // Defaults & whatever is composed from them must not overwrite the
+    // attributes of an existing entity.
+    const createPatch = {};
+
+    if (upsert) {
+      const prepared = this.#prepare(merged);
+      const defaulted = (attribute) => !_.has(merged, attribute);
+
+      for (const [attribute, value] of Object.entries(prepared))
+        if (!_.has(patch, attribute) && !_.has(key, attribute))
+          createPatch[attribute] = defaulted(attribute)
+            ? ifNotExists(value)
+            : value;
+
+      for (const { pk, sk } of _.values(this.#indexes))
+        for (const definition of _.compact([pk, sk])) {
+          const value = this.#compose(definition, prepared);
+
+          if (_.has(indexPatch, definition.attribute) || _.isNil(value))
+            continue;
+
+          createPatch[definition.attribute] = _.some(
+            definition.parts,
+            ({ attribute }) => attribute && defaulted(attribute)
+          )
+            ? ifNotExists(value)
+            : value;
+        }
+
+      if (createdAt && !_.has(patch, createdAt))
+        createPatch[createdAt] = ifNotExists(now);
+    }
+
+    // Without upsert, the update must not create a partial entity.
+    const condition = upsert
+      ? {}
+      : mergeConditions(updateOptions, {
+          ConditionExpression: 'attribute_exists(#eExists)',
+          ExpressionAttributeNames: { '#eExists': this.#keys.pk.attribute },
+        });
+
+    const stored = await this.#client.updateItem(
+      this.#tableName,
+      key,
+      {
+        ...createPatch,
+        ...patch,
+        ...indexPatch,
+        ...(updatedAt ? { [updatedAt]: now } : {}),
+        ...(upsert && this.#typeAttribute
+          ? { [this.#typeAttribute]: this.#name }
+          : {}),
+      },
+      { ...updateOptions, ...condition }
+    );
+
+    return this.#strip(stored);
+  }
+}
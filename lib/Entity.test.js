@@ -0,0 +1,284 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { Entity } from './Entity.js';
+import { ValidationError } from './errors.js';
+import { InMemoryDynamoDb } from './InMemoryDynamoDb.js';
+import { WrappedDynamoDbClient } from './WrappedDynamoDbClient.js';
+
+const logger = { debug: _.noop, error: _.noop, info: _.noop };
+const tableName = 'app';
+
+const definition = {
+  name: 'user',
+  tableName,
+  attributes: {
+    userId: { type: 'string', required: true },
+    email: { type: 'string', required: true },
+    role: { type: 'string', default: 'member' },
+  },
+  keys: {
+    pk: { attribute: 'entityPK', template: 'USER#{userId}' },
+    sk: { attribute: 'entitySK', template: 'PROFILE' },
+  },
+  indexes: {
+    byEmail: {
+      indexName: 'gsi1',
+      pk: { attribute: 'gsi1PK', template: 'EMAIL#{email}' },
+      sk: { attribute: 'gsi1SK', template: 'USER#{userId}' },
+    },
+  },
+  timestamps: true,
+  typeAttribute: 'entityType',
+};
+
+describe('Entity', function () {
+  let client;
+  let users;
+
+  beforeEach(async function () {
+    client = new WrappedDynamoDbClient({
+      backend: new InMemoryDynamoDb(),
+      logger,
+    });
+
+    await client.createTable(tableName, {
+      AttributeDefinitions: [
+        { AttributeName: 'entityPK', AttributeType: 'S' },
+        { AttributeName: 'entitySK', AttributeType: 'S' },
+        { AttributeName: 'gsi1PK', AttributeType: 'S' },
+        { AttributeName: 'gsi1SK', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST',
+      KeySchema: [
+        { AttributeName: 'entityPK', KeyType: 'HASH' },
+        { AttributeName: 'entitySK', KeyType: 'RANGE' },
+      ],
+      GlobalSecondaryIndexes: [
+        {
+          IndexName: 'gsi1',
+          KeySchema: [
+            { AttributeName: 'gsi1PK', KeyType: 'HASH' },
+            { AttributeName: 'gsi1SK', KeyType: 'RANGE' },
+          ],
+          Projection: { ProjectionType: 'ALL' },
+        },
+      ],
+    });
+
+    users = client.entity(definition);
+  });
+
+  it('should be created by the client', function () {
+    expect(users).to.be.an.instanceof(Entity);
+    expect(users.keyAttributes).to.deep.equal([
+      'entityPK',
+      'entitySK',
+      'gsi1PK',
+      'gsi1SK',
+    ]);
+  });
+
+  it('should reject invalid definitions', function () {
+    expect(() => client.entity({ ...definition, keys: {} })).to.throw(
+      ValidationError
+    );
+  });
+
+  it('should compose keys on put & strip them on get', async function () {
+    const user = await users.put({ userId: 'u1', email: 'a@example.com' });
+
+    expect(user).to.include({
+      userId: 'u1',
+      email: 'a@example.com',
+      role: 'member',
+    });
+    expect(user.createdAt).to.be.a('string');
+
+    const stored = await client.getItem(tableName, users.toKey(user));
+    expect(stored).to.include({
+      entityPK: 'USER#u1',
+      entitySK: 'PROFILE',
+      gsi1PK: 'EMAIL#a@example.com',
+      gsi1SK: 'USER#u1',
+      entityType: 'user',
+    });
+
+    expect(await users.get({ userId: 'u1' })).to.deep.equal(user);
+  });
+
+  it('should validate attributes', async function () {
+    try {
+      await users.put({ userId: 'u1' });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error.parameter).to.equal('email');
+    }
+  });
+
+  it('should query indexes & key prefixes', async function () {
+    await users.put({ userId: 'u1', email: 'a@example.com' });
+    await users.put({ userId: 'u2', email: 'a@example.com' });
+    await users.put({ userId: 'u3', email: 'b@example.com' });
+
+    const byEmail = await users.query(
+      { email: 'a@example.com' },
+      { index: 'byEmail' }
+    );
+    expect(_.map(byEmail, 'userId')).to.deep.equal(['u1', 'u2']);
+    expect(byEmail[0]).not.to.have.property('gsi1PK');
+
+    const byPrefix = await users.query(
+      { email: 'a@example.com', userId: 'u2' },
+      { index: 'byEmail' }
+    );
+    expect(_.map(byPrefix, 'userId')).to.deep.equal(['u2']);
+  });
+
+  it('should recompose index keys on update', async function () {
+    await users.put({ userId: 'u1', email: 'a@example.com' });
+
+    // Table key attributes cannot change.
+    const error = await users
+      .update({ userId: 'u1' }, { email: 'c@example.com', userId: undefined })
+      .catch((error) => error);
+    expect(error).to.be.an.instanceof(ValidationError);
+
+    const updated = await users.update(
+      { userId: 'u1' },
+      { email: 'c@example.com' }
+    );
+    expect(updated.email).to.equal('c@example.com');
+
+    const [found] = await users.query(
+      { email: 'c@example.com' },
+      { index: 'byEmail' }
+    );
+    expect(found.userId).to.equal('u1');
+
+    expect(await users.query({ email: 'a@example.com' }, { index: 'byEmail' }))
+      .to.be.empty;
+  });
+
+  it('should not create entities on update without upsert', async function () {
+    try {
+      await users.update({ userId: 'u9' }, { role: 'admin' });
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.name).to.equal('ConditionalCheckFailedError');
+    }
+  });
+
+  it('should create complete entities on upsert', async function () {
+    const created = await users.update(
+      { userId: 'u1', email: 'a@example.com' },
+      { name: 'Alice' },
+      { upsert: true }
+    );
+
+    expect(created).to.include({
+      userId: 'u1',
+      email: 'a@example.com',
+      name: 'Alice',
+      role: 'member',
+    });
+    expect(created.createdAt).to.be.a('string');
+
+    // Index keys are composed even though the patch has none of their attributes.
+    const [found] = await users.query(
+      { email: 'a@example.com' },
+      { index: 'byEmail' }
+    );
+    expect(found).to.deep.equal(created);
+  });
+
+  it('should validate upserts as complete entities', async function () {
+    const error = await users
+      .update({ userId: 'u1' }, { role: 'admin' }, { upsert: true })
+      .catch((error) => error);
+
+    expect(error).to.be.an.instanceof(ValidationError);
+    expect(error.parameter).to.equal('email');
+    expect(await users.get({ userId: 'u1' })).to.be.undefined;
+  });
+
+  it('should not overwrite defaults & createdAt on upsert', async function () {
+    const user = await users.put({
+      userId: 'u1',
+      email: 'a@example.com',
+      role: 'admin',
+    });
+
+    const updated = await users.update(
+      { userId: 'u1', email: 'a@example.com' },
+      { name: 'Alice' },
+      { upsert: true }
+    );
+
+    expect(updated).to.include({
+      role: 'admin',
+      name: 'Alice',
+      createdAt: user.createdAt,
+    });
+  });
+
+  it('should keep key attributes that are entity attributes', async function () {
+    await client.createTable('notes', {
+      AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+      BillingMode: 'PAY_PER_REQUEST',
+      KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+    });
+
+    const notes = client.entity({
+      name: 'note',
+      tableName: 'notes',
+      keys: { pk: { attribute: 'id', template: '{id}' } },
+    });
+
+    await notes.put({ id: 'n1', text: 'hello' });
+
+    expect(await notes.get({ id: 'n1' })).to.deep.equal({
+      id: 'n1',
+      text: 'hello',
+    });
+    expect(await notes.query({ id: 'n1' })).to.deep.equal([
+      { id: 'n1', text: 'hello' },
+    ]);
+    expect(
+      await notes.update({ id: 'n1' }, { text: 'bye' }, { upsert: true })
+    ).to.deep.equal({ id: 'n1', text: 'bye' });
+  });
+
+  it('should recognize its stored items & keys', async function () {
+    const item = users.toItem({ userId: 'u1', email: 'a@example.com' });
+
+    expect(users.matches(item)).to.be.true;
+    expect(users.matches({ ...item, entityType: 'order' })).to.be.false;
+
+    // Without a type attribute, the key templates decide.
+    expect(users.matches({ entityPK: 'USER#u2', entitySK: 'PROFILE' })).to.be
+      .true;
+    expect(users.matches({ entityPK: 'ORDER#o1', entitySK: 'PROFILE' })).to.be
+      .false;
+
+    expect(users.fromItem(item)).to.deep.equal({
+      userId: 'u1',
+      email: 'a@example.com',
+      role: 'member',
+    });
+  });
+
+  it('should delete entities', async function () {
+    await users.put({ userId: 'u1', email: 'a@example.com' });
+    await users.delete({ userId: 'u1' });
+
+    expect(await users.get({ userId: 'u1' })).to.be.undefined;
+  });
+});
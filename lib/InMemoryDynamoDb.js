@@ -0,0 +1,2091 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import {
+  applyUpdate,
+  cloneValue,
+  compareValues,
+  conditionPaths,
+  evaluateCondition,
+  ExpressionError,
+  itemSize,
+  parseCondition,
+  parseProjection,
+  parseUpdate,
+  projectItem,
+  typeOf,
+  unmarshallNumbers,
+  updatePaths,
+} from './inMemoryExpressions.js';
+import { parseStatement } from './inMemoryPartiql.js';
+import { keyId } from './keys.js';
+
+// Response members holding items, keys or PartiQL responses.
+const itemMembers = [
+  'Attributes',
+  'Item',
+  'Items',
+  'LastEvaluatedKey',
+  'Responses',
+  'UnprocessedItems',
+  'UnprocessedKeys',
+];
+
+/**
+ * Create an error shaped like an AWS SDK service exception.
+ *
+ * @param {string} name - Exception name (e.g. ResourceNotFoundException).
+ * @param {string} message - Error message.
+ * @param {object} [properties] - Additional exception properties (e.g. CancellationReasons).
+ * @return {Error} Error.
+ * @private
+ */
+const serviceException = (name, message, properties = {}) =>
+  Object.assign(new Error(message), {
+    name,
+    $fault: 'client',
+    $metadata: { httpStatusCode: 400, attempts: 1, totalRetryDelay: 0 },
+    ...properties,
+  });
+
+/**
+ * Hash a partition key value into the 32-bit key space (FNV-1a). Scans walk
+ * the key space in hash order, and scan segments are contiguous hash ranges.
+ *
+ * @param {*} value - Partition key value.
+ * @return {number} Hash.
+ * @private
+ */
+const hashKey = (value) => {
+  let hash = 0x811c9dc5;
+
+  for (const char of keyId({ value })) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return hash;
+};
+
+/**
+ * Convert a KeySchema into hash & range attribute names.
+ *
+ * @param {object[]} keySchema - KeySchema.
+ * @return {object} Schema: hash & (optional) range attribute names.
+ * @private
+ */
+const toSchema = (keySchema) => ({
+  hash: _.find(keySchema, { KeyType: 'HASH' })?.AttributeName,
+  range: _.find(keySchema, { KeyType: 'RANGE' })?.AttributeName,
+});
+
+/**
+ * Attribute names of a schema.
+ *
+ * @param {object} schema - Schema.
+ * @return {string[]} Attribute names.
+ * @private
+ */
+const schemaAttributes = (schema) => _.compact([schema.hash, schema.range]);
+
+/**
+ * Validate key schemas against attribute definitions.
+ *
+ * @param {object[]} attributeDefinitions - AttributeDefinitions.
+ * @param {object[][]} keySchemas - Table & index KeySchemas.
+ * @private
+ */
+const validateKeySchemas = (attributeDefinitions, keySchemas) => {
+  const defined = _.map(attributeDefinitions, 'AttributeName');
+
+  for (const keySchema of keySchemas) {
+    const { hash } = toSchema(keySchema);
+
+    if (!hash)
+      throw serviceException(
+        'ValidationException',
+        'Invalid KeySchema: a HASH key is required'
+      );
+
+    for (const { AttributeName } of keySchema)
+      if (!defined.includes(AttributeName))
+        throw serviceException(
+          'ValidationException',
+          `One or more parameter values were invalid: Some index key attributes are not defined in AttributeDefinitions. Keys: [${AttributeName}]`
+        );
+  }
+};
+
+/**
+ * Build the description of a global secondary index.
+ *
+ * @param {string} tableArn - Table ARN.
+ * @param {object} index - GlobalSecondaryIndex.
+ * @param {string} indexStatus - IndexStatus.
+ * @return {object} GlobalSecondaryIndexDescription.
+ * @private
+ */
+const describeGlobalIndex = (tableArn, index, indexStatus) => ({
+  ...cloneValue(_.omit(index, 'ProvisionedThroughput')),
+  IndexArn: `${tableArn}/index/${index.IndexName}`,
+  IndexStatus: indexStatus,
+  ...(indexStatus === 'CREATING' ? { Backfilling: true } : {}),
+  ProvisionedThroughput: {
+    NumberOfDecreasesToday: 0,
+    ReadCapacityUnits: index.ProvisionedThroughput?.ReadCapacityUnits ?? 0,
+    WriteCapacityUnits: index.ProvisionedThroughput?.WriteCapacityUnits ?? 0,
+  },
+});
+
+/**
+ * Enable a stream on a table description.
+ *
+ * @param {object} description - Table description.
+ * @param {object} streamSpecification - StreamSpecification.
+ * @private
+ */
+const enableStream = (description, streamSpecification) => {
+  const label = new Date().toISOString();
+
+  Object.assign(description, {
+    LatestStreamArn: `${description.TableArn}/stream/${label}`,
+    LatestStreamLabel: label,
+    StreamSpecification: cloneValue(streamSpecification),
+  });
+};
+
+/**
+ * Capacity units consumed by reading or writing a number of bytes.
+ *
+ * @param {number} bytes - Bytes read or written.
+ * @param {string} mode - read, consistentRead, write or transactWrite.
+ * @return {number} Capacity units.
+ * @private
+ */
+const capacityUnits = (bytes, mode) => {
+  if (mode === 'write' || mode === 'transactWrite')
+    return Math.max(1, Math.ceil(bytes / 1024)) * (mode === 'write' ? 1 : 2);
+
+  const units = Math.max(1, Math.ceil(bytes / 4096));
+  return mode === 'read' ? units / 2 : units;
+};
+
+/**
+ * An in-memory DynamoDB engine exposing the document client operations used by
+ * WrappedDynamoDbClient (put, get, update, delete, query, scan, batchGet,
+ * batchWrite, transactGet, transactWrite, executeStatement,
+ * batchExecuteStatement & executeTransaction) plus the table operations
+ * (createTable, deleteTable, describeTable, listTables, updateTable,
+ * describeTimeToLive, updateTimeToLive, describeContinuousBackups &
+ * updateContinuousBackups). Pass an instance as the
+ * `backend` option of the WrappedDynamoDbClient constructor to run without
+ * AWS.
+ *
+ * Items are stored as native values, exactly as the document client accepts
+ * & returns them (decimals beyond float precision are stored losslessly, but
+ * returned rounded like the document client does, unless read through
+ * {@link InMemoryDynamoDb#documentClient documentClient} with wrapNumbers). Key schemas, global & local secondary indexes, key condition,
+ * condition, filter, update & projection expressions, Limit/LastEvaluatedKey
+ * pagination, parallel scan segments, conditional writes, transactions, the
+ * PartiQL statements DynamoDB supports and ReturnConsumedCapacity are
+ * supported. Errors carry the same names as the
+ * AWS SDK's service exceptions. Throughput limits & the 1MB page size are not
+ * enforced.
+ *
+ * @example
+ * const client = new WrappedDynamoDbClient({ backend: new InMemoryDynamoDb() });
+ */
+export class InMemoryDynamoDb {
+  #requestCount = 0;
+  #statementTokens = new Map();
+  #tables = new Map();
+  #transactionTokens = new Map();
+  #transitionTime;
+  #unmarshallOptions = {};
+
+  /**
+   * InMemoryDynamoDb constructor.
+   *
+   * @param {object} [options] - Options.
+   * @param {number} [options.transitionTime] - Milliseconds tables, indexes & time to live settings spend in a transitional status (CREATING, UPDATING, ENABLING...) after a change, to exercise code that waits for them (default is 0: changes take effect before the next request).
+   */
+  constructor({ transitionTime = 0 } = {}) {
+    this.#transitionTime = transitionTime;
+  }
+
+  /**
+   * Dispatch an SDK command object to the matching operation, so the engine
+   * can stand in for a client in SDK waiters.
+   *
+   * @param {object} command - SDK command (e.g. DescribeTableCommand or PutCommand).
+   * @return {Promise<object>} Operation response.
+   */
+  async send(command) {
+    const operation = _.lowerFirst(
+      command.constructor.name.replace(/Command$/, '')
+    );
+
+    if (operation === 'send' || !_.isFunction(this[operation]))
+      throw serviceException(
+        'UnknownOperationException',
+        `Operation ${command.constructor.name} is not supported`
+      );
+
+    return this[operation](command.input);
+  }
+
+  /**
+   * A client for this engine's tables that unmarshalls numbers like a
+   * document client created with the given options, e.g. to stand in for a
+   * DynamoDBDocument with `unmarshallOptions: { wrapNumbers: true }`.
+   *
+   * @param {object} [unmarshallOptions] - Unmarshall options.
+   * @param {boolean} [unmarshallOptions.wrapNumbers] - Return numbers as NumberValues (default is false).
+   * @return {object} Client exposing this engine's operations & send.
+   */
+  documentClient(unmarshallOptions = {}) {
+    const operations = Object.getOwnPropertyNames(
+      InMemoryDynamoDb.prototype
+    ).filter(
+      (name) =>
+        !['constructor', 'documentClient'].includes(name) &&
+        _.isFunction(this[name])
+    );
+
+    // Operations run synchronously up to their response, so the options only
+    // apply to the call they are set for.
+    return Object.fromEntries(
+      operations.map((name) => [
+        name,
+        (input) => {
+          const previous = this.#unmarshallOptions;
+          this.#unmarshallOptions = unmarshallOptions;
+
+          try {
+            return this[name](input);
+          } finally {
+            this.#unmarshallOptions = previous;
+          }
+        },
+      ])
+    );
+  }
+
+  /**
+   * Run an operation, shaping its result & errors like an SDK response.
+   *
+   * @param {Function} operation - Synchronous operation returning the response body.
+   * @return {Promise<object>} Response.
+   * @private
+   */
+  async #run(operation) {
+    const requestId = `in-memory-${++this.#requestCount}`;
+    const unmarshallOptions = this.#unmarshallOptions;
+
+    try {
+      return {
+        ..._.mapValues(operation(), (value, member) =>
+          itemMembers.includes(member)
+            ? unmarshallNumbers(value, unmarshallOptions)
+            : value
+        ),
+        $metadata: {
+          httpStatusCode: 200,
+          requestId,
+          attempts: 1,
+          totalRetryDelay: 0,
+        },
+      };
+    } catch (error) {
+      if (error instanceof ExpressionError)
+        throw serviceException('ValidationException', error.message, {
+          $metadata: { httpStatusCode: 400, requestId },
+        });
+
+      if (error.$metadata) error.$metadata.requestId = requestId;
+      throw error;
+    }
+  }
+
+  /**
+   * Get a table in any status, settling transitions that are due.
+   *
+   * @param {string} tableName - Table name.
+   * @return {object} Table state: description, items, time to live & when pending transitions settle.
+   * @private
+   */
+  #lookup(tableName) {
+    const table = this.#tables.get(tableName);
+
+    if (!table)
+      throw serviceException(
+        'ResourceNotFoundException',
+        `Requested resource not found: Table: ${tableName} not found`
+      );
+
+    if (table.settlesAt <= Date.now()) this.#settle(table);
+
+    return table;
+  }
+
+  /**
+   * Complete the pending transitions of a table: the table & new indexes
+   * become ACTIVE, deleted indexes disappear & time to live changes apply.
+   *
+   * @param {object} table - Table state.
+   * @private
+   */
+  #settle(table) {
+    const { description, timeToLive } = table;
+
+    description.TableStatus = 'ACTIVE';
+
+    if (description.GlobalSecondaryIndexes) {
+      description.GlobalSecondaryIndexes =
+        description.GlobalSecondaryIndexes.filter(
+          ({ IndexStatus }) => IndexStatus !== 'DELETING'
+        ).map((index) => ({
+          ..._.omit(index, 'Backfilling'),
+          IndexStatus: 'ACTIVE',
+        }));
+
+      if (!description.GlobalSecondaryIndexes.length)
+        delete description.GlobalSecondaryIndexes;
+    }
+
+    // Only key attributes are defined.
+    const keyAttributes = _.map(
+      [
+        ...description.KeySchema,
+        ..._.flatMap(description.GlobalSecondaryIndexes, 'KeySchema'),
+        ..._.flatMap(description.LocalSecondaryIndexes, 'KeySchema'),
+      ],
+      'AttributeName'
+    );
+    description.AttributeDefinitions = description.AttributeDefinitions.filter(
+      ({ AttributeName }) => keyAttributes.includes(AttributeName)
+    );
+
+    if (timeToLive.TimeToLiveStatus === 'ENABLING')
+      timeToLive.TimeToLiveStatus = 'ENABLED';
+    else if (timeToLive.TimeToLiveStatus === 'DISABLING')
+      table.timeToLive = { TimeToLiveStatus: 'DISABLED' };
+
+    table.settlesAt = Infinity;
+  }
+
+  /**
+   * Get a table, which must exist & have been created.
+   *
+   * @param {string} tableName - Table name.
+   * @return {object} Table state.
+   * @private
+   */
+  #table(tableName) {
+    const table = this.#lookup(tableName);
+
+    if (table.description.TableStatus === 'CREATING')
+      throw serviceException(
+        'ResourceNotFoundException',
+        `Requested resource not found: Table: ${tableName} is being created`
+      );
+
+    return table;
+  }
+
+  /**
+   * Get the schema & projection of a table or one of its indexes.
+   *
+   * @param {object} table - Table state.
+   * @param {string} [indexName] - Index name.
+   * @return {object} Schema (hash & range attribute names), plus type (table, global or local) & Projection.
+   * @private
+   */
+  #schema(table, indexName) {
+    const { description } = table;
+
+    if (!indexName)
+      return { ...toSchema(description.KeySchema), type: 'table' };
+
+    for (const [type, indexes] of [
+      ['global', description.GlobalSecondaryIndexes],
+      ['local', description.LocalSecondaryIndexes],
+    ]) {
+      const index = _.find(indexes, { IndexName: indexName });
+
+      if (index?.IndexStatus && index.IndexStatus !== 'ACTIVE')
+        throw serviceException(
+          'ValidationException',
+          `Cannot read from ${
+            index.IndexStatus === 'CREATING' ? 'backfilling' : 'deleting'
+          } global secondary index: ${indexName}`
+        );
+
+      if (index)
+        return {
+          ...toSchema(index.KeySchema),
+          type,
+          Projection: index.Projection,
+        };
+    }
+
+    throw serviceException(
+      'ValidationException',
+      `The table does not have the specified index: ${indexName}`
+    );
+  }
+
+  /**
+   * Validate the key attributes of a key or item.
+   *
+   * @param {object} table - Table state.
+   * @param {object} value - Key or item.
+   * @param {boolean} [exact] - Reject attributes outside the key (default is false).
+   * @private
+   */
+  #validateKey(table, value, exact = false) {
+    const schema = this.#schema(table);
+    const attributes = schemaAttributes(schema);
+    const types = _.fromPairs(
+      table.description.AttributeDefinitions.map(
+        ({ AttributeName, AttributeType }) => [AttributeName, AttributeType]
+      )
+    );
+
+    if (!_.isPlainObject(value))
+      throw serviceException(
+        'ValidationException',
+        'The provided key element does not match the schema'
+      );
+
+    for (const attribute of attributes) {
+      const type = typeOf(value[attribute]);
+
+      if (type !== types[attribute])
+        throw serviceException(
+          'ValidationException',
+          `One or more parameter values were invalid: ${
+            type ? 'Type mismatch for' : 'Missing the'
+          } key ${attribute} in the item`
+        );
+
+      if ((type === 'S' || type === 'B') && !value[attribute].length)
+        throw serviceException(
+          'ValidationException',
+          `One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty ${
+            type === 'S' ? 'string' : 'binary'
+          } value. Key: ${attribute}`
+        );
+    }
+
+    if (exact && _.size(_.omitBy(value, _.isUndefined)) !== attributes.length)
+      throw serviceException(
+        'ValidationException',
+        'The provided key element does not match the schema'
+      );
+
+    // Index key attributes must match their defined types when present.
+    for (const index of [
+      ...(table.description.GlobalSecondaryIndexes ?? []),
+      ...(table.description.LocalSecondaryIndexes ?? []),
+    ])
+      for (const { AttributeName } of index.KeySchema)
+        if (
+          !exact &&
+          value[AttributeName] !== undefined &&
+          typeOf(value[AttributeName]) !== types[AttributeName]
+        )
+          throw serviceException(
+            'ValidationException',
+            `One or more parameter values were invalid: Type mismatch for Index Key ${AttributeName} Expected: ${
+              types[AttributeName]
+            } Actual: ${typeOf(value[AttributeName])} IndexName: ${
+              index.IndexName
+            }`
+          );
+  }
+
+  /**
+   * Storage id of an item or key.
+   *
+   * @param {object} table - Table state.
+   * @param {object} value - Key or item.
+   * @return {string} Id.
+   * @private
+   */
+  #id(table, value) {
+    const attributes = schemaAttributes(this.#schema(table));
+
+    // Cloning normalizes NumberValues, so equal keys share an id.
+    return keyId(cloneValue(_.pick(value, attributes)), attributes);
+  }
+
+  /**
+   * Extract the key of an item.
+   *
+   * @param {object} table - Table state.
+   * @param {object} item - Item.
+   * @param {string} [indexName] - Include the key attributes of this index.
+   * @return {object} Key.
+   * @private
+   */
+  #key(table, item, indexName) {
+    return cloneValue(
+      _.pick(item, [
+        ...schemaAttributes(this.#schema(table)),
+        ...(indexName ? schemaAttributes(this.#schema(table, indexName)) : []),
+      ])
+    );
+  }
+
+  /**
+   * Sort position of an item within a table or index: hash bucket, partition
+   * key, sort key, then the table key to order index items uniquely.
+   *
+   * @param {object} table - Table state.
+   * @param {object} schema - Table or index schema.
+   * @param {object} item - Item or key.
+   * @return {Array} Position.
+   * @private
+   */
+  #position(table, schema, item) {
+    const tableSchema = this.#schema(table);
+
+    return [
+      hashKey(cloneValue(item[schema.hash])),
+      item[schema.hash],
+      schema.range ? item[schema.range] : undefined,
+      item[tableSchema.hash],
+      tableSchema.range ? item[tableSchema.range] : undefined,
+    ];
+  }
+
+  /**
+   * Compare two sort positions.
+   *
+   * @param {Array} a - First position.
+   * @param {Array} b - Second position.
+   * @return {number} Negative, zero or positive.
+   * @private
+   */
+  #comparePositions(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      const comparison = i === 0 ? a[i] - b[i] : compareValues(a[i], b[i]) ?? 0;
+
+      if (comparison) return comparison;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Parse a condition expression from a request, if present.
+   *
+   * @param {object} input - Request with ConditionExpression, ExpressionAttributeNames & ExpressionAttributeValues.
+   * @param {string} [property] - Expression property name (default is ConditionExpression).
+   * @return {object|undefined} Condition AST.
+   * @private
+   */
+  #condition(input, property = 'ConditionExpression') {
+    if (input[property])
+      return parseCondition(
+        input[property],
+        input.ExpressionAttributeNames,
+        input.ExpressionAttributeValues
+      );
+  }
+
+  /**
+   * Apply a ProjectionExpression to an item, if present.
+   *
+   * @param {object} item - Item.
+   * @param {object} input - Request with ProjectionExpression & ExpressionAttributeNames.
+   * @return {object} Projected item.
+   * @private
+   */
+  #project(item, input) {
+    const { ProjectionExpression, ExpressionAttributeNames } = input;
+
+    return ProjectionExpression
+      ? projectItem(
+          item,
+          parseProjection(ProjectionExpression, ExpressionAttributeNames)
+        )
+      : cloneValue(item);
+  }
+
+  /**
+   * Build a ConsumedCapacity object, if requested.
+   *
+   * @param {object} input - Request with ReturnConsumedCapacity.
+   * @param {string} tableName - Table name.
+   * @param {number} units - Capacity units consumed.
+   * @param {string} mode - read or write.
+   * @param {string} [indexName] - Index read.
+   * @param {string} [indexType] - Index type: global or local.
+   * @return {object} Response fragment containing ConsumedCapacity, or an empty object.
+   * @private
+   */
+  #capacity(input, tableName, units, mode, indexName, indexType) {
+    const { ReturnConsumedCapacity } = input;
+    if (!ReturnConsumedCapacity || ReturnConsumedCapacity === 'NONE') return {};
+
+    const unitsKey =
+      mode === 'read' ? 'ReadCapacityUnits' : 'WriteCapacityUnits';
+    const capacity = { CapacityUnits: units, [unitsKey]: units };
+
+    return {
+      ConsumedCapacity: {
+        TableName: tableName,
+        ...capacity,
+        ...(ReturnConsumedCapacity === 'INDEXES'
+          ? indexName
+            ? {
+                Table: { CapacityUnits: 0, [unitsKey]: 0 },
+                [indexType === 'global'
+                  ? 'GlobalSecondaryIndexes'
+                  : 'LocalSecondaryIndexes']: { [indexName]: capacity },
+              }
+            : { Table: capacity }
+          : {}),
+      },
+    };
+  }
+
+  /**
+   * Prepare a single-item write: check its condition & compute the new item.
+   *
+   * @param {string} type - Put, Update, Delete or ConditionCheck.
+   * @param {object} input - Operation input.
+   * @return {object} Prepared write: table, id, previous & next item (undefined to delete), updated paths & condition failure, if any.
+   * @private
+   */
+  #prepareWrite(type, input) {
+    const table = this.#table(input.TableName);
+
+    const key = type === 'Put' ? input.Item : input.Key;
+    this.#validateKey(table, key, type !== 'Put');
+
+    const id = this.#id(table, key);
+    const previous = table.items.get(id);
+    const condition = this.#condition(input);
+
+    let next = previous;
+    let paths;
+
+    if (type === 'Put') next = cloneValue(input.Item);
+    else if (type === 'Delete') next = undefined;
+    else if (type === 'Update') {
+      const update = parseUpdate(
+        input.UpdateExpression,
+        input.ExpressionAttributeNames,
+        input.ExpressionAttributeValues
+      );
+
+      paths = updatePaths(update);
+
+      const keyAttributes = schemaAttributes(this.#schema(table));
+      const keyPath = paths.find(([attribute]) =>
+        keyAttributes.includes(attribute)
+      );
+
+      if (keyPath)
+        throw serviceException(
+          'ValidationException',
+          `One or more parameter values were invalid: Cannot update attribute ${keyPath[0]}. This attribute is part of the key`
+        );
+
+      next = applyUpdate(update, previous ?? cloneValue(input.Key));
+      this.#validateKey(table, next);
+    }
+
+    const failed = condition && !evaluateCondition(condition, previous ?? {});
+
+    return { table, id, previous, next, paths, failed };
+  }
+
+  /**
+   * Commit a prepared write.
+   *
+   * @param {object} write - Prepared write.
+   * @private
+   */
+  #commitWrite(write) {
+    const { table, id, next, type } = write;
+
+    if (type === 'ConditionCheck') return;
+
+    if (next === undefined) table.items.delete(id);
+    else table.items.set(id, next);
+  }
+
+  /**
+   * Throw a ConditionalCheckFailedException for a failed write.
+   *
+   * @param {object} write - Prepared write.
+   * @param {object} input - Operation input.
+   * @private
+   */
+  #conditionFailed(write, input) {
+    const { previous } = write;
+
+    throw serviceException(
+      'ConditionalCheckFailedException',
+      'The conditional request failed',
+      input.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && previous
+        ? { Item: cloneValue(previous) }
+        : {}
+    );
+  }
+
+  /**
+   * Create a table. The table & its indexes are CREATING until the transition
+   * time has passed.
+   *
+   * @param {object} input - CreateTableCommandInput.
+   * @return {Promise<object>} CreateTableCommandOutput.
+   */
+  async createTable(input) {
+    return this.#run(() => {
+      const {
+        AttributeDefinitions = [],
+        BillingMode = 'PROVISIONED',
+        GlobalSecondaryIndexes,
+        KeySchema,
+        LocalSecondaryIndexes,
+        ProvisionedThroughput,
+        StreamSpecification,
+        TableName,
+      } = input;
+
+      if (this.#tables.has(TableName))
+        throw serviceException(
+          'ResourceInUseException',
+          `Table already exists: ${TableName}`
+        );
+
+      validateKeySchemas(AttributeDefinitions, [
+        KeySchema,
+        ..._.map(GlobalSecondaryIndexes, 'KeySchema'),
+        ..._.map(LocalSecondaryIndexes, 'KeySchema'),
+      ]);
+
+      const { hash } = toSchema(KeySchema);
+      if (
+        _.some(
+          LocalSecondaryIndexes,
+          (index) => toSchema(index.KeySchema).hash !== hash
+        )
+      )
+        throw serviceException(
+          'ValidationException',
+          'One or more parameter values were invalid: Index KeySchema does not have the same leading hash key as table KeySchema'
+        );
+
+      const arn = `arn:aws:dynamodb:local:000000000000:table/${TableName}`;
+      const throughput = {
+        NumberOfDecreasesToday: 0,
+        ReadCapacityUnits: ProvisionedThroughput?.ReadCapacityUnits ?? 0,
+        WriteCapacityUnits: ProvisionedThroughput?.WriteCapacityUnits ?? 0,
+      };
+
+      const description = {
+        AttributeDefinitions: cloneValue(AttributeDefinitions),
+        BillingModeSummary: { BillingMode },
+        CreationDateTime: new Date(),
+        KeySchema: cloneValue(KeySchema),
+        ProvisionedThroughput: throughput,
+        TableArn: arn,
+        TableName,
+        TableStatus: 'CREATING',
+        ...(GlobalSecondaryIndexes
+          ? {
+              GlobalSecondaryIndexes: GlobalSecondaryIndexes.map((index) =>
+                describeGlobalIndex(arn, index, 'CREATING')
+              ),
+            }
+          : {}),
+        ...(LocalSecondaryIndexes
+          ? {
+              LocalSecondaryIndexes: LocalSecondaryIndexes.map((index) => ({
+                ...cloneValue(index),
+                IndexArn: `${arn}/index/${index.IndexName}`,
+              })),
+            }
+          : {}),
+      };
+
+      if (StreamSpecification?.StreamEnabled)
+        enableStream(description, StreamSpecification);
+
+      this.#tables.set(TableName, {
+        description,
+        items: new Map(),
+        pointInTimeRecovery: false,
+        settlesAt: Date.now() + this.#transitionTime,
+        timeToLive: { TimeToLiveStatus: 'DISABLED' },
+      });
+
+      return { TableDescription: this.#describe(TableName) };
+    });
+  }
+
+  /**
+   * Build a table description with current item counts.
+   *
+   * @param {string} tableName - Table name.
+   * @return {object} TableDescription.
+   * @private
+   */
+  #describe(tableName) {
+    const table = this.#lookup(tableName);
+    const items = [...table.items.values()];
+
+    const stats = (schema) => {
+      const indexed = items.filter((item) =>
+        schemaAttributes(schema).every(
+          (attribute) => item[attribute] !== undefined
+        )
+      );
+
+      return {
+        ItemCount: indexed.length,
+        TableSizeBytes: _.sumBy(indexed, itemSize),
+      };
+    };
+
+    const description = cloneValue(
+      _.omit(table.description, 'CreationDateTime')
+    );
+
+    for (const index of [
+      ...(description.GlobalSecondaryIndexes ?? []),
+      ...(description.LocalSecondaryIndexes ?? []),
+    ]) {
+      const { ItemCount, TableSizeBytes } = stats(toSchema(index.KeySchema));
+      Object.assign(index, { IndexSizeBytes: TableSizeBytes, ItemCount });
+    }
+
+    return {
+      ...description,
+      CreationDateTime: table.description.CreationDateTime,
+      ...stats(toSchema(table.description.KeySchema)),
+    };
+  }
+
+  /**
+   * Delete a table.
+   *
+   * @param {object} input - DeleteTableCommandInput.
+   * @return {Promise<object>} DeleteTableCommandOutput.
+   */
+  async deleteTable(input) {
+    return this.#run(() => {
+      const { TableName } = input;
+      const TableDescription = {
+        ...this.#describe(TableName),
+        TableStatus: 'DELETING',
+      };
+
+      this.#tables.delete(TableName);
+
+      return { TableDescription };
+    });
+  }
+
+  /**
+   * Describe a table.
+   *
+   * @param {object} input - DescribeTableCommandInput.
+   * @return {Promise<object>} DescribeTableCommandOutput.
+   */
+  async describeTable(input) {
+    return this.#run(() => ({ Table: this.#describe(input.TableName) }));
+  }
+
+  /**
+   * Describe the continuous backups of a table. Point-in-time recovery is
+   * tracked but nothing is backed up.
+   *
+   * @param {object} input - DescribeContinuousBackupsCommandInput.
+   * @return {Promise<object>} DescribeContinuousBackupsCommandOutput.
+   */
+  async describeContinuousBackups(input) {
+    return this.#run(() => ({
+      ContinuousBackupsDescription: this.#continuousBackups(
+        this.#lookup(input.TableName)
+      ),
+    }));
+  }
+
+  /**
+   * Build the continuous backups description of a table.
+   *
+   * @param {object} table - Table state.
+   * @return {object} ContinuousBackupsDescription.
+   * @private
+   */
+  #continuousBackups(table) {
+    const now = new Date();
+
+    return {
+      ContinuousBackupsStatus: 'ENABLED',
+      PointInTimeRecoveryDescription: table.pointInTimeRecovery
+        ? {
+            PointInTimeRecoveryStatus: 'ENABLED',
+            EarliestRestorableDateTime: table.pointInTimeRecovery,
+            LatestRestorableDateTime: now,
+          }
+        : { PointInTimeRecoveryStatus: 'DISABLED' },
+    };
+  }
+
+  /**
+   * Describe the time to live settings of a table.
+   *
+   * @param {object} input - DescribeTimeToLiveCommandInput.
+   * @return {Promise<object>} DescribeTimeToLiveCommandOutput.
+   */
+  async describeTimeToLive(input) {
+    return this.#run(() => ({
+      TimeToLiveDescription: {
+        ...this.#lookup(input.TableName).timeToLive,
+      },
+    }));
+  }
+
+  /**
+   * List tables.
+   *
+   * @param {object} [input] - ListTablesCommandInput.
+   * @return {Promise<object>} ListTablesCommandOutput.
+   */
+  async listTables(input = {}) {
+    return this.#run(() => {
+      const { ExclusiveStartTableName, Limit } = input;
+      const names = [...this.#tables.keys()]
+        .sort()
+        .filter(
+          (name) => !ExclusiveStartTableName || name > ExclusiveStartTableName
+        );
+
+      const TableNames = Limit ? names.slice(0, Limit) : names;
+
+      return {
+        TableNames,
+        ...(TableNames.length < names.length
+          ? { LastEvaluatedTableName: _.last(TableNames) }
+          : {}),
+      };
+    });
+  }
+
+  /**
+   * Enable or disable point-in-time recovery on a table.
+   *
+   * @param {object} input - UpdateContinuousBackupsCommandInput.
+   * @return {Promise<object>} UpdateContinuousBackupsCommandOutput.
+   */
+  async updateContinuousBackups(input) {
+    return this.#run(() => {
+      const { PointInTimeRecoverySpecification, TableName } = input;
+      const table = this.#table(TableName);
+
+      if (!PointInTimeRecoverySpecification.PointInTimeRecoveryEnabled)
+        table.pointInTimeRecovery = false;
+      else if (!table.pointInTimeRecovery)
+        table.pointInTimeRecovery = new Date();
+
+      return { ContinuousBackupsDescription: this.#continuousBackups(table) };
+    });
+  }
+
+  /**
+   * Update a table: attribute definitions, billing mode, provisioned
+   * throughput, stream specification & global secondary indexes. As in
+   * DynamoDB, only one index can be created or deleted per request, and the
+   * table is UPDATING (new indexes CREATING, deleted ones DELETING) until the
+   * transition time has passed.
+   *
+   * @param {object} input - UpdateTableCommandInput.
+   * @return {Promise<object>} UpdateTableCommandOutput.
+   */
+  async updateTable(input) {
+    return this.#run(() => {
+      const {
+        AttributeDefinitions = [],
+        BillingMode,
+        GlobalSecondaryIndexUpdates = [],
+        ProvisionedThroughput,
+        StreamSpecification,
+        TableName,
+      } = input;
+
+      const table = this.#lookup(TableName);
+      const description = {
+        ...cloneValue(_.omit(table.description, 'CreationDateTime')),
+        CreationDateTime: table.description.CreationDateTime,
+      };
+
+      if (description.TableStatus !== 'ACTIVE')
+        throw serviceException(
+          'ResourceInUseException',
+          `Attempt to change a resource which is still in use: Table is being ${
+            description.TableStatus === 'CREATING' ? 'created' : 'updated'
+          }: ${TableName}`
+        );
+
+      if (
+        GlobalSecondaryIndexUpdates.filter(
+          ({ Create, Delete }) => Create || Delete
+        ).length > 1
+      )
+        throw serviceException(
+          'LimitExceededException',
+          'Subscriber limit exceeded: Only 1 online index can be created or deleted simultaneously per table'
+        );
+
+      // Existing definitions cannot change type.
+      for (const { AttributeName, AttributeType } of AttributeDefinitions) {
+        const existing = _.find(description.AttributeDefinitions, {
+          AttributeName,
+        });
+
+        if (existing && existing.AttributeType !== AttributeType)
+          throw serviceException(
+            'ValidationException',
+            `One or more parameter values were invalid: Cannot change the type of attribute ${AttributeName}`
+          );
+      }
+
+      description.AttributeDefinitions = _.unionBy(
+        description.AttributeDefinitions,
+        cloneValue(AttributeDefinitions),
+        'AttributeName'
+      );
+
+      if (BillingMode) {
+        if (
+          BillingMode === 'PROVISIONED' &&
+          description.BillingModeSummary.BillingMode !== BillingMode &&
+          !ProvisionedThroughput
+        )
+          throw serviceException(
+            'ValidationException',
+            'One or more parameter values were invalid: ProvisionedThroughput must be specified when BillingMode is PROVISIONED'
+          );
+
+        description.BillingModeSummary = { BillingMode };
+
+        if (BillingMode === 'PAY_PER_REQUEST')
+          Object.assign(description.ProvisionedThroughput, {
+            ReadCapacityUnits: 0,
+            WriteCapacityUnits: 0,
+          });
+      }
+
+      if (ProvisionedThroughput) {
+        if (description.BillingModeSummary.BillingMode === 'PAY_PER_REQUEST')
+          throw serviceException(
+            'ValidationException',
+            'One or more parameter values were invalid: Neither ReadCapacityUnits nor WriteCapacityUnits can be specified when BillingMode is PAY_PER_REQUEST'
+          );
+
+        Object.assign(
+          description.ProvisionedThroughput,
+          _.pick(ProvisionedThroughput, [
+            'ReadCapacityUnits',
+            'WriteCapacityUnits',
+          ])
+        );
+      }
+
+      for (const { Create, Delete, Update } of GlobalSecondaryIndexUpdates) {
+        const indexes = description.GlobalSecondaryIndexes ?? [];
+        const indexName = (Create ?? Delete ?? Update)?.IndexName;
+        const index = _.find(indexes, { IndexName: indexName });
+
+        if (Create) {
+          if (
+            index ||
+            _.some(description.LocalSecondaryIndexes, {
+              IndexName: indexName,
+            })
+          )
+            throw serviceException(
+              'ValidationException',
+              `One or more parameter values were invalid: Attempting to create an index which already exists: ${indexName}`
+            );
+
+          validateKeySchemas(description.AttributeDefinitions, [
+            Create.KeySchema,
+          ]);
+
+          description.GlobalSecondaryIndexes = [
+            ...indexes,
+            describeGlobalIndex(description.TableArn, Create, 'CREATING'),
+          ];
+          continue;
+        }
+
+        if (!index)
+          throw serviceException(
+            'ResourceNotFoundException',
+            `Requested resource not found: Index: ${indexName} not found`
+          );
+
+        if (Delete) index.IndexStatus = 'DELETING';
+        else
+          Object.assign(
+            index.ProvisionedThroughput,
+            _.pick(Update.ProvisionedThroughput, [
+              'ReadCapacityUnits',
+              'WriteCapacityUnits',
+            ])
+          );
+      }
+
+      if (StreamSpecification) {
+        const { StreamEnabled } = StreamSpecification;
+
+        if (StreamEnabled && description.StreamSpecification)
+          throw serviceException(
+            'ValidationException',
+            `Table already has an enabled stream: ${description.LatestStreamArn}`
+          );
+
+        if (!StreamEnabled && !description.StreamSpecification)
+          throw serviceException(
+            'ValidationException',
+            'One or more parameter values were invalid: Table does not have an enabled stream'
+          );
+
+        if (StreamEnabled) enableStream(description, StreamSpecification);
+        else delete description.StreamSpecification;
+      }
+
+      description.TableStatus = 'UPDATING';
+      table.description = description;
+      table.settlesAt = Date.now() + this.#transitionTime;
+
+      return { TableDescription: this.#describe(TableName) };
+    });
+  }
+
+  /**
+   * Enable or disable time to live on a table. Expired items are not deleted.
+   *
+   * @param {object} input - UpdateTimeToLiveCommandInput.
+   * @return {Promise<object>} UpdateTimeToLiveCommandOutput.
+   */
+  async updateTimeToLive(input) {
+    return this.#run(() => {
+      const { TableName, TimeToLiveSpecification } = input;
+      const { AttributeName, Enabled } = TimeToLiveSpecification;
+
+      const table = this.#lookup(TableName);
+      const { TimeToLiveStatus, AttributeName: current } = table.timeToLive;
+
+      if (TimeToLiveStatus === 'ENABLING' || TimeToLiveStatus === 'DISABLING')
+        throw serviceException(
+          'ValidationException',
+          'Time to live has been modified multiple times within a fixed interval'
+        );
+
+      if (Enabled && TimeToLiveStatus === 'ENABLED')
+        throw serviceException(
+          'ValidationException',
+          current === AttributeName
+            ? 'TimeToLive is already enabled'
+            : `TimeToLive is active on a different AttributeName: current AttributeName is ${current}`
+        );
+
+      if (!Enabled && TimeToLiveStatus === 'DISABLED')
+        throw serviceException(
+          'ValidationException',
+          'TimeToLive is already disabled'
+        );
+
+      table.timeToLive = {
+        AttributeName,
+        TimeToLiveStatus: Enabled ? 'ENABLING' : 'DISABLING',
+      };
+      table.settlesAt = Date.now() + this.#transitionTime;
+
+      return { TimeToLiveSpecification: cloneValue(TimeToLiveSpecification) };
+    });
+  }
+
+  /**
+   * Get an item.
+   *
+   * @param {object} input - GetCommandInput.
+   * @return {Promise<object>} GetCommandOutput.
+   */
+  async get(input) {
+    return this.#run(() => {
+      const table = this.#table(input.TableName);
+      this.#validateKey(table, input.Key, true);
+
+      const item = table.items.get(this.#id(table, input.Key));
+
+      return {
+        ...(item ? { Item: this.#project(item, input) } : {}),
+        ...this.#capacity(
+          input,
+          input.TableName,
+          capacityUnits(
+            itemSize(item),
+            input.ConsistentRead ? 'consistentRead' : 'read'
+          ),
+          'read'
+        ),
+      };
+    });
+  }
+
+  /**
+   * Put an item.
+   *
+   * @param {object} input - PutCommandInput.
+   * @return {Promise<object>} PutCommandOutput.
+   */
+  async put(input) {
+    return this.#run(() => {
+      const write = this.#prepareWrite('Put', input);
+      if (write.failed) this.#conditionFailed(write, input);
+
+      this.#commitWrite(write);
+
+      return {
+        ...(input.ReturnValues === 'ALL_OLD' && write.previous
+          ? { Attributes: cloneValue(write.previous) }
+          : {}),
+        ...this.#capacity(
+          input,
+          input.TableName,
+          capacityUnits(
+            Math.max(itemSize(write.next), itemSize(write.previous)),
+            'write'
+          ),
+          'write'
+        ),
+      };
+    });
+  }
+
+  /**
+   * Update an item, creating it if it does not exist.
+   *
+   * @param {object} input - UpdateCommandInput.
+   * @return {Promise<object>} UpdateCommandOutput.
+   */
+  async update(input) {
+    return this.#run(() => {
+      const write = this.#prepareWrite('Update', input);
+      if (write.failed) this.#conditionFailed(write, input);
+
+      this.#commitWrite(write);
+
+      const { previous, next, paths } = write;
+      const returned = {
+        ALL_OLD: previous,
+        ALL_NEW: next,
+        UPDATED_OLD: previous && projectItem(previous, paths),
+        UPDATED_NEW: projectItem(next, paths),
+      }[input.ReturnValues];
+
+      return {
+        ...(_.isEmpty(returned) ? {} : { Attributes: cloneValue(returned) }),
+        ...this.#capacity(
+          input,
+          input.TableName,
+          capacityUnits(Math.max(itemSize(next), itemSize(previous)), 'write'),
+          'write'
+        ),
+      };
+    });
+  }
+
+  /**
+   * Delete an item.
+   *
+   * @param {object} input - DeleteCommandInput.
+   * @return {Promise<object>} DeleteCommandOutput.
+   */
+  async delete(input) {
+    return this.#run(() => {
+      const write = this.#prepareWrite('Delete', input);
+      if (write.failed) this.#conditionFailed(write, input);
+
+      this.#commitWrite(write);
+
+      return {
+        ...(input.ReturnValues === 'ALL_OLD' && write.previous
+          ? { Attributes: cloneValue(write.previous) }
+          : {}),
+        ...this.#capacity(
+          input,
+          input.TableName,
+          capacityUnits(itemSize(write.previous), 'write'),
+          'write'
+        ),
+      };
+    });
+  }
+
+  /**
+   * Read a page of items from a table or index in key order.
+   *
+   * @param {object} input - QueryCommandInput or ScanCommandInput.
+   * @param {Function} [match] - Key match predicate (queries only).
+   * @return {object} QueryCommandOutput or ScanCommandOutput body.
+   * @private
+   */
+  #read(input, match) {
+    const table = this.#table(input.TableName);
+    const schema = this.#schema(table, input.IndexName);
+    const {
+      ExclusiveStartKey,
+      Limit,
+      ScanIndexForward = true,
+      Segment,
+      Select,
+      TotalSegments,
+    } = input;
+
+    if (Limit !== undefined && !(_.isInteger(Limit) && Limit > 0))
+      throw serviceException(
+        'ValidationException',
+        'Limit must be greater than or equal to 1'
+      );
+
+    if (
+      TotalSegments !== undefined &&
+      !(_.isInteger(Segment) && Segment >= 0 && Segment < TotalSegments)
+    )
+      throw serviceException(
+        'ValidationException',
+        'The Segment parameter must be less than the TotalSegments parameter'
+      );
+
+    const direction = ScanIndexForward ? 1 : -1;
+
+    let items = [...table.items.values()]
+      .filter((item) =>
+        schemaAttributes(schema).every(
+          (attribute) => item[attribute] !== undefined
+        )
+      )
+      .filter((item) => !match || match(item))
+      .map((item) => ({ item, position: this.#position(table, schema, item) }))
+      .filter(
+        ({ position }) =>
+          TotalSegments === undefined ||
+          Math.floor((position[0] * TotalSegments) / 2 ** 32) === Segment
+      )
+      .sort(
+        (a, b) => direction * this.#comparePositions(a.position, b.position)
+      );
+
+    if (ExclusiveStartKey) {
+      const start = this.#position(table, schema, ExclusiveStartKey);
+      items = items.filter(
+        ({ position }) =>
+          direction * this.#comparePositions(position, start) > 0
+      );
+    }
+
+    const page = Limit ? items.slice(0, Limit) : items;
+
+    const filter = this.#condition(input, 'FilterExpression');
+    const matched = page
+      .map(({ item }) => item)
+      .filter((item) => !filter || evaluateCondition(filter, item));
+
+    // Index reads return only the attributes projected into the index.
+    const projected = matched.map((item) => {
+      const { Projection } = schema;
+
+      if (!Projection || Projection.ProjectionType === 'ALL') return item;
+
+      return _.pick(item, [
+        ...schemaAttributes(this.#schema(table)),
+        ...schemaAttributes(schema),
+        ...(Projection.ProjectionType === 'INCLUDE'
+          ? Projection.NonKeyAttributes ?? []
+          : []),
+      ]);
+    });
+
+    const units = capacityUnits(
+      _.sumBy(page, ({ item }) => itemSize(item)),
+      input.ConsistentRead ? 'consistentRead' : 'read'
+    );
+
+    return {
+      ...(Select === 'COUNT'
+        ? {}
+        : { Items: projected.map((item) => this.#project(item, input)) }),
+      Count: matched.length,
+      ScannedCount: page.length,
+      ...(Limit && page.length === Limit
+        ? {
+            LastEvaluatedKey: this.#key(
+              table,
+              _.last(page).item,
+              input.IndexName
+            ),
+          }
+        : {}),
+      ...this.#capacity(
+        input,
+        input.TableName,
+        units,
+        'read',
+        input.IndexName,
+        schema.type
+      ),
+    };
+  }
+
+  /**
+   * Query a table or index.
+   *
+   * @param {object} input - QueryCommandInput.
+   * @return {Promise<object>} QueryCommandOutput.
+   */
+  async query(input) {
+    return this.#run(() => {
+      const table = this.#table(input.TableName);
+      const schema = this.#schema(table, input.IndexName);
+
+      if (!input.KeyConditionExpression)
+        throw serviceException(
+          'ValidationException',
+          'Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.'
+        );
+
+      const keyCondition = this.#condition(input, 'KeyConditionExpression');
+      const attributes = conditionPaths(keyCondition).map(
+        ([attribute]) => attribute
+      );
+
+      if (!attributes.includes(schema.hash))
+        throw serviceException(
+          'ValidationException',
+          `Query condition missed key schema element: ${schema.hash}`
+        );
+
+      const invalid = _.difference(attributes, schemaAttributes(schema));
+      if (invalid.length)
+        throw serviceException(
+          'ValidationException',
+          `Query key condition not supported: ${invalid.join(
+            ', '
+          )} is not a key attribute`
+        );
+
+      return this.#read(input, (item) => evaluateCondition(keyCondition, item));
+    });
+  }
+
+  /**
+   * Scan a table or index.
+   *
+   * @param {object} input - ScanCommandInput.
+   * @return {Promise<object>} ScanCommandOutput.
+   */
+  async scan(input) {
+    return this.#run(() => this.#read(input));
+  }
+
+  /**
+   * Get items from one or more tables. All keys are always processed.
+   *
+   * @param {object} input - BatchGetCommandInput.
+   * @return {Promise<object>} BatchGetCommandOutput.
+   */
+  async batchGet(input) {
+    return this.#run(() => {
+      const { RequestItems, ReturnConsumedCapacity } = input;
+      if (_.sumBy(_.values(RequestItems), ({ Keys }) => Keys.length) > 100)
+        throw serviceException(
+          'ValidationException',
+          'Too many items requested for the BatchGetItem call'
+        );
+
+      const Responses = {};
+      const ConsumedCapacity = [];
+
+      for (const [tableName, request] of Object.entries(RequestItems)) {
+        const table = this.#table(tableName);
+
+        const ids = request.Keys.map((key) => {
+          this.#validateKey(table, key, true);
+          return this.#id(table, key);
+        });
+
+        if (_.uniq(ids).length !== ids.length)
+          throw serviceException(
+            'ValidationException',
+            'Provided list of item keys contains duplicates'
+          );
+
+        const items = _.compact(ids.map((id) => table.items.get(id)));
+
+        Responses[tableName] = items.map((item) =>
+          this.#project(item, request)
+        );
+
+        const { ConsumedCapacity: capacity } = this.#capacity(
+          { ReturnConsumedCapacity },
+          tableName,
+          _.sumBy(items, (item) =>
+            capacityUnits(
+              itemSize(item),
+              request.ConsistentRead ? 'consistentRead' : 'read'
+            )
+          ),
+          'read'
+        );
+
+        if (capacity) ConsumedCapacity.push(capacity);
+      }
+
+      return {
+        Responses,
+        UnprocessedKeys: {},
+        ...(ConsumedCapacity.length ? { ConsumedCapacity } : {}),
+      };
+    });
+  }
+
+  /**
+   * Put & delete items in one or more tables. All requests are always processed.
+   *
+   * @param {object} input - BatchWriteCommandInput.
+   * @return {Promise<object>} BatchWriteCommandOutput.
+   */
+  async batchWrite(input) {
+    return this.#run(() => {
+      const { RequestItems, ReturnConsumedCapacity } = input;
+      const requests = Object.entries(RequestItems).flatMap(
+        ([tableName, tableRequests]) =>
+          tableRequests.map((request) => ({ tableName, ...request }))
+      );
+
+      if (requests.length > 25)
+        throw serviceException(
+          'ValidationException',
+          'Too many items requested for the BatchWriteItem call'
+        );
+
+      const writes = requests.map(({ tableName, PutRequest, DeleteRequest }) =>
+        PutRequest
+          ? this.#prepareWrite('Put', { TableName: tableName, ...PutRequest })
+          : this.#prepareWrite('Delete', {
+              TableName: tableName,
+              ...DeleteRequest,
+            })
+      );
+
+      const ids = writes.map(({ table, id }) => [
+        table.description.TableName,
+        id,
+      ]);
+
+      if (_.uniqWith(ids, _.isEqual).length !== ids.length)
+        throw serviceException(
+          'ValidationException',
+          'Provided list of item keys contains duplicates'
+        );
+
+      writes.forEach((write) => this.#commitWrite(write));
+
+      const ConsumedCapacity = _.compact(
+        _.map(
+          _.groupBy(writes, ({ table }) => table.description.TableName),
+          (tableWrites, tableName) =>
+            this.#capacity(
+              { ReturnConsumedCapacity },
+              tableName,
+              _.sumBy(tableWrites, ({ next, previous }) =>
+                capacityUnits(
+                  Math.max(itemSize(next), itemSize(previous)),
+                  'write'
+                )
+              ),
+              'write'
+            ).ConsumedCapacity
+        )
+      );
+
+      return {
+        UnprocessedItems: {},
+        ...(ConsumedCapacity.length ? { ConsumedCapacity } : {}),
+      };
+    });
+  }
+
+  /**
+   * Get items from one or more tables atomically.
+   *
+   * @param {object} input - TransactGetCommandInput.
+   * @return {Promise<object>} TransactGetCommandOutput.
+   */
+  async transactGet(input) {
+    return this.#run(() => {
+      const { TransactItems } = input;
+      if (TransactItems.length > 100)
+        throw serviceException(
+          'ValidationException',
+          'Member must have length less than or equal to 100'
+        );
+
+      return {
+        Responses: TransactItems.map(({ Get }) => {
+          const table = this.#table(Get.TableName);
+          this.#validateKey(table, Get.Key, true);
+
+          const item = table.items.get(this.#id(table, Get.Key));
+          return item ? { Item: this.#project(item, Get) } : {};
+        }),
+      };
+    });
+  }
+
+  /**
+   * Write items to one or more tables atomically.
+   *
+   * @param {object} input - TransactWriteCommandInput.
+   * @return {object} TransactWriteCommandOutput body.
+   * @private
+   */
+  #transactWrite(input) {
+    const { ClientRequestToken, ReturnConsumedCapacity, TransactItems } = input;
+    if (!TransactItems?.length || TransactItems.length > 100)
+      throw serviceException(
+        'ValidationException',
+        'Member must have length less than or equal to 100 and greater than or equal to 1'
+      );
+
+    // Repeating a token within its idempotency window is a no-op.
+    if (ClientRequestToken) {
+      const previous = this.#transactionTokens.get(ClientRequestToken);
+
+      if (previous && Date.now() - previous.time < 10 * 60 * 1000) {
+        if (!_.isEqual(previous.items, TransactItems))
+          throw serviceException(
+            'IdempotentParameterMismatchException',
+            'The request uses the same client token as a previous, but non-identical request'
+          );
+
+        return {};
+      }
+    }
+
+    const writes = TransactItems.map((transactItem) => {
+      const [type, input] = Object.entries(transactItem)[0];
+
+      return {
+        ...this.#prepareWrite(type, input),
+        type,
+        input,
+      };
+    });
+
+    const ids = writes.map(({ table, id }) => [
+      table.description.TableName,
+      id,
+    ]);
+
+    if (_.uniqWith(ids, _.isEqual).length !== ids.length)
+      throw serviceException(
+        'ValidationException',
+        'Transaction request cannot include multiple operations on one item'
+      );
+
+    if (writes.some(({ failed }) => failed))
+      throw serviceException(
+        'TransactionCanceledException',
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${writes
+          .map(({ failed }) => (failed ? 'ConditionalCheckFailed' : 'None'))
+          .join(', ')}]`,
+        {
+          CancellationReasons: writes.map(({ failed, previous, input }) =>
+            failed
+              ? {
+                  Code: 'ConditionalCheckFailed',
+                  Message: 'The conditional request failed',
+                  ...(input.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' &&
+                  previous
+                    ? { Item: cloneValue(previous) }
+                    : {}),
+                }
+              : { Code: 'None' }
+          ),
+        }
+      );
+
+    writes.forEach((write) => this.#commitWrite(write));
+
+    if (ClientRequestToken)
+      this.#transactionTokens.set(ClientRequestToken, {
+        items: cloneValue(TransactItems),
+        time: Date.now(),
+      });
+
+    const ConsumedCapacity = _.compact(
+      _.map(
+        _.groupBy(writes, ({ table }) => table.description.TableName),
+        (tableWrites, tableName) =>
+          this.#capacity(
+            { ReturnConsumedCapacity },
+            tableName,
+            _.sumBy(tableWrites, ({ next, previous }) =>
+              capacityUnits(
+                Math.max(itemSize(next), itemSize(previous)),
+                'transactWrite'
+              )
+            ),
+            'write'
+          ).ConsumedCapacity
+      )
+    );
+
+    return ConsumedCapacity.length ? { ConsumedCapacity } : {};
+  }
+
+  /**
+   * Write items to one or more tables atomically. If any condition fails,
+   * nothing is written and a TransactionCanceledException reports a
+   * CancellationReason per operation.
+   *
+   * @param {object} input - TransactWriteCommandInput.
+   * @return {Promise<object>} TransactWriteCommandOutput.
+   */
+  async transactWrite(input) {
+    return this.#run(() => this.#transactWrite(input));
+  }
+
+  /**
+   * Translate a PartiQL statement into a document client request. Writes, and
+   * reads in batches & transactions, must address a single item with
+   * equalities on its full primary key; the remaining WHERE conditions become
+   * the request's condition or filter.
+   *
+   * @param {object} input - Statement input: Statement, Parameters & ConsistentRead.
+   * @param {boolean} [singleItem] - Require reads to address a single item (default is false).
+   * @return {object} Request: type (Select, Put, Update or Delete), table & document client input.
+   * @private
+   */
+  #statement(input, singleItem = false) {
+    const { type, tableName, indexName, projection, item, update, ...parsed } =
+      parseStatement(input.Statement, input.Parameters);
+
+    const table = this.#table(tableName);
+    const keyAttributes = schemaAttributes(this.#schema(table));
+    const key = {};
+    const conditions = [];
+
+    for (const { expression, attribute, value } of parsed.conditions)
+      if (keyAttributes.includes(attribute) && !_.has(key, attribute))
+        key[attribute] = value;
+      else conditions.push(expression);
+
+    const names = {
+      ...parsed.names,
+      ...(type === 'select' ? {} : { '#key': keyAttributes[0] }),
+    };
+    const expressionAttributes = {
+      ...(_.isEmpty(names) ? {} : { ExpressionAttributeNames: names }),
+      ...(_.isEmpty(parsed.values)
+        ? {}
+        : { ExpressionAttributeValues: parsed.values }),
+    };
+    const condition = (expressions) =>
+      expressions.length
+        ? { ConditionExpression: expressions.join(' AND ') }
+        : {};
+
+    const keyed =
+      !indexName &&
+      keyAttributes.every((attribute) => _.has(key, attribute)) &&
+      _.size(key) === keyAttributes.length;
+
+    if ((type !== 'select' || singleItem) && type !== 'insert' && !keyed)
+      throw serviceException(
+        'ValidationException',
+        'Where clause does not contain a mandatory equality on all key attributes'
+      );
+
+    if (type === 'select')
+      return {
+        type: 'Select',
+        table,
+        input: {
+          TableName: tableName,
+          ...(indexName ? { IndexName: indexName } : {}),
+          ...(singleItem ? { Key: key } : {}),
+          ...(projection ? { ProjectionExpression: projection } : {}),
+          ...((singleItem ? conditions : parsed.conditions).length
+            ? {
+                FilterExpression: (singleItem
+                  ? conditions
+                  : _.map(parsed.conditions, 'expression')
+                ).join(' AND '),
+              }
+            : {}),
+          ...(input.ConsistentRead ? { ConsistentRead: true } : {}),
+          ...expressionAttributes,
+        },
+      };
+
+    if (type === 'insert')
+      return {
+        type: 'Put',
+        table,
+        input: {
+          TableName: tableName,
+          Item: item,
+          ...condition(['attribute_not_exists(#key)']),
+          ...expressionAttributes,
+        },
+      };
+
+    return {
+      type: type === 'update' ? 'Update' : 'Delete',
+      table,
+      input: {
+        TableName: tableName,
+        Key: key,
+        ...(update ? { UpdateExpression: update } : {}),
+        ...condition(
+          type === 'update'
+            ? ['attribute_exists(#key)', ...conditions]
+            : conditions
+        ),
+        ...expressionAttributes,
+      },
+    };
+  }
+
+  /**
+   * Read the single item a statement addresses, if it exists & passes the
+   * statement's other conditions.
+   *
+   * @param {object} request - Select request addressing a single item.
+   * @return {object|undefined} Projected item.
+   * @private
+   */
+  #selectItem(request) {
+    const { table, input } = request;
+
+    this.#validateKey(table, input.Key, true);
+
+    const item = table.items.get(this.#id(table, input.Key));
+    const filter = this.#condition(input, 'FilterExpression');
+
+    if (item && (!filter || evaluateCondition(filter, item)))
+      return this.#project(item, input);
+  }
+
+  /**
+   * Apply a write statement.
+   *
+   * @param {object} request - Put, Update or Delete request.
+   * @param {object} input - Statement input, with ReturnConsumedCapacity.
+   * @return {object} ExecuteStatementCommandOutput body.
+   * @private
+   */
+  #writeStatement(request, input) {
+    const write = this.#prepareWrite(request.type, request.input);
+
+    if (write.failed) {
+      if (request.type === 'Put')
+        throw serviceException(
+          'DuplicateItemException',
+          'Duplicate primary key exists in table'
+        );
+
+      this.#conditionFailed(write, request.input);
+    }
+
+    this.#commitWrite(write);
+
+    return {
+      Items: [],
+      ...this.#capacity(
+        input,
+        request.input.TableName,
+        capacityUnits(
+          Math.max(itemSize(write.next), itemSize(write.previous)),
+          'write'
+        ),
+        'write'
+      ),
+    };
+  }
+
+  /**
+   * Execute a PartiQL statement. SELECT statements read like a scan, a page at
+   * a time, returning a NextToken while there are more items to read.
+   *
+   * @param {object} input - ExecuteStatementCommandInput.
+   * @return {Promise<object>} ExecuteStatementCommandOutput.
+   */
+  async executeStatement(input) {
+    return this.#run(() => {
+      const request = this.#statement(input);
+
+      if (request.type !== 'Select')
+        return this.#writeStatement(request, input);
+
+      let ExclusiveStartKey;
+
+      if (input.NextToken) {
+        ExclusiveStartKey = this.#statementTokens.get(input.NextToken);
+
+        if (!ExclusiveStartKey)
+          throw serviceException(
+            'ValidationException',
+            'Given NextToken is not valid'
+          );
+      }
+
+      const { Items, LastEvaluatedKey, ConsumedCapacity } = this.#read({
+        ...request.input,
+        ..._.pick(input, ['Limit', 'ReturnConsumedCapacity']),
+        ...(ExclusiveStartKey ? { ExclusiveStartKey } : {}),
+      });
+
+      let NextToken;
+
+      if (LastEvaluatedKey) {
+        NextToken = `statement-${this.#requestCount}`;
+        this.#statementTokens.set(NextToken, LastEvaluatedKey);
+      }
+
+      return {
+        Items,
+        ...(NextToken ? { NextToken } : {}),
+        ...(ConsumedCapacity ? { ConsumedCapacity } : {}),
+      };
+    });
+  }
+
+  /**
+   * Execute up to 25 PartiQL statements, each reading or writing a single
+   * item. Statements succeed or fail independently: failures are reported as
+   * an Error on the statement's response.
+   *
+   * @param {object} input - BatchExecuteStatementCommandInput.
+   * @return {Promise<object>} BatchExecuteStatementCommandOutput.
+   */
+  async batchExecuteStatement(input) {
+    return this.#run(() => {
+      const { Statements } = input;
+
+      if (!Statements?.length || Statements.length > 25)
+        throw serviceException(
+          'ValidationException',
+          'Member must have length less than or equal to 25 and greater than or equal to 1'
+        );
+
+      return {
+        Responses: Statements.map((statement) => {
+          try {
+            const request = this.#statement(statement, true);
+            const TableName = request.input.TableName;
+
+            if (request.type !== 'Select') {
+              this.#writeStatement(request, {});
+              return { TableName };
+            }
+
+            const item = this.#selectItem(request);
+            return { TableName, ...(item ? { Item: item } : {}) };
+          } catch (error) {
+            if (!(error instanceof ExpressionError) && !error.$metadata)
+              throw error;
+
+            return {
+              Error: {
+                Code:
+                  error.name === 'ValidationException'
+                    ? 'ValidationError'
+                    : error.name.replace(/Exception$/, ''),
+                Message: error.message,
+              },
+            };
+          }
+        }),
+      };
+    });
+  }
+
+  /**
+   * Execute up to 100 PartiQL statements atomically, each reading or writing
+   * a single item. Statements must all be reads or all be writes. If any
+   * write's condition fails, nothing is written and a
+   * TransactionCanceledException reports a CancellationReason per statement.
+   *
+   * @param {object} input - ExecuteTransactionCommandInput.
+   * @return {Promise<object>} ExecuteTransactionCommandOutput.
+   */
+  async executeTransaction(input) {
+    return this.#run(() => {
+      const { ClientRequestToken, ReturnConsumedCapacity, TransactStatements } =
+        input;
+
+      if (!TransactStatements?.length || TransactStatements.length > 100)
+        throw serviceException(
+          'ValidationException',
+          'Member must have length less than or equal to 100 and greater than or equal to 1'
+        );
+
+      const requests = TransactStatements.map((statement) =>
+        this.#statement(statement, true)
+      );
+      const reads = _.filter(requests, { type: 'Select' }).length;
+
+      if (reads && reads < requests.length)
+        throw serviceException(
+          'ValidationException',
+          'Transaction statements must be either all reads or all writes'
+        );
+
+      if (reads)
+        return {
+          Responses: requests.map((request) => {
+            const item = this.#selectItem(request);
+            return item ? { Item: item } : {};
+          }),
+        };
+
+      try {
+        return this.#transactWrite({
+          ClientRequestToken,
+          ReturnConsumedCapacity,
+          TransactItems: requests.map(({ type, input }) => ({ [type]: input })),
+        });
+      } catch (error) {
+        // Inserts fail on existing items, not on conditions.
+        error.CancellationReasons?.forEach((reason, index) => {
+          if (
+            reason.Code === 'ConditionalCheckFailed' &&
+            requests[index].type === 'Put'
+          )
+            Object.assign(reason, {
+              Code: 'DuplicateItem',
+              Message: 'Duplicate primary key exists in table',
+            });
+        });
+
+        throw error;
+      }
+    });
+  }
+}
@@ -0,0 +1,474 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import { NumberValue } from '@aws-sdk/lib-dynamodb';
+import { setTimeout } from 'node:timers/promises';
+import _ from 'lodash';
+
+// lib imports
+import { InMemoryDynamoDb } from './InMemoryDynamoDb.js';
+
+const TableName = 'table';
+
+const createTable = async () => {
+  const db = new InMemoryDynamoDb();
+
+  await db.createTable({
+    TableName,
+    AttributeDefinitions: [
+      { AttributeName: 'pk', AttributeType: 'S' },
+      { AttributeName: 'sk', AttributeType: 'N' },
+      { AttributeName: 'gsiPK', AttributeType: 'S' },
+      { AttributeName: 'lsiSK', AttributeType: 'S' },
+    ],
+    KeySchema: [
+      { AttributeName: 'pk', KeyType: 'HASH' },
+      { AttributeName: 'sk', KeyType: 'RANGE' },
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'gsi',
+        KeySchema: [{ AttributeName: 'gsiPK', KeyType: 'HASH' }],
+        Projection: { ProjectionType: 'KEYS_ONLY' },
+      },
+    ],
+    LocalSecondaryIndexes: [
+      {
+        IndexName: 'lsi',
+        KeySchema: [
+          { AttributeName: 'pk', KeyType: 'HASH' },
+          { AttributeName: 'lsiSK', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+    ],
+    BillingMode: 'PAY_PER_REQUEST',
+  });
+
+  for (const sk of _.range(5))
+    await db.put({
+      TableName,
+      Item: {
+        pk: 'a',
+        sk,
+        lsiSK: `${4 - sk}`,
+        ...(sk % 2 ? { gsiPK: 'odd' } : {}),
+        data: sk * 10,
+      },
+    });
+
+  return db;
+};
+
+describe('InMemoryDynamoDb', function () {
+  describe('tables', function () {
+    it('should describe tables & reject duplicates', async function () {
+      const db = await createTable();
+
+      const { Table } = await db.describeTable({ TableName });
+      expect(Table).to.include({ TableStatus: 'ACTIVE', ItemCount: 5 });
+      expect(Table.GlobalSecondaryIndexes[0]).to.include({
+        IndexStatus: 'ACTIVE',
+        ItemCount: 2,
+      });
+
+      try {
+        await createTable().then((db) =>
+          db.createTable({
+            TableName,
+            AttributeDefinitions: [],
+            KeySchema: [],
+          })
+        );
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('ResourceInUseException');
+      }
+    });
+
+    it('should throw ResourceNotFoundException for missing tables', async function () {
+      try {
+        await new InMemoryDynamoDb().get({ TableName, Key: { pk: 'a' } });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('ResourceNotFoundException');
+        expect(error.$metadata.requestId).to.be.a('string');
+      }
+    });
+
+    it('should create & delete one index per update', async function () {
+      const db = await createTable();
+
+      try {
+        await db.updateTable({
+          TableName,
+          GlobalSecondaryIndexUpdates: [
+            { Delete: { IndexName: 'gsi' } },
+            { Delete: { IndexName: 'other' } },
+          ],
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('LimitExceededException');
+      }
+
+      await db.updateTable({
+        TableName,
+        AttributeDefinitions: [{ AttributeName: 'data', AttributeType: 'N' }],
+        GlobalSecondaryIndexUpdates: [
+          {
+            Create: {
+              IndexName: 'byData',
+              KeySchema: [{ AttributeName: 'data', KeyType: 'HASH' }],
+              Projection: { ProjectionType: 'ALL' },
+            },
+          },
+        ],
+      });
+
+      // Existing items are indexed.
+      const { Items } = await db.query({
+        TableName,
+        IndexName: 'byData',
+        KeyConditionExpression: '#d = :d',
+        ExpressionAttributeNames: { '#d': 'data' },
+        ExpressionAttributeValues: { ':d': 30 },
+      });
+      expect(Items).to.have.lengthOf(1);
+
+      await db.updateTable({
+        TableName,
+        GlobalSecondaryIndexUpdates: [{ Delete: { IndexName: 'gsi' } }],
+      });
+
+      const { Table } = await db.describeTable({ TableName });
+      expect(_.map(Table.GlobalSecondaryIndexes, 'IndexName')).to.deep.equal([
+        'byData',
+      ]);
+      expect(_.map(Table.AttributeDefinitions, 'AttributeName')).not.to.include(
+        'gsiPK'
+      );
+    });
+
+    it('should hold transitional statuses for the transition time', async function () {
+      const db = new InMemoryDynamoDb({ transitionTime: 50 });
+
+      await db.createTable({
+        TableName,
+        AttributeDefinitions: [{ AttributeName: 'pk', AttributeType: 'S' }],
+        KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }],
+        BillingMode: 'PAY_PER_REQUEST',
+      });
+
+      expect(
+        (await db.describeTable({ TableName })).Table.TableStatus
+      ).to.equal('CREATING');
+
+      try {
+        await db.get({ TableName, Key: { pk: 'a' } });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('ResourceNotFoundException');
+      }
+
+      await setTimeout(60);
+
+      expect(
+        (await db.describeTable({ TableName })).Table.TableStatus
+      ).to.equal('ACTIVE');
+
+      await db.updateTimeToLive({
+        TableName,
+        TimeToLiveSpecification: { AttributeName: 'expires', Enabled: true },
+      });
+
+      expect(
+        (await db.describeTimeToLive({ TableName })).TimeToLiveDescription
+      ).to.deep.equal({
+        AttributeName: 'expires',
+        TimeToLiveStatus: 'ENABLING',
+      });
+
+      await setTimeout(60);
+
+      expect(
+        (await db.describeTimeToLive({ TableName })).TimeToLiveDescription
+          .TimeToLiveStatus
+      ).to.equal('ENABLED');
+
+      try {
+        await db.updateTimeToLive({
+          TableName,
+          TimeToLiveSpecification: { AttributeName: 'ttl', Enabled: true },
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.match(/different AttributeName/);
+      }
+    });
+  });
+
+  describe('items', function () {
+    it('should validate keys', async function () {
+      const db = await createTable();
+
+      try {
+        await db.put({ TableName, Item: { pk: 'a', sk: '1' } });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('ValidationException');
+      }
+    });
+
+    it('should enforce conditions', async function () {
+      const db = await createTable();
+
+      try {
+        await db.put({
+          TableName,
+          Item: { pk: 'a', sk: 0 },
+          ConditionExpression: 'attribute_not_exists(pk)',
+          ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('ConditionalCheckFailedException');
+        expect(error.Item).to.include({ pk: 'a', sk: 0 });
+      }
+    });
+
+    it('should update items & return values', async function () {
+      const db = await createTable();
+
+      const { Attributes } = await db.update({
+        TableName,
+        Key: { pk: 'a', sk: 1 },
+        UpdateExpression: 'SET #d = #d + :n',
+        ExpressionAttributeNames: { '#d': 'data' },
+        ExpressionAttributeValues: { ':n': 5 },
+        ReturnValues: 'UPDATED_NEW',
+      });
+
+      expect(Attributes).to.deep.equal({ data: 15 });
+    });
+
+    it('should unmarshall numbers like the document client', async function () {
+      const db = await createTable();
+      const precise = '0.12345678901234567890123';
+
+      await db.put({
+        TableName,
+        Item: { pk: 'n', sk: 1, precise: NumberValue.from(precise), n: 2 },
+      });
+
+      const { Item } = await db.get({ TableName, Key: { pk: 'n', sk: 1 } });
+      expect(Item.precise).to.equal(0.12345678901234568);
+      expect(Item.n).to.equal(2);
+
+      const { Items } = await db
+        .documentClient({ wrapNumbers: true })
+        .scan({ TableName });
+      const [wrapped] = _.filter(Items, { pk: 'n' });
+      expect(wrapped.precise).to.be.an.instanceof(NumberValue);
+      expect(String(wrapped.precise)).to.equal(precise);
+      expect(String(wrapped.n)).to.equal('2');
+
+      // The engine itself still rounds.
+      const { Item: rounded } = await db.get({
+        TableName,
+        Key: { pk: 'n', sk: 1 },
+      });
+      expect(rounded.precise).to.be.a('number');
+    });
+
+    it('should reject updates to key attributes', async function () {
+      const db = await createTable();
+
+      try {
+        await db.update({
+          TableName,
+          Key: { pk: 'a', sk: 1 },
+          UpdateExpression: 'SET sk = :n',
+          ExpressionAttributeValues: { ':n': 5 },
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('ValidationException');
+      }
+    });
+  });
+
+  describe('reads', function () {
+    it('should query in key order with pagination', async function () {
+      const db = await createTable();
+      const input = {
+        TableName,
+        KeyConditionExpression: 'pk = :pk AND sk > :sk',
+        ExpressionAttributeValues: { ':pk': 'a', ':sk': 0 },
+        ScanIndexForward: false,
+        Limit: 3,
+      };
+
+      const first = await db.query(input);
+      expect(_.map(first.Items, 'sk')).to.deep.equal([4, 3, 2]);
+      expect(first.LastEvaluatedKey).to.deep.equal({ pk: 'a', sk: 2 });
+
+      const second = await db.query({
+        ...input,
+        ExclusiveStartKey: first.LastEvaluatedKey,
+      });
+      expect(_.map(second.Items, 'sk')).to.deep.equal([1]);
+      expect(second.LastEvaluatedKey).to.be.undefined;
+    });
+
+    it('should query indexes with their projections', async function () {
+      const db = await createTable();
+
+      const { Items } = await db.query({
+        TableName,
+        IndexName: 'gsi',
+        KeyConditionExpression: 'gsiPK = :odd',
+        ExpressionAttributeValues: { ':odd': 'odd' },
+      });
+
+      expect(_.sortBy(Items, 'sk')).to.deep.equal([
+        { pk: 'a', sk: 1, gsiPK: 'odd' },
+        { pk: 'a', sk: 3, gsiPK: 'odd' },
+      ]);
+
+      const lsi = await db.query({
+        TableName,
+        IndexName: 'lsi',
+        KeyConditionExpression: 'pk = :pk',
+        ExpressionAttributeValues: { ':pk': 'a' },
+        Limit: 2,
+      });
+
+      expect(_.map(lsi.Items, 'sk')).to.deep.equal([4, 3]);
+      expect(lsi.LastEvaluatedKey).to.deep.equal({
+        pk: 'a',
+        sk: 3,
+        lsiSK: '1',
+      });
+    });
+
+    it('should reject key conditions on non-key attributes', async function () {
+      const db = await createTable();
+
+      try {
+        await db.query({
+          TableName,
+          KeyConditionExpression: 'pk = :pk AND #d = :d',
+          ExpressionAttributeNames: { '#d': 'data' },
+          ExpressionAttributeValues: { ':pk': 'a', ':d': 0 },
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('ValidationException');
+      }
+    });
+
+    it('should filter after Limit', async function () {
+      const db = await createTable();
+
+      const response = await db.scan({
+        TableName,
+        FilterExpression: '#d >= :d',
+        ExpressionAttributeNames: { '#d': 'data' },
+        ExpressionAttributeValues: { ':d': 20 },
+        Limit: 2,
+      });
+
+      expect(response.ScannedCount).to.equal(2);
+      expect(response.LastEvaluatedKey).to.exist;
+    });
+
+    it('should partition scan segments', async function () {
+      const db = await createTable();
+
+      const segments = await Promise.all(
+        _.range(3).map((Segment) =>
+          db.scan({ TableName, Segment, TotalSegments: 3 })
+        )
+      );
+
+      expect(
+        _.sortBy(segments.flatMap(({ Items }) => _.map(Items, 'sk')))
+      ).to.deep.equal(_.range(5));
+    });
+  });
+
+  describe('batches & transactions', function () {
+    it('should reject duplicate batch keys', async function () {
+      const db = await createTable();
+
+      try {
+        await db.batchWrite({
+          RequestItems: {
+            [TableName]: [
+              { DeleteRequest: { Key: { pk: 'a', sk: 0 } } },
+              { DeleteRequest: { Key: { pk: 'a', sk: 0 } } },
+            ],
+          },
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('ValidationException');
+      }
+    });
+
+    it('should cancel transactions atomically', async function () {
+      const db = await createTable();
+
+      try {
+        await db.transactWrite({
+          TransactItems: [
+            { Delete: { TableName, Key: { pk: 'a', sk: 0 } } },
+            {
+              ConditionCheck: {
+                TableName,
+                Key: { pk: 'a', sk: 1 },
+                ConditionExpression: '#d = :d',
+                ExpressionAttributeNames: { '#d': 'data' },
+                ExpressionAttributeValues: { ':d': 0 },
+              },
+            },
+          ],
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('TransactionCanceledException');
+        expect(_.map(error.CancellationReasons, 'Code')).to.deep.equal([
+          'None',
+          'ConditionalCheckFailed',
+        ]);
+      }
+
+      const { Item } = await db.get({ TableName, Key: { pk: 'a', sk: 0 } });
+      expect(Item).to.exist;
+    });
+
+    it('should report consumed capacity', async function () {
+      const db = await createTable();
+
+      const { ConsumedCapacity } = await db.batchWrite({
+        RequestItems: {
+          [TableName]: [{ PutRequest: { Item: { pk: 'b', sk: 0 } } }],
+        },
+        ReturnConsumedCapacity: 'INDEXES',
+      });
+
+      expect(ConsumedCapacity).to.deep.equal([
+        {
+          TableName,
+          CapacityUnits: 1,
+          WriteCapacityUnits: 1,
+          Table: { CapacityUnits: 1, WriteCapacityUnits: 1 },
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ValidationError } from './errors.js';
+import { keyId } from './keys.js';
+
+/**
+ * In-process cache store that evicts the least recently used entries beyond
+ * a maximum size, and expires entries after their TTL. The default store of
+ * an ItemCache.
+ *
+ * A custom store (e.g. one backed by Redis, to share a cache between
+ * processes) must expose the same methods, any of which may return a
+ * promise: `get(key)` resolving to a stored value or undefined, `set(key,
+ * value, ttl)` with a TTL in milliseconds, `delete(key)` & `clear()`. Keys
+ * are strings, and values are plain objects holding DynamoDB items.
+ */
+export class LruCacheStore {
+  #entries = new Map();
+  #maxItems;
+
+  /**
+   * LruCacheStore constructor.
+   *
+   * @param {object} [options] - Options.
+   * @param {number} [options.maxItems] - Maximum number of entries (default is 1000).
+   */
+  constructor({ maxItems = 1000 } = {}) {
+    if (!_.isInteger(maxItems) || maxItems < 1)
+      throw new ValidationError('invalid cache store maxItems', {
+        parameter: 'maxItems',
+        value: maxItems,
+      });
+
+    this.#maxItems = maxItems;
+  }
+
+  /**
+   * Number of entries, including expired entries not yet evicted.
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Remove all entries.
+   */
+  clear() {
+    this.#entries.clear();
+  }
+
+  /**
+   * Remove an entry.
+   *
+   * @param {string} key - Entry key.
+   */
+  delete(key) {
+    this.#entries.delete(key);
+  }
+
+  /**
+   * Get an entry's value, marking it as most recently used.
+   *
+   * @param {string} key - Entry key.
+   * @return {*} Entry value, or undefined if missing or expired.
+   */
+  get(key) {
+    const entry = this.#entries.get(key);
+
+    if (!entry) return;
+
+    this.#entries.delete(key);
+
+    if (entry.expires <= Date.now()) return;
+
+    this.#entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Set an entry's value, evicting the least recently used entries if the store is full.
+   *
+   * @param {string} key - Entry key.
+   * @param {*} value - Entry value.
+   * @param {number} ttl - Time to live in milliseconds.
+   */
+  set(key, value, ttl) {
+    this.#entries.delete(key);
+    this.#entries.set(key, { value, expires: Date.now() + ttl });
+
+    for (const oldest of this.#entries.keys()) {
+      if (this.#entries.size <= this.#maxItems) break;
+      this.#entries.delete(oldest);
+    }
+  }
+}
+
+/**
+ * Read-through cache of items read by a WrappedDynamoDbClient. Pass `cache:
+ * true` (or ItemCache constructor options, or an instance) to the
+ * WrappedDynamoDbClient constructor: getItem & getItems then serve items
+ * (including items found missing) from the cache until their TTL expires,
+ * and every write the client sends (puts, updates, deletes, batch writes,
+ * transactions & PartiQL statements) invalidates the items it touches.
+ *
+ * Reads with ConsistentRead bypass the cache. Writes made by other clients
+ * or processes are not seen until entries expire, so only cache items that
+ * can tolerate that staleness.
+ *
+ * @example
+ * const client = new WrappedDynamoDbClient({
+ *   cache: { ttl: 30000, maxItems: 500 },
+ * });
+ *
+ * await client.getItem('config', { pk: 'flags' }); // miss
+ * await client.getItem('config', { pk: 'flags' }); // hit
+ *
+ * client.cache.stats; // { hits: 1, misses: 1, hitRate: 0.5 }
+ */
+export class ItemCache {
+  #generations = new Map();
+  #hits = 0;
+  #keyAttributes;
+  #misses = 0;
+  #store;
+  #ttl;
+  #versions = new Map();
+
+  /**
+   * ItemCache constructor.
+   *
+   * @param {object} [options] - Options.
+   * @param {object} [options.keyAttributes] - Key attribute names per table name, e.g. `{ users: ['userId'] }`. Otherwise a table's key attributes are learned from the first item cached from it; until then, a put to the table invalidates the whole table.
+   * @param {number} [options.maxItems] - Maximum number of cached items in the default store (default is 1000).
+   * @param {object} [options.store] - Custom cache store. See {@link LruCacheStore} for the interface (default is an LruCacheStore).
+   * @param {number} [options.ttl] - Time to live of cached items in milliseconds (default is 60000).
+   */
+  constructor({ keyAttributes = {}, maxItems, store, ttl = 60000 } = {}) {
+    const invalid = (parameter, value) => {
+      throw new ValidationError(`invalid item cache ${parameter}`, {
+        parameter,
+        value,
+      });
+    };
+
+    if (
+      !_.isNil(store) &&
+      !['get', 'set', 'delete', 'clear'].every((method) =>
+        _.isFunction(store[method])
+      )
+    )
+      invalid('store', store);
+    if (!_.isFinite(ttl) || ttl <= 0) invalid('ttl', ttl);
+    if (
+      !_.isPlainObject(keyAttributes) ||
+      !_.every(
+        keyAttributes,
+        (names) =>
+          _.isArray(names) &&
+          _.inRange(names.length, 1, 3) &&
+          names.every((name) => _.isString(name) && name.length)
+      )
+    )
+      invalid('keyAttributes', keyAttributes);
+
+    this.#keyAttributes = new Map(Object.entries(keyAttributes));
+    this.#store = store ?? new LruCacheStore({ maxItems });
+    this.#ttl = ttl;
+  }
+
+  /**
+   * Hit & miss counts since creation or the last {@link ItemCache#resetStats resetStats}, and the hit rate (undefined before the first lookup).
+   *
+   * @type {object}
+   */
+  get stats() {
+    const lookups = this.#hits + this.#misses;
+
+    return {
+      hits: this.#hits,
+      misses: this.#misses,
+      hitRate: lookups ? this.#hits / lookups : undefined,
+    };
+  }
+
+  /**
+   * Store key of an item key. Keys include the table's generation, so
+   * invalidating a table orphans its entries until they are evicted.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key.
+   * @return {string} Store key.
+   * @private
+   */
+  #storeKey(tableName, key) {
+    return JSON.stringify([
+      tableName,
+      this.#generations.get(tableName) ?? 0,
+      keyId(key),
+    ]);
+  }
+
+  /**
+   * Remove all cached items.
+   *
+   * @return {Promise<void>}
+   */
+  async clear() {
+    await this.#store.clear();
+  }
+
+  /**
+   * Look up an item.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key: key attributes only.
+   * @return {Promise<object|undefined>} Cache entry with the cached `item` (undefined if the item was found missing), or undefined on a miss.
+   */
+  async get(tableName, key) {
+    const entry = await this.#store.get(this.#storeKey(tableName, key));
+
+    if (entry) this.#hits++;
+    else this.#misses++;
+
+    return entry && { item: _.cloneDeep(entry.item) };
+  }
+
+  /**
+   * Invalidate items, e.g. after writing them.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object[]} keys - Item keys: key attributes only.
+   * @return {Promise<void>}
+   */
+  async invalidate(tableName, keys) {
+    this.#versions.set(tableName, this.version(tableName) + 1);
+
+    await Promise.all(
+      keys.map((key) => this.#store.delete(this.#storeKey(tableName, key)))
+    );
+  }
+
+  /**
+   * Invalidate all items of a table, e.g. after a write whose keys are unknown.
+   *
+   * @param {string} tableName - Table name.
+   */
+  invalidateTable(tableName) {
+    this.#versions.set(tableName, this.version(tableName) + 1);
+    this.#generations.set(
+      tableName,
+      (this.#generations.get(tableName) ?? 0) + 1
+    );
+  }
+
+  /**
+   * Key of an item, e.g. one just put, from its table's key attributes.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} item - Item.
+   * @return {object|undefined} Item key, or undefined if the table's key attributes are unknown because none of its items has been cached.
+   */
+  itemKey(tableName, item) {
+    const keyAttributes = this.#keyAttributes.get(tableName);
+
+    return keyAttributes && _.pick(item, keyAttributes);
+  }
+
+  /**
+   * Reset hit & miss counts.
+   */
+  resetStats() {
+    this.#hits = this.#misses = 0;
+  }
+
+  /**
+   * Cache an item read from a table. If the table has been invalidated since
+   * the read started (see {@link ItemCache#version version}), the item may be
+   * stale and is not cached.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key: key attributes only.
+   * @param {object} [item] - Item, or undefined if it was found missing.
+   * @param {number} [version] - Table version when the read started.
+   * @return {Promise<void>}
+   */
+  async set(tableName, key, item, version) {
+    if (!this.#keyAttributes.has(tableName))
+      this.#keyAttributes.set(tableName, _.keys(key));
+
+    if (!_.isNil(version) && version !== this.version(tableName)) return;
+
+    await this.#store.set(
+      this.#storeKey(tableName, key),
+      { item: _.cloneDeep(item) },
+      this.#ttl
+    );
+  }
+
+  /**
+   * Table version: a counter incremented by every invalidation of the table's items.
+   *
+   * @param {string} tableName - Table name.
+   * @return {number} Table version.
+   */
+  version(tableName) {
+    return this.#versions.get(tableName) ?? 0;
+  }
+}
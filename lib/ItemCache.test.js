@@ -0,0 +1,117 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+import { setTimeout } from 'node:timers/promises';
+
+// lib imports
+import { ValidationError } from './errors.js';
+import { ItemCache, LruCacheStore } from './ItemCache.js';
+
+const tableName = 'config';
+
+describe('ItemCache', function () {
+  describe('LruCacheStore', function () {
+    it('should evict the least recently used entries', function () {
+      const store = new LruCacheStore({ maxItems: 2 });
+
+      store.set('a', 1, 1000);
+      store.set('b', 2, 1000);
+      store.get('a');
+      store.set('c', 3, 1000);
+
+      expect(store.size).to.equal(2);
+      expect(store.get('a')).to.equal(1);
+      expect(store.get('b')).to.be.undefined;
+      expect(store.get('c')).to.equal(3);
+    });
+
+    it('should expire entries', async function () {
+      const store = new LruCacheStore();
+
+      store.set('a', 1, 5);
+      await setTimeout(10);
+
+      expect(store.get('a')).to.be.undefined;
+      expect(store.size).to.equal(0);
+    });
+  });
+
+  describe('cache', function () {
+    it('should count hits & misses, and cache missing items', async function () {
+      const cache = new ItemCache();
+
+      expect(await cache.get(tableName, { pk: 'a' })).to.be.undefined;
+      await cache.set(tableName, { pk: 'a' }, { pk: 'a', n: 1 });
+      await cache.set(tableName, { pk: 'b' });
+
+      expect(await cache.get(tableName, { pk: 'a' })).to.deep.equal({
+        item: { pk: 'a', n: 1 },
+      });
+      expect(await cache.get(tableName, { pk: 'b' })).to.deep.equal({
+        item: undefined,
+      });
+      expect(cache.stats).to.deep.equal({
+        hits: 2,
+        misses: 1,
+        hitRate: 2 / 3,
+      });
+
+      cache.resetStats();
+      expect(cache.stats).to.deep.equal({
+        hits: 0,
+        misses: 0,
+        hitRate: undefined,
+      });
+    });
+
+    it('should not cache items read before an invalidation', async function () {
+      const cache = new ItemCache();
+      const version = cache.version(tableName);
+
+      await cache.invalidate(tableName, [{ pk: 'a' }]);
+      await cache.set(tableName, { pk: 'a' }, { pk: 'a' }, version);
+
+      expect(await cache.get(tableName, { pk: 'a' })).to.be.undefined;
+    });
+
+    it('should invalidate whole tables', async function () {
+      const cache = new ItemCache();
+
+      await cache.set(tableName, { pk: 'a' }, { pk: 'a' });
+      await cache.set('other', { pk: 'a' }, { pk: 'a' });
+      cache.invalidateTable(tableName);
+
+      expect(await cache.get(tableName, { pk: 'a' })).to.be.undefined;
+      expect(await cache.get('other', { pk: 'a' })).to.exist;
+    });
+
+    it('should derive item keys from cached keys or options', async function () {
+      const cache = new ItemCache({ keyAttributes: { users: ['userId'] } });
+
+      expect(cache.itemKey(tableName, { pk: 'a', n: 1 })).to.be.undefined;
+      await cache.set(tableName, { pk: 'a' });
+
+      expect(cache.itemKey(tableName, { pk: 'a', n: 1 })).to.deep.equal({
+        pk: 'a',
+      });
+      expect(cache.itemKey('users', { userId: 'u', n: 1 })).to.deep.equal({
+        userId: 'u',
+      });
+    });
+
+    it('should reject invalid options', function () {
+      expect(() => new ItemCache({ ttl: 0 })).to.throw(ValidationError);
+      expect(() => new ItemCache({ store: { get: _.noop } })).to.throw(
+        ValidationError
+      );
+      expect(() => new ItemCache({ maxItems: -1 })).to.throw(ValidationError);
+      expect(() => new ItemCache({ keyAttributes: { users: [] } })).to.throw(
+        ValidationError
+      );
+    });
+  });
+});
@@ -0,0 +1,353 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ValidationError } from './errors.js';
+
+const capacityOperations = [
+  'batchExecuteStatement',
+  'batchGet',
+  'batchWrite',
+  'delete',
+  'executeStatement',
+  'executeTransaction',
+  'get',
+  'put',
+  'query',
+  'scan',
+  'transactGet',
+  'transactWrite',
+  'update',
+];
+
+/**
+ * Compute a percentile from sorted samples (nearest rank).
+ *
+ * @param {number[]} sorted - Sorted samples.
+ * @param {number} p - Percentile (0-100).
+ * @return {number} Percentile value, or undefined if there are no samples.
+ * @private
+ */
+const percentile = (sorted, p) =>
+  sorted.length
+    ? sorted[
+        Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)
+      ]
+    : undefined;
+
+/**
+ * Count the items read or written by a request.
+ *
+ * @param {string} operation - Operation name.
+ * @param {object} input - Request input.
+ * @param {object} output - Request output.
+ * @return {number} Item count.
+ * @private
+ */
+const countItems = (operation, input, output) => {
+  switch (operation) {
+    case 'get':
+      return output?.Item ? 1 : 0;
+    case 'query':
+    case 'scan':
+    case 'executeStatement':
+      return output?.Count ?? output?.Items?.length ?? 0;
+    case 'batchGet':
+      return _.sumBy(_.values(output?.Responses), 'length');
+    case 'batchWrite':
+      return (
+        _.sumBy(_.values(input?.RequestItems), 'length') -
+        _.sumBy(_.values(output?.UnprocessedItems), 'length')
+      );
+    case 'transactGet':
+      return _.filter(output?.Responses, 'Item').length;
+    case 'transactWrite':
+    case 'executeTransaction':
+      return (input?.TransactItems ?? input?.TransactStatements)?.length ?? 0;
+    case 'batchExecuteStatement':
+      return _.reject(output?.Responses, 'Error').length;
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Collects consumed capacity, item counts, retries, errors & latency for
+ * every request a WrappedDynamoDbClient sends, aggregated per table, index &
+ * operation. It is a middleware object: pass `metrics: true` (or an instance)
+ * to the WrappedDynamoDbClient constructor, or register it with `use`.
+ *
+ * Metrics are keyed by the table the request targets (comma-joined for
+ * multi-table requests), the index it uses (IndexName, or the index reported
+ * in ConsumedCapacity), and the document client operation name (e.g. put,
+ * batchWrite). Capacity consumed by index maintenance is attributed to the
+ * index that consumed it. Latency is the time spent sending each request,
+ * excluding time queued in middleware such as a rate limiter (requests that
+ * middleware fails before sending count their whole duration).
+ */
+export class MetricsCollector {
+  #emitInterval;
+  #logger;
+  #maxSamples;
+  #returnConsumedCapacity;
+  #stats = new Map();
+  #timer;
+
+  /**
+   * MetricsCollector constructor.
+   *
+   * @param {object} [options] - Options.
+   * @param {object} [options.logger] - Logger instance for periodic emission (default is {@link https://nodejs.org/api/console.html#class-console global console object}). Must have an info method.
+   * @param {number} [options.emitInterval] - If set, emit a snapshot via logger.info every emitInterval milliseconds, resetting afterwards.
+   * @param {number} [options.maxSamples] - Maximum latency samples kept per table, index & operation for percentiles (default is 1000, most recent kept).
+   * @param {string} [options.returnConsumedCapacity] - ReturnConsumedCapacity requested when the caller has not set one: INDEXES or TOTAL (default is INDEXES).
+   */
+  constructor({
+    emitInterval,
+    logger = console,
+    maxSamples = 1000,
+    returnConsumedCapacity = 'INDEXES',
+  } = {}) {
+    if (!_.isNil(emitInterval)) this.#validateEmitInterval(emitInterval);
+    if (!_.isFunction(logger?.info)) this.#invalid('logger', logger);
+    if (!_.isInteger(maxSamples) || maxSamples < 1)
+      this.#invalid('maxSamples', maxSamples);
+    if (!['INDEXES', 'TOTAL'].includes(returnConsumedCapacity))
+      this.#invalid('returnConsumedCapacity', returnConsumedCapacity);
+
+    this.#emitInterval = emitInterval;
+    this.#logger = logger;
+    this.#maxSamples = maxSamples;
+    this.#returnConsumedCapacity = returnConsumedCapacity;
+
+    if (emitInterval) this.start();
+  }
+
+  /**
+   * Throw a ValidationError for an invalid option.
+   *
+   * @param {string} parameter - Option name.
+   * @param {*} value - Option value.
+   * @throws {ValidationError} Always.
+   * @private
+   */
+  #invalid(parameter, value) {
+    throw new ValidationError(`invalid metrics collector ${parameter}`, {
+      parameter,
+      value,
+    });
+  }
+
+  /**
+   * Validate an emission interval.
+   *
+   * @param {number} emitInterval - Emission interval in milliseconds.
+   * @throws {ValidationError} If emitInterval is not a positive number.
+   * @private
+   */
+  #validateEmitInterval(emitInterval) {
+    if (!_.isFinite(emitInterval) || emitInterval <= 0)
+      this.#invalid('emitInterval', emitInterval);
+  }
+
+  /**
+   * Get (or create) the stats entry for a table, index & operation.
+   *
+   * @param {string} tableName - Table name.
+   * @param {string} [indexName] - Index name.
+   * @param {string} operation - Operation name.
+   * @return {object} Stats entry.
+   * @private
+   */
+  #entry(tableName, indexName, operation) {
+    const key = JSON.stringify([tableName, indexName ?? null, operation]);
+
+    if (!this.#stats.has(key))
+      this.#stats.set(key, {
+        tableName,
+        indexName,
+        operation,
+        requests: 0,
+        errors: 0,
+        retries: 0,
+        items: 0,
+        capacityUnits: 0,
+        readCapacityUnits: 0,
+        writeCapacityUnits: 0,
+        latencies: [],
+      });
+
+    return this.#stats.get(key);
+  }
+
+  /**
+   * Record the capacity reported by a ConsumedCapacity object.
+   *
+   * @param {object} consumedCapacity - ConsumedCapacity object.
+   * @param {string} [indexName] - Index targeted by the request.
+   * @param {string} operation - Operation name.
+   * @private
+   */
+  #recordCapacity(consumedCapacity, indexName, operation) {
+    const {
+      TableName: tableName,
+      Table: table,
+      GlobalSecondaryIndexes: gsis,
+      LocalSecondaryIndexes: lsis,
+    } = consumedCapacity;
+
+    const add = (
+      entry,
+      { CapacityUnits, ReadCapacityUnits, WriteCapacityUnits }
+    ) => {
+      entry.capacityUnits += CapacityUnits ?? 0;
+      entry.readCapacityUnits += ReadCapacityUnits ?? 0;
+      entry.writeCapacityUnits += WriteCapacityUnits ?? 0;
+    };
+
+    // Without an index breakdown, attribute the total to the targeted index.
+    if (!table && !gsis && !lsis) {
+      add(this.#entry(tableName, indexName, operation), consumedCapacity);
+      return;
+    }
+
+    if (table) add(this.#entry(tableName, undefined, operation), table);
+
+    for (const [name, capacity] of Object.entries({ ...gsis, ...lsis }))
+      add(this.#entry(tableName, name, operation), capacity);
+  }
+
+  /**
+   * Middleware hook: request consumed capacity if the operation supports it.
+   *
+   * @param {object} context - Operation context.
+   */
+  before(context) {
+    if (
+      capacityOperations.includes(context.operation) &&
+      !context.input?.ReturnConsumedCapacity
+    )
+      context.input = {
+        ...context.input,
+        ReturnConsumedCapacity: this.#returnConsumedCapacity,
+      };
+  }
+
+  /**
+   * Middleware hook: record a successful request.
+   *
+   * @param {object} context - Operation context.
+   */
+  after(context) {
+    const {
+      operation,
+      tableName,
+      input,
+      output,
+      attempt,
+      duration,
+      sendDuration = duration,
+    } = context;
+    const entry = this.#entry(tableName, input?.IndexName, operation);
+
+    entry.requests++;
+    if (attempt > 1) entry.retries++;
+    entry.items += countItems(operation, input, output);
+
+    entry.latencies.push(sendDuration);
+    if (entry.latencies.length > this.#maxSamples) entry.latencies.shift();
+
+    for (const consumedCapacity of _.castArray(output?.ConsumedCapacity ?? []))
+      this.#recordCapacity(consumedCapacity, input?.IndexName, operation);
+  }
+
+  /**
+   * Middleware hook: record a failed request.
+   *
+   * @param {object} context - Operation context.
+   */
+  onError(context) {
+    const {
+      operation,
+      tableName,
+      input,
+      attempt,
+      duration,
+      sendDuration = duration,
+    } = context;
+    const entry = this.#entry(tableName, input?.IndexName, operation);
+
+    entry.requests++;
+    entry.errors++;
+    if (attempt > 1) entry.retries++;
+
+    entry.latencies.push(sendDuration);
+    if (entry.latencies.length > this.#maxSamples) entry.latencies.shift();
+  }
+
+  /**
+   * Emit a snapshot via the logger & reset.
+   */
+  emit() {
+    const snapshot = this.snapshot();
+    if (snapshot.length) this.#logger.info('DynamoDB metrics.', snapshot);
+    this.reset();
+  }
+
+  /**
+   * Clear all collected metrics.
+   */
+  reset() {
+    this.#stats.clear();
+  }
+
+  /**
+   * Get the metrics collected since the last reset, one entry per table, index & operation.
+   *
+   * @return {object[]} Entries with tableName, indexName, operation, requests, errors, retries, items, capacityUnits, readCapacityUnits, writeCapacityUnits & latency (count, min, max, mean, p50, p90 & p99 in milliseconds, over the most recent samples).
+   */
+  snapshot() {
+    return _.sortBy(
+      [...this.#stats.values()].map(({ latencies, ...entry }) => {
+        const sorted = _.sortBy(latencies);
+
+        return {
+          ...entry,
+          latency: {
+            count: sorted.length,
+            min: _.first(sorted),
+            max: _.last(sorted),
+            mean: sorted.length ? _.mean(sorted) : undefined,
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p99: percentile(sorted, 99),
+          },
+        };
+      }),
+      ['tableName', 'indexName', 'operation']
+    );
+  }
+
+  /**
+   * Start periodic emission.
+   *
+   * @param {number} [emitInterval] - Emission interval in milliseconds (default is the constructor emitInterval).
+   * @throws {ValidationError} If there is no emission interval, or it is not a positive number.
+   */
+  start(emitInterval = this.#emitInterval) {
+    this.#validateEmitInterval(emitInterval);
+    this.stop();
+
+    this.#emitInterval = emitInterval;
+    this.#timer = setInterval(() => this.emit(), emitInterval);
+    this.#timer.unref?.();
+  }
+
+  /**
+   * Stop periodic emission.
+   */
+  stop() {
+    if (this.#timer) clearInterval(this.#timer);
+    this.#timer = undefined;
+  }
+}
@@ -0,0 +1,235 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ValidationError } from './errors.js';
+import { MetricsCollector } from './MetricsCollector.js';
+import { runMiddleware } from './middleware.js';
+
+const send = (collector, context, output) =>
+  runMiddleware([collector], context, async (input) => {
+    if (output instanceof Error) throw output;
+    return _.isFunction(output) ? output(input) : output;
+  });
+
+describe('MetricsCollector', function () {
+  it('should request consumed capacity', async function () {
+    const collector = new MetricsCollector();
+    let sent;
+
+    await send(
+      collector,
+      { operation: 'get', tableName: 'foo', input: { Key: {} }, attempt: 1 },
+      (input) => (sent = input)
+    );
+
+    expect(sent.ReturnConsumedCapacity).to.equal('INDEXES');
+
+    await send(
+      collector,
+      { operation: 'createTable', tableName: 'foo', input: {}, attempt: 1 },
+      (input) => (sent = input)
+    );
+
+    expect(sent).not.to.have.property('ReturnConsumedCapacity');
+  });
+
+  it('should aggregate per table, index & operation', async function () {
+    const collector = new MetricsCollector();
+
+    await send(
+      collector,
+      {
+        operation: 'query',
+        tableName: 'foo',
+        input: { IndexName: 'gsi' },
+        attempt: 1,
+      },
+      {
+        Count: 3,
+        ConsumedCapacity: {
+          TableName: 'foo',
+          CapacityUnits: 1.5,
+          Table: { CapacityUnits: 0 },
+          GlobalSecondaryIndexes: { gsi: { CapacityUnits: 1.5 } },
+        },
+      }
+    );
+
+    await send(
+      collector,
+      {
+        operation: 'batchWrite',
+        tableName: 'foo',
+        input: { RequestItems: { foo: [{}, {}, {}] } },
+        attempt: 2,
+      },
+      {
+        UnprocessedItems: { foo: [{}] },
+        ConsumedCapacity: [{ TableName: 'foo', CapacityUnits: 2 }],
+      }
+    );
+
+    try {
+      await send(
+        collector,
+        { operation: 'put', tableName: 'bar', input: {}, attempt: 1 },
+        new Error('boom')
+      );
+    } catch {
+      // expected
+    }
+
+    const snapshot = collector.snapshot();
+
+    expect(
+      snapshot.map((entry) =>
+        _.pick(entry, [
+          'tableName',
+          'indexName',
+          'operation',
+          'requests',
+          'errors',
+          'retries',
+          'items',
+          'capacityUnits',
+        ])
+      )
+    ).to.deep.equal([
+      {
+        tableName: 'bar',
+        indexName: undefined,
+        operation: 'put',
+        requests: 1,
+        errors: 1,
+        retries: 0,
+        items: 0,
+        capacityUnits: 0,
+      },
+      {
+        tableName: 'foo',
+        indexName: 'gsi',
+        operation: 'query',
+        requests: 1,
+        errors: 0,
+        retries: 0,
+        items: 3,
+        capacityUnits: 1.5,
+      },
+      {
+        tableName: 'foo',
+        indexName: undefined,
+        operation: 'batchWrite',
+        requests: 1,
+        errors: 0,
+        retries: 1,
+        items: 2,
+        capacityUnits: 2,
+      },
+      {
+        tableName: 'foo',
+        indexName: undefined,
+        operation: 'query',
+        requests: 0,
+        errors: 0,
+        retries: 0,
+        items: 0,
+        capacityUnits: 0,
+      },
+    ]);
+
+    expect(snapshot[1].latency.count).to.equal(1);
+    expect(snapshot[1].latency.p99).to.be.a('number');
+
+    collector.reset();
+    expect(collector.snapshot()).to.be.empty;
+  });
+
+  it('should compute latency percentiles', async function () {
+    const collector = new MetricsCollector({ maxSamples: 100 });
+
+    for (const duration of _.range(1, 201))
+      collector.after({
+        operation: 'get',
+        tableName: 'foo',
+        input: {},
+        output: {},
+        attempt: 1,
+        duration,
+      });
+
+    const [{ requests, latency }] = collector.snapshot();
+
+    expect(requests).to.equal(200);
+    expect(latency).to.deep.equal({
+      count: 100,
+      min: 101,
+      max: 200,
+      mean: 150.5,
+      p50: 150,
+      p90: 190,
+      p99: 199,
+    });
+  });
+
+  it('should emit periodically through the logger', async function () {
+    const emitted = [];
+    const logger = { info: (...args) => emitted.push(args) };
+    const collector = new MetricsCollector({ logger, emitInterval: 5 });
+
+    collector.after({
+      operation: 'get',
+      tableName: 'foo',
+      input: {},
+      output: {},
+      attempt: 1,
+      duration: 1,
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    collector.stop();
+
+    expect(emitted).to.have.length(1);
+    expect(emitted[0][1]).to.have.length(1);
+    expect(collector.snapshot()).to.be.empty;
+  });
+
+  it('should exclude time queued in earlier middleware from latency', async function () {
+    const collector = new MetricsCollector();
+    const queue = {
+      before: () => new Promise((resolve) => setTimeout(resolve, 50)),
+    };
+
+    await runMiddleware(
+      [collector, queue],
+      { operation: 'get', tableName: 'foo', input: {}, attempt: 1 },
+      async () => ({})
+    );
+
+    const [{ latency }] = collector.snapshot();
+    expect(latency.max).to.be.below(40);
+  });
+
+  it('should reject invalid options', function () {
+    expect(() => new MetricsCollector({ emitInterval: -1 })).to.throw(
+      ValidationError
+    );
+    expect(() => new MetricsCollector({ logger: {} })).to.throw(
+      ValidationError
+    );
+    expect(() => new MetricsCollector({ maxSamples: 0 })).to.throw(
+      ValidationError
+    );
+    expect(
+      () => new MetricsCollector({ returnConsumedCapacity: 'NONE' })
+    ).to.throw(ValidationError);
+
+    // Without an interval there is nothing to start.
+    expect(() => new MetricsCollector().start()).to.throw(ValidationError);
+  });
+});
@@ -0,0 +1,430 @@
+// npm imports
+import _ from 'lodash';
+import { setTimeout } from 'node:timers/promises';
+import { performance } from 'perf_hooks';
+
+// lib imports
+import { ValidationError } from './errors.js';
+import { statementTableName } from './partiql.js';
+
+const readOperations = ['batchGet', 'get', 'query', 'scan', 'transactGet'];
+
+const writeOperations = [
+  'batchWrite',
+  'delete',
+  'put',
+  'transactWrite',
+  'update',
+];
+
+/**
+ * Determine which capacity a request consumes. PartiQL requests are reads if
+ * all their statements are SELECT statements.
+ *
+ * @param {string} operation - Operation name.
+ * @param {object} input - Request input.
+ * @return {string|undefined} read or write, or undefined for requests that consume no item capacity (e.g. describeTable).
+ * @private
+ */
+const capacityType = (operation, input) => {
+  if (readOperations.includes(operation)) return 'read';
+  if (writeOperations.includes(operation)) return 'write';
+
+  const statements = {
+    batchExecuteStatement: input?.Statements,
+    executeStatement: [input],
+    executeTransaction: input?.TransactStatements,
+  }[operation];
+
+  if (!statements) return;
+
+  return statements.every(({ Statement }) => /^\s*SELECT\b/i.test(Statement))
+    ? 'read'
+    : 'write';
+};
+
+/**
+ * Count the items a request reads or writes in each table, to attribute its
+ * cost to the right tables & scale its estimate. Batch, transaction & PartiQL
+ * requests may span tables, so their own table keys are used rather than
+ * the table name the client reports.
+ *
+ * @param {string} operation - Operation name.
+ * @param {string} tableName - Table name reported by the client.
+ * @param {object} input - Request input.
+ * @return {object} Item counts by table name: 1 for single-item requests, queries & scans.
+ * @private
+ */
+const requestTables = (operation, tableName, input) => {
+  const statementTable = ({ Statement }) =>
+    statementTableName(Statement) ?? tableName;
+
+  const tables = {
+    batchGet: () =>
+      _.mapValues(input?.RequestItems, ({ Keys }) => Keys?.length || 1),
+    batchWrite: () =>
+      _.mapValues(input?.RequestItems, (requests) => requests?.length || 1),
+    transactGet: () =>
+      _.countBy(input?.TransactItems, (item) => _.find(item)?.TableName),
+    transactWrite: () =>
+      _.countBy(input?.TransactItems, (item) => _.find(item)?.TableName),
+    batchExecuteStatement: () => _.countBy(input?.Statements, statementTable),
+    executeTransaction: () =>
+      _.countBy(input?.TransactStatements, statementTable),
+  }[operation]?.();
+
+  return _.isEmpty(tables) ? { [tableName]: 1 } : tables;
+};
+
+/**
+ * Sum the capacity a response reports for a table.
+ *
+ * @param {object} [output] - Request output.
+ * @param {string} tableName - Table name.
+ * @return {number|undefined} Capacity units, or undefined if none were reported.
+ * @private
+ */
+const consumedCapacity = (output, tableName) => {
+  const consumed = _.castArray(output?.ConsumedCapacity ?? []).filter(
+    ({ TableName }) => !TableName || TableName === tableName
+  );
+
+  return consumed.length ? _.sumBy(consumed, 'CapacityUnits') : undefined;
+};
+
+/**
+ * Token bucket holding up to one second of capacity, refilled continuously.
+ * Takes are served in order, and debits may push the bucket into debt that
+ * later takes wait out.
+ *
+ * @private
+ */
+class TokenBucket {
+  #queue = Promise.resolve();
+  #rate;
+  #tokens;
+  #updated = performance.now();
+
+  /**
+   * TokenBucket constructor.
+   *
+   * @param {number} rate - Capacity units per second.
+   */
+  constructor(rate) {
+    this.#rate = this.#tokens = rate;
+  }
+
+  /**
+   * Add the tokens accrued since the last update.
+   *
+   * @private
+   */
+  #refill() {
+    const now = performance.now();
+
+    this.#tokens = Math.min(
+      this.#rate,
+      this.#tokens + ((now - this.#updated) / 1000) * this.#rate
+    );
+    this.#updated = now;
+  }
+
+  /**
+   * Wait until the bucket holds enough tokens (at most a full bucket), then remove them.
+   *
+   * @param {number} units - Capacity units.
+   * @return {Promise<void>}
+   * @private
+   */
+  async #wait(units) {
+    this.#refill();
+
+    const needed = Math.min(units, this.#rate);
+
+    if (this.#tokens < needed)
+      await setTimeout(((needed - this.#tokens) / this.#rate) * 1000);
+
+    this.debit(units);
+  }
+
+  /**
+   * Remove tokens without waiting, or add them back if units is negative.
+   *
+   * @param {number} units - Capacity units.
+   */
+  debit(units) {
+    this.#refill();
+    this.#tokens -= units;
+  }
+
+  /**
+   * Take tokens once all earlier takes have been served.
+   *
+   * @param {number} units - Capacity units.
+   * @return {Promise<void>}
+   */
+  take(units) {
+    this.#queue = this.#queue.then(() => this.#wait(units));
+
+    return this.#queue;
+  }
+}
+
+/**
+ * Client-side rate limiter that paces requests to each table within read &
+ * write capacity unit budgets per second, and caps the requests in flight
+ * per table. It is a middleware object: pass `rateLimit` options (or an
+ * instance) to the WrappedDynamoDbClient constructor, or register it with
+ * `use`. Every request to a limited table is paced, including each chunk &
+ * retry of bulk writes, each page of scans & queries, and purges. Batch,
+ * transaction & PartiQL requests spanning several tables are paced by each
+ * limited table they touch.
+ *
+ * The cost of a request is only known once DynamoDB reports its consumed
+ * capacity, which the limiter requests when the caller has not (removing it
+ * from the response again, so callers only see what they asked for). Each request
+ * first takes its estimated cost from the table's token bucket, waiting if
+ * the bucket is short: the capacity consumed by the table's previous request
+ * of the same operation, per item for batch & transaction requests (1 unit
+ * until one has been seen). The difference between the estimate & the
+ * reported capacity is settled when the response arrives, so a costly
+ * request (e.g. a 1 MB scan page) makes the requests after it wait. Buckets
+ * hold one second of capacity, so bursts never exceed the per-second
+ * budget.
+ *
+ * @example
+ * const client = new WrappedDynamoDbClient({
+ *   rateLimit: {
+ *     tables: { orders: { read: 200, write: 50, concurrency: 4 } },
+ *   },
+ * });
+ *
+ * // Writes to orders at no more than 50 WCU/s, 4 chunks at a time.
+ * await client.putItems('orders', items);
+ */
+export class RateLimiter {
+  #buckets = new Map();
+  #estimates = new Map();
+  #limits;
+  #reservations = new WeakMap();
+  #slots = new Map();
+  #tables;
+
+  /**
+   * RateLimiter constructor.
+   *
+   * @param {object} [options] - Options.
+   * @param {number} [options.read] - Read capacity units per second per table (default is unlimited).
+   * @param {number} [options.write] - Write capacity units per second per table (default is unlimited).
+   * @param {number} [options.concurrency] - Maximum number of requests in flight per table (default is unlimited, so bulk methods like putItems & purgeItems still send all their chunks at once, each waiting for its capacity).
+   * @param {object} [options.tables] - Limits per table name, overriding the limits above: `read`, `write` & `concurrency`. Tables without any limits are not limited.
+   */
+  constructor({ concurrency, read, tables = {}, write } = {}) {
+    const invalid = (parameter, value) => {
+      throw new ValidationError(`invalid rate limiter ${parameter}`, {
+        parameter,
+        value,
+      });
+    };
+
+    const validate = (limits, prefix = '') => {
+      for (const name of ['read', 'write'])
+        if (
+          !_.isNil(limits[name]) &&
+          (!_.isFinite(limits[name]) || limits[name] <= 0)
+        )
+          invalid(`${prefix}${name}`, limits[name]);
+
+      if (
+        !_.isNil(limits.concurrency) &&
+        (!_.isInteger(limits.concurrency) || limits.concurrency < 1)
+      )
+        invalid(`${prefix}concurrency`, limits.concurrency);
+    };
+
+    validate({ concurrency, read, write });
+
+    if (!_.isPlainObject(tables)) invalid('tables', tables);
+
+    for (const [tableName, limits] of Object.entries(tables)) {
+      if (!_.isPlainObject(limits)) invalid(`tables.${tableName}`, limits);
+      validate(limits, `tables.${tableName}.`);
+    }
+
+    this.#limits = _.omitBy({ concurrency, read, write }, _.isNil);
+    this.#tables = _.mapValues(tables, (limits) => _.omitBy(limits, _.isNil));
+  }
+
+  /**
+   * Wait for a free request slot on a table.
+   *
+   * @param {string} tableName - Table name.
+   * @param {number} [concurrency] - Maximum number of requests in flight.
+   * @return {Promise<void>}
+   * @private
+   */
+  async #acquire(tableName, concurrency) {
+    if (!concurrency) return;
+
+    if (!this.#slots.has(tableName))
+      this.#slots.set(tableName, { inFlight: 0, waiting: [] });
+
+    const slots = this.#slots.get(tableName);
+
+    if (slots.inFlight < concurrency) slots.inFlight++;
+    else await new Promise((resolve) => slots.waiting.push(resolve));
+  }
+
+  /**
+   * Get (or create) the token bucket for a table & capacity type.
+   *
+   * @param {string} tableName - Table name.
+   * @param {string} type - read or write.
+   * @param {number} rate - Capacity units per second.
+   * @return {TokenBucket} Token bucket.
+   * @private
+   */
+  #bucket(tableName, type, rate) {
+    const id = JSON.stringify([tableName, type]);
+
+    if (!this.#buckets.has(id)) this.#buckets.set(id, new TokenBucket(rate));
+
+    return this.#buckets.get(id);
+  }
+
+  /**
+   * Free a request slot on a table, handing it to the next waiting request.
+   *
+   * @param {string} tableName - Table name.
+   * @private
+   */
+  #release(tableName) {
+    const slots = this.#slots.get(tableName);
+
+    if (!slots) return;
+
+    if (slots.waiting.length) slots.waiting.shift()();
+    else slots.inFlight--;
+  }
+
+  /**
+   * Settle a request's reservations: free its slots, and charge the difference between its estimated & reported capacity per table.
+   *
+   * @param {object} context - Operation context.
+   * @return {object|undefined} Settled reservation: `requested` (whether the caller requested consumed capacity) & per-table `tables`, or undefined if the request was not limited.
+   * @private
+   */
+  #settle(context) {
+    const reservation = this.#reservations.get(context);
+
+    if (!reservation) return;
+
+    this.#reservations.delete(context);
+
+    for (const {
+      bucket,
+      estimate,
+      estimateId,
+      size,
+      tableName,
+    } of reservation.tables) {
+      this.#release(tableName);
+
+      const consumed = consumedCapacity(context.output, tableName);
+
+      if (!bucket || consumed === undefined) continue;
+
+      this.#estimates.set(estimateId, consumed / size);
+      bucket.debit(consumed - estimate);
+    }
+
+    return reservation;
+  }
+
+  /**
+   * Middleware hook: for each limited table the request touches, wait for a request slot & the request's estimated capacity, and request consumed capacity if the caller has not.
+   *
+   * @param {object} context - Operation context.
+   * @return {Promise<void>}
+   */
+  async before(context) {
+    const { operation, tableName, input } = context;
+    const type = capacityType(operation, input);
+
+    if (!type) return;
+
+    const limited = _.sortBy(
+      Object.entries(requestTables(operation, tableName, input))
+        .map(([tableName, size]) => ({
+          tableName,
+          size,
+          limits: this.limits(tableName),
+        }))
+        .filter(({ limits }) => !_.isEmpty(limits)),
+      'tableName'
+    );
+
+    if (!limited.length) return;
+
+    const requested = !!input?.ReturnConsumedCapacity;
+
+    if (!requested)
+      context.input = { ...input, ReturnConsumedCapacity: 'TOTAL' };
+
+    const reservation = { requested, tables: [] };
+    this.#reservations.set(context, reservation);
+
+    // Tables are taken in name order, so requests spanning the same tables
+    // cannot hold each other's slots.
+    for (const { tableName, size, limits } of limited) {
+      await this.#acquire(tableName, limits.concurrency);
+
+      const table = { tableName };
+      reservation.tables.push(table);
+
+      if (!limits[type]) continue;
+
+      const estimateId = JSON.stringify([tableName, operation]);
+
+      Object.assign(table, {
+        bucket: this.#bucket(tableName, type, limits[type]),
+        estimate: size * (this.#estimates.get(estimateId) ?? 1),
+        estimateId,
+        size,
+      });
+
+      await table.bucket.take(table.estimate);
+    }
+  }
+
+  /**
+   * Middleware hook: settle a successful request, and remove the consumed capacity the limiter requested from its output.
+   *
+   * @param {object} context - Operation context.
+   */
+  after(context) {
+    const reservation = this.#settle(context);
+
+    if (reservation && !reservation.requested && context.output)
+      context.output = _.omit(context.output, 'ConsumedCapacity');
+  }
+
+  /**
+   * Middleware hook: settle a failed request. Its estimated capacity stays charged, since failed writes (e.g. failed conditions) still consume capacity.
+   *
+   * @param {object} context - Operation context.
+   */
+  onError(context) {
+    this.#settle(context);
+  }
+
+  /**
+   * Limits for a table.
+   *
+   * @param {string} tableName - Table name.
+   * @return {object} Limits: `read`, `write` & `concurrency`, each undefined if unlimited.
+   */
+  limits(tableName) {
+    return { ...this.#limits, ...this.#tables[tableName] };
+  }
+}
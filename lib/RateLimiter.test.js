@@ -0,0 +1,207 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+import { performance } from 'perf_hooks';
+
+// lib imports
+import { ValidationError } from './errors.js';
+import { InMemoryDynamoDb } from './InMemoryDynamoDb.js';
+import { RateLimiter } from './RateLimiter.js';
+import { WrappedDynamoDbClient } from './WrappedDynamoDbClient.js';
+
+const logger = { debug: _.noop, error: _.noop, info: _.noop };
+const tableName = 'bulk';
+
+// Run a request through a rate limiter's hooks.
+const send = async (limiter, context, consumed) => {
+  await limiter.before(context);
+
+  context.output = _.isNil(consumed)
+    ? {}
+    : {
+        ConsumedCapacity: {
+          TableName: context.tableName,
+          CapacityUnits: consumed,
+        },
+      };
+  limiter.after(context);
+
+  return context;
+};
+
+describe('RateLimiter', function () {
+  it('should merge table limits', function () {
+    const limiter = new RateLimiter({
+      write: 10,
+      tables: { [tableName]: { read: 5, concurrency: 2 } },
+    });
+
+    expect(limiter.limits(tableName)).to.deep.equal({
+      read: 5,
+      write: 10,
+      concurrency: 2,
+    });
+    expect(limiter.limits('other')).to.deep.equal({ write: 10 });
+  });
+
+  it('should reject invalid limits', function () {
+    expect(() => new RateLimiter({ read: 0 })).to.throw(ValidationError);
+    expect(() => new RateLimiter({ concurrency: 1.5 })).to.throw(
+      ValidationError
+    );
+    expect(
+      () => new RateLimiter({ tables: { [tableName]: { write: -1 } } })
+    ).to.throw(ValidationError);
+  });
+
+  it('should request consumed capacity for limited tables only', async function () {
+    const limiter = new RateLimiter({ tables: { [tableName]: { write: 10 } } });
+
+    const limited = await send(limiter, {
+      operation: 'put',
+      tableName,
+      input: {},
+    });
+    const unlimited = await send(limiter, {
+      operation: 'put',
+      tableName: 'other',
+      input: {},
+    });
+    const table = await send(limiter, {
+      operation: 'describeTable',
+      tableName,
+      input: {},
+    });
+
+    expect(limited.input.ReturnConsumedCapacity).to.equal('TOTAL');
+    expect(unlimited.input).to.deep.equal({});
+    expect(table.input).to.deep.equal({});
+  });
+
+  it('should pace requests by consumed capacity', async function () {
+    const limiter = new RateLimiter({ write: 100 });
+    const start = performance.now();
+
+    // The first ten requests spend the full bucket, the next five wait for
+    // 10 units each.
+    for (let i = 0; i < 15; i++)
+      await send(limiter, { operation: 'put', tableName, input: {} }, 10);
+
+    expect(performance.now() - start).to.be.within(400, 1000);
+  });
+
+  it('should cap requests in flight', async function () {
+    const limiter = new RateLimiter({ concurrency: 2 });
+    const contexts = _.range(3).map(() => ({
+      operation: 'batchWrite',
+      tableName,
+      input: {},
+    }));
+
+    await limiter.before(contexts[0]);
+    await limiter.before(contexts[1]);
+
+    let started = false;
+    const third = limiter.before(contexts[2]).then(() => (started = true));
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(started).to.be.false;
+
+    contexts[0].error = new Error('failed');
+    limiter.onError(contexts[0]);
+    await third;
+
+    expect(started).to.be.true;
+  });
+
+  it('should remove consumed capacity the caller did not request', async function () {
+    const limiter = new RateLimiter({ write: 100 });
+
+    const added = await send(
+      limiter,
+      { operation: 'put', tableName, input: {} },
+      1
+    );
+    const requested = await send(
+      limiter,
+      {
+        operation: 'put',
+        tableName,
+        input: { ReturnConsumedCapacity: 'TOTAL' },
+      },
+      1
+    );
+
+    expect(added.output).to.deep.equal({});
+    expect(requested.output.ConsumedCapacity).to.deep.equal({
+      TableName: tableName,
+      CapacityUnits: 1,
+    });
+  });
+
+  it('should limit multi-table requests by each table', async function () {
+    const limiter = new RateLimiter({
+      tables: { [tableName]: { concurrency: 1 } },
+    });
+
+    // The client reports multi-table requests under a joined table name.
+    const batch = {
+      operation: 'batchWrite',
+      tableName: `other, ${tableName}`,
+      input: { RequestItems: { other: [{}], [tableName]: [{}, {}] } },
+    };
+    await limiter.before(batch);
+    expect(batch.input.ReturnConsumedCapacity).to.equal('TOTAL');
+
+    let started = false;
+    const transaction = limiter
+      .before({
+        operation: 'transactWrite',
+        tableName: `${tableName}, other`,
+        input: {
+          TransactItems: [
+            { Put: { TableName: tableName } },
+            { Delete: { TableName: 'other' } },
+          ],
+        },
+      })
+      .then(() => (started = true));
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(started).to.be.false;
+
+    batch.output = {};
+    limiter.after(batch);
+    await transaction;
+
+    expect(started).to.be.true;
+  });
+
+  it('should be created by the client', async function () {
+    const client = new WrappedDynamoDbClient({
+      backend: new InMemoryDynamoDb(),
+      logger,
+      rateLimit: { write: 1000, concurrency: 1 },
+    });
+
+    expect(client.rateLimiter).to.be.an.instanceof(RateLimiter);
+
+    await client.createTable(tableName, {
+      AttributeDefinitions: [{ AttributeName: 'pk', AttributeType: 'N' }],
+      BillingMode: 'PAY_PER_REQUEST',
+      KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }],
+    });
+
+    const { succeeded } = await client.putItems(
+      tableName,
+      _.range(100).map((pk) => ({ pk }))
+    );
+    expect(succeeded).to.equal(100);
+
+    expect(await client.purgeItems(tableName)).to.include({ succeeded: 100 });
+  });
+});
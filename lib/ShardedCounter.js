@@ -0,0 +1,121 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ValidationError } from './errors.js';
+
+/**
+ * Counter spread across several items, so a hot counter's writes are shared
+ * by several partitions instead of throttling one. Each increment adds to a
+ * shard chosen at random; reads sum the shards. Create one with
+ * `WrappedDynamoDbClient.shardedCounter`.
+ *
+ * Shard keys suffix one key attribute of the counter's key with `#<shard>`,
+ * e.g. `{ pk: 'views#page1' }` is stored in items `views#page1#0` to
+ * `views#page1#9`. The shard count can be raised later, but not lowered
+ * without losing the counts in the dropped shards.
+ *
+ * @example
+ * const views = client.shardedCounter({
+ *   tableName: 'counters',
+ *   key: { pk: 'views#page1' },
+ *   shards: 10,
+ * });
+ *
+ * await views.increment();
+ * const total = await views.read();
+ */
+export class ShardedCounter {
+  #attribute;
+  #client;
+  #keys;
+  #tableName;
+
+  /**
+   * ShardedCounter constructor.
+   *
+   * @param {object} client - WrappedDynamoDbClient instance.
+   * @param {object} definition - Counter definition.
+   * @param {string} definition.tableName - Table name.
+   * @param {object} definition.key - Counter key: a full item key, whose shard attribute is a string.
+   * @param {string} [definition.attribute] - Counter attribute name (default is count).
+   * @param {number} [definition.shards] - Number of shards (default is 10).
+   * @param {string} [definition.shardAttribute] - Key attribute to suffix with the shard number (default is the key's only attribute; required if the key has more than one).
+   */
+  constructor(
+    client,
+    {
+      attribute = 'count',
+      key,
+      shardAttribute = _.size(key) === 1 ? _.keys(key)[0] : undefined,
+      shards = 10,
+      tableName,
+    } = {}
+  ) {
+    const invalid = (parameter, value) => {
+      throw new ValidationError(`invalid sharded counter ${parameter}`, {
+        parameter,
+        value,
+      });
+    };
+
+    if (!_.isObject(client)) invalid('client', client);
+    if (!_.isString(tableName) || !tableName.length)
+      invalid('tableName', tableName);
+    if (!_.isPlainObject(key) || !_.size(key)) invalid('key', key);
+    if (!_.isString(attribute) || !attribute.length)
+      invalid('attribute', attribute);
+    if (!_.isInteger(shards) || shards < 1) invalid('shards', shards);
+    if (!_.isString(key[shardAttribute]))
+      invalid('shardAttribute', shardAttribute);
+
+    this.#attribute = attribute;
+    this.#client = client;
+    this.#keys = _.range(shards).map((shard) => ({
+      ...key,
+      [shardAttribute]: `${key[shardAttribute]}#${shard}`,
+    }));
+    this.#tableName = tableName;
+  }
+
+  /**
+   * Shard item keys, in shard order.
+   *
+   * @type {object[]}
+   */
+  get keys() {
+    return _.cloneDeep(this.#keys);
+  }
+
+  /**
+   * Atomically add to the counter, in a shard chosen at random.
+   *
+   * @param {number} [by] - Amount to add (default is 1). Negative amounts subtract.
+   * @return {Promise<number>} New value of the shard that was incremented.
+   */
+  async increment(by = 1) {
+    return this.#client.increment(
+      this.#tableName,
+      _.sample(this.#keys),
+      this.#attribute,
+      by
+    );
+  }
+
+  /**
+   * Read the counter: the sum of its shards. Shards that have never been
+   * incremented count as zero. Shards are read with eventually consistent
+   * reads, so recent increments may be missing.
+   *
+   * @return {Promise<number>} Counter value.
+   */
+  async read() {
+    const shards = await this.#client.getItems(
+      this.#tableName,
+      this.#keys,
+      this.#attribute
+    );
+
+    return _.sumBy(shards, (shard) => shard?.[this.#attribute] ?? 0);
+  }
+}
@@ -0,0 +1,86 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ValidationError } from './errors.js';
+import { InMemoryDynamoDb } from './InMemoryDynamoDb.js';
+import { ShardedCounter } from './ShardedCounter.js';
+import { WrappedDynamoDbClient } from './WrappedDynamoDbClient.js';
+
+const logger = { debug: _.noop, error: _.noop, info: _.noop };
+const tableName = 'counters';
+
+describe('ShardedCounter', function () {
+  let client;
+
+  beforeEach(async function () {
+    client = new WrappedDynamoDbClient({
+      backend: new InMemoryDynamoDb(),
+      logger,
+    });
+
+    await client.createTable(tableName, {
+      AttributeDefinitions: [
+        { AttributeName: 'pk', AttributeType: 'S' },
+        { AttributeName: 'sk', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST',
+      KeySchema: [
+        { AttributeName: 'pk', KeyType: 'HASH' },
+        { AttributeName: 'sk', KeyType: 'RANGE' },
+      ],
+    });
+  });
+
+  it('should be created by the client', function () {
+    const counter = client.shardedCounter({
+      tableName,
+      key: { pk: 'views', sk: 'page1' },
+      shards: 3,
+      shardAttribute: 'pk',
+    });
+
+    expect(counter).to.be.an.instanceof(ShardedCounter);
+    expect(counter.keys).to.deep.equal([
+      { pk: 'views#0', sk: 'page1' },
+      { pk: 'views#1', sk: 'page1' },
+      { pk: 'views#2', sk: 'page1' },
+    ]);
+  });
+
+  it('should spread increments across shards & sum them', async function () {
+    const counter = client.shardedCounter({
+      tableName,
+      key: { pk: 'views', sk: 'page1' },
+      attribute: 'views',
+      shards: 4,
+      shardAttribute: 'pk',
+    });
+
+    expect(await counter.read()).to.equal(0);
+
+    await Promise.all(_.range(40).map(() => counter.increment()));
+    await counter.increment(5);
+
+    expect(await counter.read()).to.equal(45);
+
+    const shards = await client.getItems(tableName, counter.keys);
+    expect(_.compact(shards).length).to.be.greaterThan(1);
+  });
+
+  it('should reject invalid definitions', function () {
+    // Which attribute to shard is ambiguous for a composite key.
+    expect(() =>
+      client.shardedCounter({ tableName, key: { pk: 'views', sk: 'page1' } })
+    ).to.throw(ValidationError);
+
+    expect(() =>
+      client.shardedCounter({ tableName, key: { pk: 'views' }, shards: 0 })
+    ).to.throw(ValidationError);
+  });
+});
@@ -0,0 +1,334 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { TransactionCanceledError, ValidationError } from './errors.js';
+import {
+  buildUpdateExpression,
+  ExpressionAttributes,
+  mergeConditions,
+} from './expressions.js';
+import { keyId } from './keys.js';
+import { versionDelete, versionPut, versionUpdate } from './versioning.js';
+
+const maxOperations = 100;
+
+const conditionParams = [
+  'ConditionExpression',
+  'ExpressionAttributeNames',
+  'ExpressionAttributeValues',
+  'ReturnValuesOnConditionCheckFailure',
+];
+
+/**
+ * Fluent builder for a DynamoDB transaction mixing Put, Update, Delete &
+ * ConditionCheck operations across tables. Create one with
+ * `WrappedDynamoDbClient.transaction`.
+ *
+ * @example
+ * await client
+ *   .transaction()
+ *   .put('orders', order)
+ *   .update('users', { userId }, { orderCount: increment() })
+ *   .conditionCheck('accounts', { accountId }, 'attribute_exists(accountId)')
+ *   .execute();
+ */
+export class TransactionBuilder {
+  #clientRequestToken;
+  #execute;
+  #getKeyAttributes;
+  #logger;
+  #operations = [];
+  #versionAttribute;
+
+  /**
+   * TransactionBuilder constructor.
+   *
+   * @param {object} options - Options.
+   * @param {Function} options.execute - Sends TransactWriteCommandInput params & returns the response, throwing WrappedDynamoDbError instances.
+   * @param {Function} options.getKeyAttributes - Resolves the key attribute names of a table.
+   * @param {object} options.logger - Logger instance.
+   * @param {string} [options.versionAttribute] - Default version attribute name for optimistic locking.
+   * @private
+   */
+  constructor({ execute, getKeyAttributes, logger, versionAttribute }) {
+    this.#execute = execute;
+    this.#getKeyAttributes = getKeyAttributes;
+    this.#logger = logger;
+    this.#versionAttribute = versionAttribute;
+  }
+
+  /**
+   * Number of operations in the transaction.
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.#operations.length;
+  }
+
+  /**
+   * Add an operation.
+   *
+   * @param {string} type - Operation type (Put, Update, Delete or ConditionCheck).
+   * @param {string} tableName - Table name.
+   * @param {object} params - Operation params, excluding TableName.
+   * @param {object} [key] - Item key (derived from Item for Put operations).
+   * @return {TransactionBuilder} This builder.
+   * @private
+   */
+  #add(type, tableName, params, key) {
+    if (!_.isString(tableName) || !tableName.length)
+      this.#invalid('tableName', tableName);
+
+    this.#operations.push({
+      type,
+      tableName,
+      key,
+      params: { ...params, TableName: tableName },
+    });
+
+    return this;
+  }
+
+  /**
+   * Log & throw a validation error.
+   *
+   * @param {string} name - Invalid parameter name.
+   * @param {*} value - Invalid parameter value.
+   * @private
+   */
+  #invalid(name, value) {
+    const message = `invalid ${name}`;
+    this.#logger.error(message, value);
+    throw new ValidationError(message, { parameter: name, value });
+  }
+
+  /**
+   * Add a ConditionCheck operation, which fails the transaction unless the condition holds for the keyed item.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key.
+   * @param {string} conditionExpression - ConditionExpression.
+   * @param {object} [options] - ExpressionAttributeNames, ExpressionAttributeValues & ReturnValuesOnConditionCheckFailure params.
+   * @return {TransactionBuilder} This builder.
+   */
+  conditionCheck(tableName, key, conditionExpression, options = {}) {
+    if (!_.isPlainObject(key)) this.#invalid('key', key);
+    if (!_.isString(conditionExpression) || !conditionExpression.length)
+      this.#invalid('conditionExpression', conditionExpression);
+
+    return this.#add(
+      'ConditionCheck',
+      tableName,
+      {
+        ..._.pick(options, conditionParams),
+        Key: key,
+        ConditionExpression: conditionExpression,
+      },
+      key
+    );
+  }
+
+  /**
+   * Add a Delete operation. With optimistic locking, a key carrying the version attribute only deletes the item if its stored version matches.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key (plus expected version if locking).
+   * @param {object} [options] - ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues & ReturnValuesOnConditionCheckFailure params.
+   * @param {string|null} [options.versionAttribute] - Version attribute name (default is the client versionAttribute). Pass null to disable locking.
+   * @return {TransactionBuilder} This builder.
+   */
+  delete(tableName, key, options = {}) {
+    if (!_.isPlainObject(key)) this.#invalid('key', key);
+
+    const { versionAttribute = this.#versionAttribute } = options;
+    const { Key, ...versionCondition } = versionDelete(key, versionAttribute);
+
+    return this.#add(
+      'Delete',
+      tableName,
+      {
+        ..._.pick(options, 'ReturnValuesOnConditionCheckFailure'),
+        ...mergeConditions(_.pick(options, conditionParams), versionCondition),
+        Key,
+      },
+      Key
+    );
+  }
+
+  /**
+   * Add a Put operation. With optimistic locking, the item is versioned as in `WrappedDynamoDbClient.putItem`.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} item - Item object.
+   * @param {object} [options] - ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues & ReturnValuesOnConditionCheckFailure params.
+   * @param {string|null} [options.versionAttribute] - Version attribute name (default is the client versionAttribute). Pass null to disable locking.
+   * @return {TransactionBuilder} This builder.
+   */
+  put(tableName, item, options = {}) {
+    if (!_.isPlainObject(item)) this.#invalid('item', item);
+
+    const { versionAttribute = this.#versionAttribute } = options;
+    const { Item, ...versionCondition } = versionPut(item, versionAttribute);
+
+    return this.#add('Put', tableName, {
+      ..._.pick(options, 'ReturnValuesOnConditionCheckFailure'),
+      ...mergeConditions(_.pick(options, conditionParams), versionCondition),
+      Item,
+    });
+  }
+
+  /**
+   * Add an Update operation, generating the UpdateExpression from a patch object as in `WrappedDynamoDbClient.updateItem`. With optimistic locking, the item is versioned as in `WrappedDynamoDbClient.updateItem`.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key (plus expected version if locking).
+   * @param {object} patch - Patch object.
+   * @param {object} [options] - ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues & ReturnValuesOnConditionCheckFailure params.
+   * @param {string|null} [options.versionAttribute] - Version attribute name (default is the client versionAttribute). Pass null to disable locking.
+   * @return {TransactionBuilder} This builder.
+   */
+  update(tableName, key, patch, options = {}) {
+    if (!_.isPlainObject(key)) this.#invalid('key', key);
+    if (!_.isPlainObject(patch) || !_.size(patch))
+      this.#invalid('patch', patch);
+
+    const { versionAttribute = this.#versionAttribute } = options;
+    const {
+      Key,
+      patch: versionedPatch,
+      ...versionCondition
+    } = versionUpdate(key, patch, versionAttribute);
+
+    const attributes = new ExpressionAttributes('u');
+    const updateExpression = buildUpdateExpression(versionedPatch, attributes);
+    const condition = mergeConditions(
+      _.pick(options, conditionParams),
+      versionCondition
+    );
+
+    return this.#add(
+      'Update',
+      tableName,
+      {
+        ..._.pick(options, 'ReturnValuesOnConditionCheckFailure'),
+        ...condition,
+        ...attributes.toParams(condition),
+        Key,
+        UpdateExpression: updateExpression,
+      },
+      Key
+    );
+  }
+
+  /**
+   * Set the ClientRequestToken that makes the transaction idempotent: resending a transaction with the same token within 10 minutes does not apply it again.
+   *
+   * @param {string} clientRequestToken - Client request token (1-36 characters).
+   * @return {TransactionBuilder} This builder.
+   */
+  token(clientRequestToken) {
+    if (
+      !_.isString(clientRequestToken) ||
+      !clientRequestToken.length ||
+      clientRequestToken.length > 36
+    )
+      this.#invalid('clientRequestToken', clientRequestToken);
+
+    this.#clientRequestToken = clientRequestToken;
+
+    return this;
+  }
+
+  /**
+   * Validate the transaction & send it.
+   *
+   * @return {Promise<object>} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/Package/-aws-sdk-lib-dynamodb/Interface/TransactWriteCommandOutput/ TransactWriteCommandOutput} object.
+   * @throws {TransactionCanceledError} If the transaction is cancelled, with a per-operation breakdown of reasons.
+   */
+  async execute() {
+    const operations = this.#operations;
+
+    // Validate operation count.
+    if (!operations.length || operations.length > maxOperations)
+      this.#invalid(
+        `transaction size (must be 1-${maxOperations} operations)`,
+        operations.length
+      );
+
+    // Resolve keys & validate that no item is targeted twice.
+    const keyAttributes = _.fromPairs(
+      await Promise.all(
+        _.uniq(_.map(operations, 'tableName')).map(async (tableName) => [
+          tableName,
+          await this.#getKeyAttributes(tableName),
+        ])
+      )
+    );
+
+    for (const operation of operations)
+      operation.key = _.pick(
+        operation.key ?? operation.params.Item,
+        keyAttributes[operation.tableName]
+      );
+
+    const duplicates = _.filter(
+      _.groupBy(
+        operations,
+        ({ tableName, key }) =>
+          `${tableName}:${keyId(key, keyAttributes[tableName])}`
+      ),
+      (group) => group.length > 1
+    );
+
+    if (duplicates.length)
+      this.#invalid(
+        'transaction (multiple operations on the same item)',
+        duplicates.map(([{ tableName, key }]) => ({ tableName, key }))
+      );
+
+    // Send transaction.
+    try {
+      return await this.#execute({
+        TransactItems: operations.map(({ type, params }) => ({
+          [type]: params,
+        })),
+        ...(this.#clientRequestToken
+          ? { ClientRequestToken: this.#clientRequestToken }
+          : {}),
+      });
+    } catch (error) {
+      if (!(error instanceof TransactionCanceledError)) throw error;
+
+      const reasons = operations.map(({ type, tableName, key }, index) => ({
+        ...error.reasons[index],
+        index,
+        type,
+        tableName,
+        key,
+      }));
+
+      const failures = reasons.filter(({ code }) => code && code !== 'None');
+
+      this.#logger.error('Transaction cancelled.', failures);
+
+      throw new TransactionCanceledError(
+        `transaction cancelled: ${
+          failures
+            .map(
+              ({ index, type, tableName, code }) =>
+                `${type} #${index} on table ${tableName} (${code})`
+            )
+            .join(', ') || error.message
+        }`,
+        {
+          operation: error.operation,
+          tableName: error.tableName,
+          reasons,
+          cause: error.cause,
+        }
+      );
+    }
+  }
+}
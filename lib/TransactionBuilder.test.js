@@ -0,0 +1,197 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import {
+  TransactionCanceledError,
+  ValidationError,
+  wrapError,
+} from './errors.js';
+import { increment } from './expressions.js';
+import { TransactionBuilder } from './TransactionBuilder.js';
+
+const logger = { debug: _.noop, error: _.noop, info: _.noop };
+
+const createBuilder = ({ execute = async (params) => params, ...rest } = {}) =>
+  new TransactionBuilder({
+    execute,
+    getKeyAttributes: async (tableName) =>
+      tableName === 'users' ? ['userId'] : ['entityPK', 'entitySK'],
+    logger,
+    ...rest,
+  });
+
+describe('TransactionBuilder', function () {
+  it('should build mixed operations across tables', async function () {
+    const params = await createBuilder()
+      .put('entities', { entityPK: 'a', entitySK: 0, name: 'foo' })
+      .update('users', { userId: 'u' }, { count: increment() })
+      .delete('entities', { entityPK: 'a', entitySK: 1 })
+      .conditionCheck('users', { userId: 'v' }, 'attribute_exists(#userId)', {
+        ExpressionAttributeNames: { '#userId': 'userId' },
+      })
+      .token('token')
+      .execute();
+
+    expect(params).to.deep.equal({
+      TransactItems: [
+        {
+          Put: {
+            Item: { entityPK: 'a', entitySK: 0, name: 'foo' },
+            TableName: 'entities',
+          },
+        },
+        {
+          Update: {
+            ExpressionAttributeNames: { '#u0': 'count' },
+            ExpressionAttributeValues: { ':u0': 1 },
+            Key: { userId: 'u' },
+            UpdateExpression: 'ADD #u0 :u0',
+            TableName: 'users',
+          },
+        },
+        {
+          Delete: {
+            Key: { entityPK: 'a', entitySK: 1 },
+            TableName: 'entities',
+          },
+        },
+        {
+          ConditionCheck: {
+            ExpressionAttributeNames: { '#userId': 'userId' },
+            Key: { userId: 'v' },
+            ConditionExpression: 'attribute_exists(#userId)',
+            TableName: 'users',
+          },
+        },
+      ],
+      ClientRequestToken: 'token',
+    });
+  });
+
+  it('should merge version conditions with caller conditions', async function () {
+    const params = await createBuilder({ versionAttribute: 'version' })
+      .put(
+        'entities',
+        { entityPK: 'a', entitySK: 0, version: 2 },
+        {
+          ConditionExpression: '#name <> :name',
+          ExpressionAttributeNames: { '#name': 'name' },
+          ExpressionAttributeValues: { ':name': 'foo' },
+        }
+      )
+      .execute();
+
+    expect(params.TransactItems[0].Put).to.deep.equal({
+      Item: { entityPK: 'a', entitySK: 0, version: 3 },
+      ConditionExpression: '(#name <> :name) AND (#v0 = :v0)',
+      ExpressionAttributeNames: { '#name': 'name', '#v0': 'version' },
+      ExpressionAttributeValues: { ':name': 'foo', ':v0': 2 },
+      TableName: 'entities',
+    });
+  });
+
+  it('should check & bump versions on updates', async function () {
+    const params = await createBuilder({ versionAttribute: 'version' })
+      .update(
+        'entities',
+        { entityPK: 'a', entitySK: 0, version: 2 },
+        { name: 'bar' }
+      )
+      .execute();
+
+    expect(params.TransactItems[0].Update).to.deep.equal({
+      Key: { entityPK: 'a', entitySK: 0 },
+      UpdateExpression: 'SET #u0 = :u0 ADD #u1 :u1',
+      ConditionExpression: '#v0 = :v0',
+      ExpressionAttributeNames: {
+        '#u0': 'name',
+        '#u1': 'version',
+        '#v0': 'version',
+      },
+      ExpressionAttributeValues: { ':u0': 'bar', ':u1': 1, ':v0': 2 },
+      TableName: 'entities',
+    });
+  });
+
+  it('should reject empty & oversized transactions', async function () {
+    let error;
+    try {
+      await createBuilder().execute();
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.exist;
+
+    const builder = createBuilder();
+    _.range(101).forEach((entitySK) =>
+      builder.delete('entities', { entityPK: 'a', entitySK })
+    );
+
+    error = undefined;
+    try {
+      await builder.execute();
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.match(/transaction size/);
+  });
+
+  it('should reject duplicate item keys', async function () {
+    let error;
+    try {
+      await createBuilder()
+        .put('entities', { entityPK: 'a', entitySK: 0, name: 'foo' })
+        .delete('entities', { entitySK: 0, entityPK: 'a' })
+        .execute();
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.an.instanceof(ValidationError);
+    expect(error.message).to.match(/same item/);
+  });
+
+  it('should decode cancellation reasons', async function () {
+    const execute = async () => {
+      throw wrapError(
+        Object.assign(new Error('Transaction cancelled'), {
+          name: 'TransactionCanceledException',
+          CancellationReasons: [
+            { Code: 'None' },
+            { Code: 'ConditionalCheckFailed', Message: 'failed' },
+          ],
+        }),
+        { operation: 'transactWrite' }
+      );
+    };
+
+    let error;
+    try {
+      await createBuilder({ execute })
+        .put('entities', { entityPK: 'a', entitySK: 0 })
+        .conditionCheck('users', { userId: 'u' }, 'attribute_exists(userId)')
+        .execute();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an.instanceof(TransactionCanceledError);
+    expect(error.reasons).to.have.length(2);
+    expect(error.isRetryable).to.be.false;
+    expect(error.failures).to.deep.equal([
+      {
+        index: 1,
+        type: 'ConditionCheck',
+        tableName: 'users',
+        key: { userId: 'u' },
+        code: 'ConditionalCheckFailed',
+        message: 'failed',
+      },
+    ]);
+  });
+});
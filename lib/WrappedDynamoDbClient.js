@@ -3,46 +3,256 @@
  */
 
 // npm imports
+import { createReadStream } from 'node:fs';
+import { open, readFile, rm, writeFile } from 'node:fs/promises';
+import { createInterface } from 'node:readline';
+import { setTimeout } from 'node:timers/promises';
 import AWSXray from 'aws-xray-sdk';
-import {
-  DynamoDB,
-  waitUntilTableExists,
-  waitUntilTableNotExists,
-} from '@aws-sdk/client-dynamodb';
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocument } from '@aws-sdk/lib-dynamodb';
 import _ from 'lodash';
-import { setTimeout } from 'timers/promises';
+
+// lib imports
+import { mergeAsyncIterables } from './asyncIterables.js';
+import {
+  BatchWriteError,
+  isConditionFailure,
+  isRetryable,
+  SchemaConflictError,
+  TableNotFoundError,
+  ThrottlingError,
+  TimeoutError,
+  ValidationError,
+  VersionConflictError,
+  WrappedDynamoDbError,
+  wrapError,
+} from './errors.js';
+import { fromDynamoJson, narrowNumbers, toDynamoJson } from './dynamoJson.js';
+import { Entity } from './Entity.js';
+import {
+  buildUpdateExpression,
+  ExpressionAttributes,
+  increment,
+  mergeConditions,
+  parsePath,
+} from './expressions.js';
+import { ItemCache } from './ItemCache.js';
+import { keyId } from './keys.js';
+import {
+  createLogger,
+  logFormats,
+  redactionModes,
+  requestLogger,
+} from './logging.js';
+import { MetricsCollector } from './MetricsCollector.js';
+import { isMiddleware, runMiddleware } from './middleware.js';
+import { statementTableName } from './partiql.js';
+import { RateLimiter } from './RateLimiter.js';
+import {
+  defaultRetryPolicy,
+  isRetryPolicy,
+  processWithRetries,
+} from './retry.js';
+import { ShardedCounter } from './ShardedCounter.js';
+import { planTableChanges } from './tableSchema.js';
+import { TransactionBuilder } from './TransactionBuilder.js';
+import { versionDelete, versionPut, versionUpdate } from './versioning.js';
 
 const defaultConfig = { region: 'us-east-1' };
 
+// Waiter defaults, in seconds.
+const defaultWaiter = { maxWaitTime: 600, minDelay: 2, maxDelay: 30 };
+
+const streamViewTypes = [
+  'KEYS_ONLY',
+  'NEW_AND_OLD_IMAGES',
+  'NEW_IMAGE',
+  'OLD_IMAGE',
+];
+
+/**
+ * Pick the requested attributes from an item read whole, e.g. from the cache.
+ *
+ * @param {object} [item] - Item.
+ * @param {string|string[]} [attributes] - Comma-delimited list or string array of attributes.
+ * @return {object|undefined} Projected item, or the item itself if no attributes are specified.
+ * @private
+ */
+const projectItem = (item, attributes) => {
+  if (_.isString(attributes)) attributes = attributes.split(/,\s*/);
+  if (!item || !attributes?.length) return item;
+
+  return _.pickBy(item, (value, attribute) => attributes.includes(attribute));
+};
+
 /**
  * Wraps an AWS DynamoDB client to provide standard logging & services.
  */
 export class WrappedDynamoDbClient {
+  #cache;
   #client;
+  #coalesceGets;
   #doc;
+  #exactDoc;
+  #keyAttributes = new Map();
   #logger;
+  #metrics;
+  #middleware = [];
+  #pendingGets = new Map();
+  #rateLimiter;
+  #retryPolicy;
+  #versionAttribute;
+  #waiter;
 
   /**
    * WrappedDynamoDbClient constructor.
    *
    * @param {object} [options] - Options.
+   * @param {object} [options.backend] - Object exposing the document client & table operations to use instead of AWS, e.g. an `InMemoryDynamoDb` instance for offline tests. config, logInternals & X-Ray capture are ignored when set.
+   * @param {boolean|object|ItemCache} [options.cache] - Cache items read by getItem & getItems, invalidating them on writes: true, ItemCache constructor options, or an ItemCache instance (default is no cache). See {@link WrappedDynamoDbClient#cache cache}.
    * @param {object} [options.logger] - Logger instance (default is {@link https://nodejs.org/api/console.html#class-console global console object}). Must have info, error & debug methods
+   * @param {string} [options.logFormat] - `text` logs a message & positional payloads (items, keys, responses...) per call (the default). `structured` logs a single object per call instead, with the message as `message` & any payloads as `data`, and also logs a record of every request at debug level: `operation`, `tableName`, `attempt`, `duration` (milliseconds), `itemCount`, `requestId` & (on failure) `error` name.
    * @param {boolean} [options.logInternals] - Log AWS client internals (default is false).
+   * @param {boolean|object|MetricsCollector} [options.metrics] - Collect consumed capacity & latency metrics: true, MetricsCollector constructor options (the logger defaults to this client's logger), or a MetricsCollector instance (default is no metrics). See {@link WrappedDynamoDbClient#metrics metrics}.
+   * @param {object[]} [options.middleware] - Middleware run around every DynamoDB request. See {@link WrappedDynamoDbClient#use use}.
+   * @param {boolean} [options.coalesceGets] - Merge getItem calls made in the same event loop turn into batchGet requests, one per table, projection & read consistency (up to 100 keys each), so concurrent callers such as GraphQL resolvers share round trips (default is false). Calls for the same key share one result. Calls with options other than ConsistentRead are sent on their own.
    * @param {object} [options.config] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/dynamodbclientconfig.html DynamoDBClientConfig} object.
+   * @param {object|RateLimiter} [options.rateLimit] - Pace requests per table within read & write capacity units per second, and cap the requests in flight per table: RateLimiter constructor options (`read`, `write`, `concurrency`, and `tables` for per-table limits), or a RateLimiter instance (default is no limits). See {@link WrappedDynamoDbClient#rateLimiter rateLimiter}.
+   * @param {object} [options.redact] - Keep sensitive attributes out of logs: `paths` lists attribute paths (e.g. `email`, `profile.phone`) whose values are replaced wherever they appear in logged items, keys, patches, responses & errors; `mode` is `mask` (replace with `[REDACTED]`, the default) or `hash` (replace with a truncated SHA-256 hash, so values can still be correlated), and `salt` is prepended to values before hashing. Values in ExpressionAttributeValues cannot be traced to attribute paths, so with any paths configured they are all replaced; PartiQL parameters, which cannot either, are not logged at all. AWS client internals (see logInternals) are logged as-is, so they are not redacted.
+   * @param {object} [options.retryPolicy] - Default retry policy for batch operations: `maxAttempts` per chunk including the first (default is 8), `baseDelay` & `maxDelay` in milliseconds (defaults are 50 & 5000). Each backoff delay is drawn at random between zero and the capped exponential delay (full jitter).
+   * @param {string} [options.versionAttribute] - Version attribute name. When set, putItem, deleteItem, updateItem (and so increment & entity updates), transactPutItems, transactDeleteItems & transaction builders use optimistic locking on this attribute by default (default is no locking).
+   * @param {object} [options.waiter] - Default waiter options for table changes: `maxWaitTime` (default is 600), plus `minDelay` & `maxDelay` between status checks (defaults are 2 & 30), all in seconds, and an `abortSignal` to stop waiting. The delay doubles after each check, from minDelay up to maxDelay. Table methods that wait accept the same options per call.
    */
   constructor({
+    backend,
+    cache,
+    coalesceGets = false,
     config = defaultConfig,
     logger = console,
+    logFormat = 'text',
     logInternals = false,
+    metrics,
+    middleware = [],
+    rateLimit,
+    redact = {},
+    retryPolicy = {},
+    versionAttribute,
+    waiter = {},
   } = {}) {
     // Validate options.
     if (!logger.info || !logger.error || !logger.debug)
-      throw new Error('logger must have info, error & debug methods');
+      throw new ValidationError(
+        'logger must have info, error & debug methods',
+        {
+          parameter: 'logger',
+        }
+      );
 
-    // Set state.
+    // Log validation failures through the unwrapped logger.
     this.#logger = logger;
 
+    this.#validateParam('logFormat', logFormat, (input) =>
+      logFormats.includes(input)
+    );
+    this.#validateParam(
+      'redact',
+      redact,
+      (input) =>
+        _.isPlainObject(input) &&
+        (_.isNil(input.paths) ||
+          (_.isArray(input.paths) &&
+            input.paths.every(
+              (path) =>
+                _.isString(path) && !_.isError(_.attempt(parsePath, path))
+            ))) &&
+        (_.isNil(input.mode) || redactionModes.includes(input.mode)) &&
+        (_.isNil(input.salt) || _.isString(input.salt))
+    );
+    this.#validateParam(
+      'backend',
+      backend,
+      (input) => _.isNil(input) || _.isObject(input)
+    );
+    this.#validateParam(
+      'cache',
+      cache,
+      (input) =>
+        _.isNil(input) ||
+        _.isBoolean(input) ||
+        _.isPlainObject(input) ||
+        input instanceof ItemCache
+    );
+    this.#validateParam('coalesceGets', coalesceGets, _.isBoolean);
+    this.#validateParam(
+      'middleware',
+      middleware,
+      (input) => _.isArray(input) && input.every(isMiddleware)
+    );
+    this.#validateParam(
+      'metrics',
+      metrics,
+      (input) =>
+        _.isNil(input) ||
+        _.isBoolean(input) ||
+        _.isPlainObject(input) ||
+        input instanceof MetricsCollector
+    );
+    this.#validateParam(
+      'rateLimit',
+      rateLimit,
+      (input) =>
+        _.isNil(input) || _.isPlainObject(input) || input instanceof RateLimiter
+    );
+    this.#validateRetryPolicy(retryPolicy);
+    this.#validateVersionAttribute(versionAttribute);
+    this.#validateWaiterOptions(waiter);
+
+    // Set state.
+    this.#logger = createLogger(logger, { format: logFormat, redact });
+    this.#middleware = [...middleware];
+
+    if (metrics) {
+      this.#metrics =
+        metrics instanceof MetricsCollector
+          ? metrics
+          : new MetricsCollector({
+              logger: this.#logger,
+              ...(_.isPlainObject(metrics) ? metrics : {}),
+            });
+
+      this.#middleware.push(this.#metrics);
+    }
+
+    if (rateLimit) {
+      this.#rateLimiter =
+        rateLimit instanceof RateLimiter
+          ? rateLimit
+          : new RateLimiter(rateLimit);
+
+      this.#middleware.push(this.#rateLimiter);
+    }
+
+    if (logFormat === 'structured')
+      this.#middleware.push(requestLogger(this.#logger));
+
+    if (cache)
+      this.#cache =
+        cache instanceof ItemCache
+          ? cache
+          : new ItemCache(_.isPlainObject(cache) ? cache : {});
+
+    this.#coalesceGets = coalesceGets;
+    this.#retryPolicy = { ...defaultRetryPolicy, ...retryPolicy };
+    this.#versionAttribute = versionAttribute;
+    this.#waiter = { ...defaultWaiter, ...waiter };
+
+    if (backend) {
+      this.#client = this.#doc = backend;
+      this.#exactDoc =
+        backend.documentClient?.({ wrapNumbers: true }) ?? backend;
+      return;
+    }
+
     const ddb = new DynamoDB({
       ..._.omit(config, 'logger'),
       ...(logInternals ? { logger } : {}),
@@ -55,428 +265,2921 @@ export class WrappedDynamoDbClient {
     this.#doc = DynamoDBDocument.from(this.#client, {
       marshallOptions: { removeUndefinedValues: true },
     });
+
+    // Reads numbers as NumberValues, so exports lose no precision.
+    this.#exactDoc = DynamoDBDocument.from(this.#client, {
+      marshallOptions: { removeUndefinedValues: true },
+      unmarshallOptions: { wrapNumbers: true },
+    });
   }
 
   /**
-   * Validate attribute list.
+   * Item cache, if caching was enabled in the constructor. Use its `stats` for hit & miss counts, and `clear()` to empty it.
    *
-   * @param {string} input - Attribute list.
-   * @return {boolean} True if valid.
-   * @private
+   * @type {ItemCache|undefined}
    */
-  #validateAttributeList(input) {
-    return this.#validateParam(
-      'attribute list',
-      input,
-      (input) =>
-        _.isNil(input) ||
-        ((_.isString(input) || _.isArray(input)) && input.length)
-    );
+  get cache() {
+    return this.#cache;
   }
 
   /**
-   * Validate a CreateTableCommandInput.
+   * Metrics collector, if metrics were enabled in the constructor. Use its `snapshot()`, `reset()`, `start()` & `stop()` methods to read & emit metrics.
    *
-   * @param {object} input - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/createtablecommandinput.html CreateTableCommandInput} object.
-   * @return {boolean} True if valid.
-   * @private
+   * @type {MetricsCollector|undefined}
    */
-  #validateCreateTableCommandInput(input) {
-    return this.#validateParam('CreateTableCommandInput', input, (input) =>
-      _.isPlainObject(input)
-    );
+  get metrics() {
+    return this.#metrics;
   }
 
   /**
-   * Validate an item.
+   * Rate limiter, if rate limits were set in the constructor.
    *
-   * @param {object} input - Item object.
-   * @return {boolean} True if valid.
+   * @type {RateLimiter|undefined}
+   */
+  get rateLimiter() {
+    return this.#rateLimiter;
+  }
+
+  /**
+   * Get items from a table in chunked batchGet operations, retrying unprocessed keys & retryable errors according to the retry policy.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object[]} keys - Item keys.
+   * @param {string|string[]} [attributes] - Comma-delimited list or string array of attributes to retrieve.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.ConsistentRead] - Use strongly consistent reads.
+   * @param {object} [options.retryPolicy] - Retry policy overrides.
+   * @return {Promise<Array>} Item objects in the order of keys, with undefined for keys not found.
    * @private
    */
-  #validateItem(input) {
-    return this.#validateParam('item', input, (input) =>
-      _.isPlainObject(input)
+  async #batchGet(tableName, keys, attributes, options = {}) {
+    // Key attributes must be projected so returned items can be matched to
+    // their keys, and are stripped afterwards if not requested.
+    const keyAttributes = _.uniq(keys.flatMap(_.keys));
+
+    if (_.isString(attributes)) attributes = attributes.split(/,\s*/);
+    const projection = this.#buildProjection(
+      attributes?.length ? _.union(attributes, keyAttributes) : undefined
+    );
+    const extraAttributes = attributes?.length
+      ? _.difference(keyAttributes, attributes)
+      : [];
+
+    // BatchGetItem rejects duplicate keys.
+    const uniqueKeys = _.uniqBy(keys, (key) => keyId(key, keyAttributes));
+    const chunks = _.chunk(uniqueKeys, 100);
+    const policy = { ...this.#retryPolicy, ...options.retryPolicy };
+
+    this.#logger.debug(
+      `Getting ${uniqueKeys.length} items from table ${tableName}...`,
+      keys
+    );
+
+    try {
+      var results = await Promise.all(
+        chunks.map(async (chunk) => {
+          const items = [];
+
+          const { unprocessed, attempts, error } = await processWithRetries(
+            chunk,
+            async (pending, attempt) => {
+              const response = await this.#send(
+                'batchGet',
+                tableName,
+                {
+                  RequestItems: {
+                    [tableName]: {
+                      Keys: pending,
+                      ..._.pick(options, 'ConsistentRead'),
+                      ...projection,
+                    },
+                  },
+                },
+                { attempt }
+              );
+
+              items.push(...(response?.Responses?.[tableName] ?? []));
+
+              return response?.UnprocessedKeys?.[tableName]?.Keys ?? [];
+            },
+            policy,
+            (pending, attempt, error) =>
+              this.#logger.debug(
+                `${pending.length} keys not processed on attempt ${attempt}...`,
+                error ?? pending
+              )
+          );
+
+          if (unprocessed.length)
+            throw (
+              error ??
+              new ThrottlingError(
+                `${unprocessed.length} keys unprocessed after ${attempts} attempts`,
+                { operation: 'batchGet', tableName }
+              )
+            );
+
+          return items;
+        })
+      );
+    } catch (error) {
+      this.#logger.error(`Failed to get items from table ${tableName}.`, error);
+      throw error;
+    }
+
+    const itemsById = new Map(
+      results
+        .flat()
+        .map((item) => [
+          keyId(item, keyAttributes),
+          extraAttributes.length ? _.omit(item, extraAttributes) : item,
+        ])
+    );
+
+    const items = keys.map((key) => itemsById.get(keyId(key, keyAttributes)));
+
+    this.#logger.debug(
+      `Got ${itemsById.size} items from table ${tableName}.`,
+      items
     );
+
+    return items;
   }
 
   /**
-   * Validate an item object array.
+   * Write requests to a table in chunked batchWrite operations, retrying unprocessed requests & retryable errors according to the retry policy.
    *
-   * @param {object[]} input - Item object array.
-   * @return {boolean} True if valid.
+   * @param {string} tableName - Table name.
+   * @param {object[]} requests - PutRequest and/or DeleteRequest objects.
+   * @param {object} [options] - Options.
+   * @param {object} [options.retryPolicy] - Retry policy overrides.
+   * @param {boolean} [options.throwOnFailure] - Throw a BatchWriteError if any request fails permanently (default is false).
+   * @return {Promise<object>} Summary: succeeded count, failed items or keys, and errors per chunk.
    * @private
    */
-  #validateItems(input) {
-    return this.#validateParam(
-      'item array',
-      input,
-      (input) =>
-        _.isArray(input) && _.every(input, (item) => _.isPlainObject(item))
+  async #batchWrite(tableName, requests, { retryPolicy, throwOnFailure } = {}) {
+    const policy = { ...this.#retryPolicy, ...retryPolicy };
+    const chunks = _.chunk(requests, 25);
+    const summary = { succeeded: 0, failed: [], errors: [] };
+
+    await Promise.all(
+      chunks.map(async (chunk, index) => {
+        const { unprocessed, attempts, error } = await processWithRetries(
+          chunk,
+          async (pending, attempt) => {
+            this.#logger.debug(
+              `Writing ${pending.length} items to table ${tableName}...`,
+              pending
+            );
+
+            const response = await this.#send(
+              'batchWrite',
+              tableName,
+              { RequestItems: { [tableName]: pending } },
+              { attempt }
+            );
+
+            return response?.UnprocessedItems?.[tableName] ?? [];
+          },
+          policy,
+          (pending, attempt, error) =>
+            this.#logger.debug(
+              `${pending.length} items not processed on attempt ${attempt}...`,
+              error ?? pending
+            )
+        );
+
+        summary.succeeded += chunk.length - unprocessed.length;
+
+        if (unprocessed.length) {
+          const items = unprocessed.map(
+            ({ PutRequest, DeleteRequest }) =>
+              PutRequest?.Item ?? DeleteRequest?.Key
+          );
+
+          summary.failed.push(...items);
+          summary.errors.push({
+            chunk: index,
+            items,
+            error:
+              error ??
+              new ThrottlingError(
+                `${items.length} items unprocessed after ${attempts} attempts`,
+                { operation: 'batchWrite', tableName }
+              ),
+          });
+        }
+      })
     );
+
+    if (summary.failed.length) {
+      this.#logger.error(
+        `Failed to write ${summary.failed.length} items to table ${tableName}.`,
+        summary.errors
+      );
+
+      if (throwOnFailure)
+        throw new BatchWriteError(
+          `failed to write ${summary.failed.length} of ${requests.length} items to table ${tableName}`,
+          { operation: 'batchWrite', tableName, summary }
+        );
+    }
+
+    return summary;
   }
 
   /**
-   * Validate function parameter.
+   * Build projection parameters from an attribute list.
    *
-   * @param {string} name - Parameter name.
-   * @param {*} value - Parameter value.
-   * @param {Function} validator - Validator function.
-   * @return {boolean} True if valid.
+   * @param {string|string[]} [attributes] - Comma-delimited list or string array of attributes.
+   * @return {object} ExpressionAttributeNames & ProjectionExpression params, or an empty object if no attributes are specified.
    * @private
    */
-  #validateParam(name, value, validator) {
-    if (!validator(value)) {
-      const message = `invalid ${name}`;
-      this.#logger.error(message, value);
-      throw new Error({ message, value });
-    } else return true;
+  #buildProjection(attributes) {
+    if (_.isString(attributes)) attributes = attributes.split(/,\s*/);
+    if (!attributes?.length) return {};
+
+    return {
+      ExpressionAttributeNames: attributes.reduce(
+        (expressionAttributeNames, attribute) => ({
+          ...expressionAttributeNames,
+          [`#${attribute}`]: attribute,
+        }),
+        {}
+      ),
+      ProjectionExpression: attributes
+        .map((attribute) => `#${attribute}`)
+        .join(','),
+    };
   }
 
   /**
-   * Validate a QueryCommandInput.
+   * Queue a get for the next batchGet of its table, projection & read consistency, which is sent once the current event loop turn has run.
    *
-   * @param {object} input - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/querycommandinput.html QueryCommandInput} object.
-   * @return {boolean} True if valid.
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key.
+   * @param {string|string[]} [attributes] - Comma-delimited list or string array of attributes to retrieve.
+   * @param {boolean} [consistentRead] - Use a strongly consistent read.
+   * @return {Promise<object|undefined>} Item, or undefined if not found.
    * @private
    */
-  #validateQueryCommandInput(input) {
-    return this.#validateParam('QueryCommandInput', input, (input) =>
-      _.isPlainObject(input)
-    );
+  #coalesceGet(tableName, key, attributes, consistentRead = false) {
+    if (_.isString(attributes)) attributes = attributes.split(/,\s*/);
+    attributes = attributes?.length ? _.sortBy(_.uniq(attributes)) : undefined;
+
+    const batchId = JSON.stringify([tableName, attributes, consistentRead]);
+
+    if (!this.#pendingGets.has(batchId)) {
+      const batch = { tableName, attributes, consistentRead, gets: new Map() };
+
+      this.#pendingGets.set(batchId, batch);
+
+      setImmediate(() => {
+        this.#pendingGets.delete(batchId);
+        this.#flushGets(batch);
+      });
+    }
+
+    const { gets } = this.#pendingGets.get(batchId);
+    const id = keyId(key);
+
+    if (!gets.has(id)) {
+      const get = { key };
+      get.promise = new Promise((resolve, reject) =>
+        Object.assign(get, { resolve, reject })
+      );
+      gets.set(id, get);
+    }
+
+    return gets.get(id).promise;
   }
 
   /**
-   * Validate a table name.
+   * Send a batch of coalesced gets in chunked batchGet operations & settle each get's promise. When a chunk fails with an error that is not retryable (e.g. one malformed key), its keys are sent one at a time so each get fails or succeeds on its own.
    *
-   * @param {string} input - Table name.
-   * @return {boolean} True if valid.
+   * @param {object} batch - Batch: `tableName`, `attributes`, `consistentRead` & `gets` by key id.
+   * @return {Promise<void>}
    * @private
    */
-  #validateTableName(input) {
-    return this.#validateParam(
-      'tableName',
-      input,
-      (input) => _.isString(input) && input.length
+  async #flushGets(batch) {
+    const { tableName, attributes, consistentRead, gets } = batch;
+    const options = consistentRead ? { ConsistentRead: true } : {};
+
+    await Promise.all(
+      _.chunk([...gets.values()], 100).map(async (chunk) => {
+        try {
+          const items = await this.#batchGet(
+            tableName,
+            _.map(chunk, 'key'),
+            attributes,
+            options
+          );
+
+          chunk.forEach(({ resolve }, index) => resolve(items[index]));
+        } catch (error) {
+          if (chunk.length === 1 || isRetryable(error)) {
+            for (const { reject } of chunk) reject(error);
+            return;
+          }
+
+          await Promise.all(
+            chunk.map(async ({ key, resolve, reject }) => {
+              try {
+                const response = await this.#send('get', tableName, {
+                  ...options,
+                  TableName: tableName,
+                  Key: key,
+                  ...this.#buildProjection(attributes),
+                });
+
+                resolve(response?.Item);
+              } catch (error) {
+                reject(error);
+              }
+            })
+          );
+        }
+      })
     );
   }
 
   /**
-   * Create a DynamoDB table.
+   * Get the key attribute names of a table from its key schema. Results are cached for the life of the client.
    *
    * @param {string} tableName - Table name.
-   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/createtablecommandinput.html CreateTableCommandInput} object.
-   * @return {Promise<object>} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/globals.html#waiterresult WaiterResult} object.
-   * @category table
+   * @return {Promise<string[]>} Key attribute names (partition key first).
+   * @private
    */
-  async createTable(tableName, options = {}) {
-    // Validate arguments.
-    this.#validateTableName(tableName);
-    this.#validateCreateTableCommandInput(options);
+  async #getKeyAttributes(tableName) {
+    if (!this.#keyAttributes.has(tableName))
+      this.#keyAttributes.set(
+        tableName,
+        this.describeTable(tableName).then(({ KeySchema }) =>
+          _.sortBy(KeySchema, ({ KeyType }) => KeyType !== 'HASH').map(
+            ({ AttributeName }) => AttributeName
+          )
+        )
+      );
 
-    // Send command.
-    this.#logger.debug(`Creating table ${tableName}...`, options);
     try {
-      var response = await this.#client.createTable({
-        ...options,
-        TableName: tableName,
-      });
-      if (!response.TableDescription?.TableStatus) throw new Error(response);
-      this.#logger.info(`Table ${tableName} creation requested.`);
-      this.#logger.debug(response);
+      return await this.#keyAttributes.get(tableName);
     } catch (error) {
-      this.#logger.error(`Table ${tableName} creation request failed.`, error);
-      throw new Error(error);
+      this.#keyAttributes.delete(tableName);
+      throw error;
     }
+  }
 
-    // Await table creation.
-    this.#logger.info(`Awaiting table ${tableName} creation...`);
-    try {
-      response = await waitUntilTableExists(
-        { client: this.#client, maxWaitTime: 60 },
-        { TableName: tableName }
-      );
-    } catch (error) {
-      this.#logger.error(`Table ${tableName} creation failed.`, error);
-      throw new Error(error);
+  /**
+   * Invalidate the cached items a request may have written. Items are invalidated whether or not the request succeeded, since a failed request may still have been applied. PartiQL writes invalidate their whole table, as do puts to a table whose key attributes the cache does not know (so none of its items are cached).
+   *
+   * @param {string} operation - Client method name.
+   * @param {object} input - Command input.
+   * @return {Promise<void>}
+   * @private
+   */
+  async #invalidateCache(operation, input) {
+    const writes = [];
+    const tableNames = new Set();
+
+    const invalidateStatements = (statements) => {
+      for (const { Statement } of statements ?? [])
+        if (!/^\s*SELECT\b/i.test(Statement))
+          tableNames.add(statementTableName(Statement));
+    };
+
+    switch (operation) {
+      case 'put':
+        writes.push({ tableName: input.TableName, item: input.Item });
+        break;
+      case 'delete':
+      case 'update':
+        writes.push({ tableName: input.TableName, key: input.Key });
+        break;
+      case 'batchWrite':
+        for (const [tableName, requests] of Object.entries(input.RequestItems))
+          for (const { PutRequest, DeleteRequest } of requests)
+            writes.push({
+              tableName,
+              item: PutRequest?.Item,
+              key: DeleteRequest?.Key,
+            });
+        break;
+      case 'transactWrite':
+        for (const { Put, Delete, Update } of input.TransactItems)
+          if (Put || Delete || Update)
+            writes.push({
+              tableName: (Put ?? Delete ?? Update).TableName,
+              item: Put?.Item,
+              key: (Delete ?? Update)?.Key,
+            });
+        break;
+      case 'executeStatement':
+        invalidateStatements([input]);
+        break;
+      case 'batchExecuteStatement':
+        invalidateStatements(input.Statements);
+        break;
+      case 'executeTransaction':
+        invalidateStatements(input.TransactStatements);
+        break;
+      case 'deleteTable':
+        tableNames.add(input.TableName);
+        break;
     }
-    this.#logger.info(`Table ${tableName} created.`);
-    this.#logger.debug(response);
 
-    return response;
+    const keys = {};
+
+    for (const { tableName, item, key } of writes) {
+      if (tableNames.has(tableName)) continue;
+
+      if (key) {
+        (keys[tableName] ??= []).push(key);
+        continue;
+      }
+
+      const itemKey = this.#cache.itemKey(tableName, item);
+
+      if (itemKey) (keys[tableName] ??= []).push(itemKey);
+      else tableNames.add(tableName);
+    }
+
+    for (const tableName of tableNames) {
+      this.#logger.debug(`Invalidating cached items of table ${tableName}...`);
+      this.#cache.invalidateTable(tableName);
+    }
+
+    await Promise.all(
+      Object.entries(keys)
+        .filter(([tableName]) => !tableNames.has(tableName))
+        .map(([tableName, keys]) => this.#cache.invalidate(tableName, keys))
+    );
   }
 
   /**
-   * Delete an item from a DynamoDB table.
+   * Send function for #paginate that scans a table through the document client that wraps numbers, so no number is rounded.
    *
    * @param {string} tableName - Table name.
-   * @param {object} key - Item object (only the key is required).
-   * @return {Promise<object>} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/globals.html#waiterresult WaiterResult} object.
-   * @category item
+   * @return {Function} Sends a ScanCommandInput (less TableName).
+   * @private
    */
-  async deleteItem(tableName, key) {
-    // Validate arguments.
-    this.#validateTableName(tableName);
-    this.#validateItem(key);
+  #exactScan(tableName) {
+    return (input) =>
+      this.#send(
+        'scan',
+        tableName,
+        { ...input, TableName: tableName },
+        { client: this.#exactDoc }
+      );
+  }
 
-    // Send command.
-    this.#logger.debug(`Deleting item from table ${tableName}...`, key);
-    try {
-      var response = await this.#doc.delete({
-        TableName: tableName,
-        Key: key,
+  /**
+   * Page through a query or scan operation.
+   *
+   * @param {Function} send - Sends a single page request & returns the response.
+   * @param {object} options - QueryCommandInput or ScanCommandInput object.
+   * @param {object} iteratorOptions - Iterator options.
+   * @param {number} [iteratorOptions.maxItems] - Maximum number of items to return.
+   * @param {number} [iteratorOptions.pageSize] - Maximum number of items to evaluate per request.
+   * @param {object} [iteratorOptions.startKey] - Key at which to start iterating.
+   * @yields {object} Response objects.
+   * @private
+   */
+  async *#paginate(send, options, { maxItems, pageSize, startKey } = {}) {
+    this.#validateIteratorOptions({ maxItems, pageSize, startKey });
+
+    let lastEvaluatedKey = startKey ?? options.ExclusiveStartKey;
+    let remaining = maxItems ?? Infinity;
+
+    while (remaining > 0) {
+      const limit = _.min([pageSize ?? options.Limit, remaining]);
+
+      const response = await send({
+        ..._.omit(options, ['ExclusiveStartKey', 'Limit']),
+        ...(lastEvaluatedKey ? { ExclusiveStartKey: lastEvaluatedKey } : {}),
+        ...(_.isFinite(limit) ? { Limit: limit } : {}),
       });
-      this.#logger.debug(`Deleted item from table ${tableName}.`, response);
-      return response;
-    } catch (error) {
-      this.#logger.error(
-        `Failed to delete item from table ${tableName}.`,
-        response
-      );
-      throw new Error(error);
-    }
+
+      const items = response.Items ?? [];
+
+      if (items.length > remaining) {
+        response.Items = items.slice(0, remaining);
+        response.Count = remaining;
+      }
+
+      remaining -= response.Items?.length ?? 0;
+      lastEvaluatedKey = response.LastEvaluatedKey;
+
+      yield response;
+
+      if (!lastEvaluatedKey) break;
+    }
+  }
+
+  /**
+   * Poll until a check reports that a table change has taken effect, logging progress & backing off exponentially between checks.
+   *
+   * @param {string} tableName - Table name.
+   * @param {string} operation - Waiter name, for errors (e.g. waitForTableActive).
+   * @param {Function} check - Async function returning `done`, a `status` to log & the `result` to return when done.
+   * @param {object} [waiter] - Waiter options, overriding the constructor waiter options.
+   * @return {Promise<*>} Result of the final check.
+   * @throws {TimeoutError} If the check is not done within maxWaitTime.
+   * @throws {WrappedDynamoDbError} If the waiter's abortSignal is aborted.
+   * @private
+   */
+  async #poll(tableName, operation, check, waiter = {}) {
+    const { abortSignal, maxDelay, maxWaitTime, minDelay } = {
+      ...this.#waiter,
+      ...waiter,
+    };
+    const deadline = Date.now() + maxWaitTime * 1000;
+
+    const aborted = () =>
+      new WrappedDynamoDbError(`${operation} on table ${tableName} aborted`, {
+        operation,
+        tableName,
+        cause: abortSignal.reason,
+      });
+
+    for (let attempt = 1; ; attempt++) {
+      if (abortSignal?.aborted) throw aborted();
+
+      const { done, status, result } = await check();
+
+      if (done) return result;
+
+      const remaining = deadline - Date.now();
+
+      if (remaining <= 0)
+        throw new TimeoutError(
+          `${operation} on table ${tableName} timed out after ${maxWaitTime} seconds (status: ${status})`,
+          { operation, tableName }
+        );
+
+      this.#logger.info(`Table ${tableName} status: ${status}...`);
+
+      const delay = Math.min(maxDelay, minDelay * 2 ** (attempt - 1)) * 1000;
+
+      try {
+        await setTimeout(Math.min(delay, remaining), undefined, {
+          signal: abortSignal,
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') throw aborted();
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Send a command through the middleware chain, wrapping any error in the matching WrappedDynamoDbError class.
+   *
+   * @param {string} operation - Client method name (e.g. put, batchWrite, createTable).
+   * @param {string} [tableName] - Table name, for error reporting & middleware.
+   * @param {object} input - Command input.
+   * @param {object} [options] - Options.
+   * @param {object} [options.client] - Client exposing the operation (default is the document client).
+   * @param {number} [options.attempt] - Attempt number, when the command is a retry (default is 1).
+   * @return {Promise<object>} Command output.
+   * @private
+   */
+  async #send(
+    operation,
+    tableName,
+    input,
+    { client = this.#doc, attempt = 1 } = {}
+  ) {
+    const context = { operation, tableName, input, attempt };
+
+    try {
+      return await runMiddleware(this.#middleware, context, async (input) => {
+        try {
+          return await client[operation](input);
+        } catch (error) {
+          throw wrapError(error, { operation, tableName });
+        }
+      });
+    } catch (error) {
+      throw wrapError(error, { operation, tableName });
+    } finally {
+      // An invalidation failure must not mask the command's result or error.
+      if (this.#cache)
+        try {
+          await this.#invalidateCache(operation, context.input);
+        } catch (error) {
+          this.#logger.error(
+            `Failed to invalidate cached items after ${operation}${
+              tableName ? ` on table ${tableName}` : ''
+            }.`,
+            error
+          );
+        }
+    }
+  }
+
+  /**
+   * Send a table-level command (e.g. describeTable or updateTimeToLive) through the middleware chain using the low-level client.
+   *
+   * @param {string} operation - Client method name.
+   * @param {string} tableName - Table name.
+   * @param {object} [input] - Command input, less TableName.
+   * @return {Promise<object>} Command output.
+   * @private
+   */
+  async #sendTable(operation, tableName, input = {}) {
+    return this.#send(
+      operation,
+      tableName,
+      { ...input, TableName: tableName },
+      { client: this.#client }
+    );
+  }
+
+  /**
+   * Enable or disable a table setting & wait until the change has taken effect. Settings already in the requested state are left alone.
+   *
+   * @param {string} tableName - Table name.
+   * @param {string} setting - Setting name, for logs & errors (e.g. time to live).
+   * @param {boolean} enabled - Enable (true) or disable (false) the setting.
+   * @param {object} steps - Steps.
+   * @param {Function} steps.read - Async function returning the current state of the setting.
+   * @param {Function} steps.status - Function returning the status of a state, for logs.
+   * @param {Function} steps.matches - Function returning true if a state has taken the change.
+   * @param {string} steps.operation - Client method applying the change.
+   * @param {Function} steps.input - Function returning the command input (less TableName) from the current state.
+   * @param {object} [waiter] - Waiter options.
+   * @return {Promise<object>} State after the change.
+   * @private
+   */
+  async #toggleTableSetting(tableName, setting, enabled, steps, waiter) {
+    const { read, status, matches, operation, input } = steps;
+    const verb = enabled ? 'enable' : 'disable';
+
+    let state = await read();
+
+    if (matches(state)) {
+      this.#logger.info(
+        `${_.upperFirst(setting)} already ${verb}d on table ${tableName}.`
+      );
+      return state;
+    }
+
+    this.#logger.info(
+      `${
+        enabled ? 'Enabling' : 'Disabling'
+      } ${setting} on table ${tableName}...`
+    );
+    try {
+      const response = await this.#sendTable(
+        operation,
+        tableName,
+        input(state)
+      );
+      this.#logger.debug(
+        `${_.upperFirst(operation)} response for table ${tableName}.`,
+        response
+      );
+
+      state = await this.#poll(
+        tableName,
+        `${verb}${_.upperFirst(_.camelCase(setting))}`,
+        async () => {
+          const state = await read();
+
+          return { done: matches(state), status: status(state), result: state };
+        },
+        waiter
+      );
+    } catch (error) {
+      this.#logger.error(
+        `Failed to ${verb} ${setting} on table ${tableName}.`,
+        error
+      );
+      throw error;
+    }
+    this.#logger.info(
+      `${_.upperFirst(setting)} ${verb}d on table ${tableName}.`
+    );
+    this.#logger.debug(`Table ${tableName} ${setting} state.`, state);
+
+    return state;
+  }
+
+  /**
+   * Enable or disable point-in-time recovery.
+   *
+   * @param {string} tableName - Table name.
+   * @param {boolean} enabled - Enable (true) or disable (false).
+   * @param {object} [waiter] - Waiter options.
+   * @return {Promise<object>} ContinuousBackupsDescription.
+   * @private
+   */
+  async #togglePointInTimeRecovery(tableName, enabled, waiter) {
+    const status = (state) =>
+      state.PointInTimeRecoveryDescription?.PointInTimeRecoveryStatus;
+
+    return this.#toggleTableSetting(
+      tableName,
+      'point-in-time recovery',
+      enabled,
+      {
+        read: async () =>
+          (await this.#sendTable('describeContinuousBackups', tableName))
+            .ContinuousBackupsDescription,
+        status,
+        matches: (state) =>
+          status(state) === (enabled ? 'ENABLED' : 'DISABLED'),
+        operation: 'updateContinuousBackups',
+        input: () => ({
+          PointInTimeRecoverySpecification: {
+            PointInTimeRecoveryEnabled: enabled,
+          },
+        }),
+      },
+      waiter
+    );
+  }
+
+  /**
+   * Enable or disable a table stream.
+   *
+   * @param {string} tableName - Table name.
+   * @param {boolean} enabled - Enable (true) or disable (false).
+   * @param {string} [viewType] - StreamViewType, when enabling.
+   * @param {object} [waiter] - Waiter options.
+   * @return {Promise<object>} Stream description.
+   * @private
+   */
+  async #toggleStream(tableName, enabled, viewType, waiter) {
+    const state = await this.#toggleTableSetting(
+      tableName,
+      'stream',
+      enabled,
+      {
+        read: async () =>
+          (
+            await this.#sendTable('describeTable', tableName)
+          ).Table,
+        status: ({ TableStatus, StreamSpecification }) =>
+          `${TableStatus}, stream ${
+            StreamSpecification?.StreamEnabled
+              ? StreamSpecification.StreamViewType
+              : 'disabled'
+          }`,
+        matches: ({ TableStatus, StreamSpecification }) =>
+          TableStatus === 'ACTIVE' &&
+          (enabled
+            ? StreamSpecification?.StreamEnabled &&
+              StreamSpecification.StreamViewType === viewType
+            : !StreamSpecification?.StreamEnabled),
+        operation: 'updateTable',
+        input: () => ({
+          StreamSpecification: enabled
+            ? { StreamEnabled: true, StreamViewType: viewType }
+            : { StreamEnabled: false },
+        }),
+      },
+      waiter
+    );
+
+    return {
+      StreamSpecification: state.StreamSpecification ?? {
+        StreamEnabled: false,
+      },
+      ..._.pick(state, ['LatestStreamArn', 'LatestStreamLabel']),
+    };
+  }
+
+  /**
+   * Enable or disable time to live.
+   *
+   * @param {string} tableName - Table name.
+   * @param {boolean} enabled - Enable (true) or disable (false).
+   * @param {string} [attributeName] - Expiry attribute name, when enabling.
+   * @param {object} [waiter] - Waiter options.
+   * @return {Promise<object>} TimeToLiveDescription.
+   * @private
+   */
+  async #toggleTimeToLive(tableName, enabled, attributeName, waiter) {
+    return this.#toggleTableSetting(
+      tableName,
+      'time to live',
+      enabled,
+      {
+        read: async () =>
+          (await this.#sendTable('describeTimeToLive', tableName))
+            .TimeToLiveDescription,
+        status: ({ TimeToLiveStatus }) => TimeToLiveStatus,
+        matches: ({ AttributeName, TimeToLiveStatus }) =>
+          enabled
+            ? TimeToLiveStatus === 'ENABLED' && AttributeName === attributeName
+            : TimeToLiveStatus === 'DISABLED',
+        operation: 'updateTimeToLive',
+        input: ({ AttributeName }) => ({
+          TimeToLiveSpecification: {
+            AttributeName: enabled ? attributeName : AttributeName,
+            Enabled: enabled,
+          },
+        }),
+      },
+      waiter
+    );
+  }
+
+  /**
+   * Send a single-table transactWrite, translating condition failures into a VersionConflictError when locking.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object[]} items - Items or keys, in the same order as transactItems.
+   * @param {string} [versionAttribute] - Version attribute name.
+   * @param {object[]} transactItems - TransactItems param.
+   * @return {Promise<object>} TransactWriteCommandOutput object.
+   * @private
+   */
+  async #transactWriteVersioned(
+    tableName,
+    items,
+    versionAttribute,
+    transactItems
+  ) {
+    try {
+      return await this.#send('transactWrite', tableName, {
+        TransactItems: transactItems,
+      });
+    } catch (error) {
+      if (!versionAttribute || !isConditionFailure(error)) throw error;
+
+      const conflicts = error.reasons?.length
+        ? items.filter(
+            (item, i) => error.reasons[i]?.code === 'ConditionalCheckFailed'
+          )
+        : items;
+
+      this.#logger.error(
+        `Version conflict in transaction on table ${tableName}.`,
+        conflicts
+      );
+
+      throw new VersionConflictError(
+        `version conflict in transaction on table ${tableName}`,
+        {
+          operation: 'transactWrite',
+          tableName,
+          versionAttribute,
+          items: conflicts,
+          cause: error,
+        }
+      );
+    }
+  }
+
+  /**
+   * Validate attribute list.
+   *
+   * @param {string} input - Attribute list.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateAttributeList(input) {
+    return this.#validateParam(
+      'attribute list',
+      input,
+      (input) =>
+        _.isNil(input) ||
+        ((_.isString(input) || _.isArray(input)) && input.length)
+    );
+  }
+
+  /**
+   * Validate copyTable options.
+   *
+   * @param {object} input - copyTable options.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateCopyOptions(input) {
+    return this.#validateParam(
+      'copy options',
+      input,
+      ({
+        concurrency,
+        dryRun,
+        filter,
+        pageSize,
+        retryPolicy,
+        sampleSize,
+        segments,
+        throwOnFailure,
+        transform,
+      }) =>
+        (_.isNil(concurrency) ||
+          (_.isInteger(concurrency) && concurrency > 0)) &&
+        (_.isNil(dryRun) || _.isBoolean(dryRun)) &&
+        (_.isNil(filter) || _.isPlainObject(filter)) &&
+        (_.isNil(pageSize) || (_.isInteger(pageSize) && pageSize > 0)) &&
+        (_.isNil(retryPolicy) || isRetryPolicy(retryPolicy)) &&
+        (_.isNil(sampleSize) || (_.isInteger(sampleSize) && sampleSize >= 0)) &&
+        (_.isNil(segments) || (_.isInteger(segments) && segments > 0)) &&
+        (_.isNil(throwOnFailure) || _.isBoolean(throwOnFailure)) &&
+        (_.isNil(transform) || _.isFunction(transform))
+    );
+  }
+
+  /**
+   * Validate a CreateTableCommandInput.
+   *
+   * @param {object} input - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/createtablecommandinput.html CreateTableCommandInput} object.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateCreateTableCommandInput(input) {
+    return this.#validateParam('CreateTableCommandInput', input, (input) =>
+      _.isPlainObject(input)
+    );
+  }
+
+  /**
+   * Validate an item.
+   *
+   * @param {object} input - Item object.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateItem(input) {
+    return this.#validateParam('item', input, (input) =>
+      _.isPlainObject(input)
+    );
+  }
+
+  /**
+   * Validate an item object array.
+   *
+   * @param {object[]} input - Item object array.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateItems(input) {
+    return this.#validateParam(
+      'item array',
+      input,
+      (input) =>
+        _.isArray(input) && _.every(input, (item) => _.isPlainObject(item))
+    );
+  }
+
+  /**
+   * Validate a file path.
+   *
+   * @param {string} input - File path.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateFilePath(input) {
+    return this.#validateParam(
+      'path',
+      input,
+      (input) => _.isString(input) && input.length
+    );
+  }
+
+  /**
+   * Validate iterator options.
+   *
+   * @param {object} input - Iterator options.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateIteratorOptions(input) {
+    return this.#validateParam(
+      'iterator options',
+      input,
+      ({ maxItems, pageSize, startKey }) =>
+        (_.isNil(maxItems) || (_.isInteger(maxItems) && maxItems >= 0)) &&
+        (_.isNil(pageSize) || (_.isInteger(pageSize) && pageSize > 0)) &&
+        (_.isNil(startKey) || _.isPlainObject(startKey))
+    );
+  }
+
+  /**
+   * Validate parallel scan options.
+   *
+   * @param {object} input - Parallel scan options.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateParallelScanOptions(input) {
+    return this.#validateParam(
+      'parallel scan options',
+      input,
+      ({ segments, concurrency }) =>
+        _.isInteger(segments) &&
+        segments > 0 &&
+        segments <= 1000000 &&
+        _.isInteger(concurrency) &&
+        concurrency > 0
+    );
+  }
+
+  /**
+   * Validate transaction items.
+   *
+   * @param {object[]} input - Transaction items.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateTransactionItems(input) {
+    return this.#validateParam(
+      'transaction items (must be 1-100 items)',
+      input,
+      (input) => input.length > 0 && input.length <= 100
+    );
+  }
+
+  /**
+   * Validate an update patch.
+   *
+   * @param {object} input - Patch object.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validatePatch(input) {
+    return this.#validateParam(
+      'patch',
+      input,
+      (input) => _.isPlainObject(input) && _.size(input)
+    );
+  }
+
+  /**
+   * Validate purgeItems options.
+   *
+   * @param {object} input - purgeItems options.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validatePurgeOptions(input) {
+    return this.#validateParam(
+      'purge options',
+      input,
+      (input) =>
+        _.isPlainObject(input) &&
+        (_.isNil(input.concurrency) ||
+          (_.isInteger(input.concurrency) && input.concurrency > 0)) &&
+        (_.isNil(input.dryRun) || _.isBoolean(input.dryRun)) &&
+        (_.isNil(input.filter) || _.isPlainObject(input.filter)) &&
+        (_.isNil(input.onProgress) || _.isFunction(input.onProgress)) &&
+        (_.isNil(input.pageSize) ||
+          (_.isInteger(input.pageSize) && input.pageSize > 0)) &&
+        (_.isNil(input.predicate) || _.isFunction(input.predicate)) &&
+        (_.isNil(input.retryPolicy) || isRetryPolicy(input.retryPolicy)) &&
+        (_.isNil(input.segments) ||
+          (_.isInteger(input.segments) && input.segments > 0)) &&
+        (_.isNil(input.throwOnFailure) || _.isBoolean(input.throwOnFailure))
+    );
+  }
+
+  /**
+   * Validate batch options.
+   *
+   * @param {object} input - Batch options.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateBatchOptions(input) {
+    return this.#validateParam(
+      'batch options',
+      input,
+      (input) =>
+        _.isPlainObject(input) &&
+        (_.isNil(input.retryPolicy) || isRetryPolicy(input.retryPolicy)) &&
+        (_.isNil(input.throwOnFailure) || _.isBoolean(input.throwOnFailure))
+    );
+  }
+
+  /**
+   * Validate function parameter.
+   *
+   * @param {string} name - Parameter name.
+   * @param {*} value - Parameter value.
+   * @param {Function} validator - Validator function.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateParam(name, value, validator) {
+    if (!validator(value)) {
+      const message = `invalid ${name}`;
+      this.#logger.error(message, value);
+      throw new ValidationError(message, { parameter: name, value });
+    } else return true;
+  }
+
+  /**
+   * Validate a QueryCommandInput.
+   *
+   * @param {object} input - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/querycommandinput.html QueryCommandInput} object.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateQueryCommandInput(input) {
+    return this.#validateParam('QueryCommandInput', input, (input) =>
+      _.isPlainObject(input)
+    );
+  }
+
+  /**
+   * Validate a PartiQL statement.
+   *
+   * @param {string} input - PartiQL statement.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateStatement(input) {
+    return this.#validateParam(
+      'statement',
+      input,
+      (input) => _.isString(input) && input.length
+    );
+  }
+
+  /**
+   * Validate PartiQL statement parameters.
+   *
+   * @param {Array} input - Parameter values.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateStatementParameters(input) {
+    return this.#validateParam('parameters', input, _.isArray);
+  }
+
+  /**
+   * Validate PartiQL statement objects, as passed to batchExecuteStatement & executeTransaction.
+   *
+   * @param {object[]} input - Statement objects.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateStatements(input) {
+    return this.#validateParam(
+      'statements',
+      input,
+      (input) =>
+        _.isArray(input) &&
+        input.length > 0 &&
+        input.every(
+          (statement) =>
+            _.isPlainObject(statement) &&
+            _.isString(statement.Statement) &&
+            statement.Statement.length &&
+            (_.isNil(statement.Parameters) || _.isArray(statement.Parameters))
+        )
+    );
+  }
+
+  /**
+   * Validate a retry policy.
+   *
+   * @param {object} input - Retry policy.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateRetryPolicy(input) {
+    return this.#validateParam('retryPolicy', input, isRetryPolicy);
+  }
+
+  /**
+   * Validate a table name.
+   *
+   * @param {string} input - Table name.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateTableName(input) {
+    return this.#validateParam(
+      'tableName',
+      input,
+      (input) => _.isString(input) && input.length
+    );
+  }
+
+  /**
+   * Validate an UpdateCommandInput.
+   *
+   * @param {object} input - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/Package/-aws-sdk-lib-dynamodb/Interface/UpdateCommandInput/ UpdateCommandInput} object.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateUpdateCommandInput(input) {
+    return this.#validateParam(
+      'UpdateCommandInput',
+      input,
+      (input) => _.isPlainObject(input) && !_.has(input, 'UpdateExpression')
+    );
+  }
+
+  /**
+   * Validate a version attribute name.
+   *
+   * @param {string} input - Version attribute name.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateVersionAttribute(input) {
+    return this.#validateParam(
+      'versionAttribute',
+      input,
+      (input) => _.isNil(input) || (_.isString(input) && input.length)
+    );
+  }
+
+  /**
+   * Validate waiter options.
+   *
+   * @param {object} input - Waiter options.
+   * @return {boolean} True if valid.
+   * @private
+   */
+  #validateWaiterOptions(input) {
+    const seconds = (value) =>
+      _.isNil(value) || (_.isFinite(value) && value >= 0);
+
+    return this.#validateParam(
+      'waiter',
+      input,
+      (input) =>
+        _.isPlainObject(input) &&
+        seconds(input.maxWaitTime) &&
+        seconds(input.minDelay) &&
+        seconds(input.maxDelay) &&
+        (_.isNil(input.abortSignal) || input.abortSignal instanceof AbortSignal)
+    );
+  }
+
+  /**
+   * Poll a table until it & all of its global secondary indexes are ACTIVE.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [waiter] - Waiter options.
+   * @return {Promise<object>} TableDescription.
+   * @private
+   */
+  async #waitForTableActive(tableName, waiter) {
+    return this.#poll(
+      tableName,
+      'waitForTableActive',
+      async () => {
+        const { Table } = await this.#sendTable('describeTable', tableName);
+
+        return {
+          done:
+            Table.TableStatus === 'ACTIVE' &&
+            _.every(Table.GlobalSecondaryIndexes, { IndexStatus: 'ACTIVE' }),
+          status: [
+            Table.TableStatus,
+            ..._.map(
+              Table.GlobalSecondaryIndexes,
+              ({ IndexName, IndexStatus }) => `${IndexName} ${IndexStatus}`
+            ),
+          ].join(', '),
+          result: Table,
+        };
+      },
+      waiter
+    );
+  }
+
+  /**
+   * Execute PartiQL statements in batches of up to 25, DynamoDB's limit. Each statement reads or writes a single item, addressed by its full primary key, and succeeds or fails on its own: failures are reported on the statement's response rather than thrown.
+   *
+   * @param {object[]} statements - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/batchstatementrequest.html BatchStatementRequest} objects: Statement, plus optional Parameters & ConsistentRead.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/batchexecutestatementcommandinput.html BatchExecuteStatementCommandInput} object, excluding Statements.
+   * @return {Promise<object>} Result: `Responses` in statement order, each with TableName & any read Item or statement Error, and any `ConsumedCapacity` per batch.
+   * @category item
+   */
+  async batchExecuteStatement(statements, options = {}) {
+    // Validate arguments.
+    this.#validateStatements(statements);
+    this.#validateQueryCommandInput(options);
+
+    const chunks = _.chunk(statements, 25);
+    const tableNames = _.uniq(
+      _.compact(
+        statements.map(({ Statement }) => statementTableName(Statement))
+      )
+    ).join(', ');
+
+    // Send commands.
+    this.#logger.debug(
+      `Executing ${statements.length} statements in ${chunks.length} batches on tables ${tableNames}...`
+    );
+
+    const Responses = [];
+    const ConsumedCapacity = [];
+
+    for (const chunk of chunks) {
+      const response = await this.#send('batchExecuteStatement', tableNames, {
+        ...options,
+        Statements: chunk,
+      });
+
+      Responses.push(...response.Responses);
+      ConsumedCapacity.push(...(response.ConsumedCapacity ?? []));
+    }
+
+    const failed = _.filter(Responses, 'Error').length;
+
+    if (failed)
+      this.#logger.error(
+        `Failed to execute ${failed} of ${statements.length} statements on tables ${tableNames}.`,
+        _.filter(Responses, 'Error')
+      );
+    else
+      this.#logger.debug(
+        `Executed ${statements.length} statements on tables ${tableNames}.`
+      );
+
+    return {
+      Responses,
+      ...(ConsumedCapacity.length ? { ConsumedCapacity } : {}),
+    };
+  }
+
+  /**
+   * Copy the items of one DynamoDB table into another, e.g. to migrate to a new key design. Source items are streamed from a scan, optionally transformed, and written to the target table using chunked batchWrite operations with retries.
+   *
+   * @param {string} sourceTableName - Source table name.
+   * @param {string} targetTableName - Target table name.
+   * @param {object} [options] - Options.
+   * @param {Function} [options.transform] - Sync or async function mapping a source item to the item to write, an array of items to write, or null/undefined to drop the item (default writes the source item unchanged). Decimals beyond float precision reach it as NumberValues, so they are copied losslessly.
+   * @param {object} [options.filter] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandinput.html ScanCommandInput} object selecting the source items, e.g. with a FilterExpression.
+   * @param {number} [options.concurrency] - Maximum number of pages written at once (default is 4).
+   * @param {number} [options.segments] - Number of parallel scan segments (default is 1, a sequential scan).
+   * @param {number} [options.pageSize] - Maximum number of items to evaluate per scan request (Limit).
+   * @param {boolean} [options.dryRun] - Scan & transform without writing, and return a sample of the output (default is false).
+   * @param {number} [options.sampleSize] - Maximum number of output items returned by a dry run (default is 10).
+   * @param {object} [options.retryPolicy] - Retry policy overrides (default is the constructor retryPolicy).
+   * @param {boolean} [options.throwOnFailure] - Throw a BatchWriteError if any item fails permanently (default is false).
+   * @return {Promise<object>} Summary: `scanned`, `dropped` & `output` item counts, the batch write `succeeded` count, `failed` items & `errors` per chunk, and (on a dry run) a `sample` of output items.
+   * @throws {BatchWriteError} If throwOnFailure is set and any item fails permanently.
+   * @category table
+   */
+  async copyTable(sourceTableName, targetTableName, options = {}) {
+    this.#validateTableName(sourceTableName);
+    this.#validateTableName(targetTableName);
+    this.#validateCopyOptions(options);
+
+    const {
+      concurrency = 4,
+      dryRun = false,
+      filter = {},
+      pageSize,
+      retryPolicy,
+      sampleSize = 10,
+      segments = 1,
+      throwOnFailure,
+      transform = _.identity,
+    } = options;
+
+    this.#logger.info(
+      `Copying table ${sourceTableName} to table ${targetTableName}${
+        dryRun ? ' (dry run)' : ''
+      }...`
+    );
+
+    const summary = {
+      scanned: 0,
+      dropped: 0,
+      output: 0,
+      succeeded: 0,
+      failed: [],
+      errors: [],
+      ...(dryRun ? { sample: [] } : {}),
+    };
+
+    const write = async (items, chunkOffset) => {
+      const { succeeded, failed, errors } = await this.#batchWrite(
+        targetTableName,
+        items.map((item) => ({ PutRequest: { Item: item } })),
+        { retryPolicy }
+      );
+
+      summary.succeeded += succeeded;
+      summary.failed.push(...failed);
+      summary.errors.push(
+        ...errors.map((error) => ({
+          ...error,
+          chunk: error.chunk + chunkOffset,
+        }))
+      );
+
+      this.#logger.debug(`  Copied ${summary.succeeded} items.`);
+    };
+
+    // Scan without rounding numbers, so decimals beyond float precision are
+    // copied intact.
+    const scanPages = (options) =>
+      this.#paginate(this.#exactScan(sourceTableName), options, { pageSize });
+
+    const pages =
+      segments > 1
+        ? mergeAsyncIterables(
+            _.range(segments).map(
+              (segment) => () =>
+                scanPages({
+                  ...filter,
+                  Segment: segment,
+                  TotalSegments: segments,
+                })
+            ),
+            segments
+          )
+        : scanPages(filter);
+
+    const pending = new Set();
+    let chunks = 0;
+
+    try {
+      for await (const { Items: items = [] } of pages) {
+        const results = await Promise.all(
+          items.map(async (item) => transform(narrowNumbers(item)))
+        );
+
+        const output = results.flatMap((result) =>
+          _.isNil(result) ? [] : _.castArray(result)
+        );
+
+        summary.scanned += items.length;
+        summary.dropped += results.filter(_.isNil).length;
+        summary.output += output.length;
+
+        if (dryRun) {
+          summary.sample.push(
+            ...output.slice(0, sampleSize - summary.sample.length)
+          );
+        } else if (output.length) {
+          const promise = write(output, chunks).finally(() =>
+            pending.delete(promise)
+          );
+
+          // Rejections are observed by the race & the final wait, or by the
+          // settling below if the scan or transform fails first.
+          promise.catch(_.noop);
+          pending.add(promise);
+          chunks += Math.ceil(output.length / 25);
+
+          if (pending.size >= concurrency) await Promise.race(pending);
+        }
+      }
+
+      await Promise.all(pending);
+    } catch (error) {
+      await Promise.allSettled(pending);
+
+      this.#logger.error(
+        `Failed to copy table ${sourceTableName} to table ${targetTableName}.`,
+        error
+      );
+      throw error;
+    }
+
+    this.#logger.info(
+      dryRun
+        ? `Dry run would copy ${summary.output} items from table ${sourceTableName} to table ${targetTableName}.`
+        : `Copied ${summary.succeeded} of ${summary.output} items from table ${sourceTableName} to table ${targetTableName}.`,
+      _.omit(summary, 'sample')
+    );
+
+    if (throwOnFailure && summary.failed.length)
+      throw new BatchWriteError(
+        `failed to copy ${summary.failed.length} items to table ${targetTableName}`,
+        { operation: 'batchWrite', tableName: targetTableName, summary }
+      );
+
+    return summary;
+  }
+
+  /**
+   * Create a DynamoDB table.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/createtablecommandinput.html CreateTableCommandInput} object.
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/globals.html#waiterresult WaiterResult} object: `state` & `reason`, the description of the ACTIVE table.
+   * @throws {TimeoutError} If the table & its global secondary indexes are not ACTIVE within maxWaitTime.
+   * @category table
+   */
+  async createTable(tableName, options = {}, waiter = {}) {
+    // Validate arguments.
+    this.#validateTableName(tableName);
+    this.#validateCreateTableCommandInput(options);
+    this.#validateWaiterOptions(waiter);
+
+    // Send command.
+    this.#logger.debug(`Creating table ${tableName}...`, options);
+    try {
+      var response = await this.#send(
+        'createTable',
+        tableName,
+        { ...options, TableName: tableName },
+        { client: this.#client }
+      );
+      if (!response.TableDescription?.TableStatus)
+        throw new WrappedDynamoDbError(
+          `unexpected createTable response for table ${tableName}`,
+          { operation: 'createTable', tableName }
+        );
+      this.#logger.info(`Table ${tableName} creation requested.`);
+      this.#logger.debug(`Table ${tableName} creation response.`, response);
+    } catch (error) {
+      this.#logger.error(`Table ${tableName} creation request failed.`, error);
+      throw error;
+    }
+
+    // Await table creation.
+    this.#logger.info(`Awaiting table ${tableName} creation...`);
+    try {
+      response = {
+        state: 'SUCCESS',
+        reason: await this.#waitForTableActive(tableName, waiter),
+      };
+    } catch (error) {
+      this.#logger.error(`Table ${tableName} creation failed.`, error);
+      throw error;
+    }
+    this.#logger.info(`Table ${tableName} created.`);
+    this.#logger.debug(`Table ${tableName} creation result.`, response);
+
+    return response;
+  }
+
+  /**
+   * Delete an item from a DynamoDB table.
+   *
+   * With optimistic locking, a key carrying the version attribute only deletes the item if its stored version matches.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item object (only the key is required, plus the expected version if locking).
+   * @param {object} [options] - Options.
+   * @param {string|null} [options.versionAttribute] - Version attribute name (default is the constructor versionAttribute). Pass null to disable locking.
+   * @return {Promise<object>} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/globals.html#waiterresult WaiterResult} object.
+   * @throws {VersionConflictError} If the stored version does not match.
+   * @category item
+   */
+  async deleteItem(
+    tableName,
+    key,
+    { versionAttribute = this.#versionAttribute } = {}
+  ) {
+    // Validate arguments.
+    this.#validateTableName(tableName);
+    this.#validateItem(key);
+    this.#validateVersionAttribute(versionAttribute);
+
+    // Send command.
+    this.#logger.debug(`Deleting item from table ${tableName}...`, key);
+    try {
+      var response = await this.#send('delete', tableName, {
+        TableName: tableName,
+        ...versionDelete(key, versionAttribute),
+      });
+      this.#logger.debug(`Deleted item from table ${tableName}.`, response);
+      return response;
+    } catch (error) {
+      if (versionAttribute && isConditionFailure(error)) {
+        this.#logger.error(
+          `Version conflict deleting item from table ${tableName}.`,
+          key
+        );
+        throw new VersionConflictError(
+          `version conflict deleting item from table ${tableName}`,
+          {
+            operation: 'delete',
+            tableName,
+            versionAttribute,
+            items: [key],
+            cause: error,
+          }
+        );
+      }
+
+      this.#logger.error(
+        `Failed to delete item from table ${tableName}.`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Delete multiple items from a DynamoDB table using chunked batchWrite operations. Unprocessed keys & retryable errors are retried according to the retry policy.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object[]} keys - Array of item objects (only the key is required).
+   * @param {object} [options] - Options.
+   * @param {object} [options.retryPolicy] - Retry policy overrides (default is the constructor retryPolicy).
+   * @param {boolean} [options.throwOnFailure] - Throw a BatchWriteError if any key fails permanently (default is false).
+   * @return {Promise<object>} Summary: `succeeded` count, `failed` keys, and `errors` per chunk (chunk index, keys & error).
+   * @throws {BatchWriteError} If throwOnFailure is set and any key fails permanently.
+   * @category item
+   */
+  async deleteItems(tableName, keys, options = {}) {
+    this.#validateTableName(tableName);
+    this.#validateItems(keys);
+    this.#validateBatchOptions(options);
+
+    this.#logger.debug(
+      `Deleting ${keys.length} items from table ${tableName}...`
+    );
+
+    const summary = await this.#batchWrite(
+      tableName,
+      keys.map((key) => ({ DeleteRequest: { Key: key } })),
+      options
+    );
+
+    this.#logger.debug(
+      `Deleted ${summary.succeeded} items from table ${tableName}.`,
+      summary
+    );
+
+    return summary;
+  }
+
+  /**
+   * Delete a DynamoDB table.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} - Deletion status
+   * @throws {TimeoutError} If the table still exists after maxWaitTime.
+   * @category table
+   */
+  async deleteTable(tableName, waiter = {}) {
+    this.#validateTableName(tableName);
+    this.#validateWaiterOptions(waiter);
+
+    // Send command.
+    this.#logger.info(`Deleting table ${tableName}...`);
+    try {
+      var response = await this.#send(
+        'deleteTable',
+        tableName,
+        { TableName: tableName },
+        { client: this.#client }
+      );
+      this.#logger.info(`Table ${tableName} deletion requested.`);
+      this.#logger.debug(`Table ${tableName} deletion response.`, response);
+    } catch (error) {
+      this.#logger.error(`Table ${tableName} deletion request failed.`, error);
+      throw error;
+    }
+
+    // Await table deletion.
+    this.#logger.info(`Awaiting table ${tableName} deletion...`);
+    try {
+      await this.#poll(
+        tableName,
+        'waitForTableDeleted',
+        async () => {
+          try {
+            const { Table } = await this.#sendTable('describeTable', tableName);
+            return { done: false, status: Table.TableStatus };
+          } catch (error) {
+            if (error instanceof TableNotFoundError) return { done: true };
+            throw error;
+          }
+        },
+        waiter
+      );
+      response = { state: 'SUCCESS' };
+    } catch (error) {
+      this.#logger.error(`Table ${tableName} deletion failed.`, error);
+      throw error;
+    }
+    this.#logger.info(`Table ${tableName} deleted.`);
+    this.#logger.debug(`Table ${tableName} deletion result.`, response);
+
+    return response;
+  }
+
+  /**
+   * Describe the continuous backups of a DynamoDB table, including its point-in-time recovery status.
+   *
+   * @param {string} tableName - Table name.
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/continuousbackupsdescription.html ContinuousBackupsDescription}
+   * @category table
+   */
+  async describeContinuousBackups(tableName) {
+    this.#validateTableName(tableName);
+
+    // Send command.
+    this.#logger.info(`Describing continuous backups of table ${tableName}...`);
+    try {
+      var response = await this.#sendTable(
+        'describeContinuousBackups',
+        tableName
+      );
+      this.#logger.info(
+        `Table ${tableName} continuous backups description requested.`
+      );
+      this.#logger.debug(
+        `Table ${tableName} continuous backups description.`,
+        response
+      );
+
+      return response.ContinuousBackupsDescription;
+    } catch (error) {
+      this.#logger.error(
+        `Table ${tableName} continuous backups description request failed.`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the stream of a DynamoDB table.
+   *
+   * @param {string} tableName - Table name.
+   * @return {Promise<object>} - `StreamSpecification` (`StreamEnabled` is false if the table has no stream), plus `LatestStreamArn` & `LatestStreamLabel` if a stream was ever enabled.
+   * @category table
+   */
+  async describeStream(tableName) {
+    const table = await this.describeTable(tableName);
+
+    return {
+      StreamSpecification: table.StreamSpecification ?? {
+        StreamEnabled: false,
+      },
+      ..._.pick(table, ['LatestStreamArn', 'LatestStreamLabel']),
+    };
+  }
+
+  /**
+   * Describe a DynamoDB table.
+   *
+   * @param {string} tableName - Table name.
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/tabledescription-5.html TableDescription}}
+   * @category table
+   */
+  async describeTable(tableName) {
+    this.#validateTableName(tableName);
+
+    // Send command.
+    this.#logger.info(`Describing table ${tableName}...`);
+    try {
+      var response = await this.#send(
+        'describeTable',
+        tableName,
+        { TableName: tableName },
+        { client: this.#client }
+      );
+      this.#logger.info(`Table ${tableName} description requested.`);
+      this.#logger.debug(`Table ${tableName} description.`, response);
+
+      return response.Table;
+    } catch (error) {
+      this.#logger.error(
+        `Table ${tableName} description request failed.`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the time to live settings of a DynamoDB table.
+   *
+   * @param {string} tableName - Table name.
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/timetolivedescription.html TimeToLiveDescription}
+   * @category table
+   */
+  async describeTimeToLive(tableName) {
+    this.#validateTableName(tableName);
+
+    // Send command.
+    this.#logger.info(`Describing time to live of table ${tableName}...`);
+    try {
+      var response = await this.#sendTable('describeTimeToLive', tableName);
+      this.#logger.info(
+        `Table ${tableName} time to live description requested.`
+      );
+      this.#logger.debug(
+        `Table ${tableName} time to live description.`,
+        response
+      );
+
+      return response.TimeToLiveDescription;
+    } catch (error) {
+      this.#logger.error(
+        `Table ${tableName} time to live description request failed.`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Disable point-in-time recovery on a DynamoDB table & wait until it is disabled.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/continuousbackupsdescription.html ContinuousBackupsDescription}
+   * @category table
+   */
+  async disablePointInTimeRecovery(tableName, waiter = {}) {
+    this.#validateTableName(tableName);
+    this.#validateWaiterOptions(waiter);
+
+    return this.#togglePointInTimeRecovery(tableName, false, waiter);
+  }
+
+  /**
+   * Disable the stream of a DynamoDB table & wait until the table is ACTIVE again.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} - Stream description. See {@link WrappedDynamoDbClient#describeStream describeStream}.
+   * @category table
+   */
+  async disableStream(tableName, waiter = {}) {
+    this.#validateTableName(tableName);
+    this.#validateWaiterOptions(waiter);
+
+    return this.#toggleStream(tableName, false, undefined, waiter);
+  }
+
+  /**
+   * Disable time to live on a DynamoDB table & wait until it is disabled.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/timetolivedescription.html TimeToLiveDescription}
+   * @category table
+   */
+  async disableTimeToLive(tableName, waiter = {}) {
+    this.#validateTableName(tableName);
+    this.#validateWaiterOptions(waiter);
+
+    return this.#toggleTimeToLive(tableName, false, undefined, waiter);
+  }
+
+  /**
+   * Enable point-in-time recovery on a DynamoDB table & wait until it is enabled.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/continuousbackupsdescription.html ContinuousBackupsDescription}
+   * @category table
+   */
+  async enablePointInTimeRecovery(tableName, waiter = {}) {
+    this.#validateTableName(tableName);
+    this.#validateWaiterOptions(waiter);
+
+    return this.#togglePointInTimeRecovery(tableName, true, waiter);
+  }
+
+  /**
+   * Enable the stream of a DynamoDB table & wait until the table is ACTIVE again. To change the view type of an enabled stream, disable it first.
+   *
+   * @param {string} tableName - Table name.
+   * @param {string} [viewType] - StreamViewType: KEYS_ONLY, NEW_IMAGE, OLD_IMAGE or NEW_AND_OLD_IMAGES (default).
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} - Stream description. See {@link WrappedDynamoDbClient#describeStream describeStream}.
+   * @category table
+   */
+  async enableStream(tableName, viewType = 'NEW_AND_OLD_IMAGES', waiter = {}) {
+    this.#validateTableName(tableName);
+    this.#validateWaiterOptions(waiter);
+    this.#validateParam('viewType', viewType, (input) =>
+      streamViewTypes.includes(input)
+    );
+
+    return this.#toggleStream(tableName, true, viewType, waiter);
+  }
+
+  /**
+   * Enable time to live on a DynamoDB table & wait until it is enabled. DynamoDB deletes items whose attribute holds an epoch time in seconds that has passed.
+   *
+   * @param {string} tableName - Table name.
+   * @param {string} attributeName - Expiry attribute name.
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/timetolivedescription.html TimeToLiveDescription}
+   * @category table
+   */
+  async enableTimeToLive(tableName, attributeName, waiter = {}) {
+    this.#validateTableName(tableName);
+    this.#validateWaiterOptions(waiter);
+    this.#validateParam(
+      'attributeName',
+      attributeName,
+      (input) => _.isString(input) && input.length
+    );
+
+    return this.#toggleTimeToLive(tableName, true, attributeName, waiter);
+  }
+
+  /**
+   * Create a DynamoDB table, or bring an existing table in line with its definition. Safe to run on every deployment.
+   *
+   * An existing table is compared with the definition & reconciled with UpdateTable & UpdateTimeToLive, one change at a time, waiting after each for the table & its global secondary indexes to become ACTIVE: billing mode & throughput, global secondary indexes (deleted, created, or recreated when their key schema or projection changed), stream & time to live. Settings the definition omits are left as they are, except that a definition with GlobalSecondaryIndexes owns every global index of the table.
+   *
+   * The table key schema & local secondary indexes cannot change after creation. If they differ, nothing is applied & a SchemaConflictError carrying the itemized plan is thrown.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} definition - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/createtablecommandinput.html CreateTableCommandInput} object, plus an optional `TimeToLiveSpecification` (`AttributeName` & `Enabled`).
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.planOnly] - Return the plan without applying it (default is false).
+   * @param {object} [options.waiter] - Waiter options for each change: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} Plan: `tableName`, whether the table `exists`, the `changes` to apply (each with an `action`, a `description` & the command `input`), the `conflicts` preventing them (each with a `property`, a `description`, and the `current` & `desired` settings) and whether the changes were `applied`.
+   * @throws {SchemaConflictError} If the table cannot be reconciled in place & planOnly is not set.
+   * @category table
+   */
+  async ensureTable(
+    tableName,
+    definition,
+    { planOnly = false, waiter = {} } = {}
+  ) {
+    // Validate arguments.
+    this.#validateTableName(tableName);
+    this.#validateCreateTableCommandInput(definition);
+    this.#validateParam('planOnly', planOnly, _.isBoolean);
+    this.#validateWaiterOptions(waiter);
+
+    // Plan changes.
+    this.#logger.info(`Planning table ${tableName}...`);
+
+    try {
+      var { Table: table } = await this.#sendTable('describeTable', tableName);
+    } catch (error) {
+      if (!(error instanceof TableNotFoundError)) throw error;
+    }
+
+    const plan = { tableName, exists: !!table };
+
+    if (table) {
+      const { TimeToLiveDescription } = await this.#sendTable(
+        'describeTimeToLive',
+        tableName
+      );
+
+      Object.assign(
+        plan,
+        planTableChanges(table, TimeToLiveDescription, definition)
+      );
+    } else {
+      const ttl = definition.TimeToLiveSpecification;
+
+      Object.assign(plan, {
+        changes: [
+          {
+            action: 'createTable',
+            description: 'create table',
+            input: _.omit(definition, 'TimeToLiveSpecification'),
+          },
+          ...(ttl?.Enabled
+            ? [
+                {
+                  action: 'updateTimeToLive',
+                  description: `enable time to live on ${ttl.AttributeName}`,
+                  input: { TimeToLiveSpecification: ttl },
+                },
+              ]
+            : []),
+        ],
+        conflicts: [],
+      });
+    }
+
+    plan.applied = false;
+    this.#logger.info(
+      `Table ${tableName} plan: ${plan.changes.length} changes, ${plan.conflicts.length} conflicts.`
+    );
+    this.#logger.debug(`Table ${tableName} plan.`, plan);
+
+    if (planOnly) return plan;
+
+    if (plan.conflicts.length) {
+      const error = new SchemaConflictError(
+        `table ${tableName} cannot be reconciled in place: ${_.map(
+          plan.conflicts,
+          'description'
+        ).join('; ')}`,
+        { operation: 'ensureTable', tableName, plan }
+      );
+
+      this.#logger.error(`Table ${tableName} has schema conflicts.`, error);
+      throw error;
+    }
+
+    // Apply changes.
+    for (const { action, description, input } of plan.changes) {
+      this.#logger.info(`Table ${tableName}: ${description}...`);
+
+      try {
+        if (action === 'createTable')
+          await this.createTable(tableName, input, waiter);
+        else if (action === 'updateTimeToLive') {
+          const { AttributeName, Enabled } = input.TimeToLiveSpecification;
+
+          if (Enabled)
+            await this.enableTimeToLive(tableName, AttributeName, waiter);
+          else await this.disableTimeToLive(tableName, waiter);
+        } else if (action === 'updateStream') {
+          const { StreamEnabled, StreamViewType } = input.StreamSpecification;
+
+          if (StreamEnabled)
+            await this.enableStream(tableName, StreamViewType, waiter);
+          else await this.disableStream(tableName, waiter);
+        } else {
+          const response = await this.#sendTable(
+            'updateTable',
+            tableName,
+            input
+          );
+          this.#logger.debug(
+            `UpdateTable response for table ${tableName}.`,
+            response
+          );
+
+          await this.#waitForTableActive(tableName, waiter);
+        }
+      } catch (error) {
+        this.#logger.error(`Table ${tableName}: ${description} failed.`, error);
+        throw error;
+      }
+    }
+
+    plan.applied = true;
+    this.#logger.info(`Table ${tableName} is up to date.`);
+
+    return plan;
+  }
+
+  /**
+   * Define an entity stored in a DynamoDB table, for single-table design. The returned {@link Entity} composes table & index keys from the entity's attributes & strips them from the items it reads, so application code works with plain domain objects.
+   *
+   * @param {object} definition - Entity definition. See {@link Entity}.
+   * @return {Entity} Entity model.
+   * @category item
+   */
+  entity(definition) {
+    return new Entity(this, definition);
+  }
+
+  /**
+   * Execute a PartiQL statement, following NextToken until every page of results has been read.
+   *
+   * @example
+   * const { Items } = await client.executeStatement(
+   *   'SELECT * FROM "users" WHERE "userId" = ?',
+   *   ['u1']
+   * );
+   *
+   * @param {string} statement - PartiQL statement, with `?` placeholders for parameters.
+   * @param {Array} [parameters] - Parameter values, in placeholder order.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/executestatementcommandinput.html ExecuteStatementCommandInput} object, excluding Statement & Parameters. Limit caps the items evaluated per request; NextToken resumes reading from an earlier response.
+   * @return {Promise<object>} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/executestatementcommandoutput.html ExecuteStatementCommandOutput} object of the last page, with the `Items` of every page.
+   * @category item
+   */
+  async executeStatement(statement, parameters = [], options = {}) {
+    // Validate arguments.
+    this.#validateStatement(statement);
+    this.#validateStatementParameters(parameters);
+    this.#validateQueryCommandInput(options);
+
+    const tableName = statementTableName(statement);
+    const Items = [];
+    let response;
+    let nextToken = options.NextToken;
+
+    // Send commands.
+    // Parameters are positional, so redaction cannot tell which attributes
+    // they hold: log the statement only.
+    this.#logger.debug(
+      `Executing statement on table ${tableName} with ${parameters.length} parameters...`,
+      statement
+    );
+
+    do {
+      response = await this.#send('executeStatement', tableName, {
+        ..._.omit(options, 'NextToken'),
+        Statement: statement,
+        ...(parameters.length ? { Parameters: parameters } : {}),
+        ...(nextToken ? { NextToken: nextToken } : {}),
+      });
+
+      Items.push(...(response.Items ?? []));
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    this.#logger.debug(
+      `Executed statement on table ${tableName}: ${Items.length} items.`
+    );
+
+    return { ...response, Items };
+  }
+
+  /**
+   * Execute up to 100 PartiQL statements as a single transaction. Statements must all read or all write single items, addressed by their full primary keys. If any write fails, none are applied & a TransactionCanceledError reports the reason per statement.
+   *
+   * @param {object[]} statements - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/parameterizedstatement.html ParameterizedStatement} objects: Statement, plus optional Parameters.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/executetransactioncommandinput.html ExecuteTransactionCommandInput} object, excluding TransactStatements, e.g. with a ClientRequestToken.
+   * @return {Promise<object>} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/executetransactioncommandoutput.html ExecuteTransactionCommandOutput} object, with the read items' `Responses`.
+   * @category item
+   */
+  async executeTransaction(statements, options = {}) {
+    // Validate arguments.
+    this.#validateStatements(statements);
+    this.#validateTransactionItems(statements);
+    this.#validateQueryCommandInput(options);
+
+    const tableNames = _.uniq(
+      _.compact(
+        statements.map(({ Statement }) => statementTableName(Statement))
+      )
+    ).join(', ');
+
+    // Send command.
+    this.#logger.debug(
+      `Executing transaction with ${statements.length} statements on tables ${tableNames}...`,
+      _.map(statements, 'Statement')
+    );
+
+    const response = await this.#send('executeTransaction', tableNames, {
+      ...options,
+      TransactStatements: statements,
+    });
+
+    this.#logger.debug('Executed transaction.', response);
+
+    return response;
+  }
+
+  /**
+   * Export the items of a DynamoDB table to a JSON Lines file. Each line is an `{ "Item": ... }` record in DynamoDB JSON (the format of DynamoDB's own S3 exports), so sets, binary values & numbers of any size or precision survive the round trip. See {@link WrappedDynamoDbClient#importTable importTable}.
+   *
+   * After every page, progress is saved to a cursor file next to the export (`<path>.cursor`), which is removed when the export completes. Pass `resume` to continue an interrupted export from its cursor.
+   *
+   * @param {string} tableName - Table name.
+   * @param {string} path - Export file path.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandinput.html ScanCommandInput} object, e.g. with a FilterExpression selecting the items to export.
+   * @param {object} [exportOptions] - Export options.
+   * @param {number} [exportOptions.pageSize] - Maximum number of items to evaluate per request (Limit).
+   * @param {boolean} [exportOptions.resume] - Resume from the cursor file of an interrupted export, if there is one (default is false, which overwrites the export file).
+   * @return {Promise<object>} Summary: `items` exported (including any exported before resuming) & export file size in `bytes`.
+   * @category table
+   */
+  async exportTable(
+    tableName,
+    path,
+    options = {},
+    { pageSize, resume = false } = {}
+  ) {
+    this.#validateTableName(tableName);
+    this.#validateFilePath(path);
+    this.#validateQueryCommandInput(options);
+    this.#validateIteratorOptions({ pageSize });
+
+    const cursorPath = `${path}.cursor`;
+    let cursor = { items: 0, bytes: 0 };
+
+    if (resume)
+      try {
+        cursor = JSON.parse(await readFile(cursorPath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+    this.#logger.info(
+      `Exporting table ${tableName} to ${path}${
+        cursor.startKey ? ` from item ${cursor.items}` : ''
+      }...`,
+      options
+    );
+
+    // Anything written after the last saved cursor is discarded.
+    const file = await open(path, cursor.startKey ? 'r+' : 'w');
+
+    try {
+      await file.truncate(cursor.bytes);
+
+      for await (const {
+        Items: items = [],
+        LastEvaluatedKey,
+      } of this.#paginate(this.#exactScan(tableName), options, {
+        pageSize,
+        ...(cursor.startKey
+          ? { startKey: fromDynamoJson(cursor.startKey) }
+          : {}),
+      })) {
+        const lines = items
+          .map((item) => `${JSON.stringify({ Item: toDynamoJson(item) })}\n`)
+          .join('');
+
+        const { bytesWritten } = await file.write(lines, cursor.bytes);
+
+        cursor = {
+          items: cursor.items + items.length,
+          bytes: cursor.bytes + bytesWritten,
+          ...(LastEvaluatedKey
+            ? { startKey: toDynamoJson(LastEvaluatedKey) }
+            : {}),
+        };
+
+        if (LastEvaluatedKey)
+          await writeFile(cursorPath, JSON.stringify(cursor));
+
+        this.#logger.debug(`  Exported ${cursor.items} items.`);
+      }
+    } catch (error) {
+      this.#logger.error(`Failed to export table ${tableName}.`, error);
+      throw error;
+    } finally {
+      await file.close();
+    }
+
+    await rm(cursorPath, { force: true });
+
+    this.#logger.info(
+      `Exported ${cursor.items} items from table ${tableName} to ${path}.`
+    );
+
+    return _.pick(cursor, ['items', 'bytes']);
+  }
+
+  /**
+   * Get an item from a DynamoDB table. The item is served from the cache if possible, unless ConsistentRead is set.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item object (only the key is required).
+   * @param {string|string[]} [attributes] - Comma-delimited list or string array of attributes to retrieve.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/Package/-aws-sdk-lib-dynamodb/Interface/GetCommandInput/ GetCommandInput} object, excluding TableName, Key & projection parameters, e.g. with ConsistentRead.
+   * @param {boolean} [options.ConsistentRead] - Use a strongly consistent read, bypassing the cache (default is false).
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/getitemcommandoutput.html GetItemCommandOutput} object.
+   * @category item
+   */
+  async getItem(tableName, key, attributes, options = {}) {
+    // Validate arguments.
+    this.#validateTableName(tableName);
+    this.#validateItem(key);
+    this.#validateAttributeList(attributes);
+    this.#validateParam(
+      'options',
+      options,
+      (input) =>
+        _.isPlainObject(input) &&
+        (_.isNil(input.ConsistentRead) || _.isBoolean(input.ConsistentRead))
+    );
+
+    // Read through the cache, fetching the whole item so any projection can
+    // be served from it later.
+    const cached = !!this.#cache && !options.ConsistentRead;
+
+    if (cached) {
+      var version = this.#cache.version(tableName);
+      const entry = await this.#cache.get(tableName, key);
+
+      if (entry) {
+        this.#logger.debug(
+          `Got cached item from table ${tableName}.`,
+          entry.item
+        );
+
+        return projectItem(entry.item, attributes);
+      }
+    }
+
+    // Send command, or queue it for the next batchGet.
+    this.#logger.debug(`Getting item from table ${tableName}...`, key);
+    try {
+      var response =
+        this.#coalesceGets && _.isEmpty(_.omit(options, 'ConsistentRead'))
+          ? {
+              Item: await this.#coalesceGet(
+                tableName,
+                key,
+                cached ? undefined : attributes,
+                options.ConsistentRead
+              ),
+            }
+          : await this.#send('get', tableName, {
+              ...options,
+              TableName: tableName,
+              Key: key,
+              ...(cached ? {} : this.#buildProjection(attributes)),
+            });
+
+      this.#logger.debug(`Got item from table ${tableName}.`, response);
+
+      if (!cached) return response?.Item;
+
+      await this.#cache.set(tableName, key, response?.Item, version);
+
+      return projectItem(response?.Item, attributes);
+    } catch (error) {
+      this.#logger.error(`Failed to get item from table ${tableName}.`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get multiple items from a DynamoDB table using chunked batchGet operations. Unprocessed keys & retryable errors are retried according to the retry policy. Items are served from the cache where possible, unless ConsistentRead is set.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object[]} keys - Array of item keys.
+   * @param {string|string[]} [attributes] - Comma-delimited list or string array of attributes to retrieve.
+   * @param {object} [options] - Options.
+   * @param {boolean} [options.ConsistentRead] - Use strongly consistent reads, bypassing the cache (default is false).
+   * @param {object} [options.retryPolicy] - Retry policy overrides (default is the constructor retryPolicy).
+   * @return {Promise<Array>} Item objects in the order of keys, with undefined for keys not found.
+   * @category item
+   */
+  async getItems(tableName, keys, attributes, options = {}) {
+    // Validate arguments.
+    this.#validateTableName(tableName);
+    this.#validateItems(keys);
+    this.#validateAttributeList(attributes);
+    this.#validateBatchOptions(options);
+    this.#validateParam(
+      'ConsistentRead',
+      options.ConsistentRead,
+      (input) => _.isNil(input) || _.isBoolean(input)
+    );
+
+    if (!this.#cache || options.ConsistentRead)
+      return this.#batchGet(tableName, keys, attributes, options);
+
+    // Read through the cache, fetching whole items so any projection can be
+    // served from them later.
+    const version = this.#cache.version(tableName);
+    const uniqueKeys = _.uniqBy(keys, (key) => keyId(key));
+    const entries = await Promise.all(
+      uniqueKeys.map((key) => this.#cache.get(tableName, key))
+    );
+    const missing = uniqueKeys.filter((key, index) => !entries[index]);
+
+    this.#logger.debug(
+      `Got ${
+        uniqueKeys.length - missing.length
+      } cached items from table ${tableName}.`
+    );
+
+    const fetched = missing.length
+      ? await this.#batchGet(tableName, missing, undefined, options)
+      : [];
+
+    await Promise.all(
+      missing.map((key, index) =>
+        this.#cache.set(tableName, key, fetched[index], version)
+      )
+    );
+
+    const itemsById = new Map(
+      uniqueKeys.map((key, index) => [keyId(key), entries[index]?.item])
+    );
+
+    missing.forEach((key, index) => itemsById.set(keyId(key), fetched[index]));
+
+    return keys.map((key) =>
+      projectItem(itemsById.get(keyId(key)), attributes)
+    );
+  }
+
+  /**
+   * Import items into a DynamoDB table from a JSON Lines file written by {@link WrappedDynamoDbClient#exportTable exportTable} (or a DynamoDB S3 export in DynamoDB JSON format). Lines are read as a stream & written in batches using chunked batchWrite operations, so imports are idempotent & the file never has to fit in memory.
+   *
+   * @param {string} tableName - Table name.
+   * @param {string} path - Import file path.
+   * @param {object} [options] - Options.
+   * @param {number} [options.batchSize] - Number of items read before they are written (default is 1000).
+   * @param {object} [options.retryPolicy] - Retry policy overrides (default is the constructor retryPolicy).
+   * @param {boolean} [options.throwOnFailure] - Throw a BatchWriteError if any item fails permanently (default is false).
+   * @return {Promise<object>} Summary: `succeeded` count, `failed` items, and `errors` per chunk (chunk index, items & error).
+   * @throws {BatchWriteError} If throwOnFailure is set and any item fails permanently.
+   * @category table
+   */
+  async importTable(tableName, path, options = {}) {
+    this.#validateTableName(tableName);
+    this.#validateFilePath(path);
+    this.#validateBatchOptions(_.omit(options, 'batchSize'));
+
+    const { batchSize = 1000, retryPolicy, throwOnFailure } = options;
+
+    this.#validateParam(
+      'batchSize',
+      batchSize,
+      (input) => _.isInteger(input) && input > 0
+    );
+
+    this.#logger.info(`Importing ${path} to table ${tableName}...`);
+
+    const summary = { succeeded: 0, failed: [], errors: [] };
+    let batch = [];
+    let chunks = 0;
+
+    const flush = async () => {
+      const { succeeded, failed, errors } = await this.#batchWrite(
+        tableName,
+        batch.map((item) => ({ PutRequest: { Item: item } })),
+        { retryPolicy }
+      );
+
+      summary.succeeded += succeeded;
+      summary.failed.push(...failed);
+      summary.errors.push(
+        ...errors.map((error) => ({ ...error, chunk: error.chunk + chunks }))
+      );
+
+      chunks += Math.ceil(batch.length / 25);
+      batch = [];
+
+      this.#logger.debug(`  Imported ${summary.succeeded} items.`);
+    };
+
+    const stream = createReadStream(path, 'utf8');
+    const lines = createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        try {
+          const record = JSON.parse(line);
+          batch.push(fromDynamoJson(record.Item ?? record));
+        } catch (error) {
+          throw new ValidationError(
+            `invalid item at line ${lineNumber} of ${path}`,
+            { parameter: 'path', value: path, cause: error }
+          );
+        }
+
+        if (batch.length >= batchSize) await flush();
+      }
+
+      if (batch.length) await flush();
+    } catch (error) {
+      this.#logger.error(
+        `Failed to import ${path} to table ${tableName}.`,
+        error
+      );
+      throw error;
+    } finally {
+      lines.close();
+      stream.destroy();
+    }
+
+    this.#logger.info(
+      `Imported ${summary.succeeded} items from ${path} to table ${tableName}.`
+    );
+
+    if (throwOnFailure && summary.failed.length)
+      throw new BatchWriteError(
+        `failed to import ${summary.failed.length} items from ${path} to table ${tableName}`,
+        { operation: 'batchWrite', tableName, summary }
+      );
+
+    return summary;
+  }
+
+  /**
+   * Atomically add to a number attribute & return its new value. A missing item or attribute counts as zero, so the first increment creates it (for a nested path, the parent map must exist). For counters too hot for one item, see {@link WrappedDynamoDbClient#shardedCounter shardedCounter}.
+   *
+   * @example
+   * // Enforce a quota: fail rather than exceed 100.
+   * await client.increment('quotas', { userId }, 'used', 1, {
+   *   ConditionExpression: 'attribute_not_exists(#used) OR #used < :limit',
+   *   ExpressionAttributeNames: { '#used': 'used' },
+   *   ExpressionAttributeValues: { ':limit': 100 },
+   * });
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key.
+   * @param {string} attribute - Document path of the counter attribute (e.g. `stats.views`).
+   * @param {number} [by] - Amount to add (default is 1). Negative amounts subtract.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/Package/-aws-sdk-lib-dynamodb/Interface/UpdateCommandInput/ UpdateCommandInput} object, excluding UpdateExpression & ReturnValues, e.g. with a ConditionExpression.
+   * @return {Promise<number>} New attribute value.
+   * @category item
+   */
+  async increment(tableName, key, attribute, by = 1, options = {}) {
+    // Validate arguments.
+    this.#validateParam(
+      'attribute',
+      attribute,
+      (input) => _.isString(input) && input.length
+    );
+    this.#validateParam('by', by, _.isFinite);
+    this.#validateParam(
+      'options',
+      options,
+      (input) => _.isPlainObject(input) && !_.has(input, 'ReturnValues')
+    );
+
+    const attributes = await this.updateItem(
+      tableName,
+      key,
+      { [attribute]: increment(by) },
+      { ...options, ReturnValues: 'UPDATED_NEW' }
+    );
+
+    return _.get(attributes, parsePath(attribute));
   }
 
   /**
-   * Delete multiple items from a DynamoDB table.
+   * Iterate over the items returned by a parallel DynamoDB scan. The table is divided into segments that are scanned concurrently, and their items are merged into a single stream in the order they arrive.
    *
    * @param {string} tableName - Table name.
-   * @param {object[]} keys - Array of item objects (only the key is required).
-   * @return {Promise<number>} Array of responses from chunked batchWrite operations.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandinput.html ScanCommandInput} object. Segment & TotalSegments are set per segment.
+   * @param {object} [scanOptions] - Parallel scan options.
+   * @param {number} [scanOptions.segments] - Number of segments (TotalSegments, default is 4).
+   * @param {number} [scanOptions.concurrency] - Maximum number of segments scanned at once (default is all segments).
+   * @param {number} [scanOptions.maxItems] - Maximum number of items to return (default is unlimited).
+   * @param {number} [scanOptions.pageSize] - Maximum number of items to evaluate per request (Limit).
+   * @yields {object} Item objects.
+   * @category item
+   */
+  async *iterateParallelScan(tableName, options = {}, scanOptions = {}) {
+    for await (const page of this.iterateParallelScanPages(
+      tableName,
+      options,
+      scanOptions
+    ))
+      yield* page.Items ?? [];
+  }
+
+  /**
+   * Iterate over the pages returned by a parallel DynamoDB scan. The table is divided into segments that are scanned concurrently, and their pages are merged into a single stream in the order they arrive.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandinput.html ScanCommandInput} object. Segment & TotalSegments are set per segment.
+   * @param {object} [scanOptions] - Parallel scan options.
+   * @param {number} [scanOptions.segments] - Number of segments (TotalSegments, default is 4).
+   * @param {number} [scanOptions.concurrency] - Maximum number of segments scanned at once (default is all segments).
+   * @param {number} [scanOptions.maxItems] - Maximum number of items to return (default is unlimited).
+   * @param {number} [scanOptions.pageSize] - Maximum number of items to evaluate per request (Limit).
+   * @yields {object} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandoutput.html ScanCommandOutput} objects, each with an added Segment property.
    * @category item
    */
-  async deleteItems(tableName, keys) {
+  async *iterateParallelScanPages(
+    tableName,
+    options = {},
+    { segments = 4, concurrency = segments, maxItems, pageSize } = {}
+  ) {
     this.#validateTableName(tableName);
-    this.#validateItems(keys);
+    this.#validateQueryCommandInput(options);
+    this.#validateParallelScanOptions({ segments, concurrency });
+    this.#validateIteratorOptions({ maxItems, pageSize });
 
-    const chunks = _.chunk(keys, 25);
-    const initialDelay = 100;
+    this.#logger.debug(
+      `Scanning table ${tableName} in ${segments} segments (concurrency ${concurrency})...`,
+      options
+    );
 
-    const results = (
-      await Promise.allSettled(
-        chunks.map(async (chunk) => {
-          let delay = 0;
+    const scanSegment = async function* (segment) {
+      let scanned = 0;
 
-          while (chunk.length) {
-            if (delay) await setTimeout(delay);
+      this.#logger.debug(
+        `Scanning segment ${segment + 1}/${segments} of table ${tableName}...`
+      );
 
-            this.#logger.debug(
-              `Deleting items from table ${tableName}...`,
-              chunk
-            );
+      for await (const page of this.iterateScanPages(
+        tableName,
+        { ...options, Segment: segment, TotalSegments: segments },
+        { pageSize }
+      )) {
+        scanned += page.Items?.length ?? 0;
+
+        this.#logger.debug(
+          `  Segment ${
+            segment + 1
+          }/${segments} of table ${tableName}: ${scanned} items scanned.`
+        );
 
-            const requests = chunk.map((key) => ({
-              DeleteRequest: { Key: key },
-            }));
+        yield { ...page, Segment: segment };
+      }
 
-            var response = await this.#doc.batchWrite({
-              RequestItems: { [tableName]: requests },
-            });
+      this.#logger.debug(
+        `Segment ${
+          segment + 1
+        }/${segments} of table ${tableName} done (${scanned} items).`
+      );
+    }.bind(this);
 
-            chunk = response?.UnprocessedItems?.[tableName] ?? [];
-            if (chunk.length) {
-              this.#logger.debug(
-                `${chunk.length} items not processed...`,
-                chunk
-              );
-              delay = delay ? delay * 2 : initialDelay;
-            }
-          }
+    let remaining = maxItems ?? Infinity;
+    if (remaining <= 0) return;
 
-          return response;
-        })
-      )
-    ).map(({ status, value, reason }) =>
-      status === 'fulfilled' ? value : reason
-    );
+    for await (const page of mergeAsyncIterables(
+      _.range(segments).map((segment) => () => scanSegment(segment)),
+      concurrency
+    )) {
+      const items = page.Items ?? [];
+
+      if (items.length > remaining) {
+        page.Items = items.slice(0, remaining);
+        page.Count = remaining;
+      }
+
+      remaining -= page.Items?.length ?? 0;
 
-    this.#logger.debug(`Deleted items from table ${tableName}.`, results);
+      yield page;
 
-    return results;
+      if (remaining <= 0) break;
+    }
+
+    this.#logger.debug(`Scanned table ${tableName}.`);
   }
 
   /**
-   * Delete a DynamoDB table.
+   * Iterate over the items returned by a DynamoDB query, following LastEvaluatedKey across pages.
    *
    * @param {string} tableName - Table name.
-   * @return {Promise<object>} - Deletion status
-   * @category table
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/querycommandinput.html QueryCommandInput} object.
+   * @param {object} [iteratorOptions] - Iterator options.
+   * @param {number} [iteratorOptions.maxItems] - Maximum number of items to return (default is unlimited).
+   * @param {number} [iteratorOptions.pageSize] - Maximum number of items to evaluate per request (Limit).
+   * @param {object} [iteratorOptions.startKey] - Key at which to start iterating (ExclusiveStartKey).
+   * @yields {object} Item objects.
+   * @category item
    */
-  async deleteTable(tableName) {
-    this.#validateTableName(tableName);
-
-    // Send command.
-    this.#logger.info(`Deleting table ${tableName}...`);
-    try {
-      var response = await this.#client.deleteTable({ TableName: tableName });
-      this.#logger.info(`Table ${tableName} deletion requested.`);
-      this.#logger.debug(response);
-    } catch (error) {
-      this.#logger.error(`Table ${tableName} deletion request failed.`, error);
-      throw new Error(error);
-    }
-
-    // Await table deletion.
-    this.#logger.info(`Awaiting table ${tableName} deletion...`);
-    try {
-      response = await waitUntilTableNotExists(
-        { client: this.#client, maxWaitTime: 60 },
-        { TableName: tableName }
-      );
-    } catch (error) {
-      this.#logger.error(`Table ${tableName} deletion failed.`, error);
-      throw new Error(error);
-    }
-    this.#logger.info(`Table ${tableName} deleted.`);
-    this.#logger.debug(response);
-
-    return response;
+  async *iterateQuery(tableName, options = {}, iteratorOptions = {}) {
+    for await (const page of this.iterateQueryPages(
+      tableName,
+      options,
+      iteratorOptions
+    ))
+      yield* page.Items ?? [];
   }
 
   /**
-   * Describe a DynamoDB table.
+   * Iterate over the pages returned by a DynamoDB query, following LastEvaluatedKey.
    *
    * @param {string} tableName - Table name.
-   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/tabledescription-5.html TableDescription}}
-   * @category table
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/querycommandinput.html QueryCommandInput} object.
+   * @param {object} [iteratorOptions] - Iterator options.
+   * @param {number} [iteratorOptions.maxItems] - Maximum number of items to return (default is unlimited).
+   * @param {number} [iteratorOptions.pageSize] - Maximum number of items to evaluate per request (Limit).
+   * @param {object} [iteratorOptions.startKey] - Key at which to start iterating (ExclusiveStartKey).
+   * @yields {object} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/querycommandoutput.html QueryCommandOutput} objects.
+   * @category item
    */
-  async describeTable(tableName) {
-    this.#validateTableName(tableName);
-
-    // Send command.
-    this.#logger.info(`Describing table ${tableName}...`);
-    try {
-      var response = await this.#client.describeTable({ TableName: tableName });
-      this.#logger.info(`Table ${tableName} description requested.`);
-      this.#logger.debug(response);
-
-      return response.Table;
-    } catch (error) {
-      this.#logger.error(
-        `Table ${tableName} description request failed.`,
-        error
-      );
-      throw new Error(error);
-    }
+  async *iterateQueryPages(tableName, options = {}, iteratorOptions = {}) {
+    yield* this.#paginate(
+      (options) => this.query(tableName, options),
+      options,
+      iteratorOptions
+    );
   }
 
   /**
-   * Get an item from a DynamoDB table.
+   * Iterate over the items returned by a DynamoDB scan, following LastEvaluatedKey across pages.
    *
    * @param {string} tableName - Table name.
-   * @param {object} key - Item object (only the key is required).
-   * @param {string|string[]} [attributes] - Comma-delimited list or string array of attributes to retrieve.
-   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/getitemcommandoutput.html GetItemCommandOutput} object.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandinput.html ScanCommandInput} object.
+   * @param {object} [iteratorOptions] - Iterator options.
+   * @param {number} [iteratorOptions.maxItems] - Maximum number of items to return (default is unlimited).
+   * @param {number} [iteratorOptions.pageSize] - Maximum number of items to evaluate per request (Limit).
+   * @param {object} [iteratorOptions.startKey] - Key at which to start iterating (ExclusiveStartKey).
+   * @yields {object} Item objects.
    * @category item
    */
-  async getItem(tableName, key, attributes) {
-    // Validate arguments.
-    this.#validateTableName(tableName);
-    this.#validateItem(key);
-    this.#validateAttributeList(attributes);
-
-    // Process attributes.
-    if (_.isString(attributes)) attributes = attributes.split(/,\s*/);
-    if (attributes?.length) {
-      var expressionAttributeNames = attributes.reduce(
-        (expressionAttributeNames, attribute) => ({
-          ...expressionAttributeNames,
-          [`#${attribute}`]: attribute,
-        }),
-        {}
-      );
-
-      var projectionExpression = attributes
-        .map((attribute) => `#${attribute}`)
-        .join(',');
-    }
-
-    // Send command.
-    this.#logger.debug(`Getting item from table ${tableName}...`, key);
-    try {
-      var response = await this.#doc.get({
-        TableName: tableName,
-        ...(expressionAttributeNames
-          ? { ExpressionAttributeNames: expressionAttributeNames }
-          : {}),
-        Key: key,
-        ...(projectionExpression
-          ? { ProjectionExpression: projectionExpression }
-          : {}),
-      });
-
-      this.#logger.debug(`Got item from table ${tableName}.`, response);
+  async *iterateScan(tableName, options = {}, iteratorOptions = {}) {
+    for await (const page of this.iterateScanPages(
+      tableName,
+      options,
+      iteratorOptions
+    ))
+      yield* page.Items ?? [];
+  }
 
-      return response?.Item;
-    } catch (error) {
-      this.#logger.error(
-        `Failed to get item from table ${tableName}.`,
-        response
-      );
-      throw new Error(error);
-    }
+  /**
+   * Iterate over the pages returned by a DynamoDB scan, following LastEvaluatedKey.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandinput.html ScanCommandInput} object.
+   * @param {object} [iteratorOptions] - Iterator options.
+   * @param {number} [iteratorOptions.maxItems] - Maximum number of items to return (default is unlimited).
+   * @param {number} [iteratorOptions.pageSize] - Maximum number of items to evaluate per request (Limit).
+   * @param {object} [iteratorOptions.startKey] - Key at which to start iterating (ExclusiveStartKey).
+   * @yields {object} {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandoutput.html ScanCommandOutput} objects.
+   * @category item
+   */
+  async *iterateScanPages(tableName, options = {}, iteratorOptions = {}) {
+    yield* this.#paginate(
+      (options) => this.scan(tableName, options),
+      options,
+      iteratorOptions
+    );
   }
 
   /**
-   * Purge all items from a DynamoDB table.
+   * Purge items from a DynamoDB table: all of them, or those matching a filter and/or predicate. Items are streamed from a scan & deleted using chunked batchWrite operations with retries. Unless a predicate needs whole items, the scan projects only key attributes to cut read cost.
+   *
+   * @example
+   * // Count the expired sessions a purge would delete, then delete them.
+   * const filter = {
+   *   FilterExpression: '#expires < :now',
+   *   ExpressionAttributeNames: { '#expires': 'expires' },
+   *   ExpressionAttributeValues: { ':now': Date.now() },
+   * };
+   *
+   * const { matched } = await client.purgeItems('sessions', { filter, dryRun: true });
+   * const { succeeded, failed } = await client.purgeItems('sessions', { filter });
    *
    * @param {string} tableName - Table name.
-   * @param {string[]} keys - Item keys.
-   * @return {Promise<number>} Total items purged from table.
+   * @param {string[]} [keys] - Key attribute names (default is the table's key schema, read with describeTable). Options may be passed in its place.
+   * @param {object} [options] - Options.
+   * @param {object} [options.filter] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/scancommandinput.html ScanCommandInput} object selecting the items to purge, e.g. with a FilterExpression.
+   * @param {Function} [options.predicate] - Sync or async function receiving a scanned item & returning true to purge it. Whole items are scanned unless the filter has a ProjectionExpression, to which key attributes are added.
+   * @param {number} [options.segments] - Number of parallel scan segments (default is 1, a sequential scan).
+   * @param {number} [options.concurrency] - Maximum number of segments scanned at once (default is all segments).
+   * @param {number} [options.pageSize] - Maximum number of items to evaluate per scan request (Limit).
+   * @param {boolean} [options.dryRun] - Scan & match without deleting (default is false).
+   * @param {Function} [options.onProgress] - Function called with a copy of the summary after each scanned page is purged.
+   * @param {object} [options.retryPolicy] - Retry policy overrides (default is the constructor retryPolicy).
+   * @param {boolean} [options.throwOnFailure] - Throw a BatchWriteError if any item fails permanently (default is false).
+   * @return {Promise<object>} Summary: `scanned` & `matched` item counts, the batch write `succeeded` count, `failed` keys, and `errors` per chunk (chunk index, keys & error).
+   * @throws {BatchWriteError} If throwOnFailure is set and any item fails permanently.
    * @category item
    */
-  async purgeItems(tableName, keys) {
-    this.#validateTableName(tableName);
+  async purgeItems(tableName, keys, options = {}) {
+    if (_.isPlainObject(keys)) [keys, options] = [undefined, keys];
 
+    this.#validateTableName(tableName);
     this.#validateParam(
       'keys',
       keys,
       (keys) =>
-        _.isArray(keys) && keys.length && keys.every((key) => _.isString(key))
+        _.isNil(keys) ||
+        (_.isArray(keys) && keys.length && keys.every((key) => _.isString(key)))
     );
+    this.#validatePurgeOptions(options);
+
+    const {
+      concurrency,
+      dryRun = false,
+      filter = {},
+      onProgress,
+      pageSize,
+      predicate,
+      retryPolicy,
+      segments = 1,
+      throwOnFailure,
+    } = options;
+
+    keys ??= await this.#getKeyAttributes(tableName);
 
-    this.#logger.debug(`Purging DynamoDB table '${tableName}'...`);
-
-    let purged = 0;
-    do {
-      var { Items: items, LastEvaluatedKey: lastEvaluatedKey } =
-        await this.scan(
-          tableName,
-          lastEvaluatedKey ? { ExclusiveStartKey: lastEvaluatedKey } : {}
-        );
-
-      if (items.length) {
-        const itemKeys = items.map((item) => _.pick(item, keys));
-
-        await this.deleteItems(tableName, itemKeys);
+    this.#logger.debug(
+      `Purging table ${tableName}${dryRun ? ' (dry run)' : ''}...`
+    );
 
-        purged += items.length;
+    // Project key attributes only, unless the predicate needs whole items.
+    // Placeholders are reserved (#pKey...) so they cannot clobber the
+    // filter's own attribute names.
+    const keyNames = Object.fromEntries(
+      keys.map((key, index) => [`#pKey${index}`, key])
+    );
+    const scanOptions =
+      predicate && !filter.ProjectionExpression
+        ? filter
+        : {
+            ...filter,
+            ExpressionAttributeNames: {
+              ...filter.ExpressionAttributeNames,
+              ...keyNames,
+            },
+            ProjectionExpression: _.compact([
+              filter.ProjectionExpression,
+              ..._.keys(keyNames),
+            ]).join(','),
+          };
+
+    const pages =
+      segments > 1
+        ? this.iterateParallelScanPages(tableName, scanOptions, {
+            segments,
+            concurrency,
+            pageSize,
+          })
+        : this.iterateScanPages(tableName, scanOptions, { pageSize });
+
+    const summary = {
+      scanned: 0,
+      matched: 0,
+      succeeded: 0,
+      failed: [],
+      errors: [],
+    };
+    let chunks = 0;
 
-        this.#logger.debug(`  Purged ${purged} items.`);
+    try {
+      for await (const { Items: items = [] } of pages) {
+        const matches = predicate
+          ? await Promise.all(items.map(async (item) => predicate(item)))
+          : items.map(() => true);
+
+        const itemKeys = items
+          .filter((item, index) => matches[index])
+          .map((item) => _.pick(item, keys));
+
+        summary.scanned += items.length;
+        summary.matched += itemKeys.length;
+
+        if (!dryRun && itemKeys.length) {
+          const { succeeded, failed, errors } = await this.#batchWrite(
+            tableName,
+            itemKeys.map((key) => ({ DeleteRequest: { Key: key } })),
+            { retryPolicy }
+          );
+
+          summary.succeeded += succeeded;
+          summary.failed.push(...failed);
+          summary.errors.push(
+            ...errors.map((error) => ({
+              ...error,
+              chunk: error.chunk + chunks,
+            }))
+          );
+          chunks += Math.ceil(itemKeys.length / 25);
+
+          this.#logger.debug(`  Purged ${summary.succeeded} items.`);
+        }
+
+        await onProgress?.(_.cloneDeep(summary));
       }
-    } while (items.length);
+    } catch (error) {
+      this.#logger.error(`Failed to purge table ${tableName}.`, error);
+      throw error;
+    }
+
+    this.#logger.debug(
+      dryRun
+        ? `Dry run would purge ${summary.matched} of ${summary.scanned} items from table ${tableName}.`
+        : `Purged ${summary.succeeded} of ${summary.matched} items from table ${tableName}.`,
+      summary
+    );
 
-    this.#logger.debug(`Done.\n`);
+    if (throwOnFailure && summary.failed.length)
+      throw new BatchWriteError(
+        `failed to purge ${summary.failed.length} items from table ${tableName}`,
+        { operation: 'batchWrite', tableName, summary }
+      );
 
-    return purged;
+    return summary;
   }
 
   /**
    * Put an item into a DynamoDB table.
    *
+   * With optimistic locking, an item carrying the version attribute is only written if its stored version matches, and an item without it is only written if it does not exist yet. The written item's version is incremented (or set to 1).
+   *
    * @param {string} tableName - Table name.
    * @param {object} item - Item object.
+   * @param {object} [options] - Options.
+   * @param {string|null} [options.versionAttribute] - Version attribute name (default is the constructor versionAttribute). Pass null to disable locking.
    * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/putitemcommandoutput.html PutItemCommandOutput} object.
+   * @throws {VersionConflictError} If the stored version does not match.
    * @category item
    */
-  async putItem(tableName, item) {
+  async putItem(
+    tableName,
+    item,
+    { versionAttribute = this.#versionAttribute } = {}
+  ) {
     // Validate arguments.
     this.#validateTableName(tableName);
     this.#validateItem(item);
+    this.#validateVersionAttribute(versionAttribute);
 
     // Send command.
     this.#logger.debug(`Putting item to table ${tableName}...`, item);
-    const response = await this.#doc.put({ TableName: tableName, Item: item });
+    try {
+      var response = await this.#send('put', tableName, {
+        TableName: tableName,
+        ...versionPut(item, versionAttribute),
+      });
+    } catch (error) {
+      if (versionAttribute && isConditionFailure(error)) {
+        this.#logger.error(
+          `Version conflict putting item to table ${tableName}.`,
+          item
+        );
+        throw new VersionConflictError(
+          `version conflict putting item to table ${tableName}`,
+          {
+            operation: 'put',
+            tableName,
+            versionAttribute,
+            items: [item],
+            cause: error,
+          }
+        );
+      }
+
+      throw error;
+    }
+
     if (response.$metadata.httpStatusCode === 200)
       this.#logger.debug(`Put item to table ${tableName}.`, response);
     else
@@ -486,58 +3189,38 @@ export class WrappedDynamoDbClient {
   }
 
   /**
-   * Put multiple items into a DynamoDB table.
+   * Put multiple items into a DynamoDB table using chunked batchWrite operations. Unprocessed items & retryable errors are retried according to the retry policy.
    *
    * @param {string} tableName - Table name.
    * @param {object[]} items - Array of item objects.
-   * @return {Promise<Array>} Array of responses from chunked batchWrite operations.
+   * @param {object} [options] - Options.
+   * @param {object} [options.retryPolicy] - Retry policy overrides (default is the constructor retryPolicy).
+   * @param {boolean} [options.throwOnFailure] - Throw a BatchWriteError if any item fails permanently (default is false).
+   * @return {Promise<object>} Summary: `succeeded` count, `failed` items, and `errors` per chunk (chunk index, items & error).
+   * @throws {BatchWriteError} If throwOnFailure is set and any item fails permanently.
    * @category item
    */
-  async putItems(tableName, items) {
+  async putItems(tableName, items, options = {}) {
     this.#validateTableName(tableName);
     this.#validateItems(items);
+    this.#validateBatchOptions(options);
 
-    const chunks = _.chunk(items, 25);
-    const initialDelay = 100;
-
-    const results = (
-      await Promise.allSettled(
-        chunks.map(async (chunk) => {
-          let delay = 0;
-
-          while (chunk.length) {
-            if (delay) await setTimeout(delay);
-
-            this.#logger.debug(`Putting items to table ${tableName}...`, chunk);
-
-            const requests = chunk.map((item) => ({
-              PutRequest: { Item: item },
-            }));
-
-            var response = await this.#doc.batchWrite({
-              RequestItems: { [tableName]: requests },
-            });
-
-            chunk = response?.UnprocessedItems?.[tableName] ?? [];
-            if (chunk.length) {
-              this.#logger.debug(
-                `${chunk.length} items not processed...`,
-                chunk
-              );
-              delay = delay ? delay * 2 : initialDelay;
-            }
-          }
+    this.#logger.debug(
+      `Putting ${items.length} items to table ${tableName}...`
+    );
 
-          return response;
-        })
-      )
-    ).map(({ status, value, reason }) =>
-      status === 'fulfilled' ? value : reason
+    const summary = await this.#batchWrite(
+      tableName,
+      items.map((item) => ({ PutRequest: { Item: item } })),
+      options
     );
 
-    this.#logger.debug(`Put items to table ${tableName}.`, results);
+    this.#logger.debug(
+      `Put ${summary.succeeded} items to table ${tableName}.`,
+      summary
+    );
 
-    return results;
+    return summary;
   }
 
   /**
@@ -555,7 +3238,7 @@ export class WrappedDynamoDbClient {
 
     // Send command.
     this.#logger.debug(`Querying table ${tableName}...`, options);
-    const response = await this.#doc.query({
+    const response = await this.#send('query', tableName, {
       ...options,
       TableName: tableName,
     });
@@ -581,7 +3264,7 @@ export class WrappedDynamoDbClient {
 
     // Send command.
     this.#logger.debug(`Scanning table ${tableName}...`, options);
-    const response = await this.#doc.scan({
+    const response = await this.#send('scan', tableName, {
       ...options,
       TableName: tableName,
     });
@@ -592,27 +3275,91 @@ export class WrappedDynamoDbClient {
     return response;
   }
 
+  /**
+   * Define a counter sharded across several items, for counters incremented too often for a single item's partition. See {@link ShardedCounter}.
+   *
+   * @param {object} definition - Counter definition: `tableName`, `key`, plus optional `attribute`, `shards` & `shardAttribute`. See {@link ShardedCounter}.
+   * @return {ShardedCounter} Sharded counter.
+   * @category item
+   */
+  shardedCounter(definition) {
+    return new ShardedCounter(this, definition);
+  }
+
+  /**
+   * Start building a transaction that mixes Put, Update, Delete & ConditionCheck operations across tables. The builder validates the 100-operation limit & duplicate item keys before sending, and decodes cancellation reasons into a TransactionCanceledError.
+   *
+   * @return {TransactionBuilder} Transaction builder. Call `execute()` to send the transaction.
+   * @category item
+   */
+  transaction() {
+    return new TransactionBuilder({
+      execute: async (params) => {
+        const tableNames = _.uniq(
+          params.TransactItems.map((item) => _.values(item)[0].TableName)
+        );
+
+        this.#logger.debug(
+          `Executing transaction with ${
+            params.TransactItems.length
+          } operations on tables ${tableNames.join(', ')}...`,
+          params
+        );
+
+        const response = await this.#send(
+          'transactWrite',
+          tableNames.join(', '),
+          params
+        );
+
+        this.#logger.debug('Executed transaction.', response);
+
+        return response;
+      },
+      getKeyAttributes: (tableName) => this.#getKeyAttributes(tableName),
+      logger: this.#logger,
+      versionAttribute: this.#versionAttribute,
+    });
+  }
+
   /**
    * Delete multiple items from a DynamoDB table as a single transaction.
    *
+   * With optimistic locking, keys carrying the version attribute only delete their items if the stored versions match.
+   *
    * @param {string} tableName - Table name.
-   * @param {object[]} keys - Array of item keys.
+   * @param {object[]} keys - Array of item keys (plus expected versions if locking).
+   * @param {object} [options] - Options.
+   * @param {string|null} [options.versionAttribute] - Version attribute name (default is the constructor versionAttribute). Pass null to disable locking.
    * @return {Promise<Array>} Array of responses from chunked batchWrite operations.
+   * @throws {VersionConflictError} If any stored version does not match.
    * @category item
    */
-  async transactDeleteItems(tableName, keys) {
+  async transactDeleteItems(
+    tableName,
+    keys,
+    { versionAttribute = this.#versionAttribute } = {}
+  ) {
     this.#validateTableName(tableName);
     this.#validateItems(keys);
+    this.#validateTransactionItems(keys);
+    this.#validateVersionAttribute(versionAttribute);
 
     this.#logger.debug(
       `Deleting ${keys.length} items in a single transaction from table ${tableName}...`
     );
 
-    const result = await this.#doc.transactWrite({
-      TransactItems: keys.map((key) => ({
-        Delete: { Key: key, TableName: tableName },
-      })),
-    });
+    const result = await this.#transactWriteVersioned(
+      tableName,
+      keys,
+      versionAttribute,
+      keys.map((key) => ({
+        Delete: {
+          ...versionDelete(key, versionAttribute),
+          TableName: tableName,
+        },
+      }))
+    );
 
     this.#logger.debug('Done.');
 
@@ -622,27 +3369,176 @@ export class WrappedDynamoDbClient {
   /**
    * Put multiple items into a DynamoDB table as a single transaction.
    *
+   * With optimistic locking, each item is versioned as in {@link WrappedDynamoDbClient#putItem putItem}, and the transaction fails if any version conflicts.
+   *
    * @param {string} tableName - Table name.
    * @param {object[]} items - Array of item objects.
+   * @param {object} [options] - Options.
+   * @param {string|null} [options.versionAttribute] - Version attribute name (default is the constructor versionAttribute). Pass null to disable locking.
    * @return {Promise<Array>} Array of responses from chunked batchWrite operations.
+   * @throws {VersionConflictError} If any stored version does not match.
    * @category item
    */
-  async transactPutItems(tableName, items) {
+  async transactPutItems(
+    tableName,
+    items,
+    { versionAttribute = this.#versionAttribute } = {}
+  ) {
     this.#validateTableName(tableName);
     this.#validateItems(items);
+    this.#validateTransactionItems(items);
+    this.#validateVersionAttribute(versionAttribute);
 
     this.#logger.debug(
       `Putting ${items.length} items in a single transaction to table ${tableName}...`
     );
 
-    const result = await this.#doc.transactWrite({
-      TransactItems: items.map((item) => ({
-        Put: { Item: item, TableName: tableName },
-      })),
-    });
+    const result = await this.#transactWriteVersioned(
+      tableName,
+      items,
+      versionAttribute,
+      items.map((item) => ({
+        Put: { ...versionPut(item, versionAttribute), TableName: tableName },
+      }))
+    );
 
     this.#logger.debug('Done.');
 
     return result;
   }
+
+  /**
+   * Update an item in a DynamoDB table. The UpdateExpression is generated from a patch object whose keys are document paths (e.g. `a.b[0].c`):
+   *
+   * - `undefined` values remove the attribute.
+   * - `increment()` values atomically add to a number or set.
+   * - `append()` values append to a list.
+   * - `ifNotExists()` values set the attribute only if it is missing.
+   * - All other values set the attribute.
+   *
+   * With optimistic locking, the update increments the version attribute, and a key carrying the version attribute only updates the item if its stored version matches.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} key - Item key (plus the expected version if locking).
+   * @param {object} patch - Patch object.
+   * @param {object} [options] - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/Package/-aws-sdk-lib-dynamodb/Interface/UpdateCommandInput/ UpdateCommandInput} object, excluding UpdateExpression. Any ConditionExpression is combined with the version condition, and any ExpressionAttributeNames & ExpressionAttributeValues are merged with generated placeholders.
+   * @param {string} [options.ReturnValues] - Attributes to return (default is ALL_NEW).
+   * @param {string|null} [options.versionAttribute] - Version attribute name (default is the constructor versionAttribute). Pass null to disable locking.
+   * @return {Promise<object>} Returned attributes, as selected by ReturnValues.
+   * @throws {VersionConflictError} If the stored version does not match.
+   * @category item
+   */
+  async updateItem(tableName, key, patch, options = {}) {
+    // Validate arguments.
+    this.#validateTableName(tableName);
+    this.#validateItem(key);
+    this.#validatePatch(patch);
+    this.#validateUpdateCommandInput(options);
+
+    const { versionAttribute = this.#versionAttribute, ...input } = options;
+    this.#validateVersionAttribute(versionAttribute);
+
+    // Build update expression.
+    const {
+      Key,
+      patch: versionedPatch,
+      ...versionCondition
+    } = versionUpdate(key, patch, versionAttribute);
+    const attributes = new ExpressionAttributes('u');
+    const updateExpression = buildUpdateExpression(versionedPatch, attributes);
+    const condition = mergeConditions(
+      _.pick(input, [
+        'ConditionExpression',
+        'ExpressionAttributeNames',
+        'ExpressionAttributeValues',
+      ]),
+      versionCondition
+    );
+
+    // Send command.
+    this.#logger.debug(`Updating item in table ${tableName}...`, key, patch);
+    try {
+      var response = await this.#send('update', tableName, {
+        ReturnValues: 'ALL_NEW',
+        ...input,
+        ...condition,
+        ...attributes.toParams(condition),
+        TableName: tableName,
+        Key,
+        UpdateExpression: updateExpression,
+      });
+
+      this.#logger.debug(`Updated item in table ${tableName}.`, response);
+
+      return response?.Attributes;
+    } catch (error) {
+      if (versionCondition.ConditionExpression && isConditionFailure(error)) {
+        this.#logger.error(
+          `Version conflict updating item in table ${tableName}.`,
+          key
+        );
+        throw new VersionConflictError(
+          `version conflict updating item in table ${tableName}`,
+          {
+            operation: 'update',
+            tableName,
+            versionAttribute,
+            items: [key],
+            cause: error,
+          }
+        );
+      }
+
+      this.#logger.error(`Failed to update item in table ${tableName}.`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add middleware to run around every DynamoDB request the client sends, including each chunk & retry of batch operations.
+   *
+   * Hooks receive a context object with `operation` (document or DynamoDB client method name, e.g. put, batchWrite, createTable), `tableName`, `input`, `attempt` & `startTime`, plus `output`, `error`, `duration` & `sendDuration` (milliseconds; sendDuration excludes time spent in before hooks, and is only set if the request was sent) once known:
+   *
+   * - `before(context)` runs in registration order. It may replace `context.input`, throw to fail the request, or set `context.output` to skip sending it.
+   * - `after(context)` runs in reverse order after success, and may replace `context.output`.
+   * - `onError(context)` runs in reverse order after failure. It may replace `context.error`, or clear it & set `context.output` to recover.
+   *
+   * Hooks may be async.
+   *
+   * @param {object} middleware - Middleware object with any of before, after & onError hooks.
+   * @return {WrappedDynamoDbClient} This client.
+   */
+  use(middleware) {
+    this.#validateParam('middleware', middleware, isMiddleware);
+
+    this.#middleware.push(middleware);
+
+    return this;
+  }
+
+  /**
+   * Wait until a DynamoDB table & all of its global secondary indexes are ACTIVE, logging their status after each check. Useful after changes made outside this client, e.g. by infrastructure tooling.
+   *
+   * @param {string} tableName - Table name.
+   * @param {object} [waiter] - Waiter options: `maxWaitTime`, `minDelay`, `maxDelay` & `abortSignal` (defaults are the constructor waiter options).
+   * @return {Promise<object>} - {@link https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-dynamodb/interfaces/tabledescription-5.html TableDescription}
+   * @throws {TimeoutError} If the table or an index is not ACTIVE within maxWaitTime.
+   * @category table
+   */
+  async waitForTableActive(tableName, waiter = {}) {
+    this.#validateTableName(tableName);
+    this.#validateWaiterOptions(waiter);
+
+    this.#logger.info(`Awaiting table ${tableName} activation...`);
+    try {
+      var table = await this.#waitForTableActive(tableName, waiter);
+    } catch (error) {
+      this.#logger.error(`Table ${tableName} activation failed.`, error);
+      throw error;
+    }
+    this.#logger.info(`Table ${tableName} is ACTIVE.`);
+    this.#logger.debug(`Table ${tableName} description.`, table);
+
+    return table;
+  }
 }
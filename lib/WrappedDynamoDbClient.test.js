@@ -6,13 +6,34 @@ import chaiMatchPattern from 'chai-match-pattern';
 use(chaiMatchPattern);
 
 // npm imports
+import { mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { NumberValue } from '@aws-sdk/lib-dynamodb';
 import { nanoid } from 'nanoid';
 import _ from 'lodash';
 
 // lib imports
+import {
+  SchemaConflictError,
+  TableNotFoundError,
+  ThrottlingError,
+  TimeoutError,
+  TransactionCanceledError,
+  ValidationError,
+  VersionConflictError,
+  WrappedDynamoDbError,
+} from './errors.js';
+import { append, increment } from './expressions.js';
+import { InMemoryDynamoDb } from './InMemoryDynamoDb.js';
 import { WrappedDynamoDbClient } from './WrappedDynamoDbClient.js';
 
-const baseClient = new WrappedDynamoDbClient();
+// Run against AWS only when LIVE_DYNAMODB_TESTS is set.
+const backend = process.env.LIVE_DYNAMODB_TESTS
+  ? undefined
+  : new InMemoryDynamoDb();
+
+const baseClient = new WrappedDynamoDbClient({ backend });
 const tableOptions = {
   AttributeDefinitions: [
     { AttributeName: 'entityPK', AttributeType: 'S' },
@@ -25,6 +46,22 @@ const tableOptions = {
   ],
 };
 
+const ensureIndex = {
+  IndexName: 'gsi',
+  KeySchema: [{ AttributeName: 'gsiPK', KeyType: 'HASH' }],
+  Projection: { ProjectionType: 'KEYS_ONLY' },
+};
+
+const ensureDefinition = {
+  ...tableOptions,
+  AttributeDefinitions: [
+    ...tableOptions.AttributeDefinitions,
+    { AttributeName: 'gsiPK', AttributeType: 'S' },
+  ],
+  GlobalSecondaryIndexes: [ensureIndex],
+  TimeToLiveSpecification: { AttributeName: 'expires', Enabled: true },
+};
+
 describe('WrappedDynamoDbClient', function () {
   describe('constructor', function () {
     it('should create a WrappedDynamoDbClient instance', function () {
@@ -32,6 +69,186 @@ describe('WrappedDynamoDbClient', function () {
     });
   });
 
+  describe('middleware', function () {
+    it('should run around every request', async function () {
+      const contexts = [];
+
+      const client = new WrappedDynamoDbClient({
+        middleware: [
+          {
+            before: (context) => {
+              // Short-circuit the request so no table is needed.
+              context.output = { Item: context.input.Key };
+            },
+          },
+        ],
+      }).use({ after: (context) => contexts.push(context) });
+
+      const key = { entityPK: 'a', entitySK: 0 };
+
+      expect(await client.getItem('table', key)).to.deep.equal(key);
+      expect(contexts).to.have.length(1);
+      expect(contexts[0]).to.include({
+        operation: 'get',
+        tableName: 'table',
+        attempt: 1,
+      });
+      expect(contexts[0].input.Key).to.deep.equal(key);
+      expect(contexts[0].duration).to.be.a('number');
+    });
+
+    it('should collect metrics', async function () {
+      const client = new WrappedDynamoDbClient({
+        metrics: true,
+        middleware: [
+          {
+            before: (context) => {
+              context.output = {
+                Item: context.input.Key,
+                ConsumedCapacity: {
+                  TableName: context.tableName,
+                  CapacityUnits: 0.5,
+                },
+              };
+            },
+          },
+        ],
+      });
+
+      await client.getItem('table', { entityPK: 'a', entitySK: 0 });
+
+      expect(client.metrics.snapshot()).to.matchPattern([
+        {
+          tableName: 'table',
+          indexName: undefined,
+          operation: 'get',
+          requests: 1,
+          items: 1,
+          capacityUnits: 0.5,
+          '...': '',
+        },
+      ]);
+    });
+
+    it('should wrap injected faults', async function () {
+      const client = new WrappedDynamoDbClient({ backend }).use({
+        before: () => {
+          throw Object.assign(new Error('injected'), {
+            name: 'ProvisionedThroughputExceededException',
+          });
+        },
+      });
+
+      let error;
+      try {
+        await client.getItem('table', { entityPK: 'a', entitySK: 0 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(ThrottlingError);
+      expect(error.isRetryable).to.be.true;
+    });
+  });
+
+  describe('logging', function () {
+    it('should redact & structure log records', async function () {
+      const records = [];
+      const client = new WrappedDynamoDbClient({
+        backend: new InMemoryDynamoDb(),
+        logger: Object.fromEntries(
+          ['debug', 'error', 'info'].map((level) => [
+            level,
+            (record) => records.push(record),
+          ])
+        ),
+        logFormat: 'structured',
+        redact: { paths: ['email'] },
+      });
+      const tableName = nanoid();
+      const item = { entityPK: 'u1', entitySK: 0, email: 'a@example.com' };
+
+      await client.createTable(tableName, tableOptions);
+      await client.putItem(tableName, item);
+      expect(
+        await client.getItem(tableName, _.omit(item, 'email'))
+      ).to.deep.equal(item);
+      await client.executeStatement(
+        `UPDATE "${tableName}" SET email = ? WHERE entityPK = ? AND entitySK = ?`,
+        ['b@example.com', 'u1', 0]
+      );
+      await client.query(tableName, {
+        KeyConditionExpression: 'entityPK = :pk',
+        FilterExpression: 'email = :email',
+        ExpressionAttributeValues: { ':pk': 'u1', ':email': 'c@example.com' },
+      });
+      await client.scan(tableName, {
+        FilterExpression: 'email = :email',
+        ExpressionAttributeValues: { ':email': 'c@example.com' },
+      });
+
+      expect(records.every(_.isPlainObject)).to.be.true;
+      expect(_.map(records, 'message').every(_.isString)).to.be.true;
+      expect(JSON.stringify(records)).not.to.include('b@example.com');
+      expect(JSON.stringify(records)).not.to.include('a@example.com');
+      expect(JSON.stringify(records)).not.to.include('c@example.com');
+      expect(records).to.deep.include({
+        message: `Putting item to table ${tableName}...`,
+        data: { ...item, email: '[REDACTED]' },
+      });
+      expect(_.find(records, { operation: 'get' })).to.matchPattern({
+        message: 'DynamoDB get request succeeded.',
+        operation: 'get',
+        tableName,
+        attempt: 1,
+        duration: _.isNumber,
+        itemCount: 1,
+        requestId: _.isString,
+      });
+    });
+
+    it('should validate logging options', function () {
+      const logger = { debug: _.noop, error: _.noop, info: _.noop };
+
+      for (const options of [
+        { logFormat: 'json' },
+        { redact: { paths: ['a..b'] } },
+        { redact: { paths: ['email'], mode: 'encrypt' } },
+      ])
+        expect(
+          () => new WrappedDynamoDbClient({ backend, logger, ...options })
+        ).to.throw(ValidationError);
+    });
+  });
+
+  describe('errors', function () {
+    it('invalid arguments should throw ValidationError', async function () {
+      let error;
+      try {
+        await baseClient.getItem('', {});
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error).to.include({ parameter: 'tableName', value: '' });
+      expect(error.message).to.equal('invalid tableName');
+    });
+
+    it('missing table should throw TableNotFoundError', async function () {
+      let error;
+      try {
+        await baseClient.getItem(nanoid(), { entityPK: 'a', entitySK: 0 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(TableNotFoundError);
+      expect(error.operation).to.equal('get');
+      expect(error.isRetryable).to.be.false;
+    });
+  });
+
   describe('tables', function () {
     describe('validations', function () {
       it('create/delete should close', async function () {
@@ -49,6 +266,285 @@ describe('WrappedDynamoDbClient', function () {
       });
     });
 
+    describe('ensure', function () {
+      let tableName;
+
+      beforeEach(async function () {
+        tableName = nanoid();
+      });
+
+      afterEach(async function () {
+        await baseClient.deleteTable(tableName).catch(_.noop);
+      });
+
+      it('should create a missing table & then do nothing', async function () {
+        let plan = await baseClient.ensureTable(tableName, ensureDefinition);
+
+        expect(plan).to.include({ exists: false, applied: true });
+        expect(_.map(plan.changes, 'action')).to.deep.equal([
+          'createTable',
+          'updateTimeToLive',
+        ]);
+
+        plan = await baseClient.ensureTable(tableName, ensureDefinition);
+
+        expect(plan).to.include({ exists: true, applied: true });
+        expect(plan.changes).to.be.empty;
+      });
+
+      it('should reconcile indexes, stream & time to live', async function () {
+        await baseClient.createTable(tableName, tableOptions);
+
+        const updated = {
+          ...ensureDefinition,
+          AttributeDefinitions: [
+            ...ensureDefinition.AttributeDefinitions,
+            { AttributeName: 'gsi2PK', AttributeType: 'N' },
+          ],
+          GlobalSecondaryIndexes: [
+            ensureIndex,
+            {
+              IndexName: 'gsi2',
+              KeySchema: [{ AttributeName: 'gsi2PK', KeyType: 'HASH' }],
+              Projection: { ProjectionType: 'ALL' },
+            },
+          ],
+          StreamSpecification: {
+            StreamEnabled: true,
+            StreamViewType: 'NEW_IMAGE',
+          },
+        };
+
+        // Plan only.
+        let plan = await baseClient.ensureTable(tableName, updated, {
+          planOnly: true,
+        });
+
+        expect(plan.applied).to.be.false;
+        expect(_.map(plan.changes, 'action')).to.deep.equal([
+          'createIndex',
+          'createIndex',
+          'updateStream',
+          'updateTimeToLive',
+        ]);
+        expect(await baseClient.describeTable(tableName)).not.to.have.property(
+          'GlobalSecondaryIndexes'
+        );
+
+        // Apply.
+        plan = await baseClient.ensureTable(tableName, updated);
+        expect(plan.applied).to.be.true;
+
+        const table = await baseClient.describeTable(tableName);
+        expect(
+          _.map(table.GlobalSecondaryIndexes, 'IndexName').sort()
+        ).to.deep.equal(['gsi', 'gsi2']);
+        expect(table.StreamSpecification).to.include({
+          StreamViewType: 'NEW_IMAGE',
+        });
+
+        // Drop an index & change the stream view type.
+        plan = await baseClient.ensureTable(tableName, {
+          ...updated,
+          GlobalSecondaryIndexes: [ensureIndex],
+          StreamSpecification: {
+            StreamEnabled: true,
+            StreamViewType: 'KEYS_ONLY',
+          },
+        });
+
+        expect(_.map(plan.changes, 'description')).to.deep.equal([
+          'delete global secondary index gsi2',
+          'disable stream',
+          'enable stream with view type KEYS_ONLY',
+        ]);
+        expect(
+          _.map(
+            (await baseClient.describeTable(tableName)).GlobalSecondaryIndexes,
+            'IndexName'
+          )
+        ).to.deep.equal(['gsi']);
+      });
+
+      it('should refuse incompatible key changes', async function () {
+        await baseClient.createTable(tableName, tableOptions);
+
+        const rekeyed = {
+          ...ensureDefinition,
+          AttributeDefinitions: [
+            { AttributeName: 'entityPK', AttributeType: 'N' },
+            { AttributeName: 'gsiPK', AttributeType: 'S' },
+          ],
+          KeySchema: [{ AttributeName: 'entityPK', KeyType: 'HASH' }],
+        };
+
+        try {
+          await baseClient.ensureTable(tableName, rekeyed);
+          expect.fail('should have thrown');
+        } catch (error) {
+          expect(error).to.be.an.instanceof(SchemaConflictError);
+          expect(error.plan.conflicts).to.have.lengthOf(1);
+          expect(error.plan.conflicts[0]).to.include({
+            property: 'KeySchema',
+            current: 'entityPK (S) HASH, entitySK (N) RANGE',
+            desired: 'entityPK (N) HASH',
+          });
+          expect(error.plan.changes).not.to.be.empty;
+        }
+
+        // Nothing was applied.
+        expect(await baseClient.describeTable(tableName)).not.to.have.property(
+          'GlobalSecondaryIndexes'
+        );
+      });
+    });
+
+    describe('settings', function () {
+      let tableName;
+
+      before(async function () {
+        tableName = nanoid();
+        await baseClient.createTable(tableName, tableOptions);
+      });
+
+      after(async function () {
+        await baseClient.deleteTable(tableName);
+      });
+
+      it('should enable & disable time to live', async function () {
+        let ttl = await baseClient.enableTimeToLive(tableName, 'expires');
+        expect(ttl).to.include({
+          AttributeName: 'expires',
+          TimeToLiveStatus: 'ENABLED',
+        });
+
+        // Enabling again is a no-op.
+        await baseClient.enableTimeToLive(tableName, 'expires');
+
+        ttl = await baseClient.disableTimeToLive(tableName);
+        expect(ttl.TimeToLiveStatus).to.equal('DISABLED');
+        expect(
+          (await baseClient.describeTimeToLive(tableName)).TimeToLiveStatus
+        ).to.equal('DISABLED');
+      });
+
+      it('should enable & disable point-in-time recovery', async function () {
+        const status = (description) =>
+          description.PointInTimeRecoveryDescription.PointInTimeRecoveryStatus;
+
+        expect(
+          status(await baseClient.enablePointInTimeRecovery(tableName))
+        ).to.equal('ENABLED');
+        expect(
+          status(await baseClient.describeContinuousBackups(tableName))
+        ).to.equal('ENABLED');
+        expect(
+          status(await baseClient.disablePointInTimeRecovery(tableName))
+        ).to.equal('DISABLED');
+      });
+
+      it('should enable & disable the stream', async function () {
+        let stream = await baseClient.enableStream(tableName, 'NEW_IMAGE');
+        expect(stream.StreamSpecification).to.deep.equal({
+          StreamEnabled: true,
+          StreamViewType: 'NEW_IMAGE',
+        });
+        expect(stream.LatestStreamArn).to.be.a('string');
+
+        stream = await baseClient.disableStream(tableName);
+        expect(stream.StreamSpecification.StreamEnabled).to.be.false;
+        expect(
+          (await baseClient.describeStream(tableName)).StreamSpecification
+        ).to.deep.equal({ StreamEnabled: false });
+      });
+
+      it('should validate arguments', async function () {
+        try {
+          await baseClient.enableStream(tableName, 'EVERYTHING');
+          expect.fail('should have thrown');
+        } catch (error) {
+          expect(error).to.be.an.instanceof(ValidationError);
+        }
+      });
+    });
+
+    describe('waiters', function () {
+      const waiter = { minDelay: 0.01, maxDelay: 0.02 };
+      let messages;
+      let client;
+
+      // Tables & indexes stay in transition for 100ms.
+      beforeEach(function () {
+        messages = [];
+        client = new WrappedDynamoDbClient({
+          backend: new InMemoryDynamoDb({ transitionTime: 100 }),
+          logger: {
+            debug: _.noop,
+            error: _.noop,
+            info: (message) => messages.push(message),
+          },
+          waiter,
+        });
+      });
+
+      it('should wait for indexes & log progress', async function () {
+        const { state, reason } = await client.createTable('waited', {
+          ...ensureDefinition,
+          TimeToLiveSpecification: undefined,
+        });
+
+        expect(state).to.equal('SUCCESS');
+        expect(reason.GlobalSecondaryIndexes[0].IndexStatus).to.equal('ACTIVE');
+        expect(messages).to.include(
+          'Table waited status: CREATING, gsi CREATING...'
+        );
+
+        await client.deleteTable('waited');
+      });
+
+      it('should time out', async function () {
+        try {
+          await client.createTable('waited', tableOptions, {
+            maxWaitTime: 0.03,
+          });
+          expect.fail('should have thrown');
+        } catch (error) {
+          expect(error).to.be.an.instanceof(TimeoutError);
+          expect(error.message).to.match(/status: CREATING/);
+        }
+
+        expect(
+          (await client.waitForTableActive('waited')).TableStatus
+        ).to.equal('ACTIVE');
+      });
+
+      it('should stop waiting when aborted', async function () {
+        const controller = new AbortController();
+
+        setTimeout(() => controller.abort(), 20);
+
+        try {
+          await client.createTable('waited', tableOptions, {
+            abortSignal: controller.signal,
+            minDelay: 1,
+          });
+          expect.fail('should have thrown');
+        } catch (error) {
+          expect(error).to.be.an.instanceof(WrappedDynamoDbError);
+          expect(error.message).to.match(/aborted/);
+        }
+      });
+
+      it('should validate waiter options', async function () {
+        try {
+          await client.waitForTableActive('waited', { maxWaitTime: -1 });
+          expect.fail('should have thrown');
+        } catch (error) {
+          expect(error).to.be.an.instanceof(ValidationError);
+        }
+      });
+    });
+
     describe('create ... delete', function () {
       let tableName;
 
@@ -88,8 +584,11 @@ describe('WrappedDynamoDbClient', function () {
 
             // Put items.
             let response = await baseClient.putItems(tableName, items);
-            expect(_.every(response, (r) => r.$metadata.httpStatusCode === 200))
-              .to.be.true;
+            expect(response).to.deep.equal({
+              succeeded: items.length,
+              failed: [],
+              errors: [],
+            });
 
             // Query items.
             response = await baseClient.query(tableName, {
@@ -101,8 +600,11 @@ describe('WrappedDynamoDbClient', function () {
 
             // Delete items.
             response = await baseClient.deleteItems(tableName, items);
-            expect(_.every(response, (r) => r.$metadata.httpStatusCode === 200))
-              .to.be.true;
+            expect(response).to.deep.equal({
+              succeeded: items.length,
+              failed: [],
+              errors: [],
+            });
 
             // Query items.
             response = await baseClient.query(tableName, {
@@ -124,8 +626,11 @@ describe('WrappedDynamoDbClient', function () {
 
             // Put items.
             let response = await baseClient.putItems(tableName, items);
-            expect(_.every(response, (r) => r.$metadata.httpStatusCode === 200))
-              .to.be.true;
+            expect(response).to.deep.equal({
+              succeeded: items.length,
+              failed: [],
+              errors: [],
+            });
 
             // Query items.
             response = await baseClient.query(tableName, {
@@ -136,11 +641,11 @@ describe('WrappedDynamoDbClient', function () {
             expect(response.Items).not.to.be.empty;
 
             // Purge items.
-            const purged = await baseClient.purgeItems(tableName, [
+            const { succeeded } = await baseClient.purgeItems(tableName, [
               'entityPK',
               'entitySK',
             ]);
-            expect(purged).to.equal(n);
+            expect(succeeded).to.equal(n);
 
             // Query items.
             response = await baseClient.query(tableName, {
@@ -151,6 +656,140 @@ describe('WrappedDynamoDbClient', function () {
             expect(response.Items).to.be.empty;
           });
 
+          it('puts/parallel purge should close', async function () {
+            const entityPK = nanoid();
+            const n = 26;
+
+            const items = _.range(n).map((entitySK) => ({
+              entityPK,
+              entitySK,
+            }));
+
+            // Put items.
+            await baseClient.putItems(tableName, items);
+
+            // Parallel scan items.
+            const scanned = [];
+            for await (const item of baseClient.iterateParallelScan(
+              tableName,
+              {},
+              { segments: 3, concurrency: 2 }
+            ))
+              scanned.push(item);
+            expect(_.sortBy(scanned, 'entitySK')).to.deep.equal(items);
+
+            // Purge items.
+            const { succeeded } = await baseClient.purgeItems(
+              tableName,
+              ['entityPK', 'entitySK'],
+              { segments: 3 }
+            );
+            expect(succeeded).to.equal(n);
+
+            // Query items.
+            const response = await baseClient.query(tableName, {
+              KeyConditionExpression: '#PK = :PK',
+              ExpressionAttributeNames: { '#PK': 'entityPK' },
+              ExpressionAttributeValues: { ':PK': entityPK },
+            });
+            expect(response.Items).to.be.empty;
+          });
+
+          it('should purge matching items', async function () {
+            const entityPK = nanoid();
+            const items = _.range(30).map((entitySK) => ({
+              entityPK,
+              entitySK,
+              odd: entitySK % 2 === 1,
+            }));
+
+            await baseClient.putItems(tableName, items);
+
+            const filter = {
+              FilterExpression: '#entityPK = :entityPK',
+              ExpressionAttributeNames: { '#entityPK': 'entityPK' },
+              ExpressionAttributeValues: { ':entityPK': entityPK },
+            };
+            const progress = [];
+
+            // Key attributes come from the key schema.
+            const dryRun = await baseClient.purgeItems(tableName, {
+              filter,
+              predicate: ({ odd }) => odd,
+              dryRun: true,
+              pageSize: 10,
+              onProgress: (summary) => progress.push(summary.scanned),
+            });
+            expect(dryRun).to.include({ matched: 15, succeeded: 0 });
+            expect(progress).to.have.length.above(1);
+
+            const summary = await baseClient.purgeItems(tableName, {
+              filter,
+              predicate: async ({ odd }) => odd,
+            });
+            expect(summary).to.deep.include({
+              matched: 15,
+              succeeded: 15,
+              failed: [],
+              errors: [],
+            });
+
+            // Without a predicate, only keys are scanned.
+            const scans = [];
+            const client = new WrappedDynamoDbClient({
+              backend,
+              middleware: [
+                {
+                  after: ({ operation, output }) =>
+                    operation === 'scan' && scans.push(...output.Items),
+                },
+              ],
+            });
+
+            expect(await client.purgeItems(tableName, { filter })).to.include({
+              matched: 15,
+              succeeded: 15,
+            });
+            expect(scans).to.have.length(15);
+            expect(scans[0]).to.have.all.keys('entityPK', 'entitySK');
+          });
+
+          it('should keep the filter attribute names when purging', async function () {
+            const entityPK = nanoid();
+            const items = _.range(10).map((entitySK) => ({
+              entityPK,
+              entitySK,
+              odd: entitySK % 2 === 1,
+            }));
+
+            await baseClient.putItems(tableName, items);
+
+            // The filter's #entitySK placeholder names another attribute.
+            const summary = await baseClient.purgeItems(tableName, {
+              filter: {
+                FilterExpression: '#entityPK = :entityPK AND #entitySK = :odd',
+                ExpressionAttributeNames: {
+                  '#entityPK': 'entityPK',
+                  '#entitySK': 'odd',
+                },
+                ExpressionAttributeValues: {
+                  ':entityPK': entityPK,
+                  ':odd': true,
+                },
+              },
+            });
+            expect(summary).to.include({ matched: 5, succeeded: 5 });
+
+            const { Items } = await baseClient.query(tableName, {
+              KeyConditionExpression: '#entityPK = :entityPK',
+              ExpressionAttributeNames: { '#entityPK': 'entityPK' },
+              ExpressionAttributeValues: { ':entityPK': entityPK },
+            });
+            expect(_.map(Items, 'odd')).to.deep.equal(
+              _.times(5, _.constant(false))
+            );
+          });
+
           it('transactPuts/transactDeletes should close', async function () {
             const entityPK = nanoid();
             const items = _.range(26).map((entitySK) => ({
@@ -184,6 +823,771 @@ describe('WrappedDynamoDbClient', function () {
           });
         });
 
+        describe('transactions', function () {
+          it('builder should mix operations', async function () {
+            const entityPK = nanoid();
+            const item0 = { entityPK, entitySK: 0 };
+            const item1 = { entityPK, entitySK: 1 };
+
+            await baseClient.putItem(tableName, { ...item1, count: 1 });
+
+            await baseClient
+              .transaction()
+              .put(tableName, item0)
+              .update(tableName, item1, { count: increment() })
+              .execute();
+
+            expect(
+              await baseClient.getItems(tableName, [item0, item1])
+            ).to.deep.equal([item0, { ...item1, count: 2 }]);
+
+            await baseClient
+              .transaction()
+              .delete(tableName, item0)
+              .delete(tableName, item1)
+              .execute();
+
+            expect(
+              await baseClient.getItems(tableName, [item0, item1])
+            ).to.deep.equal([undefined, undefined]);
+          });
+
+          it('builder should decode cancellation reasons', async function () {
+            const entityPK = nanoid();
+            const item0 = { entityPK, entitySK: 0 };
+            const item1 = { entityPK, entitySK: 1 };
+
+            let error;
+            try {
+              await baseClient
+                .transaction()
+                .put(tableName, item0)
+                .conditionCheck(tableName, item1, 'attribute_exists(#PK)', {
+                  ExpressionAttributeNames: { '#PK': 'entityPK' },
+                })
+                .execute();
+            } catch (e) {
+              error = e;
+            }
+
+            expect(error).to.be.an.instanceof(TransactionCanceledError);
+            expect(error.failures).to.have.length(1);
+            expect(error.failures[0]).to.include({
+              index: 1,
+              type: 'ConditionCheck',
+              code: 'ConditionalCheckFailed',
+            });
+            expect(await baseClient.getItem(tableName, item0)).to.be.undefined;
+          });
+        });
+
+        describe('partiql', function () {
+          it('should execute statements & follow NextToken', async function () {
+            const entityPK = nanoid();
+
+            for (const entitySK of [0, 1, 2])
+              await baseClient.executeStatement(
+                `INSERT INTO "${tableName}" VALUE {'entityPK': ?, 'entitySK': ?, 'count': 1}`,
+                [entityPK, entitySK]
+              );
+
+            await baseClient.executeStatement(
+              `UPDATE "${tableName}" SET "count" = "count" + ? WHERE "entityPK" = ? AND "entitySK" = 1`,
+              [2, entityPK]
+            );
+
+            const { Items } = await baseClient.executeStatement(
+              `SELECT "entitySK", "count" FROM "${tableName}" WHERE "entityPK" = ?`,
+              [entityPK],
+              { Limit: 1 }
+            );
+            expect(Items).to.deep.equal([
+              { entitySK: 0, count: 1 },
+              { entitySK: 1, count: 3 },
+              { entitySK: 2, count: 1 },
+            ]);
+
+            const error = await baseClient
+              .executeStatement(
+                `INSERT INTO "${tableName}" VALUE {'entityPK': ?, 'entitySK': 0}`,
+                [entityPK]
+              )
+              .catch((error) => error);
+            expect(error).to.be.an.instanceof(WrappedDynamoDbError);
+            expect(error.cause.name).to.equal('DuplicateItemException');
+
+            for (const entitySK of [0, 1, 2])
+              await baseClient.executeStatement(
+                `DELETE FROM "${tableName}" WHERE "entityPK" = ? AND "entitySK" = ?`,
+                [entityPK, entitySK]
+              );
+
+            expect(
+              (
+                await baseClient.executeStatement(
+                  `SELECT * FROM "${tableName}" WHERE "entityPK" = ?`,
+                  [entityPK]
+                )
+              ).Items
+            ).to.be.empty;
+          });
+
+          it('should chunk batches & report statement errors', async function () {
+            const entityPK = nanoid();
+            const statements = _.range(30).map((entitySK) => ({
+              Statement: `INSERT INTO "${tableName}" VALUE {'entityPK': ?, 'entitySK': ?}`,
+              Parameters: [entityPK, entitySK],
+            }));
+
+            let response = await baseClient.batchExecuteStatement(statements);
+            expect(response.Responses).to.have.length(30);
+            expect(_.filter(response.Responses, 'Error')).to.be.empty;
+
+            response = await baseClient.batchExecuteStatement([
+              {
+                Statement: `SELECT * FROM "${tableName}" WHERE "entityPK" = ? AND "entitySK" = 29`,
+                Parameters: [entityPK],
+              },
+              {
+                Statement: `UPDATE "${tableName}" SET "a" = 1 WHERE "entityPK" = ? AND "entitySK" = 30`,
+                Parameters: [entityPK],
+              },
+            ]);
+            expect(response.Responses[0].Item).to.deep.equal({
+              entityPK,
+              entitySK: 29,
+            });
+            expect(response.Responses[1].Error.Code).to.equal(
+              'ConditionalCheckFailed'
+            );
+
+            await baseClient.batchExecuteStatement(
+              _.range(30).map((entitySK) => ({
+                Statement: `DELETE FROM "${tableName}" WHERE "entityPK" = ? AND "entitySK" = ?`,
+                Parameters: [entityPK, entitySK],
+              }))
+            );
+          });
+
+          it('should execute transactions atomically', async function () {
+            const entityPK = nanoid();
+            const insert = (entitySK) => ({
+              Statement: `INSERT INTO "${tableName}" VALUE {'entityPK': ?, 'entitySK': ?}`,
+              Parameters: [entityPK, entitySK],
+            });
+
+            await baseClient.executeTransaction([insert(0)]);
+
+            const error = await baseClient
+              .executeTransaction([insert(1), insert(0)])
+              .catch((error) => error);
+            expect(error).to.be.an.instanceof(TransactionCanceledError);
+            expect(_.map(error.reasons, 'code')).to.deep.equal([
+              'None',
+              'DuplicateItem',
+            ]);
+
+            const { Responses } = await baseClient.executeTransaction(
+              [0, 1].map((entitySK) => ({
+                Statement: `SELECT * FROM "${tableName}" WHERE "entityPK" = ? AND "entitySK" = ?`,
+                Parameters: [entityPK, entitySK],
+              }))
+            );
+            expect(Responses).to.deep.equal([
+              { Item: { entityPK, entitySK: 0 } },
+              {},
+            ]);
+
+            await baseClient.deleteItem(tableName, { entityPK, entitySK: 0 });
+          });
+
+          it('should validate statements', async function () {
+            for (const call of [
+              () => baseClient.executeStatement(''),
+              () => baseClient.executeStatement('SELECT * FROM t', 'p'),
+              () => baseClient.batchExecuteStatement([]),
+              () => baseClient.executeTransaction([{ Statement: 1 }]),
+            ]) {
+              const error = await call().catch((error) => error);
+              expect(error).to.be.an.instanceof(ValidationError);
+            }
+
+            const error = await baseClient
+              .executeStatement(`SELECT * FROM "${tableName}" WHERE`)
+              .catch((error) => error);
+            expect(error).to.be.an.instanceof(ValidationError);
+          });
+        });
+
+        describe('optimistic locking', function () {
+          const versionedClient = new WrappedDynamoDbClient({
+            backend,
+            versionAttribute: 'version',
+          });
+
+          it('put should create & bump versions', async function () {
+            const item = { entityPK: nanoid(), entitySK: 0 };
+
+            await versionedClient.putItem(tableName, item);
+            expect(
+              await versionedClient.getItem(tableName, item)
+            ).to.deep.equal({ ...item, version: 1 });
+
+            await versionedClient.putItem(tableName, { ...item, version: 1 });
+            expect(
+              await versionedClient.getItem(tableName, item)
+            ).to.deep.equal({ ...item, version: 2 });
+
+            await versionedClient.deleteItem(tableName, {
+              ...item,
+              version: 2,
+            });
+            expect(await versionedClient.getItem(tableName, item)).to.be
+              .undefined;
+          });
+
+          it('update should check & bump versions', async function () {
+            const item = { entityPK: nanoid(), entitySK: 0 };
+
+            await versionedClient.putItem(tableName, item);
+            expect(
+              await versionedClient.updateItem(tableName, item, { n: 1 })
+            ).to.deep.equal({ ...item, n: 1, version: 2 });
+
+            expect(
+              await versionedClient.increment(
+                tableName,
+                { ...item, version: 2 },
+                'n'
+              )
+            ).to.equal(2);
+            expect(
+              await versionedClient.getItem(tableName, item)
+            ).to.deep.equal({ ...item, n: 2, version: 3 });
+
+            let error;
+            try {
+              await versionedClient.updateItem(
+                tableName,
+                { ...item, version: 2 },
+                { n: 5 }
+              );
+            } catch (e) {
+              error = e;
+            }
+            expect(error).to.be.an.instanceof(VersionConflictError);
+            expect(error.items).to.deep.equal([{ ...item, version: 2 }]);
+
+            // A put based on a read before the update conflicts.
+            error = undefined;
+            try {
+              await versionedClient.putItem(tableName, { ...item, version: 1 });
+            } catch (e) {
+              error = e;
+            }
+            expect(error).to.be.an.instanceof(VersionConflictError);
+          });
+
+          it('conflicting writes should throw VersionConflictError', async function () {
+            const item = { entityPK: nanoid(), entitySK: 0 };
+
+            await versionedClient.putItem(tableName, item);
+
+            let error;
+            try {
+              await versionedClient.putItem(tableName, item);
+            } catch (e) {
+              error = e;
+            }
+            expect(error).to.be.an.instanceof(VersionConflictError);
+
+            error = undefined;
+            try {
+              await versionedClient.deleteItem(tableName, {
+                ...item,
+                version: 5,
+              });
+            } catch (e) {
+              error = e;
+            }
+            expect(error).to.be.an.instanceof(VersionConflictError);
+
+            await versionedClient.deleteItem(tableName, item, {
+              versionAttribute: null,
+            });
+          });
+
+          it('conflicting transactions should throw VersionConflictError', async function () {
+            const entityPK = nanoid();
+            const items = _.range(3).map((entitySK) => ({
+              entityPK,
+              entitySK,
+            }));
+
+            await versionedClient.transactPutItems(tableName, items);
+
+            let error;
+            try {
+              await versionedClient.transactPutItems(tableName, [
+                { ...items[0], version: 1 },
+                items[1],
+              ]);
+            } catch (e) {
+              error = e;
+            }
+            expect(error).to.be.an.instanceof(VersionConflictError);
+            expect(error.items).to.deep.equal([items[1]]);
+
+            await versionedClient.transactDeleteItems(
+              tableName,
+              items.map((item) => ({ ...item, version: 1 }))
+            );
+          });
+        });
+
+        describe('cache', function () {
+          let cachedClient;
+          let entityPK;
+          let items;
+          let keys;
+
+          const read = async () =>
+            _.map(await cachedClient.getItems(tableName, keys), 'n');
+
+          beforeEach(async function () {
+            cachedClient = new WrappedDynamoDbClient({ backend, cache: true });
+            entityPK = nanoid();
+            items = [
+              { entityPK, entitySK: 0, n: 1, s: 'x' },
+              { entityPK, entitySK: 1, n: 2, s: 'y' },
+            ];
+            keys = items.map((item) => _.pick(item, 'entityPK', 'entitySK'));
+
+            await cachedClient.putItems(tableName, items);
+          });
+
+          afterEach(async function () {
+            await baseClient.deleteItems(tableName, [
+              ...keys,
+              { entityPK, entitySK: 2 },
+            ]);
+          });
+
+          it('should read items through the cache', async function () {
+            // Write behind the client's back, so only the cache has the old
+            // value.
+            expect(await cachedClient.getItem(tableName, keys[0])).to.include({
+              n: 1,
+            });
+            await baseClient.updateItem(tableName, keys[0], { n: 10 });
+
+            expect(
+              await cachedClient.getItem(tableName, keys[0], 'n')
+            ).to.deep.equal({ n: 1 });
+            expect(
+              await cachedClient.getItem(tableName, keys[0], undefined, {
+                ConsistentRead: true,
+              })
+            ).to.include({ n: 10 });
+
+            const missing = { entityPK, entitySK: 2 };
+            expect(
+              await cachedClient.getItems(
+                tableName,
+                [keys[0], keys[1], missing, keys[0]],
+                ['s']
+              )
+            ).to.deep.equal([{ s: 'x' }, { s: 'y' }, undefined, { s: 'x' }]);
+
+            // Missing items are cached too.
+            await baseClient.putItem(tableName, missing);
+            expect(await cachedClient.getItem(tableName, missing)).to.be
+              .undefined;
+
+            expect(cachedClient.cache.stats).to.include({ hits: 3, misses: 3 });
+          });
+
+          it('should invalidate items on writes', async function () {
+            await read();
+
+            await cachedClient.putItem(tableName, { ...keys[0], n: 3 });
+            expect(await read()).to.deep.equal([3, 2]);
+
+            await cachedClient.updateItem(tableName, keys[1], { n: 4 });
+            expect(await read()).to.deep.equal([3, 4]);
+
+            await cachedClient.deleteItems(tableName, [keys[0]]);
+            expect(await read()).to.deep.equal([undefined, 4]);
+
+            await cachedClient.transactPutItems(tableName, [
+              { ...keys[0], n: 5 },
+            ]);
+            expect(await read()).to.deep.equal([5, 4]);
+
+            await cachedClient.executeStatement(
+              `UPDATE "${tableName}" SET n = ? WHERE entityPK = ? AND entitySK = ?`,
+              [6, entityPK, 1]
+            );
+            expect(await read()).to.deep.equal([5, 6]);
+
+            // Reads never invalidate.
+            expect(cachedClient.cache.stats).to.include({ misses: 8 });
+            await read();
+            expect(cachedClient.cache.stats).to.include({ misses: 8 });
+          });
+
+          it('should invalidate puts without describing the table', async function () {
+            const operations = [];
+            cachedClient.use({
+              before: ({ operation }) => operations.push(operation),
+            });
+
+            await read();
+            await cachedClient.putItem(tableName, { ...keys[0], n: 3 });
+
+            expect(operations).not.to.include('describeTable');
+            expect(await read()).to.deep.equal([3, 2]);
+            expect(cachedClient.cache.stats).to.include({ misses: 3 });
+          });
+
+          it('should not fail writes when invalidation fails', async function () {
+            const failingClient = new WrappedDynamoDbClient({
+              backend,
+              cache: {
+                store: {
+                  get: _.noop,
+                  set: _.noop,
+                  delete: async () => {
+                    throw new Error('store unavailable');
+                  },
+                  clear: _.noop,
+                },
+              },
+              logger: { debug: _.noop, error: _.noop, info: _.noop },
+            });
+
+            await failingClient.getItem(tableName, keys[0]);
+            await failingClient.putItem(tableName, { ...keys[0], n: 3 });
+
+            expect(await baseClient.getItem(tableName, keys[0])).to.include({
+              n: 3,
+            });
+          });
+        });
+
+        describe('export & import', function () {
+          let directory;
+          let entityPK;
+          let items;
+          let keys;
+          let path;
+
+          const options = () => ({
+            FilterExpression: '#PK = :PK',
+            ExpressionAttributeNames: { '#PK': 'entityPK' },
+            ExpressionAttributeValues: { ':PK': entityPK },
+          });
+
+          before(async function () {
+            directory = await mkdtemp(join(tmpdir(), 'export-'));
+          });
+
+          after(async function () {
+            await rm(directory, { recursive: true, force: true });
+          });
+
+          beforeEach(async function () {
+            entityPK = nanoid();
+            path = join(directory, `${entityPK}.jsonl`);
+            items = _.range(3).map((entitySK) => ({
+              entityPK,
+              entitySK,
+              big: 12345678901234567890n,
+              data: new Uint8Array([entitySK, 255]),
+              nested: { list: [1, 'x', null] },
+              tags: new Set(['a', 'b']),
+            }));
+            keys = items.map((item) => _.pick(item, ['entityPK', 'entitySK']));
+
+            await baseClient.putItems(tableName, items);
+          });
+
+          afterEach(async function () {
+            await baseClient.deleteItems(tableName, keys);
+          });
+
+          it('should round-trip items losslessly', async function () {
+            let response = await baseClient.exportTable(
+              tableName,
+              path,
+              options(),
+              { pageSize: 1 }
+            );
+            expect(response.items).to.equal(items.length);
+            expect(response.bytes).to.equal((await stat(path)).size);
+
+            await baseClient.deleteItems(tableName, keys);
+
+            response = await baseClient.importTable(tableName, path, {
+              batchSize: 2,
+            });
+            expect(response).to.deep.equal({
+              succeeded: items.length,
+              failed: [],
+              errors: [],
+            });
+
+            response = await baseClient.getItems(tableName, keys);
+            expect(response).to.deep.equal(items);
+          });
+
+          it('should round-trip high-precision decimals', async function () {
+            const precise = '0.12345678901234567890123';
+            const item = {
+              ...keys[0],
+              precise: NumberValue.from(precise),
+              nested: { list: [NumberValue.from(`-${precise}`)] },
+            };
+            await baseClient.putItem(tableName, item);
+
+            await baseClient.exportTable(tableName, path, options());
+            const exported = await readFile(path, 'utf8');
+            expect(exported).to.include(`{"N":"${precise}"}`);
+            expect(exported).to.include(`{"N":"-${precise}"}`);
+
+            await baseClient.deleteItems(tableName, keys);
+            await baseClient.importTable(tableName, path);
+
+            const reexportPath = `${path}.again`;
+            await baseClient.exportTable(tableName, reexportPath, options());
+            expect(await readFile(reexportPath, 'utf8')).to.equal(exported);
+          });
+
+          it('should resume an interrupted export', async function () {
+            let scans = 0;
+            const client = new WrappedDynamoDbClient({ backend }).use({
+              before: ({ operation }) => {
+                if (operation === 'scan' && ++scans > 1)
+                  throw new Error('interrupted');
+              },
+            });
+
+            try {
+              await client.exportTable(tableName, path, options(), {
+                pageSize: 1,
+              });
+              expect.fail('should have thrown');
+            } catch (error) {
+              expect(error.message).to.match(/interrupted/);
+            }
+
+            await stat(`${path}.cursor`);
+
+            const response = await baseClient.exportTable(
+              tableName,
+              path,
+              options(),
+              { pageSize: 1, resume: true }
+            );
+            expect(response.items).to.equal(items.length);
+
+            const lines = (await readFile(path, 'utf8')).trim().split('\n');
+            expect(lines).to.have.length(items.length);
+
+            try {
+              await stat(`${path}.cursor`);
+              expect.fail('cursor should be removed');
+            } catch (error) {
+              expect(error.code).to.equal('ENOENT');
+            }
+          });
+        });
+
+        describe('copy', function () {
+          let entityPK;
+          let items;
+          let targetTableName;
+
+          const filter = () => ({
+            FilterExpression: '#PK = :PK',
+            ExpressionAttributeNames: { '#PK': 'entityPK' },
+            ExpressionAttributeValues: { ':PK': entityPK },
+          });
+
+          // Drop odd items & split even ones into two.
+          const transform = async ({ entitySK, ...item }) =>
+            entitySK % 2
+              ? undefined
+              : [0, 1].map((copy) => ({
+                  ...item,
+                  entityPK: `copy#${entityPK}`,
+                  entitySK: entitySK * 2 + copy,
+                }));
+
+          before(async function () {
+            targetTableName = nanoid();
+            await baseClient.createTable(targetTableName, tableOptions);
+          });
+
+          after(async function () {
+            await baseClient.deleteTable(targetTableName);
+          });
+
+          beforeEach(async function () {
+            entityPK = nanoid();
+            items = _.range(30).map((entitySK) => ({
+              entityPK,
+              entitySK,
+              data: `item ${entitySK}`,
+            }));
+
+            await baseClient.putItems(tableName, items);
+          });
+
+          afterEach(async function () {
+            await baseClient.deleteItems(
+              tableName,
+              items.map((item) => _.pick(item, ['entityPK', 'entitySK']))
+            );
+          });
+
+          it('should copy & transform items', async function () {
+            const response = await baseClient.copyTable(
+              tableName,
+              targetTableName,
+              { filter: filter(), transform, pageSize: 7, concurrency: 2 }
+            );
+
+            expect(response).to.deep.equal({
+              scanned: 30,
+              dropped: 15,
+              output: 30,
+              succeeded: 30,
+              failed: [],
+              errors: [],
+            });
+
+            const copied = [];
+            for await (const item of baseClient.iterateQuery(targetTableName, {
+              KeyConditionExpression: '#PK = :PK',
+              ExpressionAttributeNames: { '#PK': 'entityPK' },
+              ExpressionAttributeValues: { ':PK': `copy#${entityPK}` },
+            }))
+              copied.push(item);
+
+            expect(copied).to.have.length(30);
+            expect(copied[3]).to.deep.equal({
+              entityPK: `copy#${entityPK}`,
+              entitySK: 5,
+              data: 'item 2',
+            });
+          });
+
+          it('should copy high-precision decimals intact', async function () {
+            const precise = '0.12345678901234567890123';
+            const item = {
+              entityPK,
+              entitySK: 30,
+              precise: NumberValue.from(precise),
+            };
+            items.push(item);
+            await baseClient.putItem(tableName, item);
+
+            const sortKeys = [];
+            await baseClient.copyTable(tableName, targetTableName, {
+              filter: filter(),
+              transform: (item) => {
+                sortKeys.push(item.entitySK);
+                return { ...item, entityPK: `copy#${entityPK}` };
+              },
+            });
+
+            // Numbers a document client represents exactly stay native.
+            expect(sortKeys.every(_.isNumber)).to.be.true;
+
+            const directory = await mkdtemp(join(tmpdir(), 'copy-'));
+            try {
+              const path = join(directory, 'copy.jsonl');
+              await baseClient.exportTable(targetTableName, path, {
+                FilterExpression: '#PK = :PK',
+                ExpressionAttributeNames: { '#PK': 'entityPK' },
+                ExpressionAttributeValues: { ':PK': `copy#${entityPK}` },
+              });
+
+              expect(await readFile(path, 'utf8')).to.include(
+                `{"N":"${precise}"}`
+              );
+            } finally {
+              await rm(directory, { recursive: true, force: true });
+            }
+          });
+
+          it('should settle writes in flight when the scan fails', async function () {
+            const unhandled = [];
+            const onUnhandled = (reason) => unhandled.push(reason);
+            process.on('unhandledRejection', onUnhandled);
+
+            let scans = 0;
+            const client = new WrappedDynamoDbClient({
+              backend,
+              logger: {
+                debug: (message) => {
+                  if (message.startsWith('  Copied'))
+                    throw new Error('logger failed');
+                },
+                error: _.noop,
+                info: _.noop,
+              },
+            }).use({
+              before: async ({ operation }) => {
+                if (operation === 'batchWrite')
+                  await new Promise((resolve) => setTimeout(resolve, 20));
+                if (operation === 'scan' && ++scans > 1)
+                  throw new Error('scan failed');
+              },
+            });
+
+            try {
+              await client.copyTable(tableName, targetTableName, {
+                filter: filter(),
+                transform,
+                pageSize: 7,
+              });
+              expect.fail('should have thrown');
+            } catch (error) {
+              expect(error.message).to.match(/scan failed/);
+            } finally {
+              await new Promise((resolve) => setTimeout(resolve, 50));
+              process.off('unhandledRejection', onUnhandled);
+            }
+
+            expect(unhandled).to.be.empty;
+          });
+
+          it('should report a dry run without writing', async function () {
+            const response = await baseClient.copyTable(
+              tableName,
+              targetTableName,
+              { filter: filter(), transform, dryRun: true, sampleSize: 3 }
+            );
+
+            expect(response).to.include({
+              scanned: 30,
+              dropped: 15,
+              output: 30,
+              succeeded: 0,
+            });
+            expect(response.sample).to.have.length(3);
+
+            const { Items } = await baseClient.query(targetTableName, {
+              KeyConditionExpression: '#PK = :PK',
+              ExpressionAttributeNames: { '#PK': 'entityPK' },
+              ExpressionAttributeValues: { ':PK': `copy#${entityPK}` },
+            });
+            expect(Items).to.be.empty;
+          });
+        });
+
         describe('put ... delete', function () {
           let entityPK;
           let item0;
@@ -214,6 +1618,172 @@ describe('WrappedDynamoDbClient', function () {
               response = await baseClient.getItem(tableName, item1);
               expect(response).to.deep.equal(item1);
             });
+
+            it('should get multiple items in key order', async function () {
+              const missing = { entityPK, entitySK: 2 };
+
+              const response = await baseClient.getItems(tableName, [
+                item1,
+                missing,
+                item0,
+                item1,
+              ]);
+
+              expect(response).to.deep.equal([item1, undefined, item0, item1]);
+            });
+
+            it('should project multiple items', async function () {
+              const response = await baseClient.getItems(
+                tableName,
+                [item0, item1],
+                'entitySK'
+              );
+
+              expect(response).to.deep.equal([
+                { entitySK: 0 },
+                { entitySK: 1 },
+              ]);
+            });
+
+            it('should coalesce concurrent gets', async function () {
+              const operations = [];
+              const client = new WrappedDynamoDbClient({
+                backend,
+                coalesceGets: true,
+                middleware: [
+                  { before: ({ operation }) => operations.push(operation) },
+                ],
+              });
+
+              const missing = { entityPK, entitySK: 2 };
+
+              const results = await Promise.all([
+                client.getItem(tableName, item0),
+                client.getItem(tableName, item1),
+                client.getItem(tableName, item0),
+                client.getItem(tableName, missing),
+                client.getItem(tableName, item1, 'entitySK'),
+              ]);
+
+              expect(results).to.deep.equal([
+                item0,
+                item1,
+                item0,
+                undefined,
+                { entitySK: 1 },
+              ]);
+              expect(operations).to.deep.equal(['batchGet', 'batchGet']);
+            });
+
+            it('should isolate errors of coalesced gets', async function () {
+              const client = new WrappedDynamoDbClient({
+                backend,
+                coalesceGets: true,
+              });
+
+              const [found, invalid] = await Promise.allSettled([
+                client.getItem(tableName, item0),
+                client.getItem(tableName, { entityPK, entitySK: 'x' }),
+              ]);
+
+              expect(found.value).to.deep.equal(item0);
+              expect(invalid.reason).to.be.an.instanceof(WrappedDynamoDbError);
+            });
+          });
+
+          describe('update', function () {
+            it('should set, remove, increment & append', async function () {
+              let response = await baseClient.updateItem(tableName, item0, {
+                name: 'foo',
+                profile: { email: 'foo@bar.com', age: 1 },
+                count: increment(),
+                tags: append(['a']),
+              });
+
+              expect(response).to.deep.equal({
+                ...item0,
+                name: 'foo',
+                profile: { email: 'foo@bar.com', age: 1 },
+                count: 1,
+                tags: ['a'],
+              });
+
+              response = await baseClient.updateItem(tableName, item0, {
+                'profile.email': undefined,
+                'profile.age': 2,
+                count: increment(2),
+                tags: append(['b']),
+              });
+
+              expect(response).to.deep.equal({
+                ...item0,
+                name: 'foo',
+                profile: { age: 2 },
+                count: 3,
+                tags: ['a', 'b'],
+              });
+            });
+
+            it('should return selected values', async function () {
+              const response = await baseClient.updateItem(
+                tableName,
+                item0,
+                { name: 'bar' },
+                { ReturnValues: 'UPDATED_NEW' }
+              );
+
+              expect(response).to.deep.equal({ name: 'bar' });
+            });
+
+            it('should increment counters atomically', async function () {
+              expect(
+                await baseClient.increment(tableName, item0, 'views')
+              ).to.equal(1);
+
+              const values = await Promise.all(
+                _.range(5).map(() =>
+                  baseClient.increment(tableName, item0, 'stats.likes', 2)
+                )
+              ).catch((error) => error);
+              // stats does not exist yet, so nested increments fail.
+              expect(values).to.be.an.instanceof(ValidationError);
+
+              await baseClient.updateItem(tableName, item0, { stats: {} });
+
+              const likes = await Promise.all(
+                _.range(5).map(() =>
+                  baseClient.increment(tableName, item0, 'stats.likes', 2)
+                )
+              );
+              expect(likes.sort((a, b) => a - b)).to.deep.equal([
+                2, 4, 6, 8, 10,
+              ]);
+
+              const limited = {
+                ConditionExpression: '#views < :limit',
+                ExpressionAttributeNames: { '#views': 'views' },
+                ExpressionAttributeValues: { ':limit': 2 },
+              };
+
+              expect(
+                await baseClient.increment(
+                  tableName,
+                  item0,
+                  'views',
+                  1,
+                  limited
+                )
+              ).to.equal(2);
+
+              const error = await baseClient
+                .increment(tableName, item0, 'views', 1, limited)
+                .catch((error) => error);
+              expect(error.name).to.equal('ConditionalCheckFailedError');
+
+              expect(
+                await baseClient.increment(tableName, item0, 'views', -2)
+              ).to.equal(0);
+            });
           });
 
           describe('query', function () {
@@ -251,6 +1821,78 @@ describe('WrappedDynamoDbClient', function () {
               expect(response.Items).to.deep.equal([item1]);
             });
           });
+
+          describe('iterate', function () {
+            const queryOptions = () => ({
+              KeyConditionExpression: '#PK = :PK',
+              ExpressionAttributeNames: { '#PK': 'entityPK' },
+              ExpressionAttributeValues: { ':PK': entityPK },
+            });
+
+            it('should iterate query items across pages', async function () {
+              const items = [];
+              for await (const item of baseClient.iterateQuery(
+                tableName,
+                queryOptions(),
+                { pageSize: 1 }
+              ))
+                items.push(item);
+
+              expect(items).to.deep.equal([item0, item1]);
+            });
+
+            it('should iterate query pages', async function () {
+              const pages = [];
+              for await (const page of baseClient.iterateQueryPages(
+                tableName,
+                queryOptions(),
+                { pageSize: 1 }
+              ))
+                pages.push(page.Items);
+
+              expect(pages.slice(0, 2)).to.deep.equal([[item0], [item1]]);
+            });
+
+            it('should respect maxItems', async function () {
+              const items = [];
+              for await (const item of baseClient.iterateQuery(
+                tableName,
+                queryOptions(),
+                { maxItems: 1 }
+              ))
+                items.push(item);
+
+              expect(items).to.deep.equal([item0]);
+            });
+
+            it('should start from startKey', async function () {
+              const items = [];
+              for await (const item of baseClient.iterateQuery(
+                tableName,
+                queryOptions(),
+                { startKey: item0 }
+              ))
+                items.push(item);
+
+              expect(items).to.deep.equal([item1]);
+            });
+
+            it('should iterate scan items', async function () {
+              const items = [];
+              for await (const item of baseClient.iterateScan(
+                tableName,
+                {
+                  FilterExpression: '#PK = :PK',
+                  ExpressionAttributeNames: { '#PK': 'entityPK' },
+                  ExpressionAttributeValues: { ':PK': entityPK },
+                },
+                { pageSize: 10 }
+              ))
+                items.push(item);
+
+              expect(_.sortBy(items, 'entitySK')).to.deep.equal([item0, item1]);
+            });
+          });
         });
       });
     });
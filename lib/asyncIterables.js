@@ -0,0 +1,46 @@
+/**
+ * Merge multiple async iterables into a single async iterable, consuming no
+ * more than `concurrency` of them at a time. Values are yielded in the order
+ * they arrive.
+ *
+ * @param {Function[]} factories - Functions returning async iterables. Each is invoked only when a concurrency slot is available.
+ * @param {number} [concurrency] - Maximum number of iterables consumed at once (default is unlimited).
+ * @yields {*} Values from all iterables.
+ * @private
+ */
+export async function* mergeAsyncIterables(factories, concurrency = Infinity) {
+  const pending = [...factories];
+  const active = new Map();
+
+  const next = (iterator) =>
+    iterator.next().then((result) => ({ iterator, result }));
+
+  const start = () => {
+    while (pending.length && active.size < concurrency) {
+      const iterator = pending.shift()()[Symbol.asyncIterator]();
+      active.set(iterator, next(iterator));
+    }
+  };
+
+  try {
+    start();
+
+    while (active.size) {
+      const { iterator, result } = await Promise.race(active.values());
+
+      if (result.done) {
+        active.delete(iterator);
+        start();
+      } else {
+        active.set(iterator, next(iterator));
+        yield result.value;
+      }
+    }
+  } finally {
+    // Close any iterables still open if the consumer stopped early or one of
+    // them threw.
+    await Promise.allSettled(
+      [...active.keys()].map((iterator) => iterator.return?.())
+    );
+  }
+}
@@ -0,0 +1,102 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+import { setTimeout } from 'timers/promises';
+
+// lib imports
+import { mergeAsyncIterables } from './asyncIterables.js';
+
+const delayed = async function* (values, delay) {
+  for (const value of values) {
+    await setTimeout(delay);
+    yield value;
+  }
+};
+
+describe('asyncIterables', function () {
+  describe('mergeAsyncIterables', function () {
+    it('should merge all values', async function () {
+      const values = [];
+      for await (const value of mergeAsyncIterables([
+        () => delayed([1, 2, 3], 5),
+        () => delayed([4, 5], 3),
+        () => delayed([], 1),
+      ]))
+        values.push(value);
+
+      expect(_.sortBy(values)).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('should respect concurrency', async function () {
+      let active = 0;
+      let maxActive = 0;
+
+      const tracked = async function* (values) {
+        active++;
+        maxActive = Math.max(active, maxActive);
+        try {
+          yield* delayed(values, 2);
+        } finally {
+          active--;
+        }
+      };
+
+      const values = [];
+      for await (const value of mergeAsyncIterables(
+        _.range(5).map((i) => () => tracked([i, i + 10])),
+        2
+      ))
+        values.push(value);
+
+      expect(values).to.have.length(10);
+      expect(maxActive).to.equal(2);
+    });
+
+    it('should close open iterables when consumer stops', async function () {
+      const closed = [];
+
+      const tracked = async function* (i) {
+        try {
+          yield* delayed(_.range(100), 1);
+        } finally {
+          closed.push(i);
+        }
+      };
+
+      // eslint-disable-next-line no-unused-vars
+      for await (const value of mergeAsyncIterables([
+        () => tracked(0),
+        () => tracked(1),
+      ]))
+        break;
+
+      expect(_.sortBy(closed)).to.deep.equal([0, 1]);
+    });
+
+    it('should propagate errors', async function () {
+      const failing = async function* () {
+        yield* delayed([0], 1);
+        throw new Error('boom');
+      };
+
+      const values = [];
+      let error;
+      try {
+        for await (const value of mergeAsyncIterables([
+          () => delayed([1, 2], 5),
+          failing,
+        ]))
+          values.push(value);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error?.message).to.equal('boom');
+      expect(values).to.include(0);
+    });
+  });
+});
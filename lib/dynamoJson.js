@@ -0,0 +1,112 @@
+// npm imports
+import { NumberValue } from '@aws-sdk/lib-dynamodb';
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+import _ from 'lodash';
+
+/**
+ * Map the binary values of a marshalled AttributeValue.
+ *
+ * @param {object} attributeValue - AttributeValue.
+ * @param {Function} convert - Binary value converter.
+ * @return {object} AttributeValue with converted binary values.
+ * @private
+ */
+const mapBinary = (attributeValue, convert) => {
+  const [[type, value]] = Object.entries(attributeValue);
+
+  switch (type) {
+    case 'B':
+      return { B: convert(value) };
+    case 'BS':
+      return { BS: value.map(convert) };
+    case 'L':
+      return { L: value.map((element) => mapBinary(element, convert)) };
+    case 'M':
+      return { M: mapBinaryValues(value, convert) };
+    default:
+      return attributeValue;
+  }
+};
+
+/**
+ * Map the binary values of a marshalled item.
+ *
+ * @param {object} item - Marshalled item.
+ * @param {Function} convert - Binary value converter.
+ * @return {object} Marshalled item with converted binary values.
+ * @private
+ */
+const mapBinaryValues = (item, convert) =>
+  _.mapValues(item, (attributeValue) => mapBinary(attributeValue, convert));
+
+/**
+ * Convert an item to DynamoDB JSON: the AttributeValue format of the
+ * low-level API with binary values encoded as base64, the format DynamoDB's
+ * own S3 exports use. Sets, binary values & numbers (including bigints and
+ * NumberValues) survive a round trip through JSON.
+ *
+ * @param {object} item - Item.
+ * @return {object} DynamoDB JSON item.
+ * @private
+ */
+export const toDynamoJson = (item) =>
+  mapBinaryValues(marshall(item, { removeUndefinedValues: true }), (value) =>
+    Buffer.from(value).toString('base64')
+  );
+
+/**
+ * Convert DynamoDB JSON back to an item. Numbers are returned as NumberValues
+ * so no precision is lost before they are written again.
+ *
+ * @param {object} dynamoJson - DynamoDB JSON item.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.wrapNumbers] - Return numbers as NumberValues (default is true).
+ * @return {object} Item.
+ * @private
+ */
+export const fromDynamoJson = (dynamoJson, { wrapNumbers = true } = {}) =>
+  unmarshall(
+    mapBinaryValues(
+      dynamoJson,
+      (value) => new Uint8Array(Buffer.from(value, 'base64'))
+    ),
+    { wrapNumbers }
+  );
+
+/**
+ * Convert a number string to the native value that represents it exactly: a
+ * number, a bigint for integers beyond Number precision, or a NumberValue
+ * for decimals beyond float precision (more than 15 significant digits).
+ *
+ * @param {string} value - Number string.
+ * @return {number|bigint|NumberValue} Exact value.
+ * @private
+ */
+export const narrowNumber = (value) => {
+  if (/^-?\d+$/.test(value))
+    return Number.isSafeInteger(Number(value)) ? Number(value) : BigInt(value);
+
+  const significantDigits = value
+    .split(/e/i)[0]
+    .replace(/[-+.]/g, '')
+    .replace(/^0+|0+$/g, '').length;
+
+  return significantDigits > 15 ? NumberValue.from(value) : Number(value);
+};
+
+/**
+ * Replace the NumberValues in an item read with wrapNumbers by native
+ * numbers wherever they represent them exactly (see {@link narrowNumber}),
+ * so only numbers a document client would round stay NumberValues.
+ *
+ * @param {*} value - Item or attribute value.
+ * @return {*} Converted value.
+ * @private
+ */
+export const narrowNumbers = (value) => {
+  if (value instanceof NumberValue) return narrowNumber(value.value);
+  if (value instanceof Set) return new Set([...value].map(narrowNumbers));
+  if (_.isArray(value)) return value.map(narrowNumbers);
+  if (_.isPlainObject(value)) return _.mapValues(value, narrowNumbers);
+  return value;
+};
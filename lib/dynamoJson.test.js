@@ -0,0 +1,53 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// lib imports
+import { fromDynamoJson, toDynamoJson } from './dynamoJson.js';
+
+const item = {
+  s: 'foo',
+  n: 1.5,
+  big: 12345678901234567890n,
+  b: new Uint8Array([1, 2, 3]),
+  bs: new Set([new Uint8Array([4])]),
+  ss: new Set(['a', 'b']),
+  l: [null, true, { m: 'bar' }],
+};
+
+describe('dynamoJson', function () {
+  it('should encode binary values as base64', function () {
+    const dynamoJson = toDynamoJson(item);
+
+    expect(dynamoJson.b).to.deep.equal({ B: 'AQID' });
+    expect(dynamoJson.bs).to.deep.equal({ BS: ['BA=='] });
+    expect(dynamoJson.big).to.deep.equal({ N: '12345678901234567890' });
+  });
+
+  it('should survive a JSON round trip', function () {
+    const decoded = fromDynamoJson(
+      JSON.parse(JSON.stringify(toDynamoJson(item))),
+      { wrapNumbers: false }
+    );
+
+    expect(decoded).to.deep.equal(item);
+  });
+
+  it('should wrap numbers by default', function () {
+    const { big } = fromDynamoJson(toDynamoJson({ big: item.big }));
+
+    expect(big.toString()).to.equal('12345678901234567890');
+  });
+
+  it('should keep high-precision decimals', function () {
+    const precise = '0.12345678901234567890123';
+    const { n } = fromDynamoJson(
+      JSON.parse(
+        JSON.stringify(toDynamoJson(fromDynamoJson({ n: { N: precise } })))
+      )
+    );
+
+    expect(n.toString()).to.equal(precise);
+  });
+});
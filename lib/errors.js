@@ -0,0 +1,409 @@
+// npm imports
+import _ from 'lodash';
+
+const retryableNames = [
+  'InternalServerError',
+  'LimitExceededException',
+  'ProvisionedThroughputExceededException',
+  'RequestLimitExceeded',
+  'ServiceUnavailable',
+  'ThrottlingException',
+  'TimeoutError',
+  'TransactionConflictException',
+  'TransactionInProgressException',
+];
+
+const throttlingNames = [
+  'ProvisionedThroughputExceededException',
+  'RequestLimitExceeded',
+  'ThrottlingException',
+];
+
+const retryableCancellationCodes = [
+  'ProvisionedThroughputExceeded',
+  'RequestLimitExceeded',
+  'ThrottlingError',
+  'TransactionConflict',
+];
+
+const retryableNetworkCodes = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+];
+
+/**
+ * Base class of all errors thrown by WrappedDynamoDbClient. Preserves the
+ * original error as `cause`, along with the operation & table that failed
+ * and the AWS request metadata.
+ */
+export class WrappedDynamoDbError extends Error {
+  /**
+   * WrappedDynamoDbError constructor.
+   *
+   * @param {string} message - Error message.
+   * @param {object} [details] - Error details.
+   * @param {string} [details.operation] - Operation that failed (e.g. put, batchWrite, createTable).
+   * @param {string} [details.tableName] - Table name.
+   * @param {Error} [details.cause] - Original error.
+   */
+  constructor(message, { operation, tableName, cause } = {}) {
+    super(message, { cause });
+    this.name = new.target.name;
+    this.operation = operation;
+    this.tableName = tableName;
+    this.awsErrorName = cause?.$metadata ? cause.name : undefined;
+    this.metadata = cause?.$metadata;
+    this.requestId = cause?.$metadata?.requestId;
+  }
+
+  /**
+   * True if the operation may succeed when retried.
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return isRetryable(this.cause);
+  }
+}
+
+/**
+ * Thrown when an argument is invalid, either locally or by DynamoDB
+ * (ValidationException).
+ */
+export class ValidationError extends WrappedDynamoDbError {
+  /**
+   * ValidationError constructor.
+   *
+   * @param {string} message - Error message.
+   * @param {object} [details] - Error details.
+   * @param {string} [details.parameter] - Invalid parameter name.
+   * @param {*} [details.value] - Invalid parameter value.
+   * @param {string} [details.operation] - Operation that failed.
+   * @param {string} [details.tableName] - Table name.
+   * @param {Error} [details.cause] - Original error.
+   */
+  constructor(message, { parameter, value, ...details } = {}) {
+    super(message, details);
+    this.parameter = parameter;
+    this.value = value;
+  }
+
+  /**
+   * Validation errors are never retryable.
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * Thrown by bulk writes when some items could not be written and the caller
+ * asked to throw on partial failure. The `summary` property holds the same
+ * summary the operation would otherwise have returned.
+ */
+export class BatchWriteError extends WrappedDynamoDbError {
+  /**
+   * BatchWriteError constructor.
+   *
+   * @param {string} message - Error message.
+   * @param {object} [details] - Error details.
+   * @param {object} [details.summary] - Bulk write summary: succeeded count, failed items & per-chunk errors.
+   * @param {string} [details.operation] - Operation that failed.
+   * @param {string} [details.tableName] - Table name.
+   * @param {Error} [details.cause] - Original error.
+   */
+  constructor(message, { summary, ...details } = {}) {
+    super(message, details);
+    this.summary = summary;
+  }
+
+  /**
+   * True if every chunk failed for a retryable reason.
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return (
+      !!this.summary?.errors.length &&
+      this.summary.errors.every(({ error }) => isRetryable(error))
+    );
+  }
+}
+
+/**
+ * Thrown when a table (or index) does not exist (ResourceNotFoundException).
+ */
+export class TableNotFoundError extends WrappedDynamoDbError {
+  /**
+   * Missing tables are never retryable.
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * Thrown when a write's ConditionExpression is not met
+ * (ConditionalCheckFailedException).
+ */
+export class ConditionalCheckFailedError extends WrappedDynamoDbError {
+  /**
+   * ConditionalCheckFailedError constructor.
+   *
+   * @param {string} message - Error message.
+   * @param {object} [details] - Error details.
+   * @param {object} [details.item] - Stored item, if returned by ReturnValuesOnConditionCheckFailure.
+   * @param {string} [details.operation] - Operation that failed.
+   * @param {string} [details.tableName] - Table name.
+   * @param {Error} [details.cause] - Original error.
+   */
+  constructor(message, { item, ...details } = {}) {
+    super(message, details);
+    this.item = item;
+  }
+
+  /**
+   * Failed conditions are never retryable as-is.
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * Thrown when an optimistically-locked write fails because the stored item
+ * version does not match the expected version.
+ */
+export class VersionConflictError extends ConditionalCheckFailedError {
+  /**
+   * VersionConflictError constructor.
+   *
+   * @param {string} message - Error message.
+   * @param {object} [details] - Error details.
+   * @param {string} [details.versionAttribute] - Version attribute name.
+   * @param {object[]} [details.items] - Items or keys whose versions conflicted (all items in the transaction if the conflicting ones cannot be identified).
+   * @param {string} [details.operation] - Operation that failed.
+   * @param {string} [details.tableName] - Table name.
+   * @param {Error} [details.cause] - Original error.
+   */
+  constructor(message, { versionAttribute, items, ...details } = {}) {
+    super(message, details);
+    this.versionAttribute = versionAttribute;
+    this.items = items;
+  }
+}
+
+/**
+ * Thrown when an existing table differs from its definition in ways that
+ * cannot be changed in place, such as its key schema or local secondary
+ * indexes. The `plan` property itemizes the changes that could be applied and
+ * the conflicts that prevent it.
+ */
+export class SchemaConflictError extends WrappedDynamoDbError {
+  /**
+   * SchemaConflictError constructor.
+   *
+   * @param {string} message - Error message.
+   * @param {object} [details] - Error details.
+   * @param {object} [details.plan] - Table plan: changes & conflicts.
+   * @param {string} [details.operation] - Operation that failed.
+   * @param {string} [details.tableName] - Table name.
+   * @param {Error} [details.cause] - Original error.
+   */
+  constructor(message, { plan, ...details } = {}) {
+    super(message, details);
+    this.plan = plan;
+  }
+
+  /**
+   * Schema conflicts are never retryable.
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return false;
+  }
+}
+
+/**
+ * Thrown when DynamoDB throttles a request
+ * (ProvisionedThroughputExceededException, ThrottlingException or
+ * RequestLimitExceeded).
+ */
+export class ThrottlingError extends WrappedDynamoDbError {
+  /**
+   * Throttled requests are always retryable.
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * Thrown when a DynamoDB transaction is cancelled. Each entry in `reasons`
+ * describes one operation of the transaction, in order, with the
+ * cancellation code DynamoDB reported for it (`None` for operations that did
+ * not cause the cancellation).
+ */
+export class TransactionCanceledError extends WrappedDynamoDbError {
+  /**
+   * TransactionCanceledError constructor.
+   *
+   * @param {string} message - Error message.
+   * @param {object} [details] - Error details.
+   * @param {object[]} [details.reasons] - Per-operation results: index, code & message, plus type, tableName, key & item where known.
+   * @param {string} [details.operation] - Operation that failed.
+   * @param {string} [details.tableName] - Table name.
+   * @param {Error} [details.cause] - Original error.
+   */
+  constructor(message, { reasons = [], ...details } = {}) {
+    super(message, details);
+    this.reasons = reasons;
+  }
+
+  /**
+   * Operations that caused the cancellation.
+   *
+   * @type {object[]}
+   */
+  get failures() {
+    return this.reasons.filter(({ code }) => code && code !== 'None');
+  }
+
+  /**
+   * True if every operation that caused the cancellation failed for a transient reason (conflict or throttling).
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    const { failures } = this;
+
+    return (
+      !!failures.length &&
+      failures.every(({ code }) => retryableCancellationCodes.includes(code))
+    );
+  }
+}
+
+/**
+ * Thrown when an operation or waiter times out.
+ */
+export class TimeoutError extends WrappedDynamoDbError {
+  /**
+   * Timeouts are always retryable.
+   *
+   * @type {boolean}
+   */
+  get isRetryable() {
+    return true;
+  }
+}
+
+/**
+ * Determine whether an error (wrapped or raw AWS SDK) may succeed if retried.
+ *
+ * @param {Error} error - Error.
+ * @return {boolean} True if retryable.
+ */
+export const isRetryable = (error) => {
+  if (!error) return false;
+  if (error instanceof WrappedDynamoDbError) return error.isRetryable;
+
+  return (
+    !!error.$retryable ||
+    retryableNames.includes(error.name) ||
+    retryableNetworkCodes.includes(error.code) ||
+    error.$metadata?.httpStatusCode >= 500
+  );
+};
+
+/**
+ * Decode the CancellationReasons of a TransactionCanceledException.
+ *
+ * @param {object[]} [cancellationReasons] - CancellationReasons.
+ * @return {object[]} Per-operation reasons: index, code, message & item (if returned).
+ * @private
+ */
+const decodeCancellationReasons = (cancellationReasons = []) =>
+  cancellationReasons.map(({ Code, Message, Item }, index) => ({
+    index,
+    code: Code,
+    message: Message,
+    ...(Item ? { item: Item } : {}),
+  }));
+
+/**
+ * Wrap an error in the matching WrappedDynamoDbError class. Errors that are
+ * already wrapped are returned as-is.
+ *
+ * @param {Error} error - Original error.
+ * @param {object} [details] - Error details.
+ * @param {string} [details.operation] - Operation that failed.
+ * @param {string} [details.tableName] - Table name.
+ * @return {WrappedDynamoDbError} Wrapped error.
+ * @private
+ */
+export const wrapError = (error, details = {}) => {
+  if (error instanceof WrappedDynamoDbError) return error;
+
+  const message = `${details.operation ?? 'operation'}${
+    details.tableName ? ` on table ${details.tableName}` : ''
+  } failed: ${error?.message ?? error}`;
+
+  const cause = error instanceof Error ? error : new Error(String(error));
+  const name = error?.name;
+
+  if (name === 'ValidationException')
+    return new ValidationError(message, { ...details, cause });
+
+  if (name === 'ResourceNotFoundException')
+    return new TableNotFoundError(message, { ...details, cause });
+
+  if (name === 'ConditionalCheckFailedException')
+    return new ConditionalCheckFailedError(message, {
+      ...details,
+      item: error.Item,
+      cause,
+    });
+
+  if (throttlingNames.includes(name))
+    return new ThrottlingError(message, { ...details, cause });
+
+  if (name === 'TransactionCanceledException')
+    return new TransactionCanceledError(message, {
+      ...details,
+      reasons: decodeCancellationReasons(error.CancellationReasons),
+      cause,
+    });
+
+  if (name === 'TimeoutError')
+    return new TimeoutError(message, { ...details, cause });
+
+  return new WrappedDynamoDbError(message, { ...details, cause });
+};
+
+/**
+ * Determine whether an error is a failed condition check, either directly or
+ * as the reason a transaction was cancelled.
+ *
+ * @param {Error} error - Error (wrapped or raw).
+ * @return {boolean} True if the error is a failed condition check.
+ * @private
+ */
+export const isConditionFailure = (error) =>
+  error instanceof ConditionalCheckFailedError ||
+  (error instanceof TransactionCanceledError &&
+    _.some(error.reasons, { code: 'ConditionalCheckFailed' })) ||
+  error?.name === 'ConditionalCheckFailedException' ||
+  (error?.name === 'TransactionCanceledException' &&
+    _.some(error.CancellationReasons, { Code: 'ConditionalCheckFailed' }));
@@ -0,0 +1,146 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// lib imports
+import {
+  ConditionalCheckFailedError,
+  isConditionFailure,
+  isRetryable,
+  TableNotFoundError,
+  ThrottlingError,
+  TimeoutError,
+  TransactionCanceledError,
+  ValidationError,
+  VersionConflictError,
+  WrappedDynamoDbError,
+  wrapError,
+} from './errors.js';
+
+const awsError = (name, props = {}) =>
+  Object.assign(new Error(`${name} message`), {
+    name,
+    $metadata: { httpStatusCode: 400, requestId: 'request-id' },
+    ...props,
+  });
+
+describe('errors', function () {
+  describe('wrapError', function () {
+    it('should preserve cause, operation, table & request id', function () {
+      const cause = awsError('ResourceNotFoundException');
+      const error = wrapError(cause, { operation: 'put', tableName: 'foo' });
+
+      expect(error).to.be.an.instanceof(TableNotFoundError);
+      expect(error).to.be.an.instanceof(WrappedDynamoDbError);
+      expect(error).to.include({
+        name: 'TableNotFoundError',
+        operation: 'put',
+        tableName: 'foo',
+        requestId: 'request-id',
+        awsErrorName: 'ResourceNotFoundException',
+        cause,
+      });
+      expect(error.message).to.equal(
+        'put on table foo failed: ResourceNotFoundException message'
+      );
+    });
+
+    it('should classify AWS errors', function () {
+      expect(wrapError(awsError('ValidationException'))).to.be.an.instanceof(
+        ValidationError
+      );
+      expect(
+        wrapError(awsError('ConditionalCheckFailedException'))
+      ).to.be.an.instanceof(ConditionalCheckFailedError);
+      expect(
+        wrapError(awsError('ProvisionedThroughputExceededException'))
+      ).to.be.an.instanceof(ThrottlingError);
+      expect(wrapError(awsError('TimeoutError'))).to.be.an.instanceof(
+        TimeoutError
+      );
+      expect(wrapError(awsError('AccessDeniedException')).constructor).to.equal(
+        WrappedDynamoDbError
+      );
+    });
+
+    it('should decode transaction cancellation reasons', function () {
+      const error = wrapError(
+        awsError('TransactionCanceledException', {
+          CancellationReasons: [
+            { Code: 'None' },
+            { Code: 'TransactionConflict', Message: 'conflict' },
+          ],
+        })
+      );
+
+      expect(error).to.be.an.instanceof(TransactionCanceledError);
+      expect(error.failures).to.deep.equal([
+        { index: 1, code: 'TransactionConflict', message: 'conflict' },
+      ]);
+      expect(error.isRetryable).to.be.true;
+    });
+
+    it('should not rewrap wrapped errors', function () {
+      const error = new ValidationError('invalid foo');
+
+      expect(wrapError(error)).to.equal(error);
+    });
+  });
+
+  describe('isRetryable', function () {
+    it('should classify retryable errors', function () {
+      expect(isRetryable(awsError('ThrottlingException'))).to.be.true;
+      expect(isRetryable(awsError('InternalServerError'))).to.be.true;
+      expect(
+        isRetryable(
+          awsError('UnknownError', { $metadata: { httpStatusCode: 503 } })
+        )
+      ).to.be.true;
+      expect(isRetryable(Object.assign(new Error(), { code: 'ECONNRESET' }))).to
+        .be.true;
+      expect(isRetryable(wrapError(awsError('ThrottlingException')))).to.be
+        .true;
+    });
+
+    it('should classify non-retryable errors', function () {
+      expect(isRetryable(awsError('ValidationException'))).to.be.false;
+      expect(isRetryable(awsError('ItemCollectionSizeLimitExceededException')))
+        .to.be.false;
+      expect(isRetryable(wrapError(awsError('AccessDeniedException')))).to.be
+        .false;
+      expect(isRetryable(new VersionConflictError('conflict'))).to.be.false;
+      expect(isRetryable(undefined)).to.be.false;
+    });
+  });
+
+  describe('isConditionFailure', function () {
+    it('should detect condition failures', function () {
+      expect(isConditionFailure(awsError('ConditionalCheckFailedException'))).to
+        .be.true;
+
+      expect(
+        isConditionFailure(
+          wrapError(
+            awsError('TransactionCanceledException', {
+              CancellationReasons: [
+                { Code: 'None' },
+                { Code: 'ConditionalCheckFailed' },
+              ],
+            })
+          )
+        )
+      ).to.be.true;
+
+      expect(
+        isConditionFailure(
+          awsError('TransactionCanceledException', {
+            CancellationReasons: [{ Code: 'ThrottlingError' }],
+          })
+        )
+      ).to.be.false;
+
+      expect(isConditionFailure(new Error())).to.be.false;
+    });
+  });
+});
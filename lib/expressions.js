@@ -0,0 +1,258 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ValidationError } from './errors.js';
+
+/**
+ * A special update operation, produced by {@link increment}, {@link append}
+ * or {@link ifNotExists}, for use as a value in an updateItem patch.
+ */
+export class UpdateOperation {
+  /**
+   * UpdateOperation constructor.
+   *
+   * @param {string} type - Operation type.
+   * @param {*} value - Operation operand.
+   */
+  constructor(type, value) {
+    this.type = type;
+    this.value = value;
+  }
+}
+
+/**
+ * Atomically add a number to a numeric attribute (or add elements to a set
+ * attribute) in an updateItem patch. Missing attributes are treated as zero
+ * (or an empty set).
+ *
+ * @param {number|Set} [by] - Amount to add (default is 1), or a Set of elements to add.
+ * @return {UpdateOperation} Update operation.
+ */
+export const increment = (by = 1) => new UpdateOperation('add', by);
+
+/**
+ * Append elements to a list attribute in an updateItem patch. A missing
+ * attribute is treated as an empty list.
+ *
+ * @param {Array} values - Elements to append.
+ * @return {UpdateOperation} Update operation.
+ */
+export const append = (values) => new UpdateOperation('append', values);
+
+/**
+ * Set an attribute in an updateItem patch only if it does not already exist.
+ *
+ * @param {*} value - Value to set.
+ * @return {UpdateOperation} Update operation.
+ */
+export const ifNotExists = (value) => new UpdateOperation('ifNotExists', value);
+
+/**
+ * Parse a document path like `a.b[0].c` into its segments.
+ *
+ * @param {string} path - Document path.
+ * @return {Array<string|number>} Attribute names & list indexes.
+ * @throws {ValidationError} If the path is malformed.
+ * @private
+ */
+export const parsePath = (path) => {
+  const segments = [];
+
+  for (const part of path.split('.')) {
+    const match = part.match(/^([^[\]]+)((?:\[\d+\])*)$/);
+    if (!match)
+      throw new ValidationError(`invalid document path '${path}'`, {
+        parameter: 'path',
+        value: path,
+      });
+
+    segments.push(match[1]);
+
+    for (const [, index] of match[2].matchAll(/\[(\d+)\]/g))
+      segments.push(Number(index));
+  }
+
+  return segments;
+};
+
+/**
+ * Accumulates ExpressionAttributeNames & ExpressionAttributeValues
+ * placeholders for a generated expression. Placeholders are numbered & carry
+ * a prefix, so they never depend on attribute names and can be merged with
+ * caller-supplied placeholders.
+ *
+ * @private
+ */
+export class ExpressionAttributes {
+  #names = new Map();
+  #prefix;
+  #values = [];
+
+  /**
+   * ExpressionAttributes constructor.
+   *
+   * @param {string} [prefix] - Placeholder prefix (default is 'x').
+   */
+  constructor(prefix = 'x') {
+    this.#prefix = prefix;
+  }
+
+  /**
+   * Get a placeholder for a document path.
+   *
+   * @param {string} path - Document path like `a.b[0].c`.
+   * @return {string} Path expression using name placeholders.
+   */
+  path(path) {
+    return parsePath(path)
+      .map((segment, i) =>
+        _.isNumber(segment)
+          ? `[${segment}]`
+          : `${i ? '.' : ''}${this.name(segment)}`
+      )
+      .join('');
+  }
+
+  /**
+   * Get a placeholder for an attribute name.
+   *
+   * @param {string} name - Attribute name.
+   * @return {string} Name placeholder.
+   */
+  name(name) {
+    if (!this.#names.has(name))
+      this.#names.set(name, `#${this.#prefix}${this.#names.size}`);
+
+    return this.#names.get(name);
+  }
+
+  /**
+   * Get a placeholder for a value.
+   *
+   * @param {*} value - Attribute value.
+   * @return {string} Value placeholder.
+   */
+  value(value) {
+    this.#values.push(value);
+    return `:${this.#prefix}${this.#values.length - 1}`;
+  }
+
+  /**
+   * Get expression params, merged with any existing params.
+   *
+   * @param {object} [params] - Existing params.
+   * @param {object} [params.ExpressionAttributeNames] - Existing ExpressionAttributeNames.
+   * @param {object} [params.ExpressionAttributeValues] - Existing ExpressionAttributeValues.
+   * @return {object} ExpressionAttributeNames & ExpressionAttributeValues params (omitted when empty).
+   */
+  toParams({ ExpressionAttributeNames, ExpressionAttributeValues } = {}) {
+    const names = {
+      ...ExpressionAttributeNames,
+      ..._.fromPairs(
+        [...this.#names].map(([name, placeholder]) => [placeholder, name])
+      ),
+    };
+
+    const values = {
+      ...ExpressionAttributeValues,
+      ..._.fromPairs(
+        this.#values.map((value, i) => [`:${this.#prefix}${i}`, value])
+      ),
+    };
+
+    return {
+      ...(_.size(names) ? { ExpressionAttributeNames: names } : {}),
+      ...(_.size(values) ? { ExpressionAttributeValues: values } : {}),
+    };
+  }
+}
+
+/**
+ * Build an UpdateExpression from a patch object. Each patch key is a document
+ * path (e.g. `a.b[0].c`). Values are handled as follows:
+ *
+ * - `undefined` removes the attribute (REMOVE).
+ * - {@link increment} adds to a number or set (ADD).
+ * - {@link append} appends to a list (SET ... list_append).
+ * - {@link ifNotExists} sets the attribute only if it is missing (SET ... if_not_exists).
+ * - Any other value sets the attribute (SET).
+ *
+ * @param {object} patch - Patch object.
+ * @param {ExpressionAttributes} attributes - Placeholder accumulator.
+ * @return {string} UpdateExpression.
+ * @throws {ValidationError} If a path is malformed or an update operation is unknown.
+ * @private
+ */
+export const buildUpdateExpression = (patch, attributes) => {
+  const set = [];
+  const remove = [];
+  const add = [];
+
+  for (const [path, value] of Object.entries(patch)) {
+    const placeholder = attributes.path(path);
+
+    if (value === undefined) remove.push(placeholder);
+    else if (!(value instanceof UpdateOperation))
+      set.push(`${placeholder} = ${attributes.value(value)}`);
+    else if (value.type === 'add')
+      add.push(`${placeholder} ${attributes.value(value.value)}`);
+    else if (value.type === 'append')
+      set.push(
+        `${placeholder} = list_append(if_not_exists(${placeholder}, ${attributes.value(
+          []
+        )}), ${attributes.value(value.value)})`
+      );
+    else if (value.type === 'ifNotExists')
+      set.push(
+        `${placeholder} = if_not_exists(${placeholder}, ${attributes.value(
+          value.value
+        )})`
+      );
+    else
+      throw new ValidationError(`unknown update operation '${value.type}'`, {
+        parameter: path,
+        value: value.type,
+      });
+  }
+
+  return [
+    ...(set.length ? [`SET ${set.join(', ')}`] : []),
+    ...(remove.length ? [`REMOVE ${remove.join(', ')}`] : []),
+    ...(add.length ? [`ADD ${add.join(', ')}`] : []),
+  ].join(' ');
+};
+
+/**
+ * Combine condition params with AND. Each argument may contain a
+ * ConditionExpression plus ExpressionAttributeNames &
+ * ExpressionAttributeValues; placeholders must not collide.
+ *
+ * @param {...object} conditions - Condition params.
+ * @return {object} Combined ConditionExpression, ExpressionAttributeNames & ExpressionAttributeValues params (omitted when empty).
+ * @private
+ */
+export const mergeConditions = (...conditions) => {
+  const expressions = _.compact(_.map(conditions, 'ConditionExpression'));
+
+  const names = _.assign({}, ..._.map(conditions, 'ExpressionAttributeNames'));
+  const values = _.assign(
+    {},
+    ..._.map(conditions, 'ExpressionAttributeValues')
+  );
+
+  return {
+    ...(expressions.length
+      ? {
+          ConditionExpression:
+            expressions.length === 1
+              ? expressions[0]
+              : expressions
+                  .map((expression) => `(${expression})`)
+                  .join(' AND '),
+        }
+      : {}),
+    ...(_.size(names) ? { ExpressionAttributeNames: names } : {}),
+    ...(_.size(values) ? { ExpressionAttributeValues: values } : {}),
+  };
+};
@@ -0,0 +1,121 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// lib imports
+import { ValidationError } from './errors.js';
+import {
+  append,
+  buildUpdateExpression,
+  ExpressionAttributes,
+  ifNotExists,
+  increment,
+  parsePath,
+  UpdateOperation,
+} from './expressions.js';
+
+describe('expressions', function () {
+  describe('parsePath', function () {
+    it('should parse nested paths', function () {
+      expect(parsePath('a.b[0][2].c')).to.deep.equal(['a', 'b', 0, 2, 'c']);
+    });
+
+    it('should reject invalid paths', function () {
+      expect(() => parsePath('a..b'))
+        .to.throw(ValidationError)
+        .with.property('value', 'a..b');
+      expect(() => parsePath('a[x]'))
+        .to.throw(ValidationError)
+        .with.property('parameter', 'path');
+    });
+  });
+
+  describe('ExpressionAttributes', function () {
+    it('should reuse name placeholders', function () {
+      const attributes = new ExpressionAttributes();
+
+      expect(attributes.path('a.b')).to.equal('#x0.#x1');
+      expect(attributes.path('b[1].a')).to.equal('#x1[1].#x0');
+      expect(attributes.toParams()).to.deep.equal({
+        ExpressionAttributeNames: { '#x0': 'a', '#x1': 'b' },
+      });
+    });
+
+    it('should merge existing params', function () {
+      const attributes = new ExpressionAttributes('u');
+      attributes.value(1);
+
+      expect(
+        attributes.toParams({
+          ExpressionAttributeNames: { '#a': 'a' },
+          ExpressionAttributeValues: { ':a': 0 },
+        })
+      ).to.deep.equal({
+        ExpressionAttributeNames: { '#a': 'a' },
+        ExpressionAttributeValues: { ':a': 0, ':u0': 1 },
+      });
+    });
+  });
+
+  describe('buildUpdateExpression', function () {
+    it('should build SET, REMOVE & ADD clauses', function () {
+      const attributes = new ExpressionAttributes();
+
+      const expression = buildUpdateExpression(
+        {
+          name: 'foo',
+          'profile.email': undefined,
+          'tags[0]': 'bar',
+          history: append(['x']),
+          createdAt: ifNotExists(0),
+          count: increment(2),
+        },
+        attributes
+      );
+
+      expect(expression).to.equal(
+        'SET #x0 = :x0, #x3[0] = :x1, #x4 = list_append(if_not_exists(#x4, :x2), :x3), #x5 = if_not_exists(#x5, :x4) REMOVE #x1.#x2 ADD #x6 :x5'
+      );
+
+      expect(attributes.toParams()).to.deep.equal({
+        ExpressionAttributeNames: {
+          '#x0': 'name',
+          '#x1': 'profile',
+          '#x2': 'email',
+          '#x3': 'tags',
+          '#x4': 'history',
+          '#x5': 'createdAt',
+          '#x6': 'count',
+        },
+        ExpressionAttributeValues: {
+          ':x0': 'foo',
+          ':x1': 'bar',
+          ':x2': [],
+          ':x3': ['x'],
+          ':x4': 0,
+          ':x5': 2,
+        },
+      });
+    });
+
+    it('should reject unknown update operations', function () {
+      expect(() =>
+        buildUpdateExpression(
+          { count: new UpdateOperation('multiply', 2) },
+          new ExpressionAttributes()
+        )
+      )
+        .to.throw(ValidationError)
+        .that.includes({ parameter: 'count', value: 'multiply' });
+    });
+
+    it('should reject invalid paths', function () {
+      expect(() =>
+        buildUpdateExpression({ 'a..b': 1 }, new ExpressionAttributes())
+      )
+        .to.throw(ValidationError)
+        .that.includes({ parameter: 'path', value: 'a..b' });
+    });
+  });
+});
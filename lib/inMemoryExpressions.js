@@ -0,0 +1,1099 @@
+// npm imports
+import { NumberValue } from '@aws-sdk/lib-dynamodb';
+import _ from 'lodash';
+
+// lib imports
+import { narrowNumber } from './dynamoJson.js';
+
+const keywords = [
+  'ADD',
+  'AND',
+  'BETWEEN',
+  'DELETE',
+  'IN',
+  'NOT',
+  'OR',
+  'REMOVE',
+  'SET',
+];
+
+const comparators = ['=', '<>', '<', '<=', '>', '>='];
+
+/**
+ * Thrown when an expression is malformed or references an undefined
+ * placeholder. Surfaced to callers as a ValidationException.
+ *
+ * @private
+ */
+export class ExpressionError extends Error {
+  /**
+   * ExpressionError constructor.
+   *
+   * @param {string} message - Error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationException';
+  }
+}
+
+/**
+ * Split an expression into tokens.
+ *
+ * @param {string} expression - Expression.
+ * @return {object[]} Tokens with type (name, value, ident, number, punct or keyword) & text.
+ * @private
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern =
+    /\s*(?:(#[A-Za-z0-9_]+)|(:[A-Za-z0-9_]+)|([A-Za-z_][A-Za-z0-9_]*)|(\d+)|(<>|<=|>=|[=<>(),.[\]+-]))/y;
+
+  let index = 0;
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.slice(index))) break;
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match)
+      throw new ExpressionError(
+        `Invalid expression: syntax error near "${expression.slice(index)}"`
+      );
+
+    index = pattern.lastIndex;
+
+    const [, name, value, ident, number, punct] = match;
+
+    if (name) tokens.push({ type: 'name', text: name });
+    else if (value) tokens.push({ type: 'value', text: value });
+    else if (ident)
+      tokens.push(
+        keywords.includes(ident.toUpperCase())
+          ? { type: 'keyword', text: ident.toUpperCase() }
+          : { type: 'ident', text: ident }
+      );
+    else if (number) tokens.push({ type: 'number', text: number });
+    else tokens.push({ type: 'punct', text: punct });
+  }
+
+  return tokens;
+};
+
+/**
+ * Recursive descent parser for DynamoDB condition, key condition, filter,
+ * update & projection expressions. Placeholders are resolved while parsing.
+ *
+ * @private
+ */
+class Parser {
+  #names;
+  #position = 0;
+  #tokens;
+  #values;
+
+  /**
+   * Parser constructor.
+   *
+   * @param {string} expression - Expression.
+   * @param {object} [names] - ExpressionAttributeNames.
+   * @param {object} [values] - ExpressionAttributeValues.
+   */
+  constructor(expression, names = {}, values = {}) {
+    this.#tokens = tokenize(expression);
+    this.#names = names;
+    this.#values = values;
+  }
+
+  /**
+   * Peek at the current token.
+   *
+   * @param {number} [offset] - Offset from the current position.
+   * @return {object|undefined} Token.
+   */
+  peek(offset = 0) {
+    return this.#tokens[this.#position + offset];
+  }
+
+  /**
+   * True if the current token matches.
+   *
+   * @param {string} type - Token type.
+   * @param {string} [text] - Token text.
+   * @return {boolean} True if the current token matches.
+   */
+  is(type, text) {
+    const token = this.peek();
+    return !!token && token.type === type && (!text || token.text === text);
+  }
+
+  /**
+   * Consume the current token if it matches.
+   *
+   * @param {string} type - Token type.
+   * @param {string} [text] - Token text.
+   * @return {object|undefined} Consumed token.
+   */
+  accept(type, text) {
+    if (this.is(type, text)) return this.#tokens[this.#position++];
+  }
+
+  /**
+   * Consume the current token, which must match.
+   *
+   * @param {string} type - Token type.
+   * @param {string} [text] - Token text.
+   * @return {object} Consumed token.
+   */
+  expect(type, text) {
+    const token = this.accept(type, text);
+
+    if (!token)
+      throw new ExpressionError(
+        `Invalid expression: expected ${text ?? type} but found ${
+          this.peek()?.text ?? 'end of expression'
+        }`
+      );
+
+    return token;
+  }
+
+  /**
+   * Assert that all tokens have been consumed.
+   */
+  end() {
+    if (this.peek())
+      throw new ExpressionError(
+        `Invalid expression: unexpected token ${this.peek().text}`
+      );
+  }
+
+  /**
+   * Parse a document path.
+   *
+   * @return {object} Path node.
+   */
+  path() {
+    const segments = [this.#attributeName()];
+
+    for (;;) {
+      if (this.accept('punct', '.')) segments.push(this.#attributeName());
+      else if (this.accept('punct', '[')) {
+        segments.push(Number(this.expect('number').text));
+        this.expect('punct', ']');
+      } else break;
+    }
+
+    return { type: 'path', path: segments };
+  }
+
+  /**
+   * Parse an attribute name or name placeholder.
+   *
+   * @return {string} Attribute name.
+   */
+  #attributeName() {
+    const name = this.accept('name');
+
+    if (name) {
+      if (!_.has(this.#names, name.text))
+        throw new ExpressionError(
+          `Value provided in ExpressionAttributeNames unused or undefined: ${name.text}`
+        );
+
+      return this.#names[name.text];
+    }
+
+    return this.expect('ident').text;
+  }
+
+  /**
+   * Parse a value placeholder.
+   *
+   * @return {object} Literal node.
+   */
+  value() {
+    const { text } = this.expect('value');
+
+    if (!_.has(this.#values, text))
+      throw new ExpressionError(
+        `An expression attribute value used in expression is not defined: ${text}`
+      );
+
+    return { type: 'literal', value: this.#values[text] };
+  }
+
+  /**
+   * Parse a condition operand: a path, value or size() call.
+   *
+   * @return {object} Operand node.
+   */
+  operand() {
+    if (this.is('value')) return this.value();
+
+    if (this.is('ident', 'size') && this.peek(1)?.text === '(') {
+      this.expect('ident');
+      this.expect('punct', '(');
+      const path = this.path();
+      this.expect('punct', ')');
+      return { type: 'size', path };
+    }
+
+    return this.path();
+  }
+
+  /**
+   * Parse a condition (OR precedence).
+   *
+   * @return {object} Condition node.
+   */
+  condition() {
+    let left = this.#and();
+
+    while (this.accept('keyword', 'OR'))
+      left = { type: 'or', left, right: this.#and() };
+
+    return left;
+  }
+
+  /**
+   * Parse a condition at AND precedence.
+   *
+   * @return {object} Condition node.
+   */
+  #and() {
+    let left = this.#not();
+
+    while (this.accept('keyword', 'AND'))
+      left = { type: 'and', left, right: this.#not() };
+
+    return left;
+  }
+
+  /**
+   * Parse a condition at NOT precedence.
+   *
+   * @return {object} Condition node.
+   */
+  #not() {
+    if (this.accept('keyword', 'NOT'))
+      return { type: 'not', operand: this.#not() };
+
+    return this.#primary();
+  }
+
+  /**
+   * Parse a parenthesized condition, function call or comparison.
+   *
+   * @return {object} Condition node.
+   */
+  #primary() {
+    if (this.accept('punct', '(')) {
+      const condition = this.condition();
+      this.expect('punct', ')');
+      return condition;
+    }
+
+    if (
+      this.is('ident') &&
+      this.peek(1)?.text === '(' &&
+      this.peek().text !== 'size'
+    ) {
+      const name = this.expect('ident').text;
+      this.expect('punct', '(');
+
+      const args = [this.operand()];
+      while (this.accept('punct', ',')) args.push(this.operand());
+
+      this.expect('punct', ')');
+
+      return { type: 'function', name, args };
+    }
+
+    const left = this.operand();
+
+    if (this.accept('keyword', 'BETWEEN')) {
+      const low = this.operand();
+      this.expect('keyword', 'AND');
+      return { type: 'between', operand: left, low, high: this.operand() };
+    }
+
+    if (this.accept('keyword', 'IN')) {
+      this.expect('punct', '(');
+
+      const list = [this.operand()];
+      while (this.accept('punct', ',')) list.push(this.operand());
+
+      this.expect('punct', ')');
+
+      return { type: 'in', operand: left, list };
+    }
+
+    const op = this.peek();
+    if (op?.type !== 'punct' || !comparators.includes(op.text))
+      throw new ExpressionError(
+        `Invalid expression: expected comparator but found ${
+          op?.text ?? 'end of expression'
+        }`
+      );
+
+    this.expect('punct');
+
+    return { type: 'compare', op: op.text, left, right: this.operand() };
+  }
+
+  /**
+   * Parse the right-hand side of a SET action.
+   *
+   * @return {object} Value node.
+   */
+  setValue() {
+    const left = this.#setOperand();
+
+    if (this.accept('punct', '+'))
+      return { type: 'plus', left, right: this.#setOperand() };
+
+    if (this.accept('punct', '-'))
+      return { type: 'minus', left, right: this.#setOperand() };
+
+    return left;
+  }
+
+  /**
+   * Parse a SET operand: a path, value, if_not_exists() or list_append() call.
+   *
+   * @return {object} Value node.
+   */
+  #setOperand() {
+    if (this.is('value')) return this.value();
+
+    if (this.is('ident', 'if_not_exists') && this.peek(1)?.text === '(') {
+      this.expect('ident');
+      this.expect('punct', '(');
+      const path = this.path();
+      this.expect('punct', ',');
+      const value = this.setValue();
+      this.expect('punct', ')');
+      return { type: 'if_not_exists', path, value };
+    }
+
+    if (this.is('ident', 'list_append') && this.peek(1)?.text === '(') {
+      this.expect('ident');
+      this.expect('punct', '(');
+      const left = this.setValue();
+      this.expect('punct', ',');
+      const right = this.setValue();
+      this.expect('punct', ')');
+      return { type: 'list_append', left, right };
+    }
+
+    return this.path();
+  }
+
+  /**
+   * Parse an update expression.
+   *
+   * @return {object} Update node with set, remove, add & delete action lists.
+   */
+  update() {
+    const update = { set: [], remove: [], add: [], delete: [] };
+
+    if (!this.peek())
+      throw new ExpressionError('Invalid UpdateExpression: empty expression');
+
+    while (this.peek()) {
+      const clause = this.expect('keyword').text;
+
+      do {
+        if (clause === 'SET') {
+          const path = this.path();
+          this.expect('punct', '=');
+          update.set.push({ path, value: this.setValue() });
+        } else if (clause === 'REMOVE')
+          update.remove.push({ path: this.path() });
+        else if (clause === 'ADD' || clause === 'DELETE')
+          update[clause.toLowerCase()].push({
+            path: this.path(),
+            value: this.value(),
+          });
+        else
+          throw new ExpressionError(
+            `Invalid UpdateExpression: unexpected keyword ${clause}`
+          );
+      } while (this.accept('punct', ','));
+    }
+
+    return update;
+  }
+
+  /**
+   * Parse a projection expression.
+   *
+   * @return {object[]} Path nodes.
+   */
+  projection() {
+    const paths = [this.path()];
+    while (this.accept('punct', ',')) paths.push(this.path());
+    return paths;
+  }
+}
+
+/**
+ * Parse a condition, key condition or filter expression.
+ *
+ * @param {string} expression - Expression.
+ * @param {object} [names] - ExpressionAttributeNames.
+ * @param {object} [values] - ExpressionAttributeValues.
+ * @return {object} Condition AST.
+ * @private
+ */
+export const parseCondition = (expression, names, values) => {
+  const parser = new Parser(expression, names, values);
+  const condition = parser.condition();
+  parser.end();
+  return condition;
+};
+
+/**
+ * Parse an update expression.
+ *
+ * @param {string} expression - Expression.
+ * @param {object} [names] - ExpressionAttributeNames.
+ * @param {object} [values] - ExpressionAttributeValues.
+ * @return {object} Update AST: set, remove, add & delete action lists.
+ * @private
+ */
+export const parseUpdate = (expression, names, values) =>
+  new Parser(expression, names, values).update();
+
+/**
+ * Parse a projection expression.
+ *
+ * @param {string} expression - Expression.
+ * @param {object} [names] - ExpressionAttributeNames.
+ * @return {Array<Array<string|number>>} Document paths.
+ * @private
+ */
+export const parseProjection = (expression, names) => {
+  const parser = new Parser(expression, names);
+  const paths = parser.projection();
+  parser.end();
+  return paths.map(({ path }) => path);
+};
+
+/**
+ * Determine the DynamoDB type of a native value.
+ *
+ * @param {*} value - Value.
+ * @return {string|undefined} DynamoDB type (S, N, B, BOOL, NULL, SS, NS, BS, L or M), or undefined for undefined values.
+ * @private
+ */
+export const typeOf = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return 'NULL';
+  if (_.isString(value)) return 'S';
+  if (_.isNumber(value) || typeof value === 'bigint' || isNumberValue(value))
+    return 'N';
+  if (_.isBoolean(value)) return 'BOOL';
+  if (value instanceof Uint8Array) return 'B';
+  if (value instanceof Set) {
+    const [first] = value;
+    return `${typeOf(first) ?? 'S'}S`;
+  }
+  if (_.isArray(value)) return 'L';
+  return 'M';
+};
+
+/**
+ * Determine whether a value is a lib-dynamodb NumberValue.
+ *
+ * @param {*} value - Value.
+ * @return {boolean} True if value is a NumberValue.
+ * @private
+ */
+const isNumberValue = (value) =>
+  _.isObject(value) &&
+  value.constructor?.name === 'NumberValue' &&
+  _.isString(value.value);
+
+/**
+ * Convert a numeric value to a JS number.
+ *
+ * @param {number|bigint|object} value - Number, bigint or NumberValue.
+ * @return {number} Number.
+ * @private
+ */
+export const toNumber = (value) =>
+  isNumberValue(value) ? Number(value.value) : Number(value);
+
+/**
+ * Compare two binary values bytewise.
+ *
+ * @param {Uint8Array} a - First value.
+ * @param {Uint8Array} b - Second value.
+ * @return {number} Negative, zero or positive.
+ * @private
+ */
+const compareBinary = (a, b) => {
+  for (let i = 0; i < Math.min(a.length, b.length); i++)
+    if (a[i] !== b[i]) return a[i] - b[i];
+
+  return a.length - b.length;
+};
+
+/**
+ * Compare two scalar values of the same type (S, N or B).
+ *
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @return {number|undefined} Negative, zero or positive, or undefined if the values are not comparable.
+ * @private
+ */
+export const compareValues = (a, b) => {
+  const type = typeOf(a);
+  if (!type || type !== typeOf(b)) return undefined;
+
+  if (type === 'N') return toNumber(a) - toNumber(b);
+  if (type === 'S') return a < b ? -1 : a > b ? 1 : 0;
+  if (type === 'B') return compareBinary(a, b);
+};
+
+/**
+ * Deep equality of DynamoDB values.
+ *
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @return {boolean} True if equal.
+ * @private
+ */
+export const valuesEqual = (a, b) => {
+  const type = typeOf(a);
+  if (!type || type !== typeOf(b)) return false;
+
+  switch (type) {
+    case 'S':
+    case 'N':
+    case 'B':
+      return compareValues(a, b) === 0;
+    case 'SS':
+    case 'NS':
+    case 'BS':
+      return (
+        a.size === b.size &&
+        [...a].every((x) => [...b].some((y) => valuesEqual(x, y)))
+      );
+    case 'L':
+      return a.length === b.length && a.every((x, i) => valuesEqual(x, b[i]));
+    case 'M':
+      return (
+        _.size(a) === _.size(b) &&
+        Object.keys(a).every(
+          (key) => _.has(b, key) && valuesEqual(a[key], b[key])
+        )
+      );
+    default:
+      return a === b;
+  }
+};
+
+/**
+ * Convert a number string the way the document client unmarshalls it
+ * without wrapNumbers: a bigint for integers beyond Number precision,
+ * otherwise a (possibly rounded) number.
+ *
+ * @param {string} value - Number string.
+ * @return {number|bigint} Number.
+ * @private
+ */
+const unmarshallNumber = (value) =>
+  /^-?\d+$/.test(value) && !Number.isSafeInteger(Number(value))
+    ? BigInt(value)
+    : Number(value);
+
+/**
+ * Convert the numbers of a stored value the way the document client
+ * unmarshalls them: as NumberValues with wrapNumbers, otherwise as numbers &
+ * bigints, rounding decimals beyond float precision.
+ *
+ * @param {*} value - Stored value.
+ * @param {object} [options] - Unmarshall options.
+ * @param {boolean} [options.wrapNumbers] - Return numbers as NumberValues (default is false).
+ * @return {*} Converted value.
+ * @private
+ */
+export const unmarshallNumbers = (value, { wrapNumbers = false } = {}) => {
+  const convert = (value) => {
+    if (_.isNumber(value) || typeof value === 'bigint' || isNumberValue(value))
+      return wrapNumbers
+        ? NumberValue.from(String(value))
+        : isNumberValue(value)
+        ? unmarshallNumber(value.value)
+        : value;
+    if (value instanceof Set)
+      return typeOf(value) === 'NS' ? new Set([...value].map(convert)) : value;
+    if (_.isArray(value)) return value.map(convert);
+    if (_.isPlainObject(value)) return _.mapValues(value, convert);
+    return value;
+  };
+
+  return convert(value);
+};
+
+/**
+ * Deep clone a DynamoDB value, dropping undefined map values.
+ *
+ * @param {*} value - Value.
+ * @return {*} Clone.
+ * @private
+ */
+export const cloneValue = (value) => {
+  if (value instanceof Set) return new Set([...value].map(cloneValue));
+  if (value instanceof Uint8Array) return new Uint8Array(value);
+  // NumberValues become numbers or bigints, except decimals beyond float
+  // precision, which stay NumberValues so storage is lossless. Responses
+  // round them (see unmarshallNumbers).
+  if (isNumberValue(value)) return narrowNumber(value.value);
+  if (_.isArray(value)) return value.map(cloneValue);
+  if (_.isPlainObject(value))
+    return _.fromPairs(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, cloneValue(v)])
+    );
+  return value;
+};
+
+/**
+ * Get the value at a document path.
+ *
+ * @param {object} item - Item.
+ * @param {Array<string|number>} path - Document path.
+ * @return {*} Value, or undefined if the path does not exist.
+ * @private
+ */
+export const getPath = (item, path) => {
+  let value = item;
+
+  for (const segment of path) {
+    if (_.isNumber(segment) ? !_.isArray(value) : typeOf(value) !== 'M')
+      return undefined;
+
+    value = value[segment];
+  }
+
+  return value;
+};
+
+/**
+ * Evaluate an operand node.
+ *
+ * @param {object} node - Operand node.
+ * @param {object} item - Item.
+ * @return {*} Value.
+ * @private
+ */
+const evaluateOperand = (node, item) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return getPath(item, node.path);
+    case 'size': {
+      const value = getPath(item, node.path.path);
+      const type = typeOf(value);
+
+      if (type === 'S' || type === 'L') return value.length;
+      if (type === 'B') return value.byteLength;
+      if (type === 'SS' || type === 'NS' || type === 'BS') return value.size;
+      if (type === 'M') return _.size(value);
+      return undefined;
+    }
+  }
+};
+
+/**
+ * Evaluate a condition AST against an item.
+ *
+ * @param {object} node - Condition node.
+ * @param {object} item - Item (an empty object if the item does not exist).
+ * @return {boolean} True if the condition holds.
+ * @private
+ */
+export const evaluateCondition = (node, item) => {
+  switch (node.type) {
+    case 'and':
+      return (
+        evaluateCondition(node.left, item) &&
+        evaluateCondition(node.right, item)
+      );
+    case 'or':
+      return (
+        evaluateCondition(node.left, item) ||
+        evaluateCondition(node.right, item)
+      );
+    case 'not':
+      return !evaluateCondition(node.operand, item);
+    case 'compare': {
+      const left = evaluateOperand(node.left, item);
+      const right = evaluateOperand(node.right, item);
+
+      if (node.op === '=') return valuesEqual(left, right);
+      if (node.op === '<>')
+        return (
+          left !== undefined && right !== undefined && !valuesEqual(left, right)
+        );
+
+      const comparison = compareValues(left, right);
+      if (comparison === undefined) return false;
+
+      return {
+        '<': comparison < 0,
+        '<=': comparison <= 0,
+        '>': comparison > 0,
+        '>=': comparison >= 0,
+      }[node.op];
+    }
+    case 'between': {
+      const value = evaluateOperand(node.operand, item);
+      const low = compareValues(value, evaluateOperand(node.low, item));
+      const high = compareValues(value, evaluateOperand(node.high, item));
+
+      return low !== undefined && high !== undefined && low >= 0 && high <= 0;
+    }
+    case 'in': {
+      const value = evaluateOperand(node.operand, item);
+      return node.list.some((operand) =>
+        valuesEqual(value, evaluateOperand(operand, item))
+      );
+    }
+    case 'function':
+      return evaluateFunction(node, item);
+    default:
+      throw new ExpressionError(
+        `Invalid expression: ${node.type} is not a condition`
+      );
+  }
+};
+
+/**
+ * Evaluate a condition function node.
+ *
+ * @param {object} node - Function node.
+ * @param {object} item - Item.
+ * @return {boolean} Function result.
+ * @private
+ */
+const evaluateFunction = (node, item) => {
+  const { name, args } = node;
+  const [target, operand] = args;
+  const value = evaluateOperand(target, item);
+
+  switch (name) {
+    case 'attribute_exists':
+      return value !== undefined;
+    case 'attribute_not_exists':
+      return value === undefined;
+    case 'attribute_type':
+      return typeOf(value) === evaluateOperand(operand, item);
+    case 'begins_with': {
+      const prefix = evaluateOperand(operand, item);
+      const type = typeOf(value);
+
+      if (type === 'S' && typeOf(prefix) === 'S')
+        return value.startsWith(prefix);
+      if (type === 'B' && typeOf(prefix) === 'B')
+        return compareBinary(value.slice(0, prefix.length), prefix) === 0;
+
+      return false;
+    }
+    case 'contains': {
+      const element = evaluateOperand(operand, item);
+      const type = typeOf(value);
+
+      if (type === 'S')
+        return typeOf(element) === 'S' && value.includes(element);
+      if (type === 'SS' || type === 'NS' || type === 'BS')
+        return [...value].some((x) => valuesEqual(x, element));
+      if (type === 'L') return value.some((x) => valuesEqual(x, element));
+
+      return false;
+    }
+    default:
+      throw new ExpressionError(`Invalid expression: unknown function ${name}`);
+  }
+};
+
+/**
+ * Collect the document paths referenced by a condition.
+ *
+ * @param {object} node - Condition node.
+ * @return {Array<Array<string|number>>} Document paths.
+ * @private
+ */
+export const conditionPaths = (node) => {
+  switch (node?.type) {
+    case 'path':
+      return [node.path];
+    case 'size':
+      return [node.path.path];
+    case 'and':
+    case 'or':
+    case 'compare':
+      return [...conditionPaths(node.left), ...conditionPaths(node.right)];
+    case 'not':
+      return conditionPaths(node.operand);
+    case 'between':
+      return [node.operand, node.low, node.high].flatMap(conditionPaths);
+    case 'in':
+      return [node.operand, ...node.list].flatMap(conditionPaths);
+    case 'function':
+      return node.args.flatMap(conditionPaths);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Evaluate a SET value node.
+ *
+ * @param {object} node - Value node.
+ * @param {object} item - Item before the update.
+ * @return {*} Value.
+ * @private
+ */
+const evaluateSetValue = (node, item) => {
+  switch (node.type) {
+    case 'plus':
+    case 'minus': {
+      const left = evaluateSetValue(node.left, item);
+      const right = evaluateSetValue(node.right, item);
+
+      if (typeOf(left) !== 'N' || typeOf(right) !== 'N')
+        throw new ExpressionError(
+          'An operand in the update expression has an incorrect data type'
+        );
+
+      return node.type === 'plus'
+        ? toNumber(left) + toNumber(right)
+        : toNumber(left) - toNumber(right);
+    }
+    case 'if_not_exists': {
+      const value = getPath(item, node.path.path);
+      return value === undefined ? evaluateSetValue(node.value, item) : value;
+    }
+    case 'list_append': {
+      const left = evaluateSetValue(node.left, item);
+      const right = evaluateSetValue(node.right, item);
+
+      if (!_.isArray(left) || !_.isArray(right))
+        throw new ExpressionError(
+          'An operand in the update expression has an incorrect data type'
+        );
+
+      return [...left, ...right];
+    }
+    default: {
+      const value = evaluateOperand(node, item);
+
+      if (value === undefined)
+        throw new ExpressionError(
+          'The provided expression refers to an attribute that does not exist in the item'
+        );
+
+      return value;
+    }
+  }
+};
+
+/**
+ * Set the value at a document path, in place. Parents must exist.
+ *
+ * @param {object} item - Item.
+ * @param {Array<string|number>} path - Document path.
+ * @param {*} value - Value.
+ * @private
+ */
+const setPath = (item, path, value) => {
+  const parent = path.length > 1 ? getPath(item, path.slice(0, -1)) : item;
+  const segment = _.last(path);
+
+  if (_.isNumber(segment)) {
+    if (!_.isArray(parent))
+      throw new ExpressionError(
+        'The document path provided in the update expression is invalid for update'
+      );
+
+    if (segment >= parent.length) parent.push(value);
+    else parent[segment] = value;
+  } else {
+    if (typeOf(parent) !== 'M')
+      throw new ExpressionError(
+        'The document path provided in the update expression is invalid for update'
+      );
+
+    parent[segment] = value;
+  }
+};
+
+/**
+ * Remove the value at a document path, in place.
+ *
+ * @param {object} item - Item.
+ * @param {Array<string|number>} path - Document path.
+ * @private
+ */
+const removePath = (item, path) => {
+  const parent = path.length > 1 ? getPath(item, path.slice(0, -1)) : item;
+  const segment = _.last(path);
+
+  if (_.isNumber(segment)) {
+    if (_.isArray(parent) && segment < parent.length) parent.splice(segment, 1);
+  } else if (typeOf(parent) === 'M') delete parent[segment];
+};
+
+/**
+ * Apply an update AST to an item.
+ *
+ * @param {object} update - Update AST.
+ * @param {object} item - Item before the update (not modified).
+ * @return {object} Updated item.
+ * @private
+ */
+export const applyUpdate = (update, item) => {
+  const updated = cloneValue(item);
+
+  // SET operands are evaluated against the item before the update.
+  const sets = update.set.map(({ path, value }) => ({
+    path: path.path,
+    value: cloneValue(evaluateSetValue(value, item)),
+  }));
+
+  for (const { path, value } of sets) setPath(updated, path, value);
+
+  // Remove list elements from the highest index down so indexes stay valid.
+  for (const { path } of _.orderBy(
+    update.remove,
+    ({ path }) => (_.isNumber(_.last(path.path)) ? _.last(path.path) : -1),
+    'desc'
+  ))
+    removePath(updated, path.path);
+
+  for (const { path, value } of update.add) {
+    const current = getPath(updated, path.path);
+    const operand = value.value;
+    const type = typeOf(operand);
+
+    if (type === 'N') {
+      if (current !== undefined && typeOf(current) !== 'N')
+        throw new ExpressionError(
+          'An operand in the update expression has an incorrect data type'
+        );
+
+      setPath(updated, path.path, toNumber(current ?? 0) + toNumber(operand));
+    } else if (type === 'SS' || type === 'NS' || type === 'BS') {
+      if (current !== undefined && typeOf(current) !== type)
+        throw new ExpressionError(
+          'An operand in the update expression has an incorrect data type'
+        );
+
+      const merged = new Set(current ?? []);
+      for (const element of operand)
+        if (![...merged].some((x) => valuesEqual(x, element)))
+          merged.add(element);
+
+      setPath(updated, path.path, merged);
+    } else
+      throw new ExpressionError(
+        'Incorrect operand type for operator or function; operator: ADD'
+      );
+  }
+
+  for (const { path, value } of update.delete) {
+    const current = getPath(updated, path.path);
+    if (current === undefined) continue;
+
+    if (!(current instanceof Set) || typeOf(current) !== typeOf(value.value))
+      throw new ExpressionError(
+        'Incorrect operand type for operator or function; operator: DELETE'
+      );
+
+    const remaining = [...current].filter(
+      (x) => ![...value.value].some((y) => valuesEqual(x, y))
+    );
+
+    if (remaining.length) setPath(updated, path.path, new Set(remaining));
+    else removePath(updated, path.path);
+  }
+
+  return updated;
+};
+
+/**
+ * Collect the document paths an update modifies.
+ *
+ * @param {object} update - Update AST.
+ * @return {Array<Array<string|number>>} Document paths.
+ * @private
+ */
+export const updatePaths = (update) =>
+  [...update.set, ...update.remove, ...update.add, ...update.delete].map(
+    ({ path }) => path.path
+  );
+
+/**
+ * Project an item onto a set of document paths.
+ *
+ * @param {object} item - Item.
+ * @param {Array<Array<string|number>>} paths - Document paths.
+ * @return {object} Projected item.
+ * @private
+ */
+export const projectItem = (item, paths) => {
+  const projected = {};
+
+  for (const path of paths) {
+    const value = getPath(item, path);
+    if (value === undefined) continue;
+
+    let target = projected;
+    path.forEach((segment, i) => {
+      if (i === path.length - 1) target[segment] = cloneValue(value);
+      else {
+        target[segment] ??= _.isNumber(path[i + 1]) ? [] : {};
+        target = target[segment];
+      }
+    });
+  }
+
+  // Projected list elements keep their order but are compacted.
+  const compact = (value) => {
+    if (_.isArray(value))
+      return value.filter((x) => x !== undefined).map(compact);
+    if (typeOf(value) === 'M' && !(value instanceof Uint8Array))
+      return _.mapValues(value, compact);
+    return value;
+  };
+
+  return compact(projected);
+};
+
+/**
+ * Estimate the size of an item in bytes, for capacity accounting.
+ *
+ * @param {object} item - Item.
+ * @return {number} Approximate size in bytes.
+ * @private
+ */
+export const itemSize = (item) =>
+  item
+    ? Buffer.byteLength(
+        JSON.stringify(item, (key, value) =>
+          value instanceof Set
+            ? [...value]
+            : value instanceof Uint8Array
+            ? Buffer.from(value).toString('base64')
+            : typeof value === 'bigint'
+            ? value.toString()
+            : value
+        )
+      )
+    : 0;
@@ -0,0 +1,114 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// lib imports
+import {
+  applyUpdate,
+  evaluateCondition,
+  parseCondition,
+  parseProjection,
+  parseUpdate,
+  projectItem,
+  typeOf,
+} from './inMemoryExpressions.js';
+
+const item = {
+  a: 1,
+  b: 'foo',
+  c: { d: [1, 2, 3], e: 'bar' },
+  s: new Set(['x', 'y']),
+};
+
+const holds = (expression, values = {}, names = {}) =>
+  evaluateCondition(parseCondition(expression, names, values), item);
+
+describe('inMemoryExpressions', function () {
+  describe('typeOf', function () {
+    it('should map native values to DynamoDB types', function () {
+      expect(
+        ['s', 1, true, null, new Uint8Array(), new Set([1]), [], {}].map(typeOf)
+      ).to.deep.equal(['S', 'N', 'BOOL', 'NULL', 'B', 'NS', 'L', 'M']);
+    });
+  });
+
+  describe('evaluateCondition', function () {
+    it('should compare values', function () {
+      expect(holds('a = :v', { ':v': 1 })).to.be.true;
+      expect(holds('a <> :v', { ':v': 1 })).to.be.false;
+      expect(holds('#c.e >= :v', { ':v': 'bar' }, { '#c': 'c' })).to.be.true;
+      expect(holds('a < :v', { ':v': 'x' })).to.be.false;
+    });
+
+    it('should evaluate BETWEEN, IN & functions', function () {
+      expect(holds('a BETWEEN :lo AND :hi', { ':lo': 0, ':hi': 1 })).to.be.true;
+      expect(holds('b IN (:x, :y)', { ':x': 'x', ':y': 'foo' })).to.be.true;
+      expect(holds('attribute_exists(c.d[2])')).to.be.true;
+      expect(holds('attribute_not_exists(c.d[3])')).to.be.true;
+      expect(holds('begins_with(b, :p)', { ':p': 'fo' })).to.be.true;
+      expect(holds('contains(s, :x)', { ':x': 'y' })).to.be.true;
+      expect(holds('size(c.d) = :n', { ':n': 3 })).to.be.true;
+      expect(holds('attribute_type(s, :t)', { ':t': 'SS' })).to.be.true;
+    });
+
+    it('should respect operator precedence', function () {
+      expect(
+        holds('a = :x OR a = :y AND NOT b = :b', {
+          ':x': 1,
+          ':y': 2,
+          ':b': 'foo',
+        })
+      ).to.be.true;
+      expect(
+        holds('(a = :x OR a = :y) AND NOT b = :b', {
+          ':x': 1,
+          ':y': 2,
+          ':b': 'foo',
+        })
+      ).to.be.false;
+    });
+
+    it('should reject undefined placeholders', function () {
+      expect(() => parseCondition('a = :v')).to.throw(/not defined/);
+      expect(() => parseCondition('#a = :v', {}, { ':v': 1 })).to.throw(
+        /ExpressionAttributeNames/
+      );
+    });
+  });
+
+  describe('applyUpdate', function () {
+    it('should apply SET, REMOVE, ADD & DELETE actions', function () {
+      const update = parseUpdate(
+        'SET a = a + :one, c.d[1] = :z, l = list_append(if_not_exists(l, :empty), :l) REMOVE b, c.d[0] ADD n :one DELETE s :x',
+        {},
+        { ':one': 1, ':z': 9, ':empty': [], ':l': [4], ':x': new Set(['x']) }
+      );
+
+      expect(applyUpdate(update, item)).to.deep.equal({
+        a: 2,
+        c: { d: [9, 3], e: 'bar' },
+        l: [4],
+        n: 1,
+        s: new Set(['y']),
+      });
+
+      // The original item is untouched.
+      expect(item.a).to.equal(1);
+    });
+
+    it('should reject paths whose parent does not exist', function () {
+      expect(() =>
+        applyUpdate(parseUpdate('SET x.y = :v', {}, { ':v': 1 }), item)
+      ).to.throw(/document path/);
+    });
+  });
+
+  describe('projectItem', function () {
+    it('should project nested paths', function () {
+      expect(
+        projectItem(item, parseProjection('a, c.d[2], #e', { '#e': 'x' }))
+      ).to.deep.equal({ a: 1, c: { d: [3] } });
+    });
+  });
+});
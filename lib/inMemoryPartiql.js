@@ -0,0 +1,574 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ExpressionError } from './inMemoryExpressions.js';
+
+const keywords = [
+  'AND',
+  'BETWEEN',
+  'DELETE',
+  'FALSE',
+  'FROM',
+  'IN',
+  'INSERT',
+  'INTO',
+  'IS',
+  'MISSING',
+  'NOT',
+  'NULL',
+  'OR',
+  'REMOVE',
+  'SELECT',
+  'SET',
+  'TRUE',
+  'UPDATE',
+  'VALUE',
+  'WHERE',
+];
+
+/**
+ * Create an error for a statement the engine cannot parse.
+ *
+ * @param {string} detail - What is wrong.
+ * @return {ExpressionError} Error.
+ * @private
+ */
+const malformed = (detail) =>
+  new ExpressionError(
+    `Statement wasn't well formed, can't be processed: ${detail}`
+  );
+
+/**
+ * Split a PartiQL statement into tokens. Quoted identifiers become ident
+ * tokens, string literals literal tokens & `?` placeholders parameter tokens
+ * numbered in order of appearance.
+ *
+ * @param {string} statement - Statement.
+ * @return {object[]} Tokens with type (ident, keyword, literal, number, parameter or punct) & text.
+ * @private
+ */
+const tokenize = (statement) => {
+  const tokens = [];
+  const pattern =
+    /\s*(?:'((?:[^']|'')*)'|"((?:[^"]|"")*)"|([A-Za-z_][A-Za-z0-9_]*)|(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(\?)|(<<|>>|<>|<=|>=|!=|[=<>(),.[\]{}:+*-]))/y;
+
+  let index = 0;
+  let parameter = 0;
+
+  while (index < statement.length) {
+    if (/^\s*$/.test(statement.slice(index))) break;
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(statement);
+    if (!match) throw malformed(`unexpected input ${statement.slice(index)}`);
+
+    index = pattern.lastIndex;
+
+    const [, string, quoted, word, number, placeholder, punct] = match;
+
+    if (string !== undefined)
+      tokens.push({
+        type: 'literal',
+        text: `'${string}'`,
+        value: string.replaceAll("''", "'"),
+      });
+    else if (quoted !== undefined)
+      tokens.push({ type: 'ident', text: quoted.replaceAll('""', '"') });
+    else if (word)
+      tokens.push(
+        keywords.includes(word.toUpperCase())
+          ? { type: 'keyword', text: word.toUpperCase() }
+          : { type: 'ident', text: word }
+      );
+    else if (number) tokens.push({ type: 'number', text: number });
+    else if (placeholder)
+      tokens.push({ type: 'parameter', text: '?', index: parameter++ });
+    else tokens.push({ type: 'punct', text: punct === '!=' ? '<>' : punct });
+  }
+
+  return tokens;
+};
+
+/**
+ * Recursive descent parser translating the PartiQL statements DynamoDB
+ * supports into the expressions the engine already evaluates: paths become
+ * name placeholders, literals & parameters value placeholders.
+ *
+ * @private
+ */
+class StatementParser {
+  #names = {};
+  #parameters;
+  #position = 0;
+  #tokens;
+  #values = {};
+
+  /**
+   * StatementParser constructor.
+   *
+   * @param {string} statement - Statement.
+   * @param {Array} parameters - Parameter values.
+   */
+  constructor(statement, parameters) {
+    this.#tokens = tokenize(statement);
+    this.#parameters = parameters;
+
+    if (
+      _.filter(this.#tokens, { type: 'parameter' }).length !== parameters.length
+    )
+      throw new ExpressionError(
+        "Number of parameters in request and statement don't match."
+      );
+  }
+
+  /**
+   * Peek at the current token.
+   *
+   * @param {number} [offset] - Offset from the current position.
+   * @return {object|undefined} Token.
+   */
+  peek(offset = 0) {
+    return this.#tokens[this.#position + offset];
+  }
+
+  /**
+   * True if the current token matches.
+   *
+   * @param {string} type - Token type.
+   * @param {string} [text] - Token text.
+   * @return {boolean} True if the current token matches.
+   */
+  is(type, text) {
+    const token = this.peek();
+    return !!token && token.type === type && (!text || token.text === text);
+  }
+
+  /**
+   * Consume the current token if it matches.
+   *
+   * @param {string} type - Token type.
+   * @param {string} [text] - Token text.
+   * @return {object|undefined} Consumed token.
+   */
+  accept(type, text) {
+    if (this.is(type, text)) return this.#tokens[this.#position++];
+  }
+
+  /**
+   * Consume the current token, which must match.
+   *
+   * @param {string} type - Token type.
+   * @param {string} [text] - Token text.
+   * @return {object} Consumed token.
+   */
+  expect(type, text) {
+    const token = this.accept(type, text);
+
+    if (!token)
+      throw malformed(
+        `expected ${text ?? type} but found ${
+          this.peek()?.text ?? 'end of statement'
+        }`
+      );
+
+    return token;
+  }
+
+  /**
+   * Assert that all tokens have been consumed.
+   */
+  end() {
+    if (this.peek()) throw malformed(`unexpected token ${this.peek().text}`);
+  }
+
+  /**
+   * Parse a statement.
+   *
+   * @return {object} Parsed statement: type (select, insert, update or delete), tableName, indexName, projection, item, update & WHERE conditions, plus the names & values their expressions use.
+   */
+  statement() {
+    const type = this.peek()?.text;
+
+    const parsed =
+      type === 'SELECT'
+        ? this.#select()
+        : type === 'INSERT'
+        ? this.#insert()
+        : type === 'UPDATE'
+        ? this.#update()
+        : type === 'DELETE'
+        ? this.#delete()
+        : undefined;
+
+    if (!parsed) throw malformed('expected SELECT, INSERT, UPDATE or DELETE');
+
+    this.end();
+
+    return {
+      type: type.toLowerCase(),
+      conditions: [],
+      ...parsed,
+      names: this.#names,
+      values: this.#values,
+    };
+  }
+
+  /**
+   * Parse a SELECT statement.
+   *
+   * @return {object} Parsed statement.
+   */
+  #select() {
+    this.expect('keyword', 'SELECT');
+
+    let projection;
+
+    if (!this.accept('punct', '*')) {
+      const paths = [this.#path()];
+      while (this.accept('punct', ',')) paths.push(this.#path());
+      projection = paths.join(', ');
+    }
+
+    this.expect('keyword', 'FROM');
+    const tableName = this.expect('ident').text;
+    const indexName = this.accept('punct', '.')
+      ? this.expect('ident').text
+      : undefined;
+
+    return {
+      tableName,
+      indexName,
+      projection,
+      conditions: this.accept('keyword', 'WHERE') ? this.#conditions() : [],
+    };
+  }
+
+  /**
+   * Parse an INSERT statement.
+   *
+   * @return {object} Parsed statement.
+   */
+  #insert() {
+    this.expect('keyword', 'INSERT');
+    this.expect('keyword', 'INTO');
+    const tableName = this.expect('ident').text;
+    this.expect('keyword', 'VALUE');
+
+    const item = this.#literal();
+    if (!_.isPlainObject(item)) throw malformed('VALUE must be a tuple');
+
+    return { tableName, item };
+  }
+
+  /**
+   * Parse an UPDATE statement: any number of SET & REMOVE clauses.
+   *
+   * @return {object} Parsed statement.
+   */
+  #update() {
+    this.expect('keyword', 'UPDATE');
+    const tableName = this.expect('ident').text;
+
+    const set = [];
+    const remove = [];
+
+    for (;;) {
+      if (this.accept('keyword', 'SET'))
+        do {
+          const path = this.#path();
+          this.expect('punct', '=');
+          set.push(`${path} = ${this.#expression(',').expression}`);
+        } while (this.accept('punct', ','));
+      else if (this.accept('keyword', 'REMOVE'))
+        do remove.push(this.#path());
+        while (this.accept('punct', ','));
+      else break;
+    }
+
+    if (!set.length && !remove.length)
+      throw malformed('expected SET or REMOVE');
+
+    this.expect('keyword', 'WHERE');
+
+    return {
+      tableName,
+      update: _.compact([
+        set.length && `SET ${set.join(', ')}`,
+        remove.length && `REMOVE ${remove.join(', ')}`,
+      ]).join(' '),
+      conditions: this.#conditions(),
+    };
+  }
+
+  /**
+   * Parse a DELETE statement.
+   *
+   * @return {object} Parsed statement.
+   */
+  #delete() {
+    this.expect('keyword', 'DELETE');
+    this.expect('keyword', 'FROM');
+    const tableName = this.expect('ident').text;
+    this.expect('keyword', 'WHERE');
+
+    return { tableName, conditions: this.#conditions() };
+  }
+
+  /**
+   * Parse a WHERE clause into its top-level conjuncts. Conjuncts comparing a
+   * top-level attribute to a scalar for equality also carry the attribute &
+   * value, so callers can pick out item keys. A top-level OR makes the whole
+   * clause a single condition.
+   *
+   * @return {object[]} Conditions: expression, plus attribute & value for equalities.
+   */
+  #conditions() {
+    const conditions = [];
+    let disjunction = false;
+
+    do {
+      const start = this.#position;
+      const { expression, or } = this.#expression('AND');
+      const tokens = this.#tokens.slice(start, this.#position);
+
+      disjunction ||= or;
+
+      const [first, operator, last] =
+        tokens.length === 3 && tokens[0].type !== 'ident'
+          ? [...tokens].reverse()
+          : tokens;
+
+      conditions.push(
+        tokens.length === 3 &&
+          operator.text === '=' &&
+          first.type === 'ident' &&
+          ['literal', 'number', 'parameter'].includes(last.type)
+          ? { expression, attribute: first.text, value: this.#scalar(last) }
+          : { expression }
+      );
+    } while (this.accept('keyword', 'AND'));
+
+    return disjunction
+      ? [{ expression: _.map(conditions, 'expression').join(' AND ') }]
+      : conditions;
+  }
+
+  /**
+   * Translate tokens into an expression up to a top-level terminator: a comma,
+   * or AND (other than the one in BETWEEN), or a keyword starting a clause.
+   *
+   * @param {string} terminator - Top-level terminator: `,` or AND.
+   * @return {object} Expression & whether it contains a top-level OR.
+   */
+  #expression(terminator) {
+    const parts = [];
+    let between = false;
+    let depth = 0;
+    let or = false;
+
+    for (let token = this.peek(); token; token = this.peek()) {
+      const { type, text } = token;
+
+      if (depth === 0) {
+        if (type === 'punct' && (text === ')' || text === terminator)) break;
+        if (type === 'keyword' && ['SET', 'REMOVE', 'WHERE'].includes(text))
+          break;
+        if (type === 'keyword' && text === 'AND') {
+          if (!between && terminator === 'AND') break;
+          between = false;
+        }
+        if (type === 'keyword' && text === 'BETWEEN') between = true;
+        if (type === 'keyword' && text === 'OR') or = true;
+      }
+
+      if (type === 'ident' && this.peek(1)?.text === '(') {
+        // Function call.
+        parts.push(`${this.expect('ident').text}(`);
+        this.expect('punct', '(');
+        depth++;
+      } else if (type === 'ident') parts.push(this.#path());
+      else if (type === 'keyword' && text === 'IS') {
+        this.expect('keyword', 'IS');
+        const negated = this.accept('keyword', 'NOT');
+        this.expect('keyword', 'MISSING');
+        parts.push(`attribute_${negated ? '' : 'not_'}exists(${parts.pop()})`);
+      } else if (
+        type === 'keyword' &&
+        text === 'IN' &&
+        this.peek(1)?.text === '['
+      ) {
+        this.expect('keyword', 'IN');
+        parts.push(
+          `IN (${this.#literal()
+            .map((value) => this.#value(value))
+            .join(', ')})`
+        );
+      } else if (this.#isLiteral()) parts.push(this.#value(this.#literal()));
+      else {
+        this.#position++;
+        if (text === '(') depth++;
+        if (text === ')') depth--;
+        parts.push(text);
+      }
+    }
+
+    if (!parts.length) throw malformed('expected an expression');
+
+    return {
+      expression: parts
+        .join(' ')
+        .replaceAll('( ', '(')
+        .replaceAll(' )', ')')
+        .replaceAll(' ,', ','),
+      or,
+    };
+  }
+
+  /**
+   * Parse a document path into name placeholders.
+   *
+   * @return {string} Path expression.
+   */
+  #path() {
+    const segments = [this.#name(this.expect('ident').text)];
+
+    for (;;) {
+      if (this.accept('punct', '.'))
+        segments.push(`.${this.#name(this.expect('ident').text)}`);
+      else if (this.accept('punct', '[')) {
+        segments.push(`[${this.expect('number').text}]`);
+        this.expect('punct', ']');
+      } else break;
+    }
+
+    return segments.join('');
+  }
+
+  /**
+   * Get the placeholder of an attribute name.
+   *
+   * @param {string} name - Attribute name.
+   * @return {string} Name placeholder.
+   */
+  #name(name) {
+    const placeholder =
+      _.findKey(this.#names, (value) => value === name) ??
+      `#n${_.size(this.#names)}`;
+
+    this.#names[placeholder] = name;
+
+    return placeholder;
+  }
+
+  /**
+   * Add a value placeholder.
+   *
+   * @param {*} value - Value.
+   * @return {string} Value placeholder.
+   */
+  #value(value) {
+    const placeholder = `:v${_.size(this.#values)}`;
+
+    this.#values[placeholder] = value;
+
+    return placeholder;
+  }
+
+  /**
+   * True if the current token starts a literal.
+   *
+   * @return {boolean} True if the current token starts a literal.
+   */
+  #isLiteral() {
+    const { type, text } = this.peek() ?? {};
+
+    return (
+      ['literal', 'number', 'parameter'].includes(type) ||
+      (type === 'keyword' && ['TRUE', 'FALSE', 'NULL'].includes(text)) ||
+      (type === 'punct' && ['{', '[', '<<'].includes(text))
+    );
+  }
+
+  /**
+   * Resolve a scalar token: a string, number or parameter.
+   *
+   * @param {object} token - Token.
+   * @return {*} Value.
+   */
+  #scalar(token) {
+    if (token.type === 'literal') return token.value;
+    if (token.type === 'number') return Number(token.text);
+    return this.#parameters[token.index];
+  }
+
+  /**
+   * Parse a literal: a scalar, boolean, null, tuple (map), list or bag (set).
+   *
+   * @return {*} Value.
+   */
+  #literal() {
+    const token = this.peek();
+
+    if (['literal', 'number', 'parameter'].includes(token?.type)) {
+      this.#position++;
+      return this.#scalar(token);
+    }
+
+    if (this.accept('keyword', 'TRUE')) return true;
+    if (this.accept('keyword', 'FALSE')) return false;
+    if (this.accept('keyword', 'NULL')) return null;
+
+    if (this.accept('punct', '{')) {
+      const tuple = {};
+
+      if (!this.accept('punct', '}')) {
+        do {
+          const { value } = this.expect('literal');
+          this.expect('punct', ':');
+          tuple[value] = this.#literal();
+        } while (this.accept('punct', ','));
+
+        this.expect('punct', '}');
+      }
+
+      return tuple;
+    }
+
+    const close = { '[': ']', '<<': '>>' }[token?.text];
+
+    if (token?.type === 'punct' && close) {
+      this.#position++;
+      const values = [];
+
+      if (!this.accept('punct', close)) {
+        do values.push(this.#literal());
+        while (this.accept('punct', ','));
+
+        this.expect('punct', close);
+      }
+
+      return close === ']' ? values : new Set(values);
+    }
+
+    throw malformed(`unexpected token ${token?.text ?? 'end of statement'}`);
+  }
+}
+
+/**
+ * Parse a PartiQL statement into expressions the engine can evaluate.
+ *
+ * Supports the statements DynamoDB supports: `SELECT` (`*` or document paths)
+ * from a table or `"table"."index"`, `INSERT INTO ... VALUE {...}`, `UPDATE`
+ * with SET & REMOVE clauses, and `DELETE`. WHERE clauses may use comparisons,
+ * BETWEEN, IN, AND, OR, NOT, `IS [NOT] MISSING` & condition expression
+ * functions. Literals may be strings, numbers, booleans, null, tuples, lists
+ * & bags.
+ *
+ * @param {string} statement - Statement.
+ * @param {Array} [parameters] - Parameter values for `?` placeholders.
+ * @return {object} Parsed statement: type (select, insert, update or delete), tableName, indexName, projection expression, inserted item, update expression, WHERE conditions (each an expression, plus attribute & value for top-level equalities), names & values.
+ * @private
+ */
+export const parseStatement = (statement, parameters = []) =>
+  new StatementParser(statement, parameters).statement();
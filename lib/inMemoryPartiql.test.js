@@ -0,0 +1,102 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// lib imports
+import {
+  evaluateCondition,
+  ExpressionError,
+  parseCondition,
+} from './inMemoryExpressions.js';
+import { parseStatement } from './inMemoryPartiql.js';
+
+const holds = ({ conditions, names, values }, item) =>
+  evaluateCondition(
+    parseCondition(
+      conditions.map(({ expression }) => expression).join(' AND '),
+      names,
+      values
+    ),
+    item
+  );
+
+describe('inMemoryPartiql', function () {
+  describe('parseStatement', function () {
+    it('should parse selects from tables & indexes', function () {
+      const parsed = parseStatement(
+        'SELECT a, "b".c[1] FROM "t"."gsi" WHERE pk = ? AND n BETWEEN 1 AND 3',
+        ['x']
+      );
+
+      expect(parsed).to.include({
+        type: 'select',
+        tableName: 't',
+        indexName: 'gsi',
+        projection: '#n0, #n1.#n2[1]',
+      });
+      expect(parsed.conditions).to.have.length(2);
+      expect(parsed.conditions[0]).to.include({ attribute: 'pk', value: 'x' });
+      expect(holds(parsed, { pk: 'x', n: 2 })).to.be.true;
+      expect(holds(parsed, { pk: 'x', n: 4 })).to.be.false;
+    });
+
+    it('should parse literals', function () {
+      const { item } = parseStatement(
+        `INSERT INTO t VALUE {'s': 'it''s', 'n': 1.5, 'b': true, 'z': null, 'l': [1, ?], 'ss': <<'a', 'b'>>, 'm': {}}`,
+        ['p']
+      );
+
+      expect(item).to.deep.equal({
+        s: "it's",
+        n: 1.5,
+        b: true,
+        z: null,
+        l: [1, 'p'],
+        ss: new Set(['a', 'b']),
+        m: {},
+      });
+    });
+
+    it('should parse updates into update expressions', function () {
+      const parsed = parseStatement(
+        'UPDATE t SET a = a + ?, b = list_append(b, [1]) REMOVE c WHERE pk = 1',
+        [2]
+      );
+
+      expect(parsed.update).to.equal(
+        'SET #n0 = #n0 + :v0, #n1 = list_append(#n1, :v1) REMOVE #n2'
+      );
+      expect(parsed.values).to.deep.equal({ ':v0': 2, ':v1': [1], ':v2': 1 });
+    });
+
+    it('should translate MISSING, IN & OR', function () {
+      const parsed = parseStatement(
+        `DELETE FROM t WHERE pk = 'x' AND a IS MISSING AND (b IN ['u', 'v'] OR c <> 1)`
+      );
+
+      expect(holds(parsed, { pk: 'x', b: 'v' })).to.be.true;
+      expect(holds(parsed, { pk: 'x', a: 1, b: 'v' })).to.be.false;
+      expect(holds(parsed, { pk: 'x', b: 'w', c: 1 })).to.be.false;
+
+      // A top-level OR leaves no conjuncts to take keys from.
+      expect(
+        parseStatement(`DELETE FROM t WHERE pk = 'x' AND a = 1 OR b = 2`)
+          .conditions
+      ).to.deep.equal([{ expression: '#n0 = :v0 AND #n1 = :v1 OR #n2 = :v2' }]);
+    });
+
+    it('should reject malformed statements & parameter mismatches', function () {
+      for (const [statement, parameters] of [
+        ['SELECT * FROM', []],
+        ['UPSERT INTO t', []],
+        ['INSERT INTO t VALUE [1]', []],
+        ['UPDATE t WHERE pk = 1', []],
+        ['SELECT * FROM t WHERE pk = ?', []],
+      ])
+        expect(() => parseStatement(statement, parameters)).to.throw(
+          ExpressionError
+        );
+    });
+  });
+});
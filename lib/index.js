@@ -1 +1,28 @@
+export { Entity } from './Entity.js';
+export {
+  BatchWriteError,
+  ConditionalCheckFailedError,
+  isRetryable,
+  SchemaConflictError,
+  TableNotFoundError,
+  ThrottlingError,
+  TimeoutError,
+  TransactionCanceledError,
+  ValidationError,
+  VersionConflictError,
+  WrappedDynamoDbError,
+} from './errors.js';
+export { append, ifNotExists, increment } from './expressions.js';
+export { InMemoryDynamoDb } from './InMemoryDynamoDb.js';
+export { ItemCache, LruCacheStore } from './ItemCache.js';
+export { MetricsCollector } from './MetricsCollector.js';
+export { RateLimiter } from './RateLimiter.js';
+export { ShardedCounter } from './ShardedCounter.js';
+export {
+  decodeStreamEvent,
+  decodeStreamRecord,
+  diffItems,
+  processStreamEvent,
+} from './streams.js';
+export { TransactionBuilder } from './TransactionBuilder.js';
 export { WrappedDynamoDbClient } from './WrappedDynamoDbClient.js';
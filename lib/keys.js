@@ -0,0 +1,14 @@
+// npm imports
+import _ from 'lodash';
+
+/**
+ * Generate a stable string identifier for an item key, independent of the
+ * order of its attributes.
+ *
+ * @param {object} key - Item key.
+ * @param {string[]} [attributes] - Key attribute names (default is all attributes of key).
+ * @return {string} Key identifier.
+ * @private
+ */
+export const keyId = (key, attributes = _.keys(key)) =>
+  JSON.stringify(_.sortBy(attributes).map((attribute) => key[attribute]));
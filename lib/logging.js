@@ -0,0 +1,206 @@
+// npm imports
+import { createHash } from 'node:crypto';
+import _ from 'lodash';
+
+// lib imports
+import { parsePath } from './expressions.js';
+
+const levels = ['debug', 'error', 'info'];
+
+export const logFormats = ['structured', 'text'];
+
+export const redactionModes = ['hash', 'mask'];
+
+const mask = '[REDACTED]';
+
+/**
+ * Serialize a value deterministically for hashing.
+ *
+ * @param {*} value - Value.
+ * @return {string} Serialized value.
+ * @private
+ */
+const serialize = (value) =>
+  JSON.stringify(value, (key, value) =>
+    value instanceof Set
+      ? [...value]
+      : typeof value === 'bigint'
+      ? value.toString()
+      : value
+  ) ?? String(value);
+
+/**
+ * Replace the values at configured attribute paths throughout a log payload:
+ * in any object or array nested in it, including errors & their causes.
+ * A path like `profile.email` matches nested attributes as well as the flat
+ * keys of an updateItem patch. Expression placeholder values cannot be traced
+ * to attribute paths, so every value in an `ExpressionAttributeValues` object
+ * is replaced.
+ *
+ * @param {*} value - Log payload.
+ * @param {object[]} paths - Parsed paths: `path` & `segments`.
+ * @param {Function} replace - Returns the replacement for a value.
+ * @param {Set} [ancestors] - Objects being redacted further up, to survive cycles.
+ * @return {*} Redacted copy of the payload.
+ * @private
+ */
+const redactPaths = (value, paths, replace, ancestors = new Set()) => {
+  if (!_.isObject(value) || ancestors.has(value)) return value;
+
+  const redact = (child) => redactPaths(child, paths, replace, ancestors);
+
+  ancestors.add(value);
+
+  try {
+    if (_.isArray(value)) return value.map(redact);
+
+    if (value instanceof Error) {
+      const copy = Object.create(Object.getPrototypeOf(value));
+
+      for (const key of Reflect.ownKeys(value)) {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+
+        if ('value' in descriptor && !['message', 'stack'].includes(key))
+          descriptor.value = redact(descriptor.value);
+
+        Object.defineProperty(copy, key, descriptor);
+      }
+
+      return copy;
+    }
+
+    if (!_.isPlainObject(value)) return value;
+
+    const result = _.mapValues(value, redact);
+
+    if (_.isPlainObject(result.ExpressionAttributeValues))
+      result.ExpressionAttributeValues = _.mapValues(
+        value.ExpressionAttributeValues,
+        replace
+      );
+
+    for (const { path, segments } of paths)
+      if (_.has(result, [path])) result[path] = replace(result[path]);
+      else if (segments.length > 1 && _.has(result, segments))
+        _.set(result, segments, replace(_.get(result, segments)));
+
+    return result;
+  } finally {
+    ancestors.delete(value);
+  }
+};
+
+/**
+ * Count the items a request read or wrote, for request log records.
+ *
+ * @param {object} context - Middleware context.
+ * @return {number|undefined} Item count, or undefined for table operations.
+ * @private
+ */
+const countItems = (context) => {
+  const { operation, input = {}, output = {} } = context;
+
+  if (output.Items) return output.Items.length;
+  if (_.isArray(output.Responses)) return output.Responses.length;
+  if (_.isPlainObject(output.Responses))
+    return _.sumBy(_.values(output.Responses), 'length');
+
+  if (input.RequestItems)
+    return _.sumBy(
+      _.values(input.RequestItems),
+      (requests) => requests.Keys?.length ?? requests.length
+    );
+
+  const batch =
+    input.TransactItems ?? input.TransactStatements ?? input.Statements;
+  if (batch) return batch.length;
+
+  if (operation === 'get') return output.Item ? 1 : 0;
+  if (input.Item || input.Key) return 1;
+};
+
+/**
+ * Wrap a logger so that every payload passed to it is redacted, and (in the
+ * structured format) every message & payload is combined into one record.
+ *
+ * @param {object} logger - Logger with info, error & debug methods.
+ * @param {object} [options] - Options.
+ * @param {string} [options.format] - `text` (message & positional payloads, the default) or `structured` (a single object per call: `message`, plus payloads as `data`).
+ * @param {object} [options.redact] - Redaction options: `paths` (attribute paths), `mode` (`mask` or `hash`, default is mask) & `salt` for hashes. With any paths, ExpressionAttributeValues are redacted too.
+ * @return {object} Logger with info, error & debug methods. The original logger if there is nothing to do.
+ * @private
+ */
+export const createLogger = (logger, { format = 'text', redact = {} } = {}) => {
+  const paths = (redact.paths ?? []).map((path) => ({
+    path,
+    segments: parsePath(path),
+  }));
+
+  if (format === 'text' && !paths.length) return logger;
+
+  const replace =
+    redact.mode === 'hash'
+      ? (value) =>
+          `sha256:${createHash('sha256')
+            .update(`${redact.salt ?? ''}${serialize(value)}`)
+            .digest('hex')
+            .slice(0, 16)}`
+      : () => mask;
+
+  const clean = (payload) =>
+    paths.length ? redactPaths(payload, paths, replace) : payload;
+
+  return Object.fromEntries(
+    levels.map((level) => [
+      level,
+      (message, ...payloads) =>
+        format === 'text'
+          ? logger[level](message, ...payloads.map(clean))
+          : logger[level](
+              clean(
+                _.isPlainObject(message)
+                  ? message
+                  : {
+                      message,
+                      ...(payloads.length
+                        ? {
+                            data:
+                              payloads.length === 1 ? payloads[0] : payloads,
+                          }
+                        : {}),
+                    }
+              )
+            ),
+    ])
+  );
+};
+
+/**
+ * Create middleware that logs a structured record of every request at debug
+ * level: operation, table, attempt, duration (milliseconds), item count,
+ * request id & (on failure) error name.
+ *
+ * @param {object} logger - Logger with a debug method.
+ * @return {object} Middleware.
+ * @private
+ */
+export const requestLogger = (logger) => {
+  const log = (context) => {
+    const { attempt, duration, error, operation, output, tableName } = context;
+
+    logger.debug({
+      message: `DynamoDB ${operation} request ${
+        error ? 'failed' : 'succeeded'
+      }.`,
+      operation,
+      tableName,
+      attempt,
+      duration: Math.round(duration),
+      itemCount: countItems(context),
+      requestId: output?.$metadata?.requestId ?? error?.requestId,
+      ...(error ? { error: error.name } : {}),
+    });
+  };
+
+  return { after: log, onError: log };
+};
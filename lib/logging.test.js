@@ -0,0 +1,195 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ConditionalCheckFailedError } from './errors.js';
+import { createLogger, requestLogger } from './logging.js';
+
+const capture = () => {
+  const records = [];
+
+  return {
+    records,
+    logger: Object.fromEntries(
+      ['debug', 'error', 'info'].map((level) => [
+        level,
+        (...args) => records.push([level, ...args]),
+      ])
+    ),
+  };
+};
+
+describe('logging', function () {
+  describe('createLogger', function () {
+    it('should return the logger when there is nothing to do', function () {
+      const { logger } = capture();
+
+      expect(createLogger(logger)).to.equal(logger);
+    });
+
+    it('should mask paths wherever they appear', function () {
+      const { logger, records } = capture();
+      const item = {
+        email: 'a@example.com',
+        profile: { phone: '555', name: 'a' },
+      };
+
+      createLogger(logger, {
+        redact: { paths: ['email', 'profile.phone'] },
+      }).debug('Putting item...', item, {
+        Items: [item],
+        'profile.phone': '556',
+      });
+
+      expect(records).to.deep.equal([
+        [
+          'debug',
+          'Putting item...',
+          {
+            email: '[REDACTED]',
+            profile: { phone: '[REDACTED]', name: 'a' },
+          },
+          {
+            Items: [
+              {
+                email: '[REDACTED]',
+                profile: { phone: '[REDACTED]', name: 'a' },
+              },
+            ],
+            'profile.phone': '[REDACTED]',
+          },
+        ],
+      ]);
+
+      // The payload itself is untouched.
+      expect(item.email).to.equal('a@example.com');
+    });
+
+    it('should mask expression attribute values', function () {
+      const { logger, records } = capture();
+
+      createLogger(logger, { redact: { paths: ['email'] } }).debug(
+        'Querying table...',
+        {
+          KeyConditionExpression: '#pk = :pk',
+          ExpressionAttributeNames: { '#pk': 'email' },
+          ExpressionAttributeValues: { ':pk': 'a@example.com' },
+        }
+      );
+
+      expect(records[0][2]).to.deep.equal({
+        KeyConditionExpression: '#pk = :pk',
+        ExpressionAttributeNames: { '#pk': 'email' },
+        ExpressionAttributeValues: { ':pk': '[REDACTED]' },
+      });
+    });
+
+    it('should hash paths consistently', function () {
+      const { logger, records } = capture();
+      const hashing = createLogger(logger, {
+        redact: { paths: ['email'], mode: 'hash', salt: 's' },
+      });
+
+      hashing.info('a', { email: 'a@example.com' });
+      hashing.info('b', { email: 'a@example.com' });
+      hashing.info('c', { email: 'b@example.com' });
+
+      const [a, b, c] = records.map(([, , { email }]) => email);
+      expect(a).to.match(/^sha256:[0-9a-f]{16}$/);
+      expect(a).to.equal(b);
+      expect(a).not.to.equal(c);
+    });
+
+    it('should redact errors & survive cycles', function () {
+      const { logger, records } = capture();
+      const error = new ConditionalCheckFailedError('failed', {
+        item: { email: 'a@example.com' },
+      });
+      const cyclic = { email: 'a@example.com' };
+      cyclic.self = cyclic;
+
+      createLogger(logger, { redact: { paths: ['email'] } }).error(
+        'Failed.',
+        error,
+        cyclic
+      );
+
+      const [, , logged, loggedCyclic] = records[0];
+      expect(logged).to.be.an.instanceof(ConditionalCheckFailedError);
+      expect(logged.message).to.equal('failed');
+      expect(logged.item).to.deep.equal({ email: '[REDACTED]' });
+      expect(loggedCyclic.email).to.equal('[REDACTED]');
+    });
+
+    it('should combine messages & payloads into records', function () {
+      const { logger, records } = capture();
+      const structured = createLogger(logger, {
+        format: 'structured',
+        redact: { paths: ['email'] },
+      });
+
+      structured.debug('Done.');
+      structured.debug('Got item.', { email: 'a@example.com' });
+      structured.info('Two.', 1, 2);
+      structured.debug({ message: 'Record.', operation: 'get' });
+
+      expect(records).to.deep.equal([
+        ['debug', { message: 'Done.' }],
+        ['debug', { message: 'Got item.', data: { email: '[REDACTED]' } }],
+        ['info', { message: 'Two.', data: [1, 2] }],
+        ['debug', { message: 'Record.', operation: 'get' }],
+      ]);
+    });
+  });
+
+  describe('requestLogger', function () {
+    it('should log a record per request', function () {
+      const { logger, records } = capture();
+      const middleware = requestLogger(logger);
+
+      middleware.after({
+        operation: 'query',
+        tableName: 't',
+        attempt: 1,
+        duration: 12.3,
+        input: {},
+        output: { Items: [{}, {}], $metadata: { requestId: 'r1' } },
+      });
+      middleware.onError({
+        operation: 'batchWrite',
+        tableName: 't',
+        attempt: 2,
+        duration: 4,
+        input: { RequestItems: { t: _.times(3, () => ({})) } },
+        error: { name: 'ThrottlingError', requestId: 'r2' },
+      });
+
+      expect(_.map(records, 1)).to.deep.equal([
+        {
+          message: 'DynamoDB query request succeeded.',
+          operation: 'query',
+          tableName: 't',
+          attempt: 1,
+          duration: 12,
+          itemCount: 2,
+          requestId: 'r1',
+        },
+        {
+          message: 'DynamoDB batchWrite request failed.',
+          operation: 'batchWrite',
+          tableName: 't',
+          attempt: 2,
+          duration: 4,
+          itemCount: 3,
+          requestId: 'r2',
+          error: 'ThrottlingError',
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// npm imports
+import _ from 'lodash';
+import { performance } from 'perf_hooks';
+
+/**
+ * Determine whether a value is a valid middleware object: an object with at
+ * least one of `before`, `after` or `onError` hook functions and no
+ * non-function hooks.
+ *
+ * @param {object} middleware - Middleware object.
+ * @return {boolean} True if valid.
+ * @private
+ */
+export const isMiddleware = (middleware) => {
+  const hooks = _.pick(middleware, ['before', 'after', 'onError']);
+
+  return (
+    _.isObject(middleware) &&
+    !!_.size(hooks) &&
+    _.every(hooks, (hook) => _.isNil(hook) || _.isFunction(hook))
+  );
+};
+
+/**
+ * Run an operation through a middleware chain.
+ *
+ * Each middleware may define any of these hooks, which receive the shared
+ * operation context (`operation`, `tableName`, `input`, `attempt`,
+ * `startTime`, and later `output`, `error`, `duration` &, if the operation
+ * was sent, `sendDuration`, which excludes time spent in `before` hooks such
+ * as rate limiting):
+ *
+ * - `before(context)` runs in registration order before the operation. It may replace `context.input`, throw to fail the operation, or set `context.output` to skip the operation entirely.
+ * - `after(context)` runs in reverse order after success. It may replace `context.output`.
+ * - `onError(context)` runs in reverse order after failure. It may replace `context.error`, or clear it & set `context.output` to recover.
+ *
+ * Hooks may be async.
+ *
+ * @param {object[]} middleware - Middleware objects.
+ * @param {object} context - Operation context.
+ * @param {Function} send - Receives the (possibly rewritten) input & resolves to the output.
+ * @return {Promise<*>} Operation output.
+ * @private
+ */
+export const runMiddleware = async (middleware, context, send) => {
+  context.startTime = Date.now();
+  const start = performance.now();
+  const reversed = [...middleware].reverse();
+
+  try {
+    for (const hooks of middleware) await hooks.before?.(context);
+
+    if (context.output === undefined) {
+      const sent = performance.now();
+
+      try {
+        context.output = await send(context.input);
+      } finally {
+        context.sendDuration = performance.now() - sent;
+      }
+    }
+  } catch (error) {
+    context.duration = performance.now() - start;
+    context.error = error;
+
+    for (const hooks of reversed) await hooks.onError?.(context);
+
+    if (context.error) throw context.error;
+
+    return context.output;
+  }
+
+  context.duration = performance.now() - start;
+
+  for (const hooks of reversed) await hooks.after?.(context);
+
+  return context.output;
+};
@@ -0,0 +1,133 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// lib imports
+import { isMiddleware, runMiddleware } from './middleware.js';
+
+describe('middleware', function () {
+  describe('isMiddleware', function () {
+    it('should validate middleware', function () {
+      expect(isMiddleware({ before() {} })).to.be.true;
+      expect(isMiddleware({ after() {}, onError: undefined })).to.be.true;
+      expect(isMiddleware({})).to.be.false;
+      expect(isMiddleware({ before: 'foo' })).to.be.false;
+      expect(isMiddleware(null)).to.be.false;
+    });
+  });
+
+  describe('runMiddleware', function () {
+    it('should run hooks in onion order', async function () {
+      const calls = [];
+
+      const trace = (name) => ({
+        before: () => calls.push(`${name}.before`),
+        after: () => calls.push(`${name}.after`),
+      });
+
+      const output = await runMiddleware(
+        [trace('a'), trace('b')],
+        { operation: 'get', input: {} },
+        async () => {
+          calls.push('send');
+          return 'output';
+        }
+      );
+
+      expect(output).to.equal('output');
+      expect(calls).to.deep.equal([
+        'a.before',
+        'b.before',
+        'send',
+        'b.after',
+        'a.after',
+      ]);
+    });
+
+    it('should expose timing & allow input & output rewriting', async function () {
+      let context;
+
+      const output = await runMiddleware(
+        [
+          {
+            before: (ctx) => {
+              ctx.input = { ...ctx.input, rewritten: true };
+            },
+            after: async (ctx) => {
+              context = ctx;
+              ctx.output = { ...ctx.output, decorated: true };
+            },
+          },
+        ],
+        { operation: 'get', input: {} },
+        async (input) => ({ input })
+      );
+
+      expect(output).to.deep.equal({
+        input: { rewritten: true },
+        decorated: true,
+      });
+      expect(context.startTime).to.be.a('number');
+      expect(context.duration).to.be.at.least(0);
+    });
+
+    it('should skip send when before sets output', async function () {
+      let sent = false;
+
+      const output = await runMiddleware(
+        [{ before: (ctx) => (ctx.output = 'cached') }],
+        { operation: 'get', input: {} },
+        async () => (sent = true)
+      );
+
+      expect(output).to.equal('cached');
+      expect(sent).to.be.false;
+    });
+
+    it('should pass errors to onError & allow recovery', async function () {
+      const errors = [];
+
+      const output = await runMiddleware(
+        [
+          {
+            onError: (ctx) => {
+              errors.push(ctx.error.message);
+              ctx.error = undefined;
+              ctx.output = 'recovered';
+            },
+          },
+        ],
+        { operation: 'get', input: {} },
+        async () => {
+          throw new Error('boom');
+        }
+      );
+
+      expect(output).to.equal('recovered');
+      expect(errors).to.deep.equal(['boom']);
+    });
+
+    it('should propagate injected faults', async function () {
+      let error;
+
+      try {
+        await runMiddleware(
+          [
+            {
+              before: () => {
+                throw new Error('fault');
+              },
+            },
+          ],
+          { operation: 'get', input: {} },
+          async () => 'output'
+        );
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error?.message).to.equal('fault');
+    });
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Extract the table name a PartiQL statement reads or writes, for logging, cache invalidation & rate limiting.
+ *
+ * @param {string} statement - PartiQL statement.
+ * @return {string|undefined} Table name.
+ * @private
+ */
+export const statementTableName = (statement) =>
+  statement
+    .match(/\b(?:FROM|INTO|UPDATE)\s+("(?:[^"]|"")+"|[A-Za-z0-9_.-]+)/i)?.[1]
+    .replace(/^"(.*)"$/, '$1')
+    .replaceAll('""', '"');
@@ -0,0 +1,97 @@
+// npm imports
+import _ from 'lodash';
+import { setTimeout } from 'timers/promises';
+
+// lib imports
+import { isRetryable } from './errors.js';
+
+/**
+ * Default retry policy for batch operations.
+ *
+ * @type {object}
+ * @property {number} maxAttempts - Maximum number of attempts, including the first.
+ * @property {number} baseDelay - Base delay in milliseconds.
+ * @property {number} maxDelay - Maximum delay in milliseconds.
+ */
+export const defaultRetryPolicy = Object.freeze({
+  maxAttempts: 8,
+  baseDelay: 50,
+  maxDelay: 5000,
+});
+
+/**
+ * Determine whether a value is a valid (partial) retry policy.
+ *
+ * @param {object} policy - Retry policy.
+ * @return {boolean} True if valid.
+ * @private
+ */
+export const isRetryPolicy = (policy) =>
+  _.isPlainObject(policy) &&
+  _.every(
+    _.pick(policy, _.keys(defaultRetryPolicy)),
+    (value, key) =>
+      _.isNil(value) ||
+      (_.isFinite(value) && value >= (key === 'maxAttempts' ? 1 : 0))
+  );
+
+/**
+ * Compute an exponential backoff delay with full jitter: a random delay
+ * between zero and `min(maxDelay, baseDelay * 2 ^ (attempt - 1))`.
+ *
+ * @param {number} attempt - Number of the attempt that just failed (1-based).
+ * @param {object} policy - Retry policy.
+ * @param {number} policy.baseDelay - Base delay in milliseconds.
+ * @param {number} policy.maxDelay - Maximum delay in milliseconds.
+ * @return {number} Delay in milliseconds.
+ * @private
+ */
+export const retryDelay = (attempt, { baseDelay, maxDelay }) =>
+  Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+
+/**
+ * Process a set of requests, retrying the unprocessed remainder (and
+ * retryable errors) with jittered backoff until everything is processed or
+ * attempts are exhausted.
+ *
+ * @param {Array} pending - Requests to process.
+ * @param {Function} send - Receives pending requests & the attempt number; resolves to the requests left unprocessed.
+ * @param {object} policy - Retry policy.
+ * @param {number} policy.maxAttempts - Maximum number of attempts.
+ * @param {number} policy.baseDelay - Base delay in milliseconds.
+ * @param {number} policy.maxDelay - Maximum delay in milliseconds.
+ * @param {Function} [onRetry] - Called with pending requests, attempt number & error (if any) before each retry.
+ * @return {Promise<object>} Requests still unprocessed (empty on success), the number of attempts made, and the last error if the final attempt threw.
+ * @private
+ */
+export const processWithRetries = async (
+  pending,
+  send,
+  policy,
+  onRetry = _.noop
+) => {
+  let attempt = 0;
+
+  while (pending.length) {
+    let error;
+    attempt++;
+
+    try {
+      pending = await send(pending, attempt);
+    } catch (e) {
+      if (!isRetryable(e))
+        return { unprocessed: pending, attempts: attempt, error: e };
+      error = e;
+    }
+
+    if (!pending.length) break;
+
+    if (attempt >= policy.maxAttempts)
+      return { unprocessed: pending, attempts: attempt, error };
+
+    onRetry(pending, attempt, error);
+    await setTimeout(retryDelay(attempt, policy));
+  }
+
+  return { unprocessed: [], attempts: attempt };
+};
@@ -0,0 +1,125 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ThrottlingError, ValidationError } from './errors.js';
+import {
+  defaultRetryPolicy,
+  isRetryPolicy,
+  processWithRetries,
+  retryDelay,
+} from './retry.js';
+
+const policy = { maxAttempts: 3, baseDelay: 1, maxDelay: 2 };
+
+describe('retry', function () {
+  describe('isRetryPolicy', function () {
+    it('should validate retry policies', function () {
+      expect(isRetryPolicy({})).to.be.true;
+      expect(isRetryPolicy(defaultRetryPolicy)).to.be.true;
+      expect(isRetryPolicy({ maxAttempts: 0 })).to.be.false;
+      expect(isRetryPolicy({ baseDelay: -1 })).to.be.false;
+      expect(isRetryPolicy(null)).to.be.false;
+    });
+  });
+
+  describe('retryDelay', function () {
+    it('should apply capped exponential backoff with full jitter', function () {
+      const policy = { baseDelay: 100, maxDelay: 1000 };
+
+      for (const attempt of _.range(1, 10)) {
+        const delay = retryDelay(attempt, policy);
+        expect(delay).to.be.at.least(0);
+        expect(delay).to.be.below(Math.min(1000, 100 * 2 ** (attempt - 1)));
+      }
+    });
+  });
+
+  describe('processWithRetries', function () {
+    it('should retry unprocessed requests', async function () {
+      const attempts = [];
+
+      const result = await processWithRetries(
+        [1, 2, 3],
+        async (pending, attempt) => {
+          attempts.push([...pending]);
+          return attempt === 1 ? pending.slice(1) : [];
+        },
+        policy
+      );
+
+      expect(result).to.deep.equal({ unprocessed: [], attempts: 2 });
+      expect(attempts).to.deep.equal([
+        [1, 2, 3],
+        [2, 3],
+      ]);
+    });
+
+    it('should stop after maxAttempts', async function () {
+      const result = await processWithRetries(
+        [1, 2],
+        async (pending) => pending.slice(1),
+        { ...policy, maxAttempts: 1 }
+      );
+
+      expect(result).to.deep.equal({
+        unprocessed: [2],
+        attempts: 1,
+        error: undefined,
+      });
+    });
+
+    it('should retry retryable errors', async function () {
+      let retries = 0;
+
+      const result = await processWithRetries(
+        [1],
+        async (pending, attempt) => {
+          if (attempt < 3) throw new ThrottlingError('throttled');
+          return [];
+        },
+        policy,
+        () => retries++
+      );
+
+      expect(result.unprocessed).to.be.empty;
+      expect(retries).to.equal(2);
+    });
+
+    it('should not retry non-retryable errors', async function () {
+      const error = new ValidationError('invalid');
+      let calls = 0;
+
+      const result = await processWithRetries(
+        [1],
+        async () => {
+          calls++;
+          throw error;
+        },
+        policy
+      );
+
+      expect(result).to.deep.equal({ unprocessed: [1], attempts: 1, error });
+      expect(calls).to.equal(1);
+    });
+
+    it('should return the last retryable error when exhausted', async function () {
+      const error = new ThrottlingError('throttled');
+
+      const result = await processWithRetries(
+        [1],
+        async () => {
+          throw error;
+        },
+        policy
+      );
+
+      expect(result).to.deep.equal({ unprocessed: [1], attempts: 3, error });
+    });
+  });
+});
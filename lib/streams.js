@@ -0,0 +1,211 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { fromDynamoJson } from './dynamoJson.js';
+import { ValidationError } from './errors.js';
+
+const changeTypes = { INSERT: 'insert', MODIFY: 'modify', REMOVE: 'remove' };
+
+/**
+ * Compute the attribute-level difference between two versions of an item.
+ * Only top-level attributes are compared; nested changes show up as a change
+ * to their top-level attribute.
+ *
+ * @param {object} [oldItem] - Old item.
+ * @param {object} [newItem] - New item.
+ * @return {object} Changed attributes by name, each with `oldValue` & `newValue` (undefined if the attribute was added or removed).
+ */
+export const diffItems = (oldItem = {}, newItem = {}) => {
+  const diff = {};
+
+  for (const attribute of _.union(_.keys(oldItem), _.keys(newItem)))
+    if (!_.isEqual(oldItem[attribute], newItem[attribute]))
+      diff[attribute] = {
+        oldValue: oldItem[attribute],
+        newValue: newItem[attribute],
+      };
+
+  return diff;
+};
+
+/**
+ * Decode a DynamoDB stream record, as delivered to Lambda, into a change
+ * record.
+ *
+ * Images are unmarshalled from DynamoDB JSON. Which images are present
+ * depends on the stream view type: diffs of modified items need
+ * NEW_AND_OLD_IMAGES.
+ *
+ * @param {object} record - Stream record.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.wrapNumbers] - Return numbers as NumberValues (default is false: numbers, or bigints for integers beyond Number precision).
+ * @return {object} Change record: `id`, `type` (insert, modify or remove), `tableName`, `sequenceNumber`, `timestamp` (Date), `key`, `oldItem` & `newItem` (when in the stream), attribute-level `diff` & whether the item `expired` (removed by time to live).
+ */
+export const decodeStreamRecord = (record, { wrapNumbers = false } = {}) => {
+  const { dynamodb, eventID, eventName, eventSourceARN, userIdentity } =
+    record ?? {};
+
+  if (!_.isPlainObject(dynamodb) || !_.has(changeTypes, eventName))
+    throw new ValidationError('invalid DynamoDB stream record', {
+      parameter: 'record',
+      value: record,
+    });
+
+  const decode = (image) => image && fromDynamoJson(image, { wrapNumbers });
+
+  const oldItem = decode(dynamodb.OldImage);
+  const newItem = decode(dynamodb.NewImage);
+
+  return {
+    id: eventID,
+    type: changeTypes[eventName],
+    tableName: eventSourceARN?.match(/:table\/([^/]+)/)?.[1],
+    sequenceNumber: dynamodb.SequenceNumber,
+    timestamp: dynamodb.ApproximateCreationDateTime
+      ? new Date(dynamodb.ApproximateCreationDateTime * 1000)
+      : undefined,
+    key: decode(dynamodb.Keys),
+    oldItem,
+    newItem,
+    diff: diffItems(oldItem, newItem),
+    expired:
+      eventName === 'REMOVE' &&
+      userIdentity?.type === 'Service' &&
+      userIdentity.principalId === 'dynamodb.amazonaws.com',
+  };
+};
+
+/**
+ * Build a predicate selecting change records by entity & key prefix.
+ *
+ * @param {object} [options] - Options.
+ * @param {object|object[]} [options.entity] - Entity or entities (see `WrappedDynamoDbClient.entity`).
+ * @param {object} [options.keyPrefix] - Key prefixes by key attribute name.
+ * @return {Function} Predicate returning the name of the matching entity, true, or false.
+ * @private
+ */
+const changeFilter = ({ entity, keyPrefix } = {}) => {
+  const entities = _.castArray(entity ?? []);
+
+  if (
+    !entities.every(
+      (entity) => _.isFunction(entity?.matches) && _.isString(entity.name)
+    )
+  )
+    throw new ValidationError('invalid entity', {
+      parameter: 'entity',
+      value: entity,
+    });
+
+  if (!_.isNil(keyPrefix) && !_.isPlainObject(keyPrefix))
+    throw new ValidationError('invalid keyPrefix', {
+      parameter: 'keyPrefix',
+      value: keyPrefix,
+    });
+
+  return (change) => {
+    if (
+      !_.every(keyPrefix, (prefix, attribute) =>
+        _.startsWith(change.key?.[attribute], prefix)
+      )
+    )
+      return false;
+
+    if (!entities.length) return true;
+
+    const item = change.newItem ?? change.oldItem ?? change.key;
+
+    return _.find(entities, (entity) => entity.matches(item))?.name ?? false;
+  };
+};
+
+/**
+ * Decode a stream record, if it passes a filter.
+ *
+ * @param {object} record - Stream record.
+ * @param {Function} filter - Change filter.
+ * @param {object} options - Decoding options.
+ * @return {object|undefined} Change record, tagged with its entity name if filtered by entity, or undefined if filtered out.
+ * @private
+ */
+const decodeMatching = (record, filter, options) => {
+  const change = decodeStreamRecord(record, options);
+  const matched = filter(change);
+
+  if (!matched) return undefined;
+
+  return _.isString(matched) ? { ...change, entity: matched } : change;
+};
+
+/**
+ * Decode a DynamoDB stream event, as delivered to Lambda, into change records,
+ * optionally keeping only those of given entities or key prefixes.
+ *
+ * @param {object} event - Stream event, with `Records`.
+ * @param {object} [options] - Options.
+ * @param {object|object[]} [options.entity] - Keep only changes to items of this entity (or of any of these entities), & add the matching entity's name to each change as `entity`.
+ * @param {object} [options.keyPrefix] - Keep only changes to items whose key attributes begin with these prefixes, e.g. `{ entityPK: 'USER#' }`.
+ * @param {boolean} [options.wrapNumbers] - Return numbers as NumberValues (default is false).
+ * @return {object[]} Change records. See {@link decodeStreamRecord}.
+ */
+export const decodeStreamEvent = (event, options = {}) => {
+  const filter = changeFilter(options);
+
+  return _.compact(
+    (event?.Records ?? []).map((record) =>
+      decodeMatching(record, filter, options)
+    )
+  );
+};
+
+/**
+ * Handle the change records of a DynamoDB stream event in order, reporting
+ * partial batch failures the way Lambda expects them when the event source
+ * mapping has `ReportBatchItemFailures` enabled: processing stops at the first
+ * record that fails, and its sequence number is reported so Lambda retries
+ * from that record on. Records filtered out are skipped.
+ *
+ * @example
+ * export const handler = (event) =>
+ *   processStreamEvent(event, async (change) => {
+ *     if (change.type === 'insert') await notify(change.newItem);
+ *   }, { entity: users });
+ *
+ * @param {object} event - Stream event, with `Records`.
+ * @param {Function} handler - Sync or async function called with each change record.
+ * @param {object} [options] - Options. See {@link decodeStreamEvent}.
+ * @param {Function} [options.onError] - Function called with the error & the failed record (the change record if it was decoded, otherwise the raw stream record).
+ * @return {Promise<object>} Lambda response: `batchItemFailures`, empty if every record was handled.
+ */
+export const processStreamEvent = async (event, handler, options = {}) => {
+  if (!_.isFunction(handler))
+    throw new ValidationError('invalid handler', {
+      parameter: 'handler',
+      value: handler,
+    });
+
+  const { onError = _.noop } = options;
+  const filter = changeFilter(options);
+
+  for (const record of event?.Records ?? []) {
+    let change;
+
+    try {
+      change = decodeMatching(record, filter, options);
+      if (!change) continue;
+
+      await handler(change);
+    } catch (error) {
+      await onError(error, change ?? record);
+
+      return {
+        batchItemFailures: [
+          { itemIdentifier: record?.dynamodb?.SequenceNumber },
+        ],
+      };
+    }
+  }
+
+  return { batchItemFailures: [] };
+};
@@ -0,0 +1,184 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { toDynamoJson } from './dynamoJson.js';
+import { Entity } from './Entity.js';
+import { ValidationError } from './errors.js';
+import {
+  decodeStreamEvent,
+  decodeStreamRecord,
+  diffItems,
+  processStreamEvent,
+} from './streams.js';
+
+const users = new Entity(
+  {},
+  {
+    name: 'user',
+    tableName: 'app',
+    keys: {
+      pk: { attribute: 'entityPK', template: 'USER#{userId}' },
+      sk: { attribute: 'entitySK', template: 'PROFILE' },
+    },
+    typeAttribute: 'entityType',
+  }
+);
+
+const record = (eventName, sequenceNumber, { oldItem, newItem, key }) => ({
+  eventID: `event-${sequenceNumber}`,
+  eventName,
+  eventSource: 'aws:dynamodb',
+  eventSourceARN:
+    'arn:aws:dynamodb:us-east-1:123456789012:table/app/stream/2024-01-01T00:00:00.000',
+  dynamodb: {
+    ApproximateCreationDateTime: 1700000000,
+    Keys: toDynamoJson(
+      key ?? _.pick(newItem ?? oldItem, ['entityPK', 'entitySK'])
+    ),
+    ...(oldItem ? { OldImage: toDynamoJson(oldItem) } : {}),
+    ...(newItem ? { NewImage: toDynamoJson(newItem) } : {}),
+    SequenceNumber: `${sequenceNumber}`,
+    StreamViewType: 'NEW_AND_OLD_IMAGES',
+  },
+});
+
+const user = {
+  entityPK: 'USER#u1',
+  entitySK: 'PROFILE',
+  entityType: 'user',
+  email: 'a@example.com',
+  tags: new Set(['a']),
+  visits: 1,
+};
+
+const event = {
+  Records: [
+    record('INSERT', 1, { newItem: user }),
+    record('MODIFY', 2, {
+      oldItem: user,
+      newItem: { ..._.omit(user, 'email'), visits: 2, tags: new Set(['a']) },
+    }),
+    record('INSERT', 3, {
+      newItem: { entityPK: 'ORDER#o1', entitySK: 'ORDER', total: 10 },
+    }),
+    {
+      ...record('REMOVE', 4, { oldItem: user }),
+      userIdentity: { type: 'Service', principalId: 'dynamodb.amazonaws.com' },
+    },
+  ],
+};
+
+describe('streams', function () {
+  describe('diffItems', function () {
+    it('should report added, removed & changed attributes', function () {
+      expect(
+        diffItems({ a: 1, b: [1], c: 'x' }, { a: 1, b: [2], d: true })
+      ).to.deep.equal({
+        b: { oldValue: [1], newValue: [2] },
+        c: { oldValue: 'x', newValue: undefined },
+        d: { oldValue: undefined, newValue: true },
+      });
+    });
+  });
+
+  describe('decodeStreamRecord', function () {
+    it('should decode images, key & diff', function () {
+      const change = decodeStreamRecord(event.Records[1]);
+
+      expect(change).to.include({
+        id: 'event-2',
+        type: 'modify',
+        tableName: 'app',
+        sequenceNumber: '2',
+        expired: false,
+      });
+      expect(change.timestamp).to.deep.equal(new Date(1700000000000));
+      expect(change.key).to.deep.equal({
+        entityPK: 'USER#u1',
+        entitySK: 'PROFILE',
+      });
+      expect(change.oldItem).to.deep.equal(user);
+      expect(change.diff).to.deep.equal({
+        email: { oldValue: 'a@example.com', newValue: undefined },
+        visits: { oldValue: 1, newValue: 2 },
+      });
+    });
+
+    it('should flag time to live deletions', function () {
+      const change = decodeStreamRecord(event.Records[3]);
+
+      expect(change).to.include({ type: 'remove', expired: true });
+      expect(change.newItem).to.be.undefined;
+    });
+
+    it('should reject invalid records', function () {
+      expect(() => decodeStreamRecord({ eventName: 'INSERT' })).to.throw(
+        ValidationError
+      );
+    });
+  });
+
+  describe('decodeStreamEvent', function () {
+    it('should filter by entity', function () {
+      const changes = decodeStreamEvent(event, { entity: users });
+
+      expect(_.map(changes, 'sequenceNumber')).to.deep.equal(['1', '2', '4']);
+      expect(_.map(changes, 'entity')).to.deep.equal(['user', 'user', 'user']);
+      expect(users.fromItem(changes[0].newItem)).to.deep.equal({
+        email: 'a@example.com',
+        tags: new Set(['a']),
+        visits: 1,
+      });
+    });
+
+    it('should filter by key prefix', function () {
+      const changes = decodeStreamEvent(event, {
+        keyPrefix: { entityPK: 'ORDER#' },
+      });
+
+      expect(_.map(changes, 'sequenceNumber')).to.deep.equal(['3']);
+      expect(changes[0]).not.to.have.property('entity');
+    });
+  });
+
+  describe('processStreamEvent', function () {
+    it('should handle every matching record', async function () {
+      const handled = [];
+
+      const response = await processStreamEvent(
+        event,
+        (change) => handled.push(change.sequenceNumber),
+        { entity: users }
+      );
+
+      expect(response).to.deep.equal({ batchItemFailures: [] });
+      expect(handled).to.deep.equal(['1', '2', '4']);
+    });
+
+    it('should report the first failure & stop', async function () {
+      const handled = [];
+      const errors = [];
+
+      const response = await processStreamEvent(
+        event,
+        async ({ sequenceNumber }) => {
+          if (sequenceNumber === '2') throw new Error('boom');
+          handled.push(sequenceNumber);
+        },
+        { onError: (error, change) => errors.push([error.message, change.id]) }
+      );
+
+      expect(response).to.deep.equal({
+        batchItemFailures: [{ itemIdentifier: '2' }],
+      });
+      expect(handled).to.deep.equal(['1']);
+      expect(errors).to.deep.equal([['boom', 'event-2']]);
+    });
+  });
+});
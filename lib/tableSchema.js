@@ -0,0 +1,336 @@
+// npm imports
+import _ from 'lodash';
+
+/**
+ * Describe a key schema with attribute types, e.g. `pk (S) HASH, sk (N) RANGE`.
+ *
+ * @param {object[]} [keySchema] - KeySchema.
+ * @param {object[]} [attributeDefinitions] - AttributeDefinitions.
+ * @return {string} Key schema description.
+ * @private
+ */
+const describeKeySchema = (keySchema = [], attributeDefinitions = []) =>
+  _.sortBy(keySchema, ({ KeyType }) => KeyType !== 'HASH')
+    .map(
+      ({ AttributeName, KeyType }) =>
+        `${AttributeName} (${
+          _.find(attributeDefinitions, { AttributeName })?.AttributeType ?? '?'
+        }) ${KeyType}`
+    )
+    .join(', ');
+
+/**
+ * Describe a projection, e.g. `INCLUDE (a, b)`.
+ *
+ * @param {object} [projection] - Projection.
+ * @return {string} Projection description.
+ * @private
+ */
+const describeProjection = (projection = {}) =>
+  `${projection.ProjectionType ?? 'ALL'}${
+    projection.ProjectionType === 'INCLUDE'
+      ? ` (${_.sortBy(projection.NonKeyAttributes).join(', ')})`
+      : ''
+  }`;
+
+/**
+ * Describe an index: key schema & projection.
+ *
+ * @param {object} [index] - Index definition or description.
+ * @param {object[]} attributeDefinitions - AttributeDefinitions.
+ * @return {string|undefined} Index description, or undefined if there is no index.
+ * @private
+ */
+const describeIndex = (index, attributeDefinitions) =>
+  index &&
+  `${describeKeySchema(
+    index.KeySchema,
+    attributeDefinitions
+  )} projecting ${describeProjection(index.Projection)}`;
+
+/**
+ * Test whether provisioned throughput differs from a desired setting.
+ *
+ * @param {object} [current] - Current ProvisionedThroughput.
+ * @param {object} [desired] - Desired ProvisionedThroughput.
+ * @return {boolean} True if a desired setting differs.
+ * @private
+ */
+const throughputDiffers = (current = {}, desired) =>
+  !!desired &&
+  (current.ReadCapacityUnits !== desired.ReadCapacityUnits ||
+    current.WriteCapacityUnits !== desired.WriteCapacityUnits);
+
+/**
+ * Plan the changes that bring an existing table in line with a definition.
+ *
+ * The table key schema & local secondary indexes can only be set when a table
+ * is created, so differences there are returned as conflicts. Everything else
+ * becomes a change that UpdateTable or UpdateTimeToLive can apply, one at a
+ * time & in order: billing mode, index deletions (including indexes whose key
+ * schema or projection changed), index creations, index throughput, stream &
+ * time to live. Settings the definition omits are left as they are, except
+ * that a definition with GlobalSecondaryIndexes owns every global index.
+ *
+ * @param {object} table - TableDescription.
+ * @param {object} timeToLive - TimeToLiveDescription.
+ * @param {object} definition - CreateTableCommandInput object, plus an optional TimeToLiveSpecification.
+ * @return {object} Plan: `changes` (action, description & command input without TableName) & `conflicts` (property, description, current & desired).
+ * @private
+ */
+export const planTableChanges = (table, timeToLive, definition) => {
+  const changes = [];
+  const conflicts = [];
+
+  const currentDefinitions = table.AttributeDefinitions ?? [];
+  const desiredDefinitions = definition.AttributeDefinitions ?? [];
+
+  // Table key schema.
+  const currentKeys = describeKeySchema(table.KeySchema, currentDefinitions);
+  const desiredKeys = describeKeySchema(
+    definition.KeySchema,
+    desiredDefinitions
+  );
+
+  if (currentKeys !== desiredKeys)
+    conflicts.push({
+      property: 'KeySchema',
+      description: `table key schema is ${currentKeys}, definition requires ${desiredKeys}`,
+      current: currentKeys,
+      desired: desiredKeys,
+    });
+
+  // Local secondary indexes.
+  const localNames = _.union(
+    _.map(table.LocalSecondaryIndexes, 'IndexName'),
+    _.map(definition.LocalSecondaryIndexes, 'IndexName')
+  ).sort();
+
+  for (const indexName of localNames) {
+    const current = describeIndex(
+      _.find(table.LocalSecondaryIndexes, { IndexName: indexName }),
+      currentDefinitions
+    );
+    const desired = describeIndex(
+      _.find(definition.LocalSecondaryIndexes, { IndexName: indexName }),
+      desiredDefinitions
+    );
+
+    if (current !== desired)
+      conflicts.push({
+        property: 'LocalSecondaryIndexes',
+        indexName,
+        description: !current
+          ? `local secondary index ${indexName} does not exist & cannot be added`
+          : !desired
+          ? `local secondary index ${indexName} is not defined & cannot be removed`
+          : `local secondary index ${indexName} is ${current}, definition requires ${desired}`,
+        current,
+        desired,
+      });
+  }
+
+  // Billing mode & table throughput.
+  const currentMode = table.BillingModeSummary?.BillingMode ?? 'PROVISIONED';
+  const desiredMode =
+    definition.BillingMode ??
+    (definition.ProvisionedThroughput ? 'PROVISIONED' : undefined);
+  const mode = desiredMode ?? currentMode;
+  const desiredIndexes = definition.GlobalSecondaryIndexes;
+  const currentIndexes = table.GlobalSecondaryIndexes ?? [];
+
+  if (desiredMode && desiredMode !== currentMode) {
+    // Switching to provisioned capacity also sets the throughput of the
+    // global indexes that are kept.
+    const indexUpdates =
+      desiredMode === 'PROVISIONED'
+        ? _.compact(
+            currentIndexes.map(({ IndexName }) => {
+              const desired = _.find(desiredIndexes, { IndexName });
+
+              return desired?.ProvisionedThroughput
+                ? {
+                    Update: {
+                      IndexName,
+                      ProvisionedThroughput: desired.ProvisionedThroughput,
+                    },
+                  }
+                : undefined;
+            })
+          )
+        : [];
+
+    changes.push({
+      action: 'updateBillingMode',
+      description: `change billing mode from ${currentMode} to ${desiredMode}`,
+      input: {
+        BillingMode: desiredMode,
+        ...(desiredMode === 'PROVISIONED'
+          ? { ProvisionedThroughput: definition.ProvisionedThroughput }
+          : {}),
+        ...(indexUpdates.length
+          ? { GlobalSecondaryIndexUpdates: indexUpdates }
+          : {}),
+      },
+    });
+  } else if (
+    mode === 'PROVISIONED' &&
+    throughputDiffers(
+      table.ProvisionedThroughput,
+      definition.ProvisionedThroughput
+    )
+  )
+    changes.push({
+      action: 'updateThroughput',
+      description: `change table throughput to ${definition.ProvisionedThroughput.ReadCapacityUnits} RCU & ${definition.ProvisionedThroughput.WriteCapacityUnits} WCU`,
+      input: { ProvisionedThroughput: definition.ProvisionedThroughput },
+    });
+
+  // Global secondary indexes.
+  if (desiredIndexes) {
+    const creations = [];
+    const throughputUpdates = [];
+
+    for (const current of currentIndexes) {
+      const desired = _.find(desiredIndexes, { IndexName: current.IndexName });
+
+      if (!desired) {
+        changes.push({
+          action: 'deleteIndex',
+          indexName: current.IndexName,
+          description: `delete global secondary index ${current.IndexName}`,
+          input: {
+            GlobalSecondaryIndexUpdates: [
+              { Delete: { IndexName: current.IndexName } },
+            ],
+          },
+        });
+        continue;
+      }
+
+      const currentIndex = describeIndex(current, currentDefinitions);
+      const desiredIndex = describeIndex(desired, desiredDefinitions);
+
+      if (currentIndex !== desiredIndex) {
+        changes.push({
+          action: 'deleteIndex',
+          indexName: current.IndexName,
+          description: `delete global secondary index ${current.IndexName} to recreate it: it is ${currentIndex}, definition requires ${desiredIndex}`,
+          input: {
+            GlobalSecondaryIndexUpdates: [
+              { Delete: { IndexName: current.IndexName } },
+            ],
+          },
+        });
+        creations.push(desired);
+      } else if (
+        mode === 'PROVISIONED' &&
+        desiredMode === currentMode &&
+        throughputDiffers(
+          current.ProvisionedThroughput,
+          desired.ProvisionedThroughput
+        )
+      )
+        throughputUpdates.push(desired);
+    }
+
+    creations.push(
+      ...desiredIndexes.filter(
+        ({ IndexName }) => !_.some(currentIndexes, { IndexName })
+      )
+    );
+
+    for (const index of creations)
+      changes.push({
+        action: 'createIndex',
+        indexName: index.IndexName,
+        description: `create global secondary index ${
+          index.IndexName
+        } on ${describeIndex(index, desiredDefinitions)}`,
+        input: {
+          AttributeDefinitions: desiredDefinitions.filter(({ AttributeName }) =>
+            _.some(index.KeySchema, { AttributeName })
+          ),
+          GlobalSecondaryIndexUpdates: [
+            {
+              Create:
+                mode === 'PROVISIONED'
+                  ? index
+                  : _.omit(index, 'ProvisionedThroughput'),
+            },
+          ],
+        },
+      });
+
+    for (const { IndexName, ProvisionedThroughput } of throughputUpdates)
+      changes.push({
+        action: 'updateIndexThroughput',
+        indexName: IndexName,
+        description: `change global secondary index ${IndexName} throughput to ${ProvisionedThroughput.ReadCapacityUnits} RCU & ${ProvisionedThroughput.WriteCapacityUnits} WCU`,
+        input: {
+          GlobalSecondaryIndexUpdates: [
+            { Update: { IndexName, ProvisionedThroughput } },
+          ],
+        },
+      });
+  }
+
+  // Stream.
+  const desiredStream = definition.StreamSpecification;
+
+  if (desiredStream) {
+    const currentStream = table.StreamSpecification?.StreamEnabled
+      ? table.StreamSpecification
+      : undefined;
+    const disable = {
+      action: 'updateStream',
+      description: 'disable stream',
+      input: { StreamSpecification: { StreamEnabled: false } },
+    };
+    const enable = {
+      action: 'updateStream',
+      description: `enable stream with view type ${desiredStream.StreamViewType}`,
+      input: { StreamSpecification: desiredStream },
+    };
+
+    if (!desiredStream.StreamEnabled) {
+      if (currentStream) changes.push(disable);
+    } else if (!currentStream) changes.push(enable);
+    else if (currentStream.StreamViewType !== desiredStream.StreamViewType)
+      changes.push(disable, enable);
+  }
+
+  // Time to live.
+  const desiredTtl = definition.TimeToLiveSpecification;
+
+  if (desiredTtl) {
+    const currentAttribute = ['ENABLED', 'ENABLING'].includes(
+      timeToLive?.TimeToLiveStatus
+    )
+      ? timeToLive.AttributeName
+      : undefined;
+    const disable = {
+      action: 'updateTimeToLive',
+      description: `disable time to live on ${currentAttribute}`,
+      input: {
+        TimeToLiveSpecification: {
+          AttributeName: currentAttribute,
+          Enabled: false,
+        },
+      },
+    };
+    const enable = {
+      action: 'updateTimeToLive',
+      description: `enable time to live on ${desiredTtl.AttributeName}`,
+      input: { TimeToLiveSpecification: desiredTtl },
+    };
+
+    if (!desiredTtl.Enabled) {
+      if (currentAttribute) changes.push(disable);
+    } else if (!currentAttribute) changes.push(enable);
+    else if (currentAttribute !== desiredTtl.AttributeName)
+      changes.push(disable, enable);
+  }
+
+  return { changes, conflicts };
+};
@@ -0,0 +1,178 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { planTableChanges } from './tableSchema.js';
+
+const table = {
+  AttributeDefinitions: [
+    { AttributeName: 'pk', AttributeType: 'S' },
+    { AttributeName: 'sk', AttributeType: 'S' },
+    { AttributeName: 'gsiPK', AttributeType: 'S' },
+  ],
+  BillingModeSummary: { BillingMode: 'PROVISIONED' },
+  KeySchema: [
+    { AttributeName: 'pk', KeyType: 'HASH' },
+    { AttributeName: 'sk', KeyType: 'RANGE' },
+  ],
+  GlobalSecondaryIndexes: [
+    {
+      IndexName: 'gsi',
+      KeySchema: [{ AttributeName: 'gsiPK', KeyType: 'HASH' }],
+      Projection: { ProjectionType: 'KEYS_ONLY' },
+      ProvisionedThroughput: { ReadCapacityUnits: 1, WriteCapacityUnits: 1 },
+    },
+  ],
+  ProvisionedThroughput: { ReadCapacityUnits: 1, WriteCapacityUnits: 1 },
+};
+
+const timeToLive = { AttributeName: 'expires', TimeToLiveStatus: 'ENABLED' };
+
+const definition = {
+  ..._.omit(table, 'BillingModeSummary'),
+  BillingMode: 'PROVISIONED',
+  TimeToLiveSpecification: { AttributeName: 'expires', Enabled: true },
+};
+
+describe('tableSchema', function () {
+  describe('planTableChanges', function () {
+    it('should plan nothing for a matching table', function () {
+      expect(planTableChanges(table, timeToLive, definition)).to.deep.equal({
+        changes: [],
+        conflicts: [],
+      });
+    });
+
+    it('should leave omitted settings alone', function () {
+      const { changes } = planTableChanges(
+        table,
+        timeToLive,
+        _.pick(definition, ['AttributeDefinitions', 'KeySchema'])
+      );
+
+      expect(changes).to.be.empty;
+    });
+
+    it('should recreate indexes whose key schema changed', function () {
+      const { changes } = planTableChanges(table, timeToLive, {
+        ...definition,
+        GlobalSecondaryIndexes: [
+          {
+            ...definition.GlobalSecondaryIndexes[0],
+            Projection: { ProjectionType: 'INCLUDE', NonKeyAttributes: ['a'] },
+          },
+        ],
+      });
+
+      expect(_.map(changes, 'action')).to.deep.equal([
+        'deleteIndex',
+        'createIndex',
+      ]);
+      expect(changes[1].input).to.deep.equal({
+        AttributeDefinitions: [{ AttributeName: 'gsiPK', AttributeType: 'S' }],
+        GlobalSecondaryIndexUpdates: [
+          {
+            Create: {
+              ...definition.GlobalSecondaryIndexes[0],
+              Projection: {
+                ProjectionType: 'INCLUDE',
+                NonKeyAttributes: ['a'],
+              },
+            },
+          },
+        ],
+      });
+    });
+
+    it('should switch billing mode & throughput', function () {
+      const { changes } = planTableChanges(
+        {
+          ...table,
+          BillingModeSummary: { BillingMode: 'PAY_PER_REQUEST' },
+        },
+        timeToLive,
+        definition
+      );
+
+      expect(changes).to.deep.equal([
+        {
+          action: 'updateBillingMode',
+          description:
+            'change billing mode from PAY_PER_REQUEST to PROVISIONED',
+          input: {
+            BillingMode: 'PROVISIONED',
+            ProvisionedThroughput: definition.ProvisionedThroughput,
+            GlobalSecondaryIndexUpdates: [
+              {
+                Update: {
+                  IndexName: 'gsi',
+                  ProvisionedThroughput: {
+                    ReadCapacityUnits: 1,
+                    WriteCapacityUnits: 1,
+                  },
+                },
+              },
+            ],
+          },
+        },
+      ]);
+
+      const throughput = { ReadCapacityUnits: 5, WriteCapacityUnits: 2 };
+
+      expect(
+        _.map(
+          planTableChanges(table, timeToLive, {
+            ...definition,
+            ProvisionedThroughput: throughput,
+            GlobalSecondaryIndexes: [
+              {
+                ...definition.GlobalSecondaryIndexes[0],
+                ProvisionedThroughput: throughput,
+              },
+            ],
+          }).changes,
+          'action'
+        )
+      ).to.deep.equal(['updateThroughput', 'updateIndexThroughput']);
+    });
+
+    it('should move time to live to another attribute', function () {
+      const { changes } = planTableChanges(table, timeToLive, {
+        ...definition,
+        TimeToLiveSpecification: { AttributeName: 'ttl', Enabled: true },
+      });
+
+      expect(_.map(changes, 'description')).to.deep.equal([
+        'disable time to live on expires',
+        'enable time to live on ttl',
+      ]);
+    });
+
+    it('should itemize key schema & local index conflicts', function () {
+      const { conflicts } = planTableChanges(table, timeToLive, {
+        ...definition,
+        KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }],
+        LocalSecondaryIndexes: [
+          {
+            IndexName: 'lsi',
+            KeySchema: [
+              { AttributeName: 'pk', KeyType: 'HASH' },
+              { AttributeName: 'gsiPK', KeyType: 'RANGE' },
+            ],
+            Projection: { ProjectionType: 'ALL' },
+          },
+        ],
+      });
+
+      expect(_.map(conflicts, 'description')).to.deep.equal([
+        'table key schema is pk (S) HASH, sk (S) RANGE, definition requires pk (S) HASH',
+        'local secondary index lsi does not exist & cannot be added',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// npm imports
+import _ from 'lodash';
+
+// lib imports
+import { ExpressionAttributes, increment } from './expressions.js';
+
+/**
+ * Build versioned Put params. If the item carries a version, the put is
+ * conditioned on the stored version matching it; otherwise the put is
+ * conditioned on the item not existing yet. Either way the written item
+ * carries the next version.
+ *
+ * @param {object} item - Item object, optionally carrying its expected version.
+ * @param {string} [versionAttribute] - Version attribute name. If omitted, the put is unconditional.
+ * @return {object} Item, ConditionExpression, ExpressionAttributeNames & ExpressionAttributeValues params.
+ * @private
+ */
+export const versionPut = (item, versionAttribute) => {
+  if (!versionAttribute) return { Item: item };
+
+  const attributes = new ExpressionAttributes('v');
+  const name = attributes.name(versionAttribute);
+  const expected = item[versionAttribute];
+
+  return _.isNil(expected)
+    ? {
+        Item: { ...item, [versionAttribute]: 1 },
+        ConditionExpression: `attribute_not_exists(${name})`,
+        ...attributes.toParams(),
+      }
+    : {
+        Item: { ...item, [versionAttribute]: expected + 1 },
+        ConditionExpression: `${name} = ${attributes.value(expected)}`,
+        ...attributes.toParams(),
+      };
+};
+
+/**
+ * Build versioned Delete params. If the key carries a version, the delete is
+ * conditioned on the stored version matching it and the version is stripped
+ * from the key; otherwise the delete is unconditional.
+ *
+ * @param {object} key - Item key, optionally carrying its expected version.
+ * @param {string} [versionAttribute] - Version attribute name.
+ * @return {object} Key, ConditionExpression, ExpressionAttributeNames & ExpressionAttributeValues params.
+ * @private
+ */
+export const versionDelete = (key, versionAttribute) => {
+  if (!versionAttribute || _.isNil(key[versionAttribute])) return { Key: key };
+
+  const attributes = new ExpressionAttributes('v');
+
+  return {
+    Key: _.omit(key, versionAttribute),
+    ConditionExpression: `${attributes.name(
+      versionAttribute
+    )} = ${attributes.value(key[versionAttribute])}`,
+    ...attributes.toParams(),
+  };
+};
+
+/**
+ * Build versioned Update params. If the key carries a version, the update is
+ * conditioned on the stored version matching it and the version is stripped
+ * from the key. Either way the patch increments the version (unless it sets
+ * the version itself), so versioned writes based on an earlier read fail.
+ *
+ * @param {object} key - Item key, optionally carrying its expected version.
+ * @param {object} patch - Patch object.
+ * @param {string} [versionAttribute] - Version attribute name. If omitted, the update is unversioned.
+ * @return {object} Key, patch, ConditionExpression, ExpressionAttributeNames & ExpressionAttributeValues params.
+ * @private
+ */
+export const versionUpdate = (key, patch, versionAttribute) => {
+  if (!versionAttribute) return { Key: key, patch };
+
+  return {
+    ...versionDelete(key, versionAttribute),
+    patch: _.has(patch, [versionAttribute])
+      ? patch
+      : { ...patch, [versionAttribute]: increment() },
+  };
+};
@@ -0,0 +1,86 @@
+/* eslint-env mocha */
+
+// mocha imports
+import { expect } from 'chai';
+
+// lib imports
+import { versionDelete, versionPut, versionUpdate } from './versioning.js';
+
+describe('versioning', function () {
+  describe('versionPut', function () {
+    it('should be unconditional without a version attribute', function () {
+      expect(versionPut({ id: 'a' })).to.deep.equal({ Item: { id: 'a' } });
+    });
+
+    it('should require a new item without an expected version', function () {
+      expect(versionPut({ id: 'a' }, 'version')).to.deep.equal({
+        Item: { id: 'a', version: 1 },
+        ConditionExpression: 'attribute_not_exists(#v0)',
+        ExpressionAttributeNames: { '#v0': 'version' },
+      });
+    });
+
+    it('should check & bump an expected version', function () {
+      expect(versionPut({ id: 'a', version: 3 }, 'version')).to.deep.equal({
+        Item: { id: 'a', version: 4 },
+        ConditionExpression: '#v0 = :v0',
+        ExpressionAttributeNames: { '#v0': 'version' },
+        ExpressionAttributeValues: { ':v0': 3 },
+      });
+    });
+  });
+
+  describe('versionDelete', function () {
+    it('should be unconditional without an expected version', function () {
+      expect(versionDelete({ id: 'a' }, 'version')).to.deep.equal({
+        Key: { id: 'a' },
+      });
+    });
+
+    it('should check & strip an expected version', function () {
+      expect(versionDelete({ id: 'a', version: 3 }, 'version')).to.deep.equal({
+        Key: { id: 'a' },
+        ConditionExpression: '#v0 = :v0',
+        ExpressionAttributeNames: { '#v0': 'version' },
+        ExpressionAttributeValues: { ':v0': 3 },
+      });
+    });
+  });
+
+  describe('versionUpdate', function () {
+    it('should be unconditional without a version attribute', function () {
+      expect(versionUpdate({ id: 'a' }, { n: 1 })).to.deep.equal({
+        Key: { id: 'a' },
+        patch: { n: 1 },
+      });
+    });
+
+    it('should bump the version without an expected version', function () {
+      const { Key, patch, ...condition } = versionUpdate(
+        { id: 'a' },
+        { n: 1 },
+        'version'
+      );
+
+      expect(Key).to.deep.equal({ id: 'a' });
+      expect(patch).to.have.all.keys('n', 'version');
+      expect(condition).to.deep.equal({});
+    });
+
+    it('should check & bump an expected version', function () {
+      const { Key, patch, ...condition } = versionUpdate(
+        { id: 'a', version: 3 },
+        { n: 1 },
+        'version'
+      );
+
+      expect(Key).to.deep.equal({ id: 'a' });
+      expect(patch).to.have.all.keys('n', 'version');
+      expect(condition).to.deep.equal({
+        ConditionExpression: '#v0 = :v0',
+        ExpressionAttributeNames: { '#v0': 'version' },
+        ExpressionAttributeValues: { ':v0': 3 },
+      });
+    });
+  });
+});